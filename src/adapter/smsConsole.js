@@ -0,0 +1,17 @@
+import SmsInterface from '../interface/sms.interface.js';
+import logger from '../config/logger.js';
+
+/**
+ * Development stand-in that writes outgoing SMS to the application log
+ */
+export default class ConsoleSms extends SmsInterface {
+  constructor() {
+    super();
+    this.provider = 'console';
+  }
+
+  async sendSms(to, message) {
+    logger.info(`[SMS] to ${to}: ${message}`);
+    return { provider: this.provider, to };
+  }
+}
@@ -0,0 +1,21 @@
+import fs from 'fs/promises';
+import path from 'path';
+import SmsInterface from '../interface/sms.interface.js';
+import config from '../config/config.js';
+
+/**
+ * Development stand-in that appends outgoing SMS to a file, handy for reading OTPs in QA
+ */
+export default class FileSms extends SmsInterface {
+  constructor() {
+    super();
+    this.provider = 'file';
+    this.filePath = path.resolve(config.sms.filePath);
+  }
+
+  async sendSms(to, message) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${new Date().toISOString()}\t${to}\t${message}\n`);
+    return { provider: this.provider, to };
+  }
+}
@@ -8,7 +8,7 @@ import passport from 'passport';
 import httpStatus from 'http-status';
 import config from './config/config.js';
 import * as morgan from './config/morgan.js';
-import { jwtStrategy } from './config/passport.js';
+import { jwtStrategy, apiKeyStrategy } from './config/passport.js';
 import { authLimiter } from './middlewares/rateLimiter.js';
 import routes from './routes/v1/index.js';
 import { errorConverter, errorHandler } from './middlewares/error.js';
@@ -24,11 +24,16 @@ if (config.env !== 'test') {
 // set security HTTP headers
 app.use(helmet());
 
+// keep the raw request body for webhook signature checks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 // parse json request body
-app.use(express.json());
+app.use(express.json({ verify: keepRawBody }));
 
 // parse urlencoded request body
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // sanitize request data
 app.use(xss());
@@ -41,9 +46,10 @@ app.use(compression());
 app.use(cors());
 app.options('*', cors());
 
-// jwt authentication
+// jwt and api key authentication
 app.use(passport.initialize());
 passport.use('jwt', jwtStrategy);
+passport.use('apiKey', apiKeyStrategy);
 
 // limit repeated failed requests to auth endpoints
 if (config.env === 'production') {
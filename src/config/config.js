@@ -29,6 +29,59 @@ const envVarsSchema = Joi.object()
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+    RESET_PASSWORD_URL: Joi.string()
+      .default('http://localhost:5173/reset-password')
+      .description('front-end page that the reset password email links to'),
+    VERIFY_EMAIL_URL: Joi.string()
+      .default('http://localhost:5173/verify-email')
+      .description('front-end page that the verification email links to'),
+    REQUIRE_EMAIL_VERIFICATION_ROLES: Joi.string()
+      .allow('')
+      .default('')
+      .description('comma separated roles that must verify their email before they can log in'),
+    LOGIN_MAX_FAILED_ATTEMPTS: Joi.number()
+      .integer()
+      .min(1)
+      .default(5)
+      .description('failed logins within the window that lock an account'),
+    LOGIN_FAILED_ATTEMPTS_WINDOW_MINUTES: Joi.number().default(15).description('window failed logins are counted in'),
+    LOGIN_LOCKOUT_MINUTES: Joi.number().default(30).description('minutes an account stays locked'),
+    TWO_FACTOR_ISSUER: Joi.string().default('Smart Orbiter').description('issuer name shown in authenticator apps'),
+    TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES: Joi.number()
+      .default(5)
+      .description('minutes a login has to be completed with a 2FA code'),
+    TWO_FACTOR_BACKUP_CODES: Joi.number().integer().min(1).max(20).default(10).description('backup codes issued per user'),
+    TWO_FACTOR_ENCRYPTION_KEY: Joi.string().description('key TOTP secrets are encrypted with, JWT_SECRET when not set'),
+    FOLLOW_UP_REMINDER_INTERVAL_MINUTES: Joi.number()
+      .min(0)
+      .default(5)
+      .description('minutes between follow-up reminder runs, 0 turns reminders off'),
+    FOLLOW_UP_REMINDER_LEAD_MINUTES: Joi.number()
+      .min(0)
+      .default(15)
+      .description('minutes before a follow-up is due that its reminder is sent'),
+    EXPORT_PDF_MAX_ROWS: Joi.number().integer().min(1).default(2000).description('most records a PDF export may hold'),
+    EXPORT_XLSX_MAX_ROWS: Joi.number()
+      .integer()
+      .min(1)
+      .default(50000)
+      .description('most records an xlsx export may hold, as the sheet is built in memory; CSV exports have no limit'),
+    ROLE_CACHE_TTL_SECONDS: Joi.number().min(0).default(60).description('seconds role rights are cached in memory'),
+    SMS_PROVIDER: Joi.string().valid('console', 'file').default('console').description('provider used to send SMS'),
+    SMS_FILE_PATH: Joi.string().default('logs/sms.log').description('file the "file" SMS provider writes to'),
+    DEFAULT_COUNTRY_CODE: Joi.string()
+      .pattern(/^\d{1,3}$/)
+      .default('91')
+      .description('country calling code assumed for phone numbers without one'),
+    OTP_LENGTH: Joi.number().integer().min(4).max(8).default(6).description('number of digits in a login OTP'),
+    OTP_EXPIRATION_MINUTES: Joi.number().default(5).description('minutes after which a login OTP expires'),
+    OTP_MAX_ATTEMPTS: Joi.number().integer().default(5).description('wrong codes allowed before an OTP is invalidated'),
+    OTP_RESEND_INTERVAL_SECONDS: Joi.number().default(60).description('seconds a number must wait between OTP requests'),
+    OTP_MAX_REQUESTS_PER_WINDOW: Joi.number().integer().default(5).description('OTP requests allowed per number per window'),
+    OTP_REQUEST_WINDOW_MINUTES: Joi.number()
+      .max(1440)
+      .default(60)
+      .description('length of the window OTP requests are counted in'),
     AWS_REGION: Joi.string().required().description('AWS region'),
     AWS_ACCESS_KEY_ID: Joi.string().required().description('AWS access key ID'),
     AWS_SECRET_ACCESS_KEY: Joi.string().required().description('AWS secret access key'),
@@ -56,6 +109,48 @@ const config = {
     resetPasswordExpirationMinutes: envVars.JWT_RESET_PASSWORD_EXPIRATION_MINUTES,
     verifyEmailExpirationMinutes: envVars.JWT_VERIFY_EMAIL_EXPIRATION_MINUTES,
   },
+  auth: {
+    requireEmailVerificationRoles: envVars.REQUIRE_EMAIL_VERIFICATION_ROLES.split(',')
+      .map((role) => role.trim().toLowerCase())
+      .filter(Boolean),
+    lockout: {
+      maxFailedAttempts: envVars.LOGIN_MAX_FAILED_ATTEMPTS,
+      windowMinutes: envVars.LOGIN_FAILED_ATTEMPTS_WINDOW_MINUTES,
+      durationMinutes: envVars.LOGIN_LOCKOUT_MINUTES,
+    },
+    twoFactor: {
+      issuer: envVars.TWO_FACTOR_ISSUER,
+      challengeExpirationMinutes: envVars.TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES,
+      backupCodes: envVars.TWO_FACTOR_BACKUP_CODES,
+      encryptionKey: envVars.TWO_FACTOR_ENCRYPTION_KEY || envVars.JWT_SECRET,
+    },
+  },
+  followUps: {
+    reminderIntervalMinutes: envVars.FOLLOW_UP_REMINDER_INTERVAL_MINUTES,
+    reminderLeadMinutes: envVars.FOLLOW_UP_REMINDER_LEAD_MINUTES,
+  },
+  exports: {
+    pdfMaxRows: envVars.EXPORT_PDF_MAX_ROWS,
+    xlsxMaxRows: envVars.EXPORT_XLSX_MAX_ROWS,
+  },
+  roles: {
+    cacheTtlSeconds: envVars.ROLE_CACHE_TTL_SECONDS,
+  },
+  sms: {
+    provider: envVars.SMS_PROVIDER,
+    filePath: envVars.SMS_FILE_PATH,
+  },
+  phone: {
+    defaultCountryCode: envVars.DEFAULT_COUNTRY_CODE,
+  },
+  otp: {
+    length: envVars.OTP_LENGTH,
+    expirationMinutes: envVars.OTP_EXPIRATION_MINUTES,
+    maxAttempts: envVars.OTP_MAX_ATTEMPTS,
+    resendIntervalSeconds: envVars.OTP_RESEND_INTERVAL_SECONDS,
+    maxRequestsPerWindow: envVars.OTP_MAX_REQUESTS_PER_WINDOW,
+    requestWindowMinutes: envVars.OTP_REQUEST_WINDOW_MINUTES,
+  },
   aws: {
     region: envVars.AWS_REGION,
     accessKeyId: envVars.AWS_ACCESS_KEY_ID,
@@ -74,6 +169,8 @@ const config = {
       },
     },
     from: envVars.EMAIL_FROM,
+    resetPasswordUrl: envVars.RESET_PASSWORD_URL,
+    verifyEmailUrl: envVars.VERIFY_EMAIL_URL,
   },
 };
 
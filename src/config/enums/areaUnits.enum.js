@@ -0,0 +1,8 @@
+// Units plot sizes and built-up areas are stored in
+const AreaUnits = Object.freeze({
+  SQ_FT: 'sqft',
+  SQ_M: 'sqm',
+  ACRE: 'acre',
+});
+
+export default AreaUnits;
@@ -0,0 +1,8 @@
+// What can take up a site engineer's days, see engineerSchedule.service
+const BookingTypes = Object.freeze({
+  SITE_VISIT: 'site-visit',
+  SITEWORK: 'sitework',
+  LEAVE: 'leave',
+});
+
+export default BookingTypes;
@@ -0,0 +1,17 @@
+// Kinds of field on a requirement form, see requirementForm.service for how each is validated
+const FormFieldTypes = Object.freeze({
+  TEXT: 'text',
+  TEXTAREA: 'textarea',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  SELECT: 'select',
+  MULTISELECT: 'multiselect',
+  AREA: 'area',
+  LENGTH: 'length',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  URL: 'url',
+});
+
+export default FormFieldTypes;
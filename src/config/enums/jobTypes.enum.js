@@ -0,0 +1,8 @@
+// Kinds of background job. Each has a handler registered with registerJobHandler in job.service.
+const JobTypes = Object.freeze({
+  LEAD_IMPORT: 'lead-import',
+  SCP_DATA_MIGRATION: 'scp-data-migration',
+  LOCATION_BACKFILL: 'location-backfill',
+});
+
+export default JobTypes;
@@ -0,0 +1,18 @@
+// Entries on a lead's activity timeline. Notes, calls and WhatsApp conversations are logged by hand, the rest are
+// recorded by the system.
+const LeadActivityTypes = Object.freeze({
+  NOTE: 'note',
+  CALL: 'call',
+  WHATSAPP: 'whatsapp',
+  REQUIREMENT_ADDED: 'requirement-added',
+  REQUIREMENT_SHARED: 'requirement-shared',
+  REQUIREMENT_SHARE_REVOKED: 'requirement-share-revoked',
+  SITE_VISIT_SCHEDULED: 'site-visit-scheduled',
+  SITE_VISIT_COMPLETED: 'site-visit-completed',
+  PROPOSAL_SENT: 'proposal-sent',
+  PROJECT_STATUS_CHANGED: 'project-status-changed',
+  LEAD_ASSIGNED: 'lead-assigned',
+  LEAD_MERGED: 'lead-merged',
+});
+
+export default LeadActivityTypes;
@@ -0,0 +1,12 @@
+// Stages the code moves leads into. Other stages can be added through /v1/lead-stages.
+const LeadStages = Object.freeze({
+  NEW: 'new',
+  CONTACTED: 'contacted',
+  QUALIFIED: 'qualified',
+  SITE_VISIT_SCHEDULED: 'site-visit-scheduled',
+  PROPOSAL_SENT: 'proposal-sent',
+  WON: 'won',
+  LOST: 'lost',
+});
+
+export default LeadStages;
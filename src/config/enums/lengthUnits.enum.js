@@ -0,0 +1,7 @@
+// Units lengths such as road widths are stored in
+const LengthUnits = Object.freeze({
+  FT: 'ft',
+  M: 'm',
+});
+
+export default LengthUnits;
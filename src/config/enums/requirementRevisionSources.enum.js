@@ -0,0 +1,14 @@
+// Where a change to a requirement came from, kept on its revisions
+const RequirementRevisionSources = Object.freeze({
+  // What the requirement looked like when its history started, for requirements created before revisions were kept
+  BASELINE: 'baseline',
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  INBOUND: 'inbound',
+  SITE_VISIT: 'site-visit',
+  ROLLBACK: 'rollback',
+  // The SCP data migration converting stored text to typed values
+  MIGRATION: 'migration',
+});
+
+export default RequirementRevisionSources;
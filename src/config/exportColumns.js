@@ -0,0 +1,94 @@
+import { formatScpValue } from '../utils/scpData.js';
+
+// Columns the export endpoints can produce, per resource, in their default order. Optional columns are only
+// exported when asked for. Lead columns read { lead, requirement }; requirement columns turn a lead into one
+// row per requirement.
+
+const leadColumn = (key, header, value = (lead) => lead[key], extra = {}) => ({
+  key,
+  header,
+  value: ({ lead }) => value(lead),
+  ...extra,
+});
+
+const requirementColumn = (key, header, value = (requirement) => requirement[key], extra = {}) => ({
+  key,
+  header,
+  requirement: true,
+  value: ({ requirement }) => (requirement ? value(requirement) : undefined),
+  ...extra,
+});
+
+const scpColumn = (key, header) =>
+  requirementColumn(key, header, (requirement) => formatScpValue(requirement.scpData?.[key]));
+
+const customerLeadColumns = [
+  leadColumn('id', 'Lead ID', (lead) => lead._id.toString()),
+  leadColumn('leadSource', 'Lead Source'),
+  leadColumn('customerName', 'Customer Name'),
+  leadColumn('mobileNumber', 'Mobile Number'),
+  leadColumn('alternateContactNumber', 'Alternate Contact'),
+  leadColumn('whatsappNumber', 'WhatsApp Number', undefined, { optional: true }),
+  leadColumn('email', 'Email'),
+  leadColumn('preferredLanguage', 'Preferred Language', undefined, { optional: true }),
+  leadColumn('state', 'State'),
+  leadColumn('city', 'City'),
+  leadColumn('stage', 'Stage', undefined, { optional: true }),
+  leadColumn('owner', 'Owner', (lead) => lead.owner?.name, { optional: true }),
+  leadColumn('isActive', 'Is Active'),
+  leadColumn('createdAt', 'Created At'),
+
+  requirementColumn('requirementId', 'Requirement ID', (requirement) => requirement._id.toString()),
+  requirementColumn('projectName', 'Project Name', undefined, { optional: true }),
+  requirementColumn('requirementType', 'Requirement Type'),
+  requirementColumn('otherRequirement', 'Other Requirement'),
+  requirementColumn('requirementDescription', 'Description'),
+  requirementColumn('urgency', 'Urgency'),
+  requirementColumn('budget', 'Budget'),
+
+  scpColumn('siteAddress', 'Site Address'),
+  scpColumn('googleLocationLink', 'Google Location'),
+  scpColumn('siteType', 'Site Type'),
+  scpColumn('plotSize', 'Plot Size'),
+  scpColumn('totalArea', 'Total Area'),
+  scpColumn('plinthStatus', 'Plinth Status'),
+  scpColumn('structureType', 'Structure Type'),
+  scpColumn('numUnits', 'Num Units'),
+  scpColumn('usageType', 'Usage Type'),
+  scpColumn('avgStayDuration', 'Avg Stay Duration'),
+  scpColumn('additionalFeatures', 'Additional Features'),
+  scpColumn('designIdeas', 'Design Ideas'),
+  scpColumn('drawingStatus', 'Drawing Status'),
+  scpColumn('architectStatus', 'Architect Status'),
+  scpColumn('roomRequirements', 'Room Requirements'),
+  scpColumn('tokenAdvance', 'Token Advance'),
+  scpColumn('financing', 'Financing'),
+  scpColumn('roadWidth', 'Road Width'),
+  scpColumn('targetCompletionDate', 'Target Completion'),
+  scpColumn('siteVisitDate', 'Site Visit Date'),
+  scpColumn('scpRemarks', 'SCP Remarks'),
+];
+
+const userColumn = (key, header, value = (user) => user[key], extra = {}) => ({ key, header, value, ...extra });
+
+const userColumns = [
+  userColumn('name', 'Name', undefined, { width: 25 }),
+  userColumn('email', 'Email', undefined, { width: 30 }),
+  userColumn('role', 'Role'),
+  userColumn('phoneNumber', 'Phone Number', undefined, { width: 20 }),
+  userColumn('city', 'City'),
+  userColumn('region', 'Region'),
+  userColumn('address', 'Address', undefined, { width: 30 }),
+  userColumn('education', 'Education', undefined, { width: 20 }),
+  userColumn('experience', 'Experience', undefined, { width: 20 }),
+  userColumn('isActive', 'Active Status', (user) => (user.isActive ? 'Active' : 'Inactive')),
+  userColumn('isEmailVerified', 'Email Verified', (user) => (user.isEmailVerified ? 'Yes' : 'No')),
+  userColumn('createdAt', 'Joined Date', undefined, { width: 20 }),
+];
+
+const exportColumns = {
+  'customer-leads': customerLeadColumns,
+  users: userColumns,
+};
+
+export default exportColumns;
@@ -0,0 +1,21 @@
+// Fields an inbound lead source can fill from its payload. Requirement fields are written as requirement.<field>;
+// every inbound lead gets one requirement.
+const inboundLeadFields = [
+  'customerName',
+  'mobileNumber',
+  'alternateContactNumber',
+  'whatsappNumber',
+  'email',
+  'preferredLanguage',
+  'state',
+  'city',
+  'googleLocationLink',
+  'requirement.projectName',
+  'requirement.requirementType',
+  'requirement.otherRequirement',
+  'requirement.requirementDescription',
+  'requirement.urgency',
+  'requirement.budget',
+];
+
+export default inboundLeadFields;
@@ -0,0 +1,15 @@
+import LeadStages from './enums/leadStages.enum.js';
+
+// Default sales pipeline. It seeds the `leadstages` collection the first time it is needed; after that
+// stages are managed through the /v1/lead-stages endpoints.
+const defaultLeadStages = [
+  { key: LeadStages.NEW, name: 'New', order: 10, outcome: 'open', isSystem: true },
+  { key: LeadStages.CONTACTED, name: 'Contacted', order: 20, outcome: 'open' },
+  { key: LeadStages.QUALIFIED, name: 'Qualified', order: 30, outcome: 'open' },
+  { key: LeadStages.SITE_VISIT_SCHEDULED, name: 'Site Visit Scheduled', order: 40, outcome: 'open', isSystem: true },
+  { key: LeadStages.PROPOSAL_SENT, name: 'Proposal Sent', order: 50, outcome: 'open', isSystem: true },
+  { key: LeadStages.WON, name: 'Won', order: 60, outcome: 'won', isSystem: true },
+  { key: LeadStages.LOST, name: 'Lost', order: 70, outcome: 'lost', requiresReason: true, isSystem: true },
+];
+
+export default defaultLeadStages;
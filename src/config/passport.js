@@ -1,16 +1,30 @@
+import { Strategy } from 'passport';
 import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt';
 import config from './config.js';
 import { tokenTypes } from './tokens.js';
 import User from '../models/user.model.js';
 import Admin from '../models/admin.model.js';
+import { isSessionActive } from '../services/token.service.js';
+import { verifyApiKey } from '../services/apiKey.service.js';
 
 const jwtOptions = {
   secretOrKey: config.jwt.secret,
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
+  passReqToCallback: true,
 };
 
-const jwtVerify = async (payload, done) => {
+const jwtVerify = async (req, payload, done) => {
   try {
+    if (payload.type !== tokenTypes.ACCESS) {
+      throw new Error('Invalid token type');
+    }
+    // Access tokens die with their session; tokens issued before sessions existed carry no sid
+    if (payload.sid) {
+      if (!(await isSessionActive(payload.sid))) {
+        return done(null, false);
+      }
+      req.sessionId = payload.sid;
+    }
     const user = await User.findById(payload.sub);
     if (!user) {
       const admin = await Admin.findById(payload.sub);
@@ -27,4 +41,26 @@ const jwtVerify = async (payload, done) => {
 
 const jwtStrategy = new JwtStrategy(jwtOptions, jwtVerify);
 
-export { jwtStrategy };
+/**
+ * Authenticates server-to-server calls by the key in the X-API-Key header
+ */
+class ApiKeyStrategy extends Strategy {
+  constructor() {
+    super();
+    this.name = 'apiKey';
+  }
+
+  authenticate(req) {
+    const key = req.get('x-api-key');
+    if (!key) {
+      return this.fail();
+    }
+    verifyApiKey(key, req.ip)
+      .then((apiKey) => (apiKey ? this.success(apiKey) : this.fail()))
+      .catch((error) => this.error(error));
+  }
+}
+
+const apiKeyStrategy = new ApiKeyStrategy();
+
+export { jwtStrategy, apiKeyStrategy };
@@ -1,6 +1,8 @@
+// Default role → rights map. It seeds the `roles` collection the first time the app runs against an
+// empty database; after that roles are managed through the /v1/roles endpoints.
 const allRoles = {
   user: ['getProjects', 'getSiteworkDocumentsForCustomer', 'customerReviewSiteworkDocument', 'getSiteworks', 'manageSiteworkDocuments'], // A customer who can see their project status
-  admin: ['getUsers', 'manageUsers', 'getProjects', 'exportLeads', 'manageProjects', 'manageArchitects', 'manageLeads', 'manageSiteVisits', 'getSiteVisits', 'getBoms', 'getProcurementTeam', 'reviewBOM', 'getSiteworks', 'manageSiteworks', 'getWorkers', 'manageWorkers', 'getSiteworkDocuments', 'manageSiteworkDocuments', 'sendSiteworkDocumentToCustomer', 'getUsers', 'updateProjectStatus'],
+  admin: ['getUsers', 'manageUsers', 'manageRoles', 'getProjects', 'exportLeads', 'manageProjects', 'manageArchitects', 'manageLeads', 'manageSiteVisits', 'getSiteVisits', 'getBoms', 'getProcurementTeam', 'reviewBOM', 'getSiteworks', 'manageSiteworks', 'getWorkers', 'manageWorkers', 'getSiteworkDocuments', 'manageSiteworkDocuments', 'sendSiteworkDocumentToCustomer', 'getUsers', 'updateProjectStatus'],
   'sales-admin': ['manageLeads', 'getProjects', 'getSiteVisits', 'sendSiteworkDocumentToCustomer', 'updateProjectStatus'],
   architect: ['manageDrawings', 'getProjects', 'manageProjects'],
   'fabricator': ['manageBOM', 'getProjects', 'getSiteworks', 'manageSiteworks', 'getWorkers', 'manageWorkers', 'getSiteworkDocuments', 'manageSiteworkDocuments', 'getUsers'],
@@ -10,7 +12,39 @@ const allRoles = {
   'dispatch-installation': ['manageDispatch', 'getProjects'],
 };
 
+// Rights checked by auth() calls in the routes, including those no default role holds yet
+const routeRights = [
+  'admin',
+  'procurement',
+  'getUsers',
+  'manageUsers',
+  'manageRoles',
+  'getProjects',
+  'manageProjects',
+  'updateProjectStatus',
+  'manageLeads',
+  'getSiteVisits',
+  'manageSiteVisits',
+  'getBoms',
+  'createBoms',
+  'getReusableBOMs',
+  'submitBOM',
+  'reviewBOM',
+  'getProcurementTeam',
+  'getSiteworks',
+  'manageSiteworks',
+  'getWorkers',
+  'manageWorkers',
+  'manageSiteworkDocuments',
+  'getSiteworkDocumentsForCustomer',
+  'customerReviewSiteworkDocument',
+  'sendSiteworkDocumentToCustomer',
+];
+
+// Every right a role, user or API key can hold: those checked by routes and those the default roles grant.
+const rights = [...new Set([...routeRights, ...Object.values(allRoles).flat()])];
+
 const roles = Object.keys(allRoles);
 const roleRights = new Map(Object.entries(allRoles));
 
-export { roles, roleRights };
+export { allRoles, roles, roleRights, rights };
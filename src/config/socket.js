@@ -2,12 +2,18 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import config from './config.js';
 import logger from './logger.js';
+import User from '../models/user.model.js';
+import Admin from '../models/admin.model.js';
+import { canAccessProject } from '../services/projectAccess.service.js';
+import { isSessionActive } from '../services/token.service.js';
+import { tokenTypes } from './tokens.js';
 
 class SocketManager {
     constructor() {
         this.io = null;
         this.connectedUsers = new Map(); // userId -> socketId
         this.userRooms = new Map(); // userId -> Set of room names
+        this.socketPrincipals = new Map(); // socketId -> User or Admin, loaded on first use
     }
 
     initialize(server) {
@@ -42,7 +48,19 @@ class SocketManager {
                 const cleanToken = token.replace('Bearer ', '');
                 const decoded = jwt.verify(cleanToken, config.jwt.secret);
 
+                // Refresh, reset password and other tokens are signed with the same secret, only access tokens log in
+                if (decoded.type !== tokenTypes.ACCESS) {
+                    logger.error('Socket authentication error: Not an access token');
+                    return next(new Error('Authentication error: Invalid token'));
+                }
+
+                if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+                    logger.error('Socket authentication error: Session has been revoked');
+                    return next(new Error('Authentication error: Session has been revoked'));
+                }
+
                 socket.userId = decoded.sub;
+                Object.assign(socket.data, { sessionId: decoded.sid });
                 socket.userRole = decoded.role;
 
                 socket.userModel = decoded.role === 'Admin' ? 'Admin' : 'User';
@@ -105,8 +123,41 @@ class SocketManager {
         });
     }
 
-    joinProjectRoom(socket, projectId) {
+    // Loads the account behind the socket the same way the HTTP jwt strategy does
+    async getSocketPrincipal(socket) {
+        if (!this.socketPrincipals.has(socket.id)) {
+            const principal = (await User.findById(socket.userId)) || (await Admin.findById(socket.userId));
+            this.socketPrincipals.set(socket.id, principal);
+        }
+        return this.socketPrincipals.get(socket.id);
+    }
+
+    // Project rooms go through the same policy as the project routes
+    async canUseProjectRoom(socket, projectId) {
+        if (socket.rooms.has(`project:${projectId}`)) {
+            return true;
+        }
+        const principal = await this.getSocketPrincipal(socket);
+        return !!principal && canAccessProject(principal, projectId);
+    }
+
+    async joinProjectRoom(socket, projectId) {
         const roomName = `project:${projectId}`;
+        let allowed = false;
+        try {
+            allowed = await this.canUseProjectRoom(socket, projectId);
+        } catch (error) {
+            logger.error('Socket join project error:', error);
+        }
+        if (!allowed) {
+            logger.warn(`User ${socket.userId} was refused project room: ${roomName}`);
+            socket.emit('project-error', {
+                projectId,
+                error: 'You do not have access to this project',
+                timestamp: new Date()
+            });
+            return;
+        }
         socket.join(roomName);
 
         // Track user's rooms
@@ -132,6 +183,9 @@ class SocketManager {
 
     handleTypingStart(socket, data) {
         const { projectId } = data;
+        if (!socket.rooms.has(`project:${projectId}`)) {
+            return;
+        }
         socket.to(`project:${projectId}`).emit('user-typing-start', {
             userId: socket.userId,
             userName: socket.userName
@@ -140,6 +194,9 @@ class SocketManager {
 
     handleTypingStop(socket, data) {
         const { projectId } = data;
+        if (!socket.rooms.has(`project:${projectId}`)) {
+            return;
+        }
         socket.to(`project:${projectId}`).emit('user-typing-stop', {
             userId: socket.userId
         });
@@ -149,6 +206,14 @@ class SocketManager {
         try {
             const { projectId, content, files } = data;
 
+            if (!(await this.canUseProjectRoom(socket, projectId))) {
+                socket.emit('message-error', {
+                    error: 'You do not have access to this project',
+                    timestamp: new Date()
+                });
+                return;
+            }
+
             // Import message service dynamically to avoid circular dependency
             const messageService = await import('../services/message.service.js');
 
@@ -190,6 +255,14 @@ class SocketManager {
         try {
             const { projectId, page = 1, limit = 50 } = data;
 
+            if (!(await this.canUseProjectRoom(socket, projectId))) {
+                socket.emit('messages-error', {
+                    error: 'You do not have access to this project',
+                    timestamp: new Date()
+                });
+                return;
+            }
+
             // Import message service dynamically
             const messageService = await import('../services/message.service.js');
 
@@ -242,6 +315,34 @@ class SocketManager {
         // Clean up user tracking
         this.connectedUsers.delete(socket.userId);
         this.userRooms.delete(socket.userId);
+        this.socketPrincipals.delete(socket.id);
+    }
+
+    /**
+     * Disconnect a user's sockets, e.g. after their sessions are revoked
+     * @param {string} userId
+     * @param {Object} [options]
+     * @param {string} [options.sessionId] - only disconnect sockets opened with this session
+     * @param {string} [options.exceptSessionId] - keep sockets opened with this session
+     * @returns {Promise<number>} number of sockets disconnected
+     */
+    async disconnectUser(userId, { sessionId, exceptSessionId } = {}) {
+        if (!this.io) {
+            return 0;
+        }
+        const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+        const targets = sockets.filter((socket) =>
+            (!sessionId || socket.data.sessionId === sessionId) &&
+            (!exceptSessionId || socket.data.sessionId !== exceptSessionId)
+        );
+        targets.forEach((socket) => {
+            socket.emit('session-revoked', { timestamp: new Date() });
+            socket.disconnect(true);
+        });
+        if (targets.length) {
+            logger.info(`Disconnected ${targets.length} socket(s) of user ${userId}`);
+        }
+        return targets.length;
     }
 
     // Public methods for emitting events
@@ -1,5 +1,6 @@
 import * as adminService from '../services/admin.service.js';
 import catchAsync from '../utils/catchAsync.js';
+import getClientContext from '../utils/clientContext.js';
 // import { setSelectedStoreService } from '../services/admin.service.js';
 
 export const registerAdmin = catchAsync(async (req, res) => {
@@ -8,7 +9,12 @@ export const registerAdmin = catchAsync(async (req, res) => {
 });
 
 export const loginAdmin = catchAsync(async (req, res) => {
-  const result = await adminService.login(req.body);
+  const result = await adminService.login(req.body, getClientContext(req));
+  res.status(200).json(result);
+});
+
+export const loginAdminTwoFactor = catchAsync(async (req, res) => {
+  const result = await adminService.completeTwoFactorLogin(req.body, getClientContext(req));
   res.status(200).json(result);
 });
 
@@ -0,0 +1,16 @@
+import catchAsync from '../utils/catchAsync.js';
+import * as analyticsService from '../services/analytics.service.js';
+
+export const getLeadFunnel = catchAsync(async (req, res) => {
+  const funnel = await analyticsService.getLeadFunnel(req.query);
+  res.send({ status: 1, ...funnel });
+});
+
+export const exportLeadFunnel = catchAsync(async (req, res) => {
+  const fileBuffer = await analyticsService.exportLeadFunnel(req.query);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="lead-funnel-${timestamp}.xlsx"`);
+  res.send(fileBuffer);
+});
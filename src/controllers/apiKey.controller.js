@@ -0,0 +1,29 @@
+import httpStatus from 'http-status';
+import pick from '../utils/pick.js';
+import catchAsync from '../utils/catchAsync.js';
+import * as apiKeyService from '../services/apiKey.service.js';
+
+export const createApiKey = catchAsync(async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, apiKey, key });
+});
+
+export const getApiKeys = catchAsync(async (req, res) => {
+  const apiKeys = await apiKeyService.queryApiKeys(pick(req.query, ['active']));
+  res.send({ status: 1, results: apiKeys });
+});
+
+export const getApiKey = catchAsync(async (req, res) => {
+  const apiKey = await apiKeyService.getApiKeyById(req.params.apiKeyId);
+  res.send({ status: 1, apiKey });
+});
+
+export const updateApiKey = catchAsync(async (req, res) => {
+  const apiKey = await apiKeyService.updateApiKeyById(req.params.apiKeyId, req.body);
+  res.send({ status: 1, apiKey });
+});
+
+export const revokeApiKey = catchAsync(async (req, res) => {
+  await apiKeyService.revokeApiKeyById(req.params.apiKeyId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
@@ -1,22 +1,162 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { authService, userService, tokenService, emailService } from '../services/index.js';
+import ApiError from '../utils/ApiError.js';
+import getClientContext from '../utils/clientContext.js';
+import {
+  authService,
+  userService,
+  tokenService,
+  emailService,
+  otpService,
+  sessionService,
+  twoFactorService,
+} from '../services/index.js';
 
 const register = catchAsync(async (req, res) => {
   const user = await userService.createUser(req.body);
-  const tokens = await tokenService.generateAuthTokens(user);
+  const tokens = await tokenService.generateAuthTokens(user, getClientContext(req));
   res.status(httpStatus.CREATED).send({ status: 1, user, tokens });
 });
 
 const login = catchAsync(async (req, res) => {
   const { email, password } = req.body;
-  const { user, tokens } = await authService.loginUserWithEmailAndPassword(email, password);
+  const { user, tokens, challenge } = await authService.loginUserWithEmailAndPassword(
+    email,
+    password,
+    getClientContext(req)
+  );
+  if (challenge) {
+    res.send({ status: 1, twoFactorRequired: true, ...challenge });
+    return;
+  }
   res.send({ status: 1, user, tokens });
 });
 
+const loginTwoFactorSetup = catchAsync(async (req, res) => {
+  const setup = await twoFactorService.setupTwoFactorFromChallenge(req.body.challengeToken);
+  res.send({ status: 1, ...setup });
+});
+
+const loginTwoFactor = catchAsync(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const { user, tokens, backupCodes } = await authService.completeTwoFactorLogin(
+    challengeToken,
+    code,
+    getClientContext(req)
+  );
+  res.send({ status: 1, user, tokens, backupCodes });
+});
+
 const logout = catchAsync(async (req, res) => {
   await authService.logout(req.body.refreshToken);
   res.status(httpStatus.NO_CONTENT).send();
 });
 
-export { register, login, logout }; 
\ No newline at end of file
+const refreshTokens = catchAsync(async (req, res) => {
+  const { tokens } = await authService.refreshAuth(req.body.refreshToken, getClientContext(req));
+  res.send({ status: 1, tokens });
+});
+
+const forgotPassword = catchAsync(async (req, res) => {
+  // Unknown emails get the same answer, so the endpoint does not tell which emails have an account
+  const resetPasswordToken = await tokenService.generateResetPasswordToken(req.body.email).catch((error) => {
+    if (error instanceof ApiError && error.statusCode === httpStatus.NOT_FOUND) return null;
+    throw error;
+  });
+  if (resetPasswordToken) {
+    await emailService.sendResetPasswordEmail(req.body.email, resetPasswordToken);
+  }
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const resetPassword = catchAsync(async (req, res) => {
+  await authService.resetPassword(req.query.token, req.body.password);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const sendVerificationEmail = catchAsync(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Email already verified');
+  }
+  const verifyEmailToken = await tokenService.generateVerifyEmailToken(req.user);
+  await emailService.sendVerificationEmail(req.user.email, verifyEmailToken);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const verifyEmail = catchAsync(async (req, res) => {
+  await authService.verifyEmail(req.query.token);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const requestOtp = catchAsync(async (req, res) => {
+  const result = await otpService.requestLoginOtp(req.body.mobileNumber, req.ip);
+  res.send({ status: 1, message: 'OTP sent successfully', ...result });
+});
+
+const verifyOtp = catchAsync(async (req, res) => {
+  const { user, tokens } = await otpService.verifyLoginOtp(req.body.mobileNumber, req.body.otp, getClientContext(req));
+  res.send({ status: 1, user, tokens });
+});
+
+const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+  res.send({ status: 1, results: sessions });
+});
+
+const revokeSessions = catchAsync(async (req, res) => {
+  await sessionService.revokeAllSessions(req.user._id, req.query.exceptCurrent ? req.sessionId : undefined);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const revokeSession = catchAsync(async (req, res) => {
+  await sessionService.revokeSession(req.user._id, req.params.sessionId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getTwoFactor = catchAsync(async (req, res) => {
+  const status = await twoFactorService.getTwoFactorStatus(req.user);
+  res.send({ status: 1, twoFactor: status });
+});
+
+const setupTwoFactor = catchAsync(async (req, res) => {
+  const setup = await twoFactorService.setupTwoFactor(req.user);
+  res.send({ status: 1, ...setup });
+});
+
+const enableTwoFactor = catchAsync(async (req, res) => {
+  const { backupCodes } = await twoFactorService.enableTwoFactor(req.user, req.body.code);
+  res.send({ status: 1, backupCodes });
+});
+
+const disableTwoFactor = catchAsync(async (req, res) => {
+  await twoFactorService.disableTwoFactor(req.user, req.body.code);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const regenerateBackupCodes = catchAsync(async (req, res) => {
+  const { backupCodes } = await twoFactorService.regenerateBackupCodes(req.user, req.body.code);
+  res.send({ status: 1, backupCodes });
+});
+
+export {
+  register,
+  login,
+  loginTwoFactorSetup,
+  loginTwoFactor,
+  logout,
+  refreshTokens,
+  forgotPassword,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail,
+  requestOtp,
+  verifyOtp,
+  getSessions,
+  revokeSessions,
+  revokeSession,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
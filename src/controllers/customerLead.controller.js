@@ -6,11 +6,15 @@ import {
   updateCustomerLeadService,
   activateCustomerLeadService,
   deactivateCustomerLeadService,
-  importCustomerLeadsService,
   exportCustomerLeadsService,
   shareRequirementWithUsersService,
   getSharedRequirementsForUserService,
 } from '../services/customerLead.service.js';
+import { moveLeadToStage } from '../services/leadStage.service.js';
+import { findPossibleDuplicates, mergeLeads, getLeadMerges } from '../services/leadDuplicate.service.js';
+import { createJob } from '../services/job.service.js';
+import { applyExportPreset } from '../services/exportPreset.service.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
 import ApiError from '../utils/ApiError.js';
 import httpStatus from 'http-status';
 
@@ -19,25 +23,13 @@ export const createCustomerLeadController = catchAsync(async (req, res) => {
   res.status(httpStatus.CREATED).json({ status: 1, message: 'Customer lead created successfully', data: lead });
 });
 
-export const listCustomerLeadsController = catchAsync(async (req, res) => {
+// Lead query of the list and export endpoints, from their query parameters
+const buildLeadFilter = (query) => {
   const filter = {};
-  const options = {
-    limit: parseInt(req.query.limit, 10) || 10,
-    page: parseInt(req.query.page, 10) || 1,
-  };
-  options.skip = (options.page - 1) * options.limit;
-
-  // Parse sortBy parameter
-  if (req.query.sortBy) {
-    const [field, order] = req.query.sortBy.split(':');
-    options.sortBy = { [field]: order === 'desc' ? -1 : 1 };
-  } else {
-    options.sortBy = { createdAt: -1 }; // default sort
-  }
 
   // Enhanced search functionality
-  if (req.query.search) {
-    const searchTerm = req.query.search;
+  if (query.search) {
+    const searchTerm = query.search;
     const searchRegex = { $regex: searchTerm, $options: 'i' };
     
     // Create an OR condition to search across multiple fields
@@ -55,28 +47,59 @@ export const listCustomerLeadsController = catchAsync(async (req, res) => {
     ];
   } else {
     // Apply individual filters if provided (backward compatibility)
-    if (req.query.customerName) {
-      filter.customerName = { $regex: req.query.customerName, $options: 'i' };
+    if (query.customerName) {
+      filter.customerName = { $regex: query.customerName, $options: 'i' };
     }
-    if (req.query.leadSource) {
-      filter.leadSource = req.query.leadSource;
+    if (query.leadSource) {
+      filter.leadSource = query.leadSource;
     }
-    if (req.query.mobileNumber) {
-      filter.mobileNumber = { $regex: req.query.mobileNumber, $options: 'i' };
+    if (query.mobileNumber) {
+      filter.mobileNumber = { $regex: query.mobileNumber, $options: 'i' };
     }
-    if (req.query.email) {
-      filter.email = { $regex: req.query.email, $options: 'i' };
+    if (query.email) {
+      filter.email = { $regex: query.email, $options: 'i' };
     }
-    if (req.query.state) {
-      filter.state = { $regex: req.query.state, $options: 'i' };
+    if (query.state) {
+      filter.state = { $regex: query.state, $options: 'i' };
     }
-    if (req.query.city) {
-      filter.city = { $regex: req.query.city, $options: 'i' };
+    if (query.city) {
+      filter.city = { $regex: query.city, $options: 'i' };
     }
   }
   
-  if (req.query.isActive !== undefined) {
-    filter.isActive = req.query.isActive === 'true';
+  if (query.isActive !== undefined) {
+    filter.isActive = String(query.isActive) === 'true';
+  }
+
+  // Owner id, or "none" for unassigned leads
+  if (query.owner) {
+    filter.owner = query.owner === 'none' ? null : query.owner;
+  }
+
+  // Pipeline filters, turned into a query by the service
+  ['stage', 'movedTo', 'stageChangedFrom', 'stageChangedTo'].forEach((key) => {
+    if (query[key]) {
+      filter[key] = query[key];
+    }
+  });
+
+  return filter;
+};
+
+export const listCustomerLeadsController = catchAsync(async (req, res) => {
+  const filter = buildLeadFilter(req.query);
+  const options = {
+    limit: parseInt(req.query.limit, 10) || 10,
+    page: parseInt(req.query.page, 10) || 1,
+  };
+  options.skip = (options.page - 1) * options.limit;
+
+  // Parse sortBy parameter
+  if (req.query.sortBy) {
+    const [field, order] = req.query.sortBy.split(':');
+    options.sortBy = { [field]: order === 'desc' ? -1 : 1 };
+  } else {
+    options.sortBy = { createdAt: -1 }; // default sort
   }
 
   const result = await listCustomerLeadsService(filter, options);
@@ -123,71 +146,21 @@ export const importCustomerLeadsController = catchAsync(async (req, res) => {
     throw new ApiError(400, 'Please upload a spreadsheet file.');
   }
 
-  const { importedCount, errors } = await importCustomerLeadsService(req.file.path);
+  const job = await createJob(
+    JobTypes.LEAD_IMPORT,
+    { params: { dryRun: req.query.dryRun === true }, inputFile: req.file.path, inputFileName: req.file.originalname },
+    req.user
+  );
 
-  const message = `${importedCount} leads imported successfully.`;
-
-  if (errors && errors.length > 0) {
-    return res.status(207).json({
-      status: 1,
-      message: `${message} Some rows had issues.`,
-      importedCount,
-      errors,
-    });
-  }
-
-  res.status(201).json({ status: 1, message, importedCount });
+  res.status(httpStatus.ACCEPTED).json({ status: 1, message: 'Import started.', job });
 });
 
 export const exportCustomerLeadsController = catchAsync(async (req, res) => {
-  const filter = {};
-  
-  // Enhanced search functionality for export
-  if (req.query.search) {
-    const searchTerm = req.query.search;
-    const searchRegex = { $regex: searchTerm, $options: 'i' };
-    
-    // Create an OR condition to search across multiple fields
-    filter.$or = [
-      { customerName: searchRegex },
-      { mobileNumber: searchRegex },
-      { alternateContactNumber: searchRegex },
-      { whatsappNumber: searchRegex },
-      { email: searchRegex },
-      { state: searchRegex },
-      { city: searchRegex },
-      { leadSource: searchRegex },
-      { preferredLanguage: searchRegex },
-      { googleLocationLink: searchRegex }
-    ];
-  } else {
-    // Reuse filtering logic from list controller (backward compatibility)
-    if (req.query.customerName) {
-      filter.customerName = { $regex: req.query.customerName, $options: 'i' };
-    }
-    if (req.query.leadSource) {
-      filter.leadSource = req.query.leadSource;
-    }
-    if (req.query.mobileNumber) {
-      filter.mobileNumber = { $regex: req.query.mobileNumber, $options: 'i' };
-    }
-    if (req.query.email) {
-      filter.email = { $regex: req.query.email, $options: 'i' };
-    }
-    if (req.query.state) {
-      filter.state = { $regex: req.query.state, $options: 'i' };
-    }
-    if (req.query.city) {
-      filter.city = { $regex: req.query.city, $options: 'i' };
-    }
-  }
-  
-  if (req.query.isActive !== undefined) {
-    filter.isActive = req.query.isActive === 'true';
-  }
+  const query = await applyExportPreset('customer-leads', req.query, req.user);
+  const filter = buildLeadFilter(query);
 
   // Handle date filters
-  const { dateFilterType, specificDate, startDate, endDate } = req.query;
+  const { dateFilterType, specificDate, startDate, endDate } = query;
   if (dateFilterType === 'specific' && specificDate) {
     const dayStart = new Date(specificDate);
     dayStart.setHours(0, 0, 0, 0);
@@ -202,18 +175,39 @@ export const exportCustomerLeadsController = catchAsync(async (req, res) => {
     filter.createdAt = { $gte: rangeStart, $lte: rangeEnd };
   }
 
-  const fileBuffer = await exportCustomerLeadsService(filter);
+  const file = await exportCustomerLeadsService(filter, { columns: query.columns, format: query.format });
 
-  if (!fileBuffer) {
+  if (!file) {
     throw new ApiError(404, 'No leads found for the selected criteria.');
   }
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const fileName = `customer-leads-${timestamp}.xlsx`;
+  await file.send(res);
+});
+
+export const changeCustomerLeadStageController = catchAsync(async (req, res) => {
+  const { stage, reason, note } = req.body;
+  const lead = await moveLeadToStage(req.params.id, stage, {
+    changedBy: req.user._id,
+    changedByModel: req.user.constructor.modelName,
+    reason,
+    note,
+  });
+  res.status(httpStatus.OK).json({ status: 1, message: 'Lead stage updated successfully', data: lead });
+});
+
+export const getLeadDuplicatesController = catchAsync(async (req, res) => {
+  const duplicates = await findPossibleDuplicates(req.params.id);
+  res.status(httpStatus.OK).json({ status: 1, data: duplicates });
+});
+
+export const mergeLeadsController = catchAsync(async (req, res) => {
+  const { lead, merges } = await mergeLeads(req.params.id, req.body.duplicateIds, req.user);
+  res.status(httpStatus.OK).json({ status: 1, message: 'Leads merged successfully', data: lead, merges });
+});
 
-  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-  res.send(fileBuffer);
+export const getLeadMergesController = catchAsync(async (req, res) => {
+  const merges = await getLeadMerges(req.params.id);
+  res.status(httpStatus.OK).json({ status: 1, data: merges });
 });
 
 export const shareRequirementForUserController = catchAsync(async (req, res) => {
@@ -221,7 +215,14 @@ export const shareRequirementForUserController = catchAsync(async (req, res) =>
   const { userIds } = req.body;
   const adminId = req.user.id;
 
-  const updatedRequirement = await shareRequirementWithUsersService(leadId, requirementId, userIds, adminId);
+  const updatedRequirement = await shareRequirementWithUsersService(
+    leadId,
+    requirementId,
+    userIds,
+    adminId,
+    req.user.constructor.modelName,
+    { expiresAt: req.body.expiresAt }
+  );
   res.status(httpStatus.OK).json({
     status: 1,
     message: 'Requirement shared successfully.',
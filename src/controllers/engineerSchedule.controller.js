@@ -0,0 +1,24 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import * as engineerScheduleService from '../services/engineerSchedule.service.js';
+
+export const getEngineerAvailability = catchAsync(async (req, res) => {
+  const results = await engineerScheduleService.getEngineerAvailability(pick(req.query, ['engineers', 'from', 'to']));
+  res.send({ status: 1, results });
+});
+
+export const createEngineerLeave = catchAsync(async (req, res) => {
+  const { leave, clashes } = await engineerScheduleService.createEngineerLeave(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, leave, clashes });
+});
+
+export const getEngineerLeaves = catchAsync(async (req, res) => {
+  const results = await engineerScheduleService.queryEngineerLeaves(pick(req.query, ['engineer', 'from', 'to']));
+  res.send({ status: 1, results });
+});
+
+export const deleteEngineerLeave = catchAsync(async (req, res) => {
+  await engineerScheduleService.deleteEngineerLeave(req.params.leaveId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
@@ -0,0 +1,28 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as exportPresetService from '../services/exportPreset.service.js';
+
+export const createExportPreset = catchAsync(async (req, res) => {
+  const preset = await exportPresetService.createExportPreset(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, preset });
+});
+
+export const getExportPresets = catchAsync(async (req, res) => {
+  const presets = await exportPresetService.queryExportPresets(req.user, req.query);
+  res.send({ status: 1, results: presets });
+});
+
+export const getExportPreset = catchAsync(async (req, res) => {
+  const preset = await exportPresetService.getExportPresetById(req.params.presetId, req.user);
+  res.send({ status: 1, preset });
+});
+
+export const updateExportPreset = catchAsync(async (req, res) => {
+  const preset = await exportPresetService.updateExportPresetById(req.params.presetId, req.body, req.user);
+  res.send({ status: 1, preset });
+});
+
+export const deleteExportPreset = catchAsync(async (req, res) => {
+  await exportPresetService.deleteExportPresetById(req.params.presetId, req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
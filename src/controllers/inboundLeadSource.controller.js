@@ -0,0 +1,46 @@
+import httpStatus from 'http-status';
+import pick from '../utils/pick.js';
+import catchAsync from '../utils/catchAsync.js';
+import * as inboundLeadService from '../services/inboundLead.service.js';
+
+export const createInboundLeadSource = catchAsync(async (req, res) => {
+  const { source, secret } = await inboundLeadService.createInboundLeadSource(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, source, secret });
+});
+
+export const getInboundLeadSources = catchAsync(async (req, res) => {
+  const sources = await inboundLeadService.queryInboundLeadSources();
+  res.send({ status: 1, results: sources });
+});
+
+export const getInboundLeadSource = catchAsync(async (req, res) => {
+  const source = await inboundLeadService.getInboundLeadSourceById(req.params.sourceId);
+  res.send({ status: 1, source });
+});
+
+export const updateInboundLeadSource = catchAsync(async (req, res) => {
+  const source = await inboundLeadService.updateInboundLeadSourceById(req.params.sourceId, req.body);
+  res.send({ status: 1, source });
+});
+
+export const deleteInboundLeadSource = catchAsync(async (req, res) => {
+  await inboundLeadService.deleteInboundLeadSourceById(req.params.sourceId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const rotateInboundLeadSourceSecret = catchAsync(async (req, res) => {
+  const { source, secret } = await inboundLeadService.rotateInboundLeadSourceSecret(req.params.sourceId);
+  res.send({ status: 1, source, secret });
+});
+
+export const getInboundLeadEvents = catchAsync(async (req, res) => {
+  const events = await inboundLeadService.getInboundLeadEvents(req.params.sourceId, pick(req.query, ['status', 'limit']));
+  res.send({ status: 1, results: events });
+});
+
+export const receiveInboundLead = catchAsync(async (req, res) => {
+  const { event, duplicate } = await inboundLeadService.receiveInboundLead(req.params.sourceKey, req);
+  res
+    .status(duplicate ? httpStatus.OK : httpStatus.CREATED)
+    .send({ status: 1, duplicate, eventId: event.eventId, leadId: event.lead, eventStatus: event.status });
+});
@@ -0,0 +1,17 @@
+import catchAsync from '../utils/catchAsync.js';
+import * as jobService from '../services/job.service.js';
+
+export const getJobs = catchAsync(async (req, res) => {
+  const jobs = await jobService.getJobsForPrincipal(req.user, req.query);
+  res.send({ status: 1, results: jobs });
+});
+
+export const getJob = catchAsync(async (req, res) => {
+  const job = await jobService.getJobById(req.params.jobId, req.user);
+  res.send({ status: 1, job });
+});
+
+export const downloadErrorFile = catchAsync(async (req, res) => {
+  const filePath = await jobService.getJobErrorFilePath(req.params.jobId, req.user);
+  res.download(filePath, `job-${req.params.jobId}-errors.xlsx`);
+});
@@ -0,0 +1,18 @@
+import httpStatus from 'http-status';
+import pick from '../utils/pick.js';
+import catchAsync from '../utils/catchAsync.js';
+import * as leadActivityService from '../services/leadActivity.service.js';
+
+export const logLeadActivity = catchAsync(async (req, res) => {
+  const activity = await leadActivityService.logLeadActivity(req.params.id, req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, activity });
+});
+
+export const getLeadActivities = catchAsync(async (req, res) => {
+  const result = await leadActivityService.getLeadActivities(
+    req.params.id,
+    pick(req.query, ['type']),
+    pick(req.query, ['limit', 'page'])
+  );
+  res.send({ status: 1, ...result });
+});
@@ -0,0 +1,48 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as leadAssignmentService from '../services/leadAssignment.service.js';
+
+export const createLeadAssignmentRule = catchAsync(async (req, res) => {
+  const rule = await leadAssignmentService.createLeadAssignmentRule(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, rule });
+});
+
+export const getLeadAssignmentRules = catchAsync(async (req, res) => {
+  const rules = await leadAssignmentService.queryLeadAssignmentRules();
+  res.send({ status: 1, results: rules });
+});
+
+export const getLeadAssignmentRule = catchAsync(async (req, res) => {
+  const rule = await leadAssignmentService.getLeadAssignmentRuleById(req.params.ruleId);
+  res.send({ status: 1, rule });
+});
+
+export const updateLeadAssignmentRule = catchAsync(async (req, res) => {
+  const rule = await leadAssignmentService.updateLeadAssignmentRuleById(req.params.ruleId, req.body);
+  res.send({ status: 1, rule });
+});
+
+export const deleteLeadAssignmentRule = catchAsync(async (req, res) => {
+  await leadAssignmentService.deleteLeadAssignmentRuleById(req.params.ruleId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const assignLeadOwner = catchAsync(async (req, res) => {
+  const lead = await leadAssignmentService.assignLeadOwner(req.params.id, req.body.owner, req.body, req.user);
+  res.send({ status: 1, owner: lead.owner, ownerAssignedAt: lead.ownerAssignedAt });
+});
+
+export const reapplyAssignmentRules = catchAsync(async (req, res) => {
+  const lead = await leadAssignmentService.reapplyAssignmentRules(req.params.id, req.user);
+  res.send({ status: 1, owner: lead.owner, ownerAssignedAt: lead.ownerAssignedAt });
+});
+
+export const getLeadOwnerHistory = catchAsync(async (req, res) => {
+  const ownership = await leadAssignmentService.getLeadOwnerHistory(req.params.id);
+  res.send({ status: 1, ...ownership });
+});
+
+export const reassignLeads = catchAsync(async (req, res) => {
+  const result = await leadAssignmentService.reassignLeads(req.body, req.user);
+  res.send({ status: 1, ...result });
+});
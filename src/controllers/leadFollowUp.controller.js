@@ -0,0 +1,38 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as leadFollowUpService from '../services/leadFollowUp.service.js';
+
+export const createFollowUp = catchAsync(async (req, res) => {
+  const followUp = await leadFollowUpService.createFollowUp(req.params.id, req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, followUp });
+});
+
+export const getLeadFollowUps = catchAsync(async (req, res) => {
+  const followUps = await leadFollowUpService.getLeadFollowUps(req.params.id, req.query);
+  res.send({ status: 1, results: followUps });
+});
+
+export const getDueToday = catchAsync(async (req, res) => {
+  const followUps = await leadFollowUpService.getDueFollowUps(req.user, 'today');
+  res.send({ status: 1, results: followUps });
+});
+
+export const getOverdue = catchAsync(async (req, res) => {
+  const followUps = await leadFollowUpService.getDueFollowUps(req.user, 'overdue');
+  res.send({ status: 1, results: followUps });
+});
+
+export const updateFollowUp = catchAsync(async (req, res) => {
+  const followUp = await leadFollowUpService.updateFollowUpById(req.params.followUpId, req.body);
+  res.send({ status: 1, followUp });
+});
+
+export const completeFollowUp = catchAsync(async (req, res) => {
+  const followUp = await leadFollowUpService.completeFollowUp(req.params.followUpId, req.body, req.user);
+  res.send({ status: 1, followUp });
+});
+
+export const cancelFollowUp = catchAsync(async (req, res) => {
+  const followUp = await leadFollowUpService.cancelFollowUp(req.params.followUpId);
+  res.send({ status: 1, followUp });
+});
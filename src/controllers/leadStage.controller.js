@@ -0,0 +1,23 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as leadStageService from '../services/leadStage.service.js';
+
+export const getLeadStages = catchAsync(async (req, res) => {
+  const stages = await leadStageService.getPipeline();
+  res.send({ status: 1, results: stages });
+});
+
+export const createLeadStage = catchAsync(async (req, res) => {
+  const stage = await leadStageService.createLeadStage(req.body);
+  res.status(httpStatus.CREATED).send({ status: 1, stage });
+});
+
+export const updateLeadStage = catchAsync(async (req, res) => {
+  const stage = await leadStageService.updateLeadStageById(req.params.stageId, req.body);
+  res.send({ status: 1, stage });
+});
+
+export const deleteLeadStage = catchAsync(async (req, res) => {
+  await leadStageService.deleteLeadStageById(req.params.stageId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
@@ -0,0 +1,31 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import * as locationService from '../services/location.service.js';
+import { createJob } from '../services/job.service.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+
+export const getProjectsNear = catchAsync(async (req, res) => {
+  const { lat, lng } = req.query;
+  const results = await locationService.findProjectsNear({ lat, lng }, pick(req.query, ['radiusKm', 'status', 'limit']));
+  res.send({ status: 1, results });
+});
+
+export const getNearestSiteEngineers = catchAsync(async (req, res) => {
+  const { lat, lng, project } = req.query;
+  const results = await locationService.findNearestSiteEngineers(
+    { point: project ? undefined : { lat, lng }, project },
+    pick(req.query, ['date', 'radiusKm', 'limit'])
+  );
+  res.send({ status: 1, results });
+});
+
+export const getProjectMap = catchAsync(async (req, res) => {
+  const feed = await locationService.getProjectMapFeed(pick(req.query, ['status']));
+  res.send({ status: 1, ...feed });
+});
+
+export const backfillLocations = catchAsync(async (req, res) => {
+  const job = await createJob(JobTypes.LOCATION_BACKFILL, {}, req.user);
+  res.status(httpStatus.ACCEPTED).send({ status: 1, message: 'Location backfill started.', job });
+});
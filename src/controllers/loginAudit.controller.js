@@ -0,0 +1,20 @@
+import pick from '../utils/pick.js';
+import catchAsync from '../utils/catchAsync.js';
+import * as loginAuditService from '../services/loginAudit.service.js';
+
+export const getLoginAttempts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['identifier', 'principal', 'outcome', 'method', 'ip', 'startDate', 'endDate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await loginAuditService.queryLoginAttempts(filter, options);
+  res.send({ status: 1, ...result });
+});
+
+export const getLockedAccounts = catchAsync(async (req, res) => {
+  const accounts = await loginAuditService.getLockedAccounts();
+  res.send({ status: 1, results: accounts });
+});
+
+export const unlockAccount = catchAsync(async (req, res) => {
+  await loginAuditService.unlockAccount(req.params.accountId);
+  res.send({ status: 1, message: 'Account unlocked' });
+});
@@ -89,7 +89,7 @@ export const rejectProposal = catchAsync(async (req, res) => {
 });
 
 export const getArchitectDocumentsForCustomer = catchAsync(async (req, res) => {
-    const documents = await projectService.getArchitectDocumentsForCustomer(req.params.projectId, req.user);
+    const documents = await projectService.getArchitectDocumentsForCustomer(req.params.projectId, req.user, req.projectAccess.relations);
     res.status(httpStatus.OK).send(documents);
 });
 
@@ -0,0 +1,40 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import * as requirementFormService from '../services/requirementForm.service.js';
+
+export const createRequirementForm = catchAsync(async (req, res) => {
+  const form = await requirementFormService.createRequirementForm(req.body, req.user);
+  res.status(httpStatus.CREATED).send({ status: 1, form });
+});
+
+export const getRequirementForms = catchAsync(async (req, res) => {
+  const forms = await requirementFormService.queryRequirementForms(pick(req.query, ['isActive']));
+  res.send({ status: 1, results: forms });
+});
+
+export const getRequirementFormSchema = catchAsync(async (req, res) => {
+  const schema = await requirementFormService.getRequirementFormSchema(req.query.requirementType);
+  res.send({ status: 1, ...schema });
+});
+
+export const getRequirementForm = catchAsync(async (req, res) => {
+  const form = await requirementFormService.getRequirementFormById(req.params.formId);
+  res.send({ status: 1, form });
+});
+
+export const updateRequirementForm = catchAsync(async (req, res) => {
+  const form = await requirementFormService.updateRequirementFormById(req.params.formId, req.body);
+  res.send({ status: 1, form });
+});
+
+export const deleteRequirementForm = catchAsync(async (req, res) => {
+  await requirementFormService.deleteRequirementFormById(req.params.formId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const updateRequirementFormData = catchAsync(async (req, res) => {
+  const { leadId, requirementId } = req.params;
+  const requirement = await requirementFormService.updateRequirementFormData(leadId, requirementId, req.body, req.user);
+  res.send({ status: 1, requirement });
+});
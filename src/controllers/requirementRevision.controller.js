@@ -0,0 +1,36 @@
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import * as requirementRevisionService from '../services/requirementRevision.service.js';
+
+export const getRequirementRevisions = catchAsync(async (req, res) => {
+  const { leadId, requirementId } = req.params;
+  const result = await requirementRevisionService.getRequirementRevisions(
+    leadId,
+    requirementId,
+    pick(req.query, ['limit', 'page'])
+  );
+  res.send({ status: 1, ...result });
+});
+
+export const getRequirementRevision = catchAsync(async (req, res) => {
+  const { leadId, requirementId, number } = req.params;
+  const revision = await requirementRevisionService.getRequirementRevision(leadId, requirementId, number);
+  res.send({ status: 1, revision });
+});
+
+export const compareRequirementRevisions = catchAsync(async (req, res) => {
+  const { leadId, requirementId } = req.params;
+  const comparison = await requirementRevisionService.compareRequirementRevisions(
+    leadId,
+    requirementId,
+    req.query.from,
+    req.query.to
+  );
+  res.send({ status: 1, ...comparison });
+});
+
+export const rollbackRequirement = catchAsync(async (req, res) => {
+  const { leadId, requirementId, number } = req.params;
+  const result = await requirementRevisionService.rollbackRequirement(leadId, requirementId, number, req.user);
+  res.send({ status: 1, ...result });
+});
@@ -0,0 +1,26 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as requirementShareService from '../services/requirementShare.service.js';
+
+export const getRequirementAccess = catchAsync(async (req, res) => {
+  const { leadId, requirementId } = req.params;
+  const shares = await requirementShareService.getRequirementAccess(leadId, requirementId, req.query);
+  res.send({ status: 1, results: shares });
+});
+
+export const updateRequirementShare = catchAsync(async (req, res) => {
+  const { leadId, requirementId, userId } = req.params;
+  const share = await requirementShareService.updateRequirementShare(leadId, requirementId, userId, req.body);
+  res.send({ status: 1, share });
+});
+
+export const revokeRequirementShare = catchAsync(async (req, res) => {
+  const { leadId, requirementId, userId } = req.params;
+  await requirementShareService.revokeRequirementShare(leadId, requirementId, userId, req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const openSharedRequirement = catchAsync(async (req, res) => {
+  const requirement = await requirementShareService.openSharedRequirement(req.params.requirementId, req.user);
+  res.send({ status: 1, data: requirement });
+});
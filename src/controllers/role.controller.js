@@ -0,0 +1,32 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import * as roleService from '../services/role.service.js';
+
+export const getRoles = catchAsync(async (req, res) => {
+  const roles = await roleService.queryRoles();
+  res.send({ status: 1, results: roles });
+});
+
+export const getRightsCatalog = catchAsync(async (req, res) => {
+  res.send({ status: 1, results: roleService.getRightsCatalog() });
+});
+
+export const createRole = catchAsync(async (req, res) => {
+  const role = await roleService.createRole(req.body);
+  res.status(httpStatus.CREATED).send({ status: 1, role });
+});
+
+export const getRole = catchAsync(async (req, res) => {
+  const role = await roleService.getRoleById(req.params.roleId);
+  res.send({ status: 1, role });
+});
+
+export const updateRole = catchAsync(async (req, res) => {
+  const role = await roleService.updateRoleById(req.params.roleId, req.body);
+  res.send({ status: 1, role });
+});
+
+export const deleteRole = catchAsync(async (req, res) => {
+  await roleService.deleteRoleById(req.params.roleId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
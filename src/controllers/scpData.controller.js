@@ -0,0 +1,22 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import * as scpDataService from '../services/scpData.service.js';
+import { createJob } from '../services/job.service.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+
+export const migrateScpData = catchAsync(async (req, res) => {
+  const job = await createJob(JobTypes.SCP_DATA_MIGRATION, { params: { dryRun: req.query.dryRun === true } }, req.user);
+  res.status(httpStatus.ACCEPTED).send({ status: 1, message: 'SCP data migration started.', job });
+});
+
+export const getScpDataReview = catchAsync(async (req, res) => {
+  const result = await scpDataService.queryScpDataReview(pick(req.query, ['field']), pick(req.query, ['limit', 'page']));
+  res.send({ status: 1, ...result });
+});
+
+export const updateRequirementScpData = catchAsync(async (req, res) => {
+  const { leadId, requirementId } = req.params;
+  const requirement = await scpDataService.updateRequirementScpData(leadId, requirementId, req.body, req.user);
+  res.send({ status: 1, requirement });
+});
@@ -22,7 +22,7 @@ export const updateSitework = catchAsync(async (req, res) => {
 });
 
 export const getSiteworksByProject = catchAsync(async (req, res) => {
-    const siteworks = await getSiteworksByProjectService(req.params.projectId, req.user);
+    const siteworks = await getSiteworksByProjectService(req.params.projectId, req.user, req.projectAccess.relations);
     res.status(httpStatus.OK).json({
         status: 1,
         message: 'Siteworks fetched successfully',
@@ -63,7 +63,7 @@ export const getSiteworkDocuments = catchAsync(async (req, res) => {
 export const getSiteworkDocumentsForCustomer = catchAsync(async (req, res) => {
     const { projectId } = req.params;
     const user = req.user;
-    const documents = await getSiteworkDocumentsForCustomerService(projectId, user);
+    const documents = await getSiteworkDocumentsForCustomerService(projectId, user, req.projectAccess.relations);
     res.status(200).json({
         status: 1,
         message: 'Sitework documents for customer fetched successfully',
@@ -2,7 +2,8 @@ import httpStatus from 'http-status';
 import pick from '../utils/pick.js';
 import ApiError from '../utils/ApiError.js';
 import catchAsync from '../utils/catchAsync.js';
-import { userService } from '../services/index.js';
+import { userService, sessionService, twoFactorService } from '../services/index.js';
+import { applyExportPreset } from '../services/exportPreset.service.js';
 import { createWorkerBySiteEngineerService, getWorkersBySiteEngineerService, updateWorkerBySiteEngineerService, activateWorkerBySiteEngineerService, deactivateWorkerBySiteEngineerService } from '../services/user.service.js';
 
 const createUser = catchAsync(async (req, res) => {
@@ -10,11 +11,17 @@ const createUser = catchAsync(async (req, res) => {
   res.status(httpStatus.CREATED).send({ status: 1, user });
 });
 
-const getUsers = catchAsync(async (req, res) => {
-  const filter = pick(req.query, ['name', 'role', 'experience', 'region', 'education', 'isActive']);
+// User filter of the list and export endpoints, from their query parameters
+const getUserFilter = (query) => {
+  const filter = pick(query, ['name', 'role', 'experience', 'region', 'education', 'isActive']);
   if (filter.role && typeof filter.role === 'string') {
     filter.role = filter.role.split(',').map(role => role.trim());
   }
+  return filter;
+};
+
+const getUsers = catchAsync(async (req, res) => {
+  const filter = getUserFilter(req.query);
   const options = pick(req.query, ['sortBy', 'limit', 'page']);
   const result = await userService.queryUsers(filter, options);
   res.send({ status: 1, ...result });
@@ -57,21 +64,18 @@ export const deactivateUserController = catchAsync(async (req, res) => {
 });
 
 export const exportUsersController = catchAsync(async (req, res) => {
-  const filter = pick(req.query, ['name', 'role', 'isActive']);
-
-  if (filter.role && typeof filter.role === 'string') {
-    filter.role = filter.role.split(',').map(role => role.trim());
-  }
+  const query = await applyExportPreset('users', req.query, req.user);
+  const filter = getUserFilter(query);
 
   // Only apply isActive filter if it's explicitly provided in the query
-  if (req.query.isActive !== undefined && req.query.isActive !== null) {
-    filter.isActive = req.query.isActive === 'true';
+  if (query.isActive !== undefined && query.isActive !== null) {
+    filter.isActive = String(query.isActive) === 'true';
   } else {
     delete filter.isActive;
   }
 
   // Handle date filters
-  const { dateFilterType, specificDate, startDate, endDate } = req.query;
+  const { dateFilterType, specificDate, startDate, endDate } = query;
   if (dateFilterType === 'specific' && specificDate) {
     const dayStart = new Date(specificDate);
     dayStart.setHours(0, 0, 0, 0);
@@ -86,18 +90,13 @@ export const exportUsersController = catchAsync(async (req, res) => {
     filter.createdAt = { $gte: rangeStart, $lte: rangeEnd };
   }
 
-  const fileBuffer = await userService.exportUsersService(filter);
+  const file = await userService.exportUsersService(filter, { columns: query.columns, format: query.format });
 
-  if (!fileBuffer) {
+  if (!file) {
     throw new ApiError(httpStatus.NOT_FOUND, 'No users found for the selected criteria.');
   }
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const fileName = `users-${timestamp}.xlsx`;
-
-  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-  res.send(fileBuffer);
+  await file.send(res);
 });
 
 const getMySiteVisits = catchAsync(async (req, res) => {
@@ -222,3 +221,44 @@ export {
   getMySiteVisits,
   getSiteEngineers,
 };
+
+export const getUserRights = catchAsync(async (req, res) => {
+  const rights = await userService.getUserRights(req.params.id);
+  res.send({ status: 1, ...rights });
+});
+
+export const updateUserRights = catchAsync(async (req, res) => {
+  const rights = await userService.updateUserRights(req.params.id, req.body);
+  res.send({ status: 1, ...rights });
+});
+
+const getUserOrThrow = async (userId) => {
+  const user = await userService.getUserById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  return user;
+};
+
+export const getUserSessions = catchAsync(async (req, res) => {
+  const user = await getUserOrThrow(req.params.id);
+  const sessions = await sessionService.listSessions(user._id);
+  res.send({ status: 1, results: sessions });
+});
+
+export const revokeUserSessions = catchAsync(async (req, res) => {
+  const user = await getUserOrThrow(req.params.id);
+  await sessionService.revokeAllSessions(user._id);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const revokeUserSession = catchAsync(async (req, res) => {
+  const user = await getUserOrThrow(req.params.id);
+  await sessionService.revokeSession(user._id, req.params.sessionId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+export const resetUserTwoFactor = catchAsync(async (req, res) => {
+  await twoFactorService.resetTwoFactor(req.params.id);
+  res.status(httpStatus.NO_CONTENT).send();
+});
@@ -0,0 +1,15 @@
+import ConsoleSms from '../adapter/smsConsole.js';
+import FileSms from '../adapter/smsFile.js';
+import config from '../config/config.js';
+
+export const SMS_PROVIDER = config.sms.provider;
+
+const providers = {
+  file: FileSms,
+  console: ConsoleSms,
+};
+
+const Sms = providers[SMS_PROVIDER] || ConsoleSms;
+const smsInstance = new Sms();
+
+export default smsInstance;
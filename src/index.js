@@ -3,6 +3,8 @@ import app from './app.js';
 import config from './config/config.js';
 import logger from './config/logger.js';
 import socketManager from './config/socket.js';
+import { startReminderScheduler } from './services/leadFollowUp.service.js';
+import { resumeJobs } from './services/job.service.js';
 
 let server;
 
@@ -15,6 +17,8 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
     // Initialize Socket.IO after server is created
     socketManager.initialize(server);
   });
+  startReminderScheduler();
+  resumeJobs().catch((error) => logger.error(`Failed to resume jobs: ${error.message}`));
 });
 
 const exitHandler = () => {
@@ -0,0 +1,8 @@
+/**
+ * What every SMS provider implements: sendSms(to, message) delivers a text and resolves to { provider, to }
+ */
+export default class SmsInterface {
+  async sendSms() {
+    throw new Error(`${this.constructor.name}.sendSms() not implemented`);
+  }
+}
@@ -1,15 +1,18 @@
 import passport from 'passport';
 import httpStatus from 'http-status';
 import ApiError from '../utils/ApiError.js';
-import { roleRights } from '../config/roles.js';
+import { getEffectiveRights } from '../services/role.service.js';
+import { isApiKey } from '../services/apiKey.service.js';
 
 const verifyCallback = (req, resolve, reject, requiredRights) => async (err, user, info) => {
   if (err || info || !user) {
-    if (info) {
-      if (info.name === 'TokenExpiredError') {
+    // Both strategies failed: report the jwt failure, the api key strategy gives no reason
+    const failure = Array.isArray(info) ? info[0] : info;
+    if (failure) {
+      if (failure.name === 'TokenExpiredError') {
         return reject(new ApiError(httpStatus.UNAUTHORIZED, 'Your session has expired. Please log in again.'));
       }
-      if (info.name === 'JsonWebTokenError') {
+      if (failure.name === 'JsonWebTokenError') {
         return reject(new ApiError(httpStatus.UNAUTHORIZED, 'Invalid token. Please log in again.'));
       }
     }
@@ -17,8 +20,21 @@ const verifyCallback = (req, resolve, reject, requiredRights) => async (err, use
   }
   req.user = user;
 
+  // API keys only reach routes that name the rights they need, and must hold every one of them
+  if (isApiKey(user)) {
+    if (!requiredRights.length || !requiredRights.every((requiredRight) => user.rights.includes(requiredRight))) {
+      return reject(new ApiError(httpStatus.FORBIDDEN, 'This API key is not allowed to use this endpoint'));
+    }
+    return resolve();
+  }
+
   if (requiredRights.length) {
-    const userRights = roleRights.get(user.role?.toLowerCase()) || [];
+    let userRights;
+    try {
+      userRights = await getEffectiveRights(user);
+    } catch (error) {
+      return reject(error);
+    }
     const hasRequiredRights = requiredRights.every((requiredRight) => userRights.includes(requiredRight));
     if (!hasRequiredRights && req.params.userId !== user.id) {
       return reject(new ApiError(httpStatus.FORBIDDEN, 'Forbidden'));
@@ -32,7 +48,11 @@ const auth =
   (...requiredRights) =>
   async (req, res, next) => {
     return new Promise((resolve, reject) => {
-      passport.authenticate('jwt', { session: false }, verifyCallback(req, resolve, reject, requiredRights))(req, res, next);
+      passport.authenticate(['jwt', 'apiKey'], { session: false }, verifyCallback(req, resolve, reject, requiredRights))(
+        req,
+        res,
+        next
+      );
     })
       .then(() => next())
       .catch((err) => next(err));
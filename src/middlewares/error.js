@@ -29,6 +29,8 @@ const errorHandler = (err, req, res, next) => {
     status: 0,
     code: statusCode,
     message,
+    // What an operational error says beyond its message, e.g. the clashing bookings of a scheduling conflict
+    ...(err.isOperational && err.details),
     ...(config.env === 'development' && { stack: err.stack }),
   };
 
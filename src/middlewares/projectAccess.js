@@ -0,0 +1,61 @@
+import catchAsync from '../utils/catchAsync.js';
+import { assertProjectAccess, getMessageProjectId, getSiteworkProjectId } from '../services/projectAccess.service.js';
+
+/**
+ * Read the project id from a route parameter
+ * @param {string} [param]
+ */
+export const fromParam =
+  (param = 'projectId') =>
+  (req) =>
+    req.params[param];
+
+/**
+ * Read the project id from a request body field
+ * @param {string} [field]
+ */
+export const fromBody =
+  (field = 'project') =>
+  (req) =>
+    req.body[field];
+
+/**
+ * Read the project id from a query parameter
+ * @param {string} [param]
+ */
+export const fromQuery =
+  (param = 'project') =>
+  (req) =>
+    req.query[param];
+
+/**
+ * Resolve the project through the sitework named by a route parameter
+ * @param {string} [param]
+ */
+export const fromSitework =
+  (param = 'siteworkId') =>
+  (req) =>
+    getSiteworkProjectId(req.params[param]);
+
+/**
+ * Resolve the project through the message named by a route parameter
+ * @param {string} [param]
+ */
+export const fromMessage =
+  (param = 'messageId') =>
+  (req) =>
+    getMessageProjectId(req.params[param]);
+
+/**
+ * Only let principals that belong to the project through. Must run after auth().
+ * Sets req.projectAccess to { project, relations } for the handlers that need it.
+ * @param {Function} [resolveProjectId] - picks the project id out of the request
+ */
+const projectAccess = (resolveProjectId = fromParam()) =>
+  catchAsync(async (req, res, next) => {
+    const projectId = await resolveProjectId(req);
+    req.projectAccess = await assertProjectAccess(req.user, projectId);
+    next();
+  });
+
+export default projectAccess;
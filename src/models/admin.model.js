@@ -45,6 +45,19 @@ const adminSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Lockout after repeated failed logins, see loginAudit.service
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      private: true,
+    },
+    failedLoginWindowStart: {
+      type: Date,
+      private: true,
+    },
+    lockUntil: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
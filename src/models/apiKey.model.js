@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Public part of the key, used to find the document before comparing hashes
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 of the full key, the key itself is only shown once when it is created
+    keyHash: {
+      type: String,
+      required: true,
+      private: true,
+    },
+    // Rights from the same catalog auth() checks, see config/roles.js
+    rights: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Check whether the key can still be used
+ * @returns {boolean}
+ */
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * @typedef ApiKey
+ */
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
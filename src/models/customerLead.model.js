@@ -1,4 +1,32 @@
 import mongoose from 'mongoose';
+import LeadStages from '../config/enums/leadStages.enum.js';
+import { normalizePhoneNumbers } from '../utils/phone.js';
+import location from './plugins/location.plugin.js';
+
+const stageChangeSchema = new mongoose.Schema({
+  stage: { type: String, required: true },
+  fromStage: { type: String },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'stageHistory.changedByModel' },
+  changedByModel: { type: String, enum: ['User', 'Admin', 'ApiKey'] },
+  reason: { type: String, trim: true },
+  note: { type: String, trim: true },
+  // Moved by an event such as a site visit being scheduled rather than by hand
+  automatic: { type: Boolean, default: false },
+}, { _id: false });
+
+const ownerChangeSchema = new mongoose.Schema({
+  // Unset when the lead was unassigned
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  previousOwner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'ownerHistory.changedByModel' },
+  changedByModel: { type: String, enum: ['User', 'Admin', 'ApiKey'] },
+  reason: { type: String, trim: true },
+  // The assignment rule that picked the owner
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'LeadAssignmentRule' },
+  automatic: { type: Boolean, default: false },
+}, { _id: false });
 
 const customerLeadSchema = new mongoose.Schema({
   leadSource: { type: String, required: true },
@@ -19,9 +47,49 @@ const customerLeadSchema = new mongoose.Schema({
   }],
 
   isActive: { type: Boolean, default: true },
+
+  // Pipeline stage, one of the keys in the leadstages collection
+  stage: { type: String, default: LeadStages.NEW, index: true },
+  stageChangedAt: { type: Date },
+  lostReason: { type: String, trim: true },
+  stageHistory: [stageChangeSchema],
+
+  // Sales admin accountable for the lead, picked by the assignment rules or by hand
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  ownerAssignedAt: { type: Date },
+  ownerHistory: [ownerChangeSchema],
+
+  // Emails and E.164 mobile numbers of leads merged into this one, so their customers keep their projects
+  mergedEmails: [{ type: String, lowercase: true, trim: true }],
+  mergedPhoneNumbers: [String],
+
+  // E.164 forms of the mobile, alternate, WhatsApp and merged numbers, used to find duplicate leads
+  phoneNumbers: { type: [String], index: true },
 }, {
   timestamps: true,
 });
 
+customerLeadSchema.pre('save', function (next) {
+  const phoneFields = ['mobileNumber', 'alternateContactNumber', 'whatsappNumber', 'mergedPhoneNumbers'];
+  if (this.isNew || phoneFields.some((field) => this.isModified(field))) {
+    this.phoneNumbers = normalizePhoneNumbers(
+      this.mobileNumber,
+      this.alternateContactNumber,
+      this.whatsappNumber,
+      ...this.mergedPhoneNumbers
+    );
+  }
+  next();
+});
+
+// Duplicate detection looks leads up by exact email and, for leads saved before phoneNumbers, raw phone fields
+customerLeadSchema.index({ email: 1 });
+customerLeadSchema.index({ mobileNumber: 1 });
+customerLeadSchema.index({ alternateContactNumber: 1 });
+customerLeadSchema.index({ whatsappNumber: 1 });
+
+// location, a GeoJSON point found from googleLocationLink or given as lat/lng when the lead is created
+customerLeadSchema.plugin(location, { linkPath: 'googleLocationLink' });
+
 const CustomerLead = mongoose.model('CustomerLead', customerLeadSchema);
 export default CustomerLead;
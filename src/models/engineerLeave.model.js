@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Days a site engineer is away and cannot be given site visits or sitework
+const engineerLeaveSchema = new mongoose.Schema(
+  {
+    engineer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Both days are included
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+engineerLeaveSchema.index({ engineer: 1, startDate: 1, endDate: 1 });
+
+/**
+ * @typedef EngineerLeave
+ */
+const EngineerLeave = mongoose.model('EngineerLeave', engineerLeaveSchema);
+
+export default EngineerLeave;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import exportColumns from '../config/exportColumns.js';
+
+const exportPresetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'userModel',
+      required: true,
+    },
+    userModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      required: true,
+    },
+    // What the preset exports, a key of config/exportColumns
+    resource: {
+      type: String,
+      enum: Object.keys(exportColumns),
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ['xlsx', 'csv', 'pdf'],
+      default: 'xlsx',
+    },
+    // Column keys in the order they are exported; empty means the resource's default columns
+    columns: {
+      type: [String],
+      default: [],
+    },
+    // Query parameters of the resource's list endpoint, e.g. { stage: 'qualified', city: 'Pune' }
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+exportPresetSchema.index({ user: 1, resource: 1, name: 1 }, { unique: true });
+
+/**
+ * @typedef ExportPreset
+ */
+const ExportPreset = mongoose.model('ExportPreset', exportPresetSchema);
+
+export default ExportPreset;
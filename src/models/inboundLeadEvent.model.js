@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const inboundLeadEventSchema = new mongoose.Schema(
+  {
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InboundLeadSource',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'failed'],
+      default: 'processing',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerLead',
+    },
+    error: {
+      type: String,
+    },
+    // Deliveries of the event, a failed event is processed again when it is redelivered
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each event is only landed once per source
+inboundLeadEventSchema.index({ source: 1, eventId: 1 }, { unique: true });
+inboundLeadEventSchema.index({ source: 1, createdAt: -1 });
+
+/**
+ * @typedef InboundLeadEvent
+ */
+const InboundLeadEvent = mongoose.model('InboundLeadEvent', inboundLeadEventSchema);
+
+export default InboundLeadEvent;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const fieldMappingSchema = new mongoose.Schema(
+  {
+    // Lead field such as customerName, or requirement.<field> for the lead's requirement
+    field: {
+      type: String,
+      required: true,
+    },
+    // Dot separated path into the payload, e.g. data.contact.phone or answers.0.value
+    path: {
+      type: String,
+      trim: true,
+    },
+    // Fixed value, used when there is no path or nothing at the path
+    value: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const inboundLeadSourceSchema = new mongoose.Schema(
+  {
+    // Used in the webhook URL, /v1/customer-leads/inbound/:key
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // leadSource given to the leads from this source
+    leadSource: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Shared secret the sender signs the raw request body with, HMAC-SHA256
+    secret: {
+      type: String,
+      required: true,
+      private: true,
+    },
+    signatureHeader: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: 'x-signature',
+    },
+    // Header with the sender's event id; without one the event id is read from eventIdPath
+    eventIdHeader: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    eventIdPath: {
+      type: String,
+      trim: true,
+    },
+    mapping: {
+      type: [fieldMappingSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastReceivedAt: {
+      type: Date,
+    },
+    // Leads are created in the name of whoever set up the source
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+      required: true,
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef InboundLeadSource
+ */
+const InboundLeadSource = mongoose.model('InboundLeadSource', inboundLeadSourceSchema);
+
+export default InboundLeadSource;
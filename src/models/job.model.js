@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(JobTypes),
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    // Whatever the handler needs, e.g. the options of an import
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Uploaded file the job works on, deleted once the job has finished
+    inputFile: {
+      type: String,
+    },
+    // Name of the uploaded file, for display
+    inputFileName: {
+      type: String,
+    },
+    progress: {
+      total: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Spreadsheet of the items that failed, downloaded through /v1/jobs/:jobId/error-file
+    errorFile: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+      required: true,
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+jobSchema.index({ status: 1, createdAt: 1 });
+
+jobSchema.set('toJSON', {
+  // The server paths of the files are not for clients
+  transform: (doc, { inputFile, errorFile, ...job }) => ({ ...job, hasErrorFile: !!errorFile }),
+});
+
+/**
+ * @typedef Job
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
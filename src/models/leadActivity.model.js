@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+
+const leadActivitySchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerLead',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(LeadActivityTypes),
+      required: true,
+    },
+    // One line shown on the timeline, e.g. "Project status changed from Pending to Open"
+    summary: {
+      type: String,
+      trim: true,
+    },
+    // Text of a note, or what was said on a call or in a WhatsApp conversation
+    note: {
+      type: String,
+      trim: true,
+    },
+    // Calls and WhatsApp conversations
+    direction: {
+      type: String,
+      enum: ['inbound', 'outbound'],
+    },
+    durationMinutes: {
+      type: Number,
+      min: 0,
+    },
+    outcome: {
+      type: String,
+      trim: true,
+    },
+    // What the activity was about
+    requirement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Requirement',
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    siteVisit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SiteVisit',
+    },
+    clientProposal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientProposal',
+    },
+    // Anything else worth keeping, e.g. the statuses of a project status change
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // When it happened; a call can be logged after the fact
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'performedByModel',
+    },
+    performedByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leadActivitySchema.index({ lead: 1, occurredAt: -1 });
+leadActivitySchema.index({ lead: 1, type: 1, occurredAt: -1 });
+
+/**
+ * @typedef LeadActivity
+ */
+const LeadActivity = mongoose.model('LeadActivity', leadActivitySchema);
+
+export default LeadActivity;
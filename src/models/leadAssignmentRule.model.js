@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const leadAssignmentRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Rules are tried from the lowest priority up; the first that matches the lead and has someone to assign wins
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Leads the rule applies to, compared ignoring case. An empty list matches any value.
+    match: {
+      leadSources: {
+        type: [String],
+        default: [],
+      },
+      cities: {
+        type: [String],
+        default: [],
+      },
+      states: {
+        type: [String],
+        default: [],
+      },
+    },
+    // Sales admins the rule assigns to; empty means every active sales admin
+    assignees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // round-robin takes turns, least-loaded picks whoever owns the fewest open leads
+    strategy: {
+      type: String,
+      enum: ['round-robin', 'least-loaded'],
+      default: 'round-robin',
+    },
+    // Skip assignees who already own this many open leads
+    maxOpenLeads: {
+      type: Number,
+      min: 1,
+    },
+    // Where round-robin continues from
+    roundRobinCursor: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leadAssignmentRuleSchema.index({ isActive: 1, priority: 1 });
+
+/**
+ * @typedef LeadAssignmentRule
+ */
+const LeadAssignmentRule = mongoose.model('LeadAssignmentRule', leadAssignmentRuleSchema);
+
+export default LeadAssignmentRule;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const leadFollowUpSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerLead',
+      required: true,
+      index: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ['call', 'whatsapp', 'visit'],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'assigneeModel',
+      required: true,
+    },
+    assigneeModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'done', 'cancelled'],
+      default: 'pending',
+    },
+    // What came of the follow-up, recorded when it is completed
+    outcome: {
+      type: String,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'completedByModel',
+    },
+    completedByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+    // Set by the reminder scheduler so each follow-up is reminded once per due date
+    remindedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leadFollowUpSchema.index({ assignee: 1, status: 1, dueAt: 1 });
+leadFollowUpSchema.index({ status: 1, remindedAt: 1, dueAt: 1 });
+
+/**
+ * @typedef LeadFollowUp
+ */
+const LeadFollowUp = mongoose.model('LeadFollowUp', leadFollowUpSchema);
+
+export default LeadFollowUp;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Audit record of a duplicate lead merged into another one. The duplicate itself is deleted.
+const leadMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerLead',
+      required: true,
+      index: true,
+    },
+    mergedLeadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    // The duplicate as it was just before the merge
+    mergedLead: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    requirements: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Requirement' }],
+    projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Project' }],
+    siteVisits: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SiteVisit' }],
+    followUps: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LeadFollowUp' }],
+    // Requirement shares that came along with the requirements
+    shares: {
+      type: Number,
+      default: 0,
+    },
+    // Fields of the survivor that were empty and filled in from the duplicate
+    filledFields: {
+      type: [String],
+      default: [],
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'mergedByModel',
+    },
+    mergedByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef LeadMerge
+ */
+const LeadMerge = mongoose.model('LeadMerge', leadMergeSchema);
+
+export default LeadMerge;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const leadStageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Position in the pipeline; automatic moves only ever go to a higher order
+    order: {
+      type: Number,
+      required: true,
+    },
+    // Won and lost stages close the lead, automatic moves never reopen it
+    outcome: {
+      type: String,
+      enum: ['open', 'won', 'lost'],
+      default: 'open',
+    },
+    // A reason must be given when moving a lead into this stage
+    requiresReason: {
+      type: Boolean,
+      default: false,
+    },
+    // Seeded stages the code moves leads into, they cannot be deleted or change outcome
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef LeadStage
+ */
+const LeadStage = mongoose.model('LeadStage', leadStageSchema);
+
+export default LeadStage;
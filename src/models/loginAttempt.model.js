@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Email for password logins, mobile number for OTP logins
+    identifier: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    method: {
+      type: String,
+      enum: ['password', 'otp', 'totp'],
+      required: true,
+    },
+    principal: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'principalModel',
+      index: true,
+    },
+    principalModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+    },
+    outcome: {
+      type: String,
+      enum: [
+        'success',
+        'invalid-credentials',
+        'unknown-account',
+        'locked',
+        'inactive',
+        'email-unverified',
+        'two-factor-required',
+      ],
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ createdAt: -1 });
+
+/**
+ * @typedef LoginAttempt
+ */
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
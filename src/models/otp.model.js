@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const otpSchema = new mongoose.Schema(
+  {
+    mobileNumber: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['login'],
+      default: 'login',
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      private: true,
+    },
+    expires: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    consumed: {
+      type: Boolean,
+      default: false,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Requests are counted for rate limiting, so documents outlive the code itself (window is capped at one day)
+otpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * @typedef Otp
+ */
+const Otp = mongoose.model('Otp', otpSchema);
+
+export default Otp;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import logger from '../../config/logger.js';
+import { isShortLink, isValidLatLng, locateGoogleMapsLink, parseGoogleMapsLink, toGeoPoint } from '../../utils/geo.js';
+
+export const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], default: 'Point', required: true },
+    // [longitude, latitude], the GeoJSON order
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: (value) => value.length === 2 && isValidLatLng({ lng: value[0], lat: value[1] }),
+        message: 'coordinates must be [longitude, latitude]',
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Give a schema a GeoJSON point with a 2dsphere index, found from a Google Maps link on the same document whenever
+ * the link changes. A location set together with the link, e.g. from a latitude and longitude sent by a client, is
+ * kept as it is. A link without coordinates clears the location.
+ *
+ * Short links are followed after the save, once the session it ran in has ended, so a transaction never waits on
+ * HTTP requests. The location is only set if the link is still the same by then; a short link that cannot be
+ * followed is left for the location backfill job.
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string} options.linkPath - path of the link, e.g. 'googleLocationLink'
+ * @param {string} [options.path] - path of the point
+ */
+const location = (schema, { linkPath, path = 'location' }) => {
+  schema.add({ [path]: { type: pointSchema, default: undefined } });
+  schema.index({ [path]: '2dsphere' });
+
+  schema.pre('save', function () {
+    if (!this.isModified(linkPath) || this.isModified(path)) {
+      return;
+    }
+    const link = this.get(linkPath);
+    const point = parseGoogleMapsLink(link);
+    this.set(path, point ? toGeoPoint(point) : undefined);
+    this.$locals.shortLink = !point && isShortLink(link) ? link : undefined;
+  });
+
+  schema.post('save', function () {
+    const link = this.$locals.shortLink;
+    if (!link) {
+      return;
+    }
+    this.$locals.shortLink = undefined;
+    const Model = this.constructor;
+    const { _id } = this;
+    const follow = () =>
+      locateGoogleMapsLink(link)
+        .then(
+          (point) =>
+            point && Model.updateOne({ _id, [linkPath]: link, [path]: null }, { $set: { [path]: toGeoPoint(point) } })
+        )
+        .catch((error) => logger.warn(`Could not save the location of ${Model.modelName} ${_id}: ${error.message}`));
+
+    const session = this.$session();
+    if (session && !session.hasEnded) {
+      session.once('ended', follow);
+    } else {
+      follow();
+    }
+  });
+};
+
+export default location;
@@ -151,6 +151,14 @@ import { fileSchema } from './requirement.model.js';
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/ArchitectDocument'
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the project first became Open
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the project first became Completed
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -293,6 +301,13 @@ const projectSchema = new mongoose.Schema(
         actualCompletionDate: {
             type: Date,
         },
+        // When the project first became Open and Completed, for the lead funnel analytics
+        openedAt: {
+            type: Date,
+        },
+        completedAt: {
+            type: Date,
+        },
         budget: {
             type: String,
         },
@@ -310,7 +325,7 @@ const projectSchema = new mongoose.Schema(
         },
         createdByModel: {
             type: String,
-            enum: ['User', 'Admin'],
+            enum: ['User', 'Admin', 'ApiKey'],
             required: true,
         },
     },
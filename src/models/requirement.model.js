@@ -1,15 +1,30 @@
 import mongoose from 'mongoose';
 import mongoosePaginate from 'mongoose-paginate-v2';
+import AreaUnits from '../config/enums/areaUnits.enum.js';
+import LengthUnits from '../config/enums/lengthUnits.enum.js';
+import location from './plugins/location.plugin.js';
+import { convertLegacyScpData } from '../utils/scpData.js';
+
+// Measurements keep the unit they were given in; utils/units.js converts between units
+const areaSchema = new mongoose.Schema({
+    value: { type: Number, required: true, min: 0 },
+    unit: { type: String, required: true, enum: Object.values(AreaUnits) },
+}, { _id: false });
+
+const lengthSchema = new mongoose.Schema({
+    value: { type: Number, required: true, min: 0 },
+    unit: { type: String, required: true, enum: Object.values(LengthUnits) },
+}, { _id: false });
 
 const scpDataSchema = new mongoose.Schema({
     siteAddress: { type: String, default: '' },
     googleLocationLink: { type: String, default: '' },
     siteType: { type: String, default: '' },
-    plotSize: { type: String, default: '' },
-    totalArea: { type: String, default: '' },
+    plotSize: { type: areaSchema, default: null },
+    totalArea: { type: areaSchema, default: null },
     plinthStatus: { type: String, default: '' },
     structureType: { type: String, default: '' },
-    numUnits: { type: String, default: '' },
+    numUnits: { type: Number, min: 0, default: null },
     usageType: { type: String, default: '' },
     avgStayDuration: { type: String, default: '' },
     additionalFeatures: { type: String, default: '' },
@@ -17,10 +32,12 @@ const scpDataSchema = new mongoose.Schema({
     drawingStatus: { type: String, default: '' },
     architectStatus: { type: String, default: '' },
     roomRequirements: { type: String, default: '' },
-    tokenAdvance: { type: String, default: '' },
-    financing: { type: String, default: '' },
-    roadWidth: { type: String, default: '' },
-    targetCompletionDate: { type: String, default: '' },
+    // Whether the customer has paid a token advance
+    tokenAdvance: { type: Boolean, default: null },
+    // Whether the customer needs financing
+    financing: { type: Boolean, default: null },
+    roadWidth: { type: lengthSchema, default: null },
+    targetCompletionDate: { type: Date, default: null },
     siteVisitDate: { type: Date, default: null },
     scpRemarks: { type: String, default: '' },
 }, { _id: false });
@@ -29,7 +46,36 @@ const sharedWithSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     sharedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     sharedAt: { type: Date, default: Date.now },
+    // Access ends at this time; without it the share lasts until revoked
+    expiresAt: { type: Date },
     isSeen: { type: Boolean, default: false },
+    // When the user first opened the requirement
+    seenAt: { type: Date },
+}, { _id: false });
+
+/**
+ * Whether a share still gives access
+ * @param {Object} share - an entry of sharedWith
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isShareActive = (share, now = new Date()) => !share.expiresAt || share.expiresAt > now;
+
+/**
+ * Condition on sharedWith for requirements shared with a user and not expired, e.g.
+ * Requirement.find({ sharedWith: activeShareMatch(userId) })
+ * @param {ObjectId} userId
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const activeShareMatch = (userId, now = new Date()) => ({
+    $elemMatch: { user: userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+});
+
+// A value the SCP data migration could not read, kept as it was until someone enters it properly
+const scpDataReviewSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed },
 }, { _id: false });
 
 export const fileSchema = new mongoose.Schema({
@@ -55,8 +101,15 @@ const requirementSchema = new mongoose.Schema({
     urgency: { type: String, default: '' },
     budget: { type: String, default: '' },
     scpData: { type: scpDataSchema, default: () => ({}) },
+    scpDataReview: [scpDataReviewSchema],
+    // Answers to the form of the requirement type, keyed by field, and the version of the form they were checked against
+    formData: { type: mongoose.Schema.Types.Mixed },
+    formVersion: { type: Number },
     files: [fileSchema],
     sharedWith: [sharedWithSchema],
+    // Number of the latest revision, raised atomically by requirementRevision.service. No default, so saving a
+    // requirement loaded before its first revision never writes over the count.
+    revisionCount: { type: Number },
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -70,7 +123,39 @@ requirementSchema.virtual('visits', {
     foreignField: 'requirement',
 });
 
+// Requirements written before scpData was typed keep text in the typed fields until the SCP data migration reaches
+// them. They are read the way the migration reads them, so they load and validate, and the next save stores the
+// converted values, with what could not be read listed in scpDataReview.
+requirementSchema.pre('init', function (stored) {
+    const { converted, unreadable } = convertLegacyScpData(stored.scpData);
+    const fields = Object.keys(converted);
+    if (!fields.length) {
+        return;
+    }
+    Object.assign(stored.scpData, converted);
+    if (unreadable.length) {
+        const flagged = unreadable.map((entry) => entry.field);
+        Object.assign(stored, {
+            scpDataReview: [
+                ...(stored.scpDataReview || []).filter((entry) => !flagged.includes(entry.field)),
+                ...unreadable,
+            ],
+        });
+    }
+    this.$locals.legacyScpPaths = [
+        ...fields.map((field) => `scpData.${field}`),
+        ...(unreadable.length ? ['scpDataReview'] : []),
+    ];
+});
+
+requirementSchema.post('init', function () {
+    (this.$locals.legacyScpPaths || []).forEach((path) => this.markModified(path));
+    delete this.$locals.legacyScpPaths;
+});
+
 requirementSchema.plugin(mongoosePaginate);
+// location of the site, a GeoJSON point found from scpData.googleLocationLink or given as lat/lng
+requirementSchema.plugin(location, { linkPath: 'scpData.googleLocationLink' });
 
 /**
  * @typedef Requirement
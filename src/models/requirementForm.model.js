@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import FormFieldTypes from '../config/enums/formFieldTypes.enum.js';
+
+const optionSchema = new mongoose.Schema(
+  {
+    value: { type: String, required: true, trim: true },
+    label: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const formFieldSchema = new mongoose.Schema(
+  {
+    // Name of the answer in a requirement's formData
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    type: { type: String, required: true, enum: Object.values(FormFieldTypes) },
+    required: { type: Boolean, default: false },
+    // Choices of select and multiselect fields
+    options: { type: [optionSchema], default: undefined },
+    // Smallest and largest number, or number of choices of a multiselect field
+    min: { type: Number },
+    max: { type: Number },
+    // Length and pattern of text fields
+    minLength: { type: Number },
+    maxLength: { type: Number },
+    pattern: { type: String },
+    placeholder: { type: String, trim: true },
+    helpText: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const requirementFormSchema = new mongoose.Schema(
+  {
+    // Requirements of this type are validated against the form
+    requirementType: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // In the order the form shows them
+    fields: {
+      type: [formFieldSchema],
+      default: [],
+    },
+    // An inactive form is not shown and requirements of its type are not validated against it
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Goes up whenever the fields change; requirements keep the version their answers were checked against
+    version: {
+      type: Number,
+      default: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef RequirementForm
+ */
+const RequirementForm = mongoose.model('RequirementForm', requirementFormSchema);
+
+export default RequirementForm;
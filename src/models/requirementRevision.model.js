@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+
+const revisionChangeSchema = new mongoose.Schema(
+  {
+    // Field that changed, e.g. budget or scpData.plotSize
+    path: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const requirementRevisionSchema = new mongoose.Schema(
+  {
+    requirement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Requirement',
+      required: true,
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerLead',
+    },
+    // 1 for the first revision of a requirement, counting up
+    number: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: Object.values(RequirementRevisionSources),
+      required: true,
+    },
+    // The visit whose findings were saved, for site-visit revisions
+    siteVisit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SiteVisit',
+    },
+    // The revision a rollback went back to
+    rolledBackTo: {
+      type: Number,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'authorModel',
+    },
+    authorModel: {
+      type: String,
+      enum: ['User', 'Admin', 'ApiKey'],
+    },
+    // Field-level difference from the previous revision
+    changes: [revisionChangeSchema],
+    // The tracked fields of the requirement after the change, see requirementRevision.service
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+requirementRevisionSchema.index({ requirement: 1, number: -1 }, { unique: true });
+
+/**
+ * @typedef RequirementRevision
+ */
+const RequirementRevision = mongoose.model('RequirementRevision', requirementRevisionSchema);
+
+export default RequirementRevision;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    rights: {
+      type: [String],
+      default: [],
+    },
+    // Members must log in with a TOTP code, see twoFactor.service
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // Seeded roles are referenced by code (role checks, site engineer workers, ...) and cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef Role
+ */
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
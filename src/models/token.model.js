@@ -10,12 +10,17 @@ const tokenSchema = new mongoose.Schema(
     },
     user: {
       type: mongoose.SchemaTypes.ObjectId,
-      ref: 'User',
+      refPath: 'userModel',
       required: true,
     },
+    userModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      default: 'User',
+    },
     type: {
       type: String,
-      enum: [tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL],
+      enum: [tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL, tokenTypes.TWO_FACTOR_CHALLENGE],
       required: true,
     },
     expires: {
@@ -26,6 +31,18 @@ const tokenSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Refresh tokens issued from the same login share a family so a replayed token can revoke the whole chain
+    family: {
+      type: String,
+      index: true,
+    },
+    // Where the refresh token was issued, shown in the session list
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
   },
   {
     timestamps: true,
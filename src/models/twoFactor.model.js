@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Kept out of the User and Admin documents so secrets are never sent back with a profile
+const twoFactorSchema = new mongoose.Schema(
+  {
+    principal: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'principalModel',
+      required: true,
+      unique: true,
+    },
+    principalModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
+    // Base32 TOTP secret in use once enabled, encrypted with utils/encryption.js
+    secret: {
+      type: String,
+      private: true,
+    },
+    // Secret handed out by setup, promoted to `secret` when the first code is confirmed
+    pendingSecret: {
+      type: String,
+      private: true,
+    },
+    // bcrypt hashes, each code works once
+    backupCodes: {
+      type: [String],
+      default: [],
+      private: true,
+    },
+    // Last accepted time step, so a code cannot be replayed within its validity window
+    lastUsedStep: {
+      type: Number,
+      private: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef TwoFactor
+ */
+const TwoFactor = mongoose.model('TwoFactor', twoFactorSchema);
+
+export default TwoFactor;
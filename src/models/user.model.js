@@ -1,7 +1,7 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
 import bcrypt from 'bcryptjs';
-import { roles } from '../config/roles.js';
+import location from './plugins/location.plugin.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -34,11 +34,20 @@ const userSchema = new mongoose.Schema(
       },
       private: true, // used by the toJSON plugin
     },
+    // Validated against the roles collection by the user service
     role: {
       type: String,
-      enum: roles,
       default: 'user',
     },
+    // Per-user overrides on top of the role's rights
+    extraRights: {
+      type: [String],
+      default: [],
+    },
+    deniedRights: {
+      type: [String],
+      default: [],
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
@@ -60,6 +69,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Where a site engineer starts from, used to find the engineers nearest to a site
+    homeBaseLink: {
+      type: String,
+      trim: true,
+    },
     education: {
       type: String,
       trim: true,
@@ -76,6 +90,19 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Lockout after repeated failed logins, see loginAudit.service
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      private: true,
+    },
+    failedLoginWindowStart: {
+      type: Date,
+      private: true,
+    },
+    lockUntil: {
+      type: Date,
+    },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   },
   {
@@ -111,6 +138,8 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// homeBase, a GeoJSON point found from homeBaseLink or given as lat/lng
+userSchema.plugin(location, { linkPath: 'homeBaseLink', path: 'homeBase' });
 
 const User = mongoose.model('User', userSchema);
 
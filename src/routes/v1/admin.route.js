@@ -1,13 +1,15 @@
 import express from 'express';
 import {
   registerAdmin,
-  loginAdmin, getAdminProfile, updateAdminProfile
+  loginAdmin, loginAdminTwoFactor, getAdminProfile, updateAdminProfile
   // getAdminProfile,
   // updateAdminProfile,
   // getMyStores,
   // setSelectedStore
 } from '../../controllers/admin.controller.js';
 import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import { authValidation } from '../../validations/index.js';
 
 const router = express.Router();
 /**
@@ -74,7 +76,7 @@ router.post('/auth/register', registerAdmin);
  *                 example: admin1234
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. With two-factor authentication the response carries twoFactorRequired, challengeToken, expires and enrolmentRequired instead of a token.
  *         content:
  *           application/json:
  *             schema:
@@ -96,12 +98,47 @@ router.post('/auth/register', registerAdmin);
  *                     role:
  *                       type: string
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: Admin not found
+ *         description: Invalid credentials, for an unknown email as well as a wrong password
+ *       403:
+ *         description: Email not verified while REQUIRE_EMAIL_VERIFICATION_ROLES lists the admin's role; a new link is sent
+ *       423:
+ *         description: Account locked after too many failed logins
  */
 router.post('/auth/login', loginAdmin);
 
+/**
+ * @swagger
+ * /admin/auth/login/2fa:
+ *   post:
+ *     summary: Finish an Admin login with a two-factor code
+ *     description: When the admin has 2FA enabled, or their role requires it, /admin/auth/login answers with a challengeToken instead of a token. Admins who still have to enrol call /auth/login/2fa/setup with the challenge first.
+ *     tags: [Admin Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or a backup code
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Login successful, same shape as /admin/auth/login. Includes backupCodes when the admin enrolled during this login.
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/auth/login/2fa', validate(authValidation.loginTwoFactor), loginAdminTwoFactor);
+
 // Protected routes
 
 /**
@@ -0,0 +1,164 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as analyticsValidation from '../../validations/analytics.validation.js';
+import * as analyticsController from '../../controllers/analytics.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Sales reporting
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     LeadFunnelFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Leads created on or after this day
+ *     LeadFunnelTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Leads created on or before this day
+ *     LeadFunnelGroupBy:
+ *       in: query
+ *       name: groupBy
+ *       schema:
+ *         type: string
+ *         default: leadSource
+ *       description: Comma separated, any of leadSource, city and state
+ *     LeadFunnelPeriod:
+ *       in: query
+ *       name: period
+ *       schema:
+ *         type: string
+ *         enum: [day, week, month, quarter, year]
+ *       description: Also group by the period the lead was created in
+ *     LeadFunnelLeadSource:
+ *       in: query
+ *       name: leadSource
+ *       schema:
+ *         type: string
+ *     LeadFunnelCity:
+ *       in: query
+ *       name: city
+ *       schema:
+ *         type: string
+ *     LeadFunnelState:
+ *       in: query
+ *       name: state
+ *       schema:
+ *         type: string
+ */
+
+/**
+ * @swagger
+ * /analytics/lead-funnel:
+ *   get:
+ *     summary: Sales conversion funnel by lead source, city, state and period
+ *     description: |
+ *       For the leads created in the period: how many had a site visit scheduled, were sent a client proposal,
+ *       approved one, and had a project reach Open and Completed. Each lead counts once per step however many
+ *       projects it has. Conversion rates are given against all leads of the group and against the previous step,
+ *       with the median days between steps.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeadFunnelFrom'
+ *       - $ref: '#/components/parameters/LeadFunnelTo'
+ *       - $ref: '#/components/parameters/LeadFunnelGroupBy'
+ *       - $ref: '#/components/parameters/LeadFunnelPeriod'
+ *       - $ref: '#/components/parameters/LeadFunnelLeadSource'
+ *       - $ref: '#/components/parameters/LeadFunnelCity'
+ *       - $ref: '#/components/parameters/LeadFunnelState'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 filters:
+ *                   type: object
+ *                 groupBy:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 period:
+ *                   type: string
+ *                 totals:
+ *                   $ref: '#/components/schemas/LeadFunnelGroup'
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadFunnelGroup'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/lead-funnel',
+  auth('manageLeads'),
+  validate(analyticsValidation.getLeadFunnel),
+  analyticsController.getLeadFunnel
+);
+
+/**
+ * @swagger
+ * /analytics/lead-funnel/export:
+ *   get:
+ *     summary: Export the sales conversion funnel to an Excel file
+ *     description: One row per group and a total row, with the same filters and grouping as GET /analytics/lead-funnel.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeadFunnelFrom'
+ *       - $ref: '#/components/parameters/LeadFunnelTo'
+ *       - $ref: '#/components/parameters/LeadFunnelGroupBy'
+ *       - $ref: '#/components/parameters/LeadFunnelPeriod'
+ *       - $ref: '#/components/parameters/LeadFunnelLeadSource'
+ *       - $ref: '#/components/parameters/LeadFunnelCity'
+ *       - $ref: '#/components/parameters/LeadFunnelState'
+ *     responses:
+ *       "200":
+ *         description: The funnel as an xlsx file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/lead-funnel/export',
+  auth('manageLeads'),
+  validate(analyticsValidation.exportLeadFunnel),
+  analyticsController.exportLeadFunnel
+);
+
+export default router;
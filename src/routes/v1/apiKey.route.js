@@ -0,0 +1,210 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as apiKeyValidation from '../../validations/apiKey.validation.js';
+import * as apiKeyController from '../../controllers/apiKey.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for server-to-server integrations, sent in the X-API-Key header
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /api-keys:
+   *   post:
+   *     summary: Create an API key
+   *     description: The key is only returned in this response, store it straight away. A key can use an endpoint only when it holds every right the endpoint requires; endpoints that require no specific right do not accept keys.
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - rights
+   *             properties:
+   *               name:
+   *                 type: string
+   *               rights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 description: Rights from GET /roles/rights, except manageUsers and manageRoles
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *           example:
+   *             name: Website contact form
+   *             rights: ["manageLeads", "getProjects"]
+   *             expiresAt: 2027-01-01T00:00:00.000Z
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 apiKey:
+   *                   $ref: '#/components/schemas/ApiKey'
+   *                 key:
+   *                   type: string
+   *                   example: sok_9f2c41d07a3b_Qm9yZWQgeWV0PyBHbyBidWlsZCBzb21ldGhpbmc
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(auth('manageUsers'), validate(apiKeyValidation.createApiKey), apiKeyController.createApiKey)
+  /**
+   * @swagger
+   * /api-keys:
+   *   get:
+   *     summary: List API keys
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: active
+   *         schema:
+   *           type: boolean
+   *         description: Only keys that are neither revoked nor expired
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ApiKey'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(auth('manageUsers'), validate(apiKeyValidation.getApiKeys), apiKeyController.getApiKeys);
+
+router
+  .route('/:apiKeyId')
+  /**
+   * @swagger
+   * /api-keys/{apiKeyId}:
+   *   get:
+   *     summary: Get an API key
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: apiKeyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth('manageUsers'), validate(apiKeyValidation.getApiKey), apiKeyController.getApiKey)
+  /**
+   * @swagger
+   * /api-keys/{apiKeyId}:
+   *   patch:
+   *     summary: Update an API key
+   *     description: Rename the key or change its rights or expiry. Send expiresAt null to remove the expiry. Revoked keys cannot be changed.
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: apiKeyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               rights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth('manageUsers'), validate(apiKeyValidation.updateApiKey), apiKeyController.updateApiKey)
+  /**
+   * @swagger
+   * /api-keys/{apiKeyId}:
+   *   delete:
+   *     summary: Revoke an API key
+   *     description: The key stops working immediately. It stays in the list with revokedAt set.
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: apiKeyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth('manageUsers'), validate(apiKeyValidation.revokeApiKey), apiKeyController.revokeApiKey);
+
+export default router;
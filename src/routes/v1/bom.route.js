@@ -1,6 +1,7 @@
 import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
+import projectAccess from '../../middlewares/projectAccess.js';
 import * as bomValidation from '../../validations/bom.validation.js';
 import * as bomController from '../../controllers/bom.controller.js';
 
@@ -271,8 +272,8 @@ const router = express.Router();
  */
 router
     .route('/projects/:projectId/boms')
-    .post(auth('createBoms'), validate(bomValidation.createBOM), bomController.createBOM)
-    .get(auth('getBoms'), validate(bomValidation.getBOMs), bomController.getBOMs);
+    .post(auth('createBoms'), validate(bomValidation.createBOM), projectAccess(), bomController.createBOM)
+    .get(auth('getBoms'), validate(bomValidation.getBOMs), projectAccess(), bomController.getBOMs);
 
 /**
  * @swagger
@@ -416,9 +417,9 @@ router
  */
 router
     .route('/projects/:projectId/boms/:bomId')
-    .get(auth('procurement', 'admin'), validate(bomValidation.getBOM), bomController.getBOM)
-    .patch(auth('procurement'), validate(bomValidation.updateBOM), bomController.updateBOM)
-    .delete(auth('procurement'), validate(bomValidation.deleteBOM), bomController.deleteBOM);
+    .get(auth('procurement', 'admin'), validate(bomValidation.getBOM), projectAccess(), bomController.getBOM)
+    .patch(auth('procurement'), validate(bomValidation.updateBOM), projectAccess(), bomController.updateBOM)
+    .delete(auth('procurement'), validate(bomValidation.deleteBOM), projectAccess(), bomController.deleteBOM);
 
 /**
  * @swagger
@@ -483,7 +484,7 @@ router
  */
 router
     .route('/projects/:projectId/boms/:bomId/status')
-    .patch(auth('admin', 'procurement'), validate(bomValidation.updateBOMStatus), bomController.updateBOMStatus);
+    .patch(auth('admin', 'procurement'), validate(bomValidation.updateBOMStatus), projectAccess(), bomController.updateBOMStatus);
 
 /**
  * @swagger
@@ -584,7 +585,7 @@ router
  */
 router
     .route('/projects/:projectId/boms/:bomId/submit')
-    .patch(auth('submitBOM'), validate(bomValidation.submitBOM), bomController.submitBOM);
+    .patch(auth('submitBOM'), validate(bomValidation.submitBOM), projectAccess(), bomController.submitBOM);
 
 /**
  * @swagger
@@ -707,7 +708,7 @@ router
  */
 router
     .route('/projects/:projectId/boms/:bomId/review')
-    .patch(auth('reviewBOM'), validate(bomValidation.reviewBOM), bomController.reviewBOM);
+    .patch(auth('reviewBOM'), validate(bomValidation.reviewBOM), projectAccess(), bomController.reviewBOM);
 
 /**
  * @swagger
@@ -13,11 +13,29 @@ import {
   shareRequirementForUserController,
   getSharedRequirementsForUserController,
   getMySharedRequirementsController,
+  changeCustomerLeadStageController,
+  getLeadDuplicatesController,
+  mergeLeadsController,
+  getLeadMergesController,
 } from '../../controllers/customerLead.controller.js';
 import { createCustomerLeadService, updateCustomerLeadService } from '../../services/customerLead.service.js';
 import auth from '../../middlewares/auth.js';
 import { transactional } from '../../utils/transactional.js';
 import * as customerLeadValidation from '../../validations/customerLead.validation.js';
+import * as leadFollowUpValidation from '../../validations/leadFollowUp.validation.js';
+import * as leadFollowUpController from '../../controllers/leadFollowUp.controller.js';
+import * as leadActivityValidation from '../../validations/leadActivity.validation.js';
+import * as leadActivityController from '../../controllers/leadActivity.controller.js';
+import * as leadAssignmentValidation from '../../validations/leadAssignment.validation.js';
+import * as leadAssignmentController from '../../controllers/leadAssignment.controller.js';
+import * as inboundLeadSourceValidation from '../../validations/inboundLeadSource.validation.js';
+import * as inboundLeadSourceController from '../../controllers/inboundLeadSource.controller.js';
+import * as requirementShareController from '../../controllers/requirementShare.controller.js';
+import * as scpDataController from '../../controllers/scpData.controller.js';
+import * as locationController from '../../controllers/location.controller.js';
+import * as requirementFormController from '../../controllers/requirementForm.controller.js';
+import * as requirementRevisionValidation from '../../validations/requirementRevision.validation.js';
+import * as requirementRevisionController from '../../controllers/requirementRevision.controller.js';
 import validate from '../../middlewares/validate.js';
 
 // Multer configuration for spreadsheet imports
@@ -59,7 +77,8 @@ router.get('/import/sample', (req, res) => {
  * @swagger
  * /customer-leads/export:
  *   get:
- *     summary: Export customer leads to an Excel file
+ *     summary: Export customer leads as xlsx, CSV or PDF
+ *     description: Takes the filters of the lead list. Requirement columns give one row per requirement. xlsx and PDF exports are limited to EXPORT_XLSX_MAX_ROWS and EXPORT_PDF_MAX_ROWS leads, CSV exports are not.
  *     tags: [Customer Leads]
  *     security:
  *       - bearerAuth: []
@@ -105,14 +124,86 @@ router.get('/import/sample', (req, res) => {
  *           type: string
  *           enum: [true, false]
  *         description: Filter by active status
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *         description: Comma separated stage keys
+ *       - in: query
+ *         name: movedTo
+ *         schema:
+ *           type: string
+ *         description: Only leads that entered this stage, within stageChangedFrom/stageChangedTo when given
+ *       - in: query
+ *         name: stageChangedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: stageChangedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Owner's user id, or "none" for leads nobody owns
+ *       - in: query
+ *         name: dateFilterType
+ *         schema:
+ *           type: string
+ *           enum: [all, specific, range]
+ *         description: Filter on the date the lead was created
+ *       - in: query
+ *         name: specificDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv, pdf]
+ *           default: xlsx
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated column keys in the order wanted, e.g. customerName,mobileNumber,city,stage,owner. Defaults to the lead, requirement and SCP columns.
+ *       - in: query
+ *         name: preset
+ *         schema:
+ *           type: string
+ *         description: Id of one of the caller's export presets; parameters given here win over the preset's
  *     responses:
  *       200:
- *         description: An Excel file containing the customer leads.
+ *         description: The exported file
  *         content:
  *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
  *             schema:
  *               type: string
  *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown columns, or too many leads for a PDF
  *       401:
  *         description: Unauthorized.
  *       403:
@@ -120,14 +211,28 @@ router.get('/import/sample', (req, res) => {
  *       404:
  *         description: No leads found for the selected criteria.
  */
-router.get('/export', auth(), exportCustomerLeadsController);
+router.get('/export', auth(), validate(customerLeadValidation.exportCustomerLeads), exportCustomerLeadsController);
 
 /**
  * @swagger
  * /customer-leads/import:
  *   post:
  *     summary: Import customer leads from a spreadsheet
+ *     description: |
+ *       Starts a background job and returns it straight away; follow it with GET /jobs/{jobId} or the `job-progress`
+ *       socket event. One row per requirement. Rows are grouped into customers by email, mobile number or name, and
+ *       each customer is created, or added to the lead that already has its phone number or email, in its own
+ *       transaction with real requirements and projects. Rows that fail validation are left out and written to the
+ *       job's error file, which can be fixed and imported again.
  *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only validate the rows and report what would happen, nothing is saved
  *     requestBody:
  *       required: true
  *       content:
@@ -139,8 +244,8 @@ router.get('/export', auth(), exportCustomerLeadsController);
  *                 type: string
  *                 format: binary
  *     responses:
- *       201:
- *         description: Leads imported successfully.
+ *       202:
+ *         description: Import queued.
  *         content:
  *           application/json:
  *             schema:
@@ -151,10 +256,87 @@ router.get('/export', auth(), exportCustomerLeadsController);
  *                   example: 1
  *                 message:
  *                   type: string
- *                 importedCount:
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Bad request, e.g., no file uploaded.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/import',
+  auth('manageLeads'),
+  validate(customerLeadValidation.importCustomerLeads),
+  upload.single('spreadsheet'),
+  importCustomerLeadsController
+);
+
+/**
+ * @swagger
+ * /customer-leads/scp-data/migrate:
+ *   post:
+ *     summary: Convert the SCP data of existing requirements to typed values
+ *     description: |
+ *       Starts a background job and returns it straight away; follow it with GET /jobs/{jobId} or the `job-progress`
+ *       socket event. Plot size, total area, road width, number of units, token advance, financing and target
+ *       completion date used to be stored as text. The job reads that text into measurements with units, numbers,
+ *       booleans and dates. Values it cannot read are cleared and listed for review on the requirement
+ *       (`scpDataReview`, see GET /customer-leads/scp-data/review). Requirements already converted are skipped, so
+ *       the job can be run again.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only count what would be converted and flagged, nothing is saved
+ *     responses:
+ *       202:
+ *         description: Migration queued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
  *                   type: integer
- *       207:
- *         description: Leads imported with some errors.
+ *                   example: 1
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/scp-data/migrate',
+  auth('manageLeads'),
+  validate(customerLeadValidation.migrateScpData),
+  scpDataController.migrateScpData
+);
+
+/**
+ * @swagger
+ * /customer-leads/locations/backfill:
+ *   post:
+ *     summary: Find the locations of leads, requirements and users saved before locations were kept
+ *     description: |
+ *       Starts a background job and returns it straight away; follow it with GET /jobs/{jobId} or the `job-progress`
+ *       socket event. Leads and requirements with a Google Maps link but no location, and users with a home base
+ *       link but no home base, get the coordinates of their link. Short links are followed. Links without
+ *       coordinates are counted as not located and tried again the next time the job runs.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Backfill queued.
  *         content:
  *           application/json:
  *             schema:
@@ -165,25 +347,171 @@ router.get('/export', auth(), exportCustomerLeadsController);
  *                   example: 1
  *                 message:
  *                   type: string
- *                 importedCount:
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/locations/backfill', auth('manageLeads'), locationController.backfillLocations);
+
+/**
+ * @swagger
+ * /customer-leads/scp-data/review:
+ *   get:
+ *     summary: List requirements with SCP values the migration could not read
+ *     description: Fix them with PATCH /customer-leads/{leadId}/requirements/{requirementId}/scp-data.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [plotSize, totalArea, roadWidth, numUnits, tokenAdvance, financing, targetCompletionDate]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
  *                   type: integer
- *                 errors:
+ *                   example: 1
+ *                 docs:
  *                   type: array
  *                   items:
  *                     type: object
+ *                     properties:
+ *                       lead:
+ *                         type: object
+ *                       projectName:
+ *                         type: string
+ *                       scpData:
+ *                         $ref: '#/components/schemas/ScpData'
+ *                       scpDataReview:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ScpDataReview'
+ *                 totalDocs:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/scp-data/review',
+  auth('manageLeads'),
+  validate(customerLeadValidation.getScpDataReview),
+  scpDataController.getScpDataReview
+);
+
+/**
+ * @swagger
+ * /customer-leads/inbound/{sourceKey}:
+ *   post:
+ *     summary: Receive a lead from a marketing form or ad platform
+ *     description: |
+ *       Webhook for the inbound lead sources set up under /inbound-lead-sources; it takes no bearer token or API key.
+ *       The raw request body must be signed with HMAC-SHA256 and the source's secret, and the signature sent in the
+ *       source's signature header as hex (optionally prefixed with `sha256=`) or base64. The payload is mapped to a
+ *       lead with the source's field mapping and created like any other lead, with the source's leadSource. Events
+ *       are deduplicated by the sender's event id, or by a hash of the body when the source has none, so a
+ *       redelivered event returns the lead created the first time. An event that failed is processed again.
+ *     tags: [Customer Leads]
+ *     parameters:
+ *       - in: path
+ *         name: sourceKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body; the header name is set per source
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Lead created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 duplicate:
+ *                   type: boolean
+ *                   example: false
+ *                 eventId:
+ *                   type: string
+ *                 leadId:
+ *                   type: string
+ *                 eventStatus:
+ *                   type: string
+ *                   example: processed
+ *       200:
+ *         description: Event already received, nothing was created
  *       400:
- *         description: Bad request, e.g., no file uploaded.
+ *         description: The payload does not map to a valid lead
+ *       401:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: No active source with this key
  */
-router.post('/import', upload.single('spreadsheet'), importCustomerLeadsController);
+router.post(
+  '/inbound/:sourceKey',
+  validate(inboundLeadSourceValidation.receiveInboundLead),
+  inboundLeadSourceController.receiveInboundLead
+);
 
 /**
  * @swagger
  * /customer-leads:
  *   post:
  *     summary: Submit customer lead data
+ *     description: |
+ *       Needs the manageLeads right, so integrations can push leads with an API key. The lead and each requirement
+ *       take `location` as `{ lat, lng }` (see LatLng); without it their location is found from `googleLocationLink`
+ *       and `scpData.googleLocationLink`. Requirements of a type with a form (see /requirement-forms) give their
+ *       answers in `formData`. Site visits in `scpData.siteVisits` are refused with 409 when their engineer is
+ *       already booked on those days, or booked twice in the request.
  *     tags: [Customer Leads]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -206,8 +534,15 @@ router.post('/import', upload.single('spreadsheet'), importCustomerLeadsControll
  *                   $ref: '#/components/schemas/CustomerLead'
  *       400:
  *         description: Invalid input
+ *       409:
+ *         $ref: '#/components/responses/ScheduleConflict'
  */
-router.post('/', auth(), validate(customerLeadValidation.createCustomerLead), transactional(createCustomerLeadService));
+router.post(
+  '/',
+  auth('manageLeads'),
+  validate(customerLeadValidation.createCustomerLead),
+  transactional(createCustomerLeadService)
+);
 
 /**
  * @swagger
@@ -274,6 +609,33 @@ router.post('/', auth(), validate(customerLeadValidation.createCustomerLead), tr
  *           type: string
  *           enum: [true, false]
  *         description: Filter by active status (true for active, false for inactive)
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *         description: Comma separated stage keys, e.g. qualified,site-visit-scheduled
+ *       - in: query
+ *         name: movedTo
+ *         schema:
+ *           type: string
+ *         description: Only leads that entered this stage, within stageChangedFrom/stageChangedTo when given
+ *       - in: query
+ *         name: stageChangedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Stage changed at or after this time (the last change, or the movedTo change)
+ *       - in: query
+ *         name: stageChangedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Stage changed at or before this time
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Owner's user id, or "none" for leads nobody owns
  *     responses:
  *       200:
  *         description: List of customer leads
@@ -336,6 +698,8 @@ router.get('/', listCustomerLeadsController);
  *                   type: string
  *                 googleLocationLink:
  *                   type: string
+ *                 location:
+ *                   $ref: '#/components/schemas/GeoPoint'
  *                 requirementType:
  *                   type: string
  *                 otherRequirement:
@@ -430,13 +794,14 @@ router.patch('/:id/deactivate', deactivateCustomerLeadController);
 
 /**
  * @swagger
- * /customer-leads/{id}:
- *   put:
- *     summary: Update a customer lead
- *     description: Update specific fields of a customer lead. Also supports optional updates to associated requirements.
+ * /customer-leads/{id}/stage:
+ *   patch:
+ *     summary: Move a customer lead to another pipeline stage
+ *     description: The move is added to the lead's stage history. Stages that require a reason, such as lost, reject the move without one.
  *     tags: [Customer Leads]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -450,28 +815,653 @@ router.patch('/:id/deactivate', deactivateCustomerLeadController);
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - stage
  *             properties:
- *               leadSource:
- *                 type: string
- *               customerName:
+ *               stage:
  *                 type: string
- *               mobileNumber:
- *                 type: string
- *               whatsappNumber:
+ *                 description: Key of a stage from GET /lead-stages
+ *               reason:
  *                 type: string
- *               email:
+ *               note:
  *                 type: string
- *                 format: email
- *               preferredLanguage:
+ *           example:
+ *             stage: lost
+ *             reason: Went with another builder
+ *     responses:
+ *       200:
+ *         description: The lead with its updated stage history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerLead'
+ *       400:
+ *         description: Unknown stage, lead already in the stage, or missing reason
+ *       404:
+ *         description: Customer lead not found
+ */
+router.patch(
+  '/:id/stage',
+  auth('manageLeads'),
+  validate(customerLeadValidation.changeLeadStage),
+  changeCustomerLeadStageController
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/follow-ups:
+ *   post:
+ *     summary: Schedule a follow-up on a customer lead
+ *     description: The assignee is reminded by socket (follow-up-reminder event) and email shortly before it is due. Without an assignee the follow-up is assigned to the caller.
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dueAt
+ *               - channel
+ *             properties:
+ *               dueAt:
  *                 type: string
- *               state:
+ *                 format: date-time
+ *               channel:
  *                 type: string
- *               city:
+ *                 enum: [call, whatsapp, visit]
+ *               note:
  *                 type: string
- *               googleLocationLink:
+ *               assignee:
  *                 type: string
- *                 format: uri
- *               isActive:
+ *                 description: User or admin id, required when calling with an API key
+ *           example:
+ *             dueAt: 2026-10-20T10:30:00.000Z
+ *             channel: call
+ *             note: Call back about the plot size
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 followUp:
+ *                   $ref: '#/components/schemas/LeadFollowUp'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Customer lead not found
+ *   get:
+ *     summary: List the follow-ups of a customer lead
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, done, cancelled]
+ *     responses:
+ *       200:
+ *         description: Follow-ups, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadFollowUp'
+ */
+router
+  .route('/:id/follow-ups')
+  .post(auth('manageLeads'), validate(leadFollowUpValidation.createFollowUp), leadFollowUpController.createFollowUp)
+  .get(auth('manageLeads'), validate(leadFollowUpValidation.getLeadFollowUps), leadFollowUpController.getLeadFollowUps);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/activities:
+ *   post:
+ *     summary: Log a note, call or WhatsApp conversation on a customer lead
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [note, call, whatsapp]
+ *               note:
+ *                 type: string
+ *                 description: The note, or what was discussed; optional for calls
+ *               direction:
+ *                 type: string
+ *                 enum: [inbound, outbound]
+ *                 description: Calls and WhatsApp conversations only
+ *               durationMinutes:
+ *                 type: number
+ *                 description: Calls only
+ *               outcome:
+ *                 type: string
+ *               requirement:
+ *                 type: string
+ *                 description: The requirement it was about
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When it happened, defaults to now
+ *           example:
+ *             type: call
+ *             direction: outbound
+ *             durationMinutes: 12
+ *             outcome: Interested, wants a site visit next week
+ *             note: Asked about the plot size and budget
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 activity:
+ *                   $ref: '#/components/schemas/LeadActivity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Customer lead not found
+ *   get:
+ *     summary: The activity timeline of a customer lead
+ *     description: Notes, calls and WhatsApp conversations logged by the team, and entries recorded by the system when a requirement is added or shared, a site visit is scheduled or completed, a proposal is sent, or a project changes status. Newest first.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma separated activity types, e.g. note,call,whatsapp
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadActivity'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       404:
+ *         description: Customer lead not found
+ */
+router
+  .route('/:id/activities')
+  .post(auth('manageLeads'), validate(leadActivityValidation.logLeadActivity), leadActivityController.logLeadActivity)
+  .get(auth('manageLeads'), validate(leadActivityValidation.getLeadActivities), leadActivityController.getLeadActivities);
+
+/**
+ * @swagger
+ * /customer-leads/reassign:
+ *   post:
+ *     summary: Move the open leads of a sales admin to someone else
+ *     description: For when an owner leaves or goes on leave. Without "to", each lead goes through the assignment rules, never back to "from"; leads no rule can place keep their owner and are listed in "unassigned". Leads in a won or lost stage are not moved.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               leadIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only these of their leads
+ *               reason:
+ *                 type: string
+ *           example:
+ *             from: 5ebac534954b54139806c123
+ *             reason: On leave until November
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 matched:
+ *                   type: integer
+ *                 reassigned:
+ *                   type: integer
+ *                 unassigned:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post(
+  '/reassign',
+  auth('manageLeads'),
+  validate(leadAssignmentValidation.reassignLeads),
+  leadAssignmentController.reassignLeads
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/owner:
+ *   patch:
+ *     summary: Hand a customer lead to a sales admin
+ *     description: The new owner is told by socket (lead-assigned event) and email. An owner of null removes the owner.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - owner
+ *             properties:
+ *               owner:
+ *                 type: string
+ *                 nullable: true
+ *                 description: An active sales admin
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 owner:
+ *                   type: object
+ *                 ownerAssignedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Customer lead not found
+ */
+router.patch(
+  '/:id/owner',
+  auth('manageLeads'),
+  validate(leadAssignmentValidation.assignLeadOwner),
+  leadAssignmentController.assignLeadOwner
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/owner/auto-assign:
+ *   post:
+ *     summary: Pick the owner of a customer lead with the assignment rules again
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: No rule applies to the lead or has anyone to assign
+ *       404:
+ *         description: Customer lead not found
+ */
+router.post(
+  '/:id/owner/auto-assign',
+  auth('manageLeads'),
+  validate(leadAssignmentValidation.getLeadOwnership),
+  leadAssignmentController.reapplyAssignmentRules
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/owner/history:
+ *   get:
+ *     summary: Current and previous owners of a customer lead
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 owner:
+ *                   type: object
+ *                 ownerAssignedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 history:
+ *                   type: array
+ *                   description: Newest first
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadOwnerChange'
+ *       404:
+ *         description: Customer lead not found
+ */
+router.get(
+  '/:id/owner/history',
+  auth('manageLeads'),
+  validate(leadAssignmentValidation.getLeadOwnership),
+  leadAssignmentController.getLeadOwnerHistory
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/duplicates:
+ *   get:
+ *     summary: Find leads that may be the same customer
+ *     description: Matches on any shared phone number (compared in E.164, so "+91 98765 43210" and "09876543210" match), the same email, or a similar name in a similar city. Best matches first.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     responses:
+ *       200:
+ *         description: Possible duplicates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadDuplicate'
+ *       404:
+ *         description: Customer lead not found
+ */
+router.get(
+  '/:id/duplicates',
+  auth('manageLeads'),
+  validate(customerLeadValidation.getLeadDuplicates),
+  getLeadDuplicatesController
+);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate leads into this lead
+ *     description: Requirements, projects, site visits, requirement shares, follow-ups, timeline entries and requirement revisions of the duplicates move to this lead, and contact details it is missing are copied over. The duplicates are deleted; an audit record of each merge is kept, and a lead-merged entry is added to this lead's timeline. This lead keeps its pipeline stage.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The lead that survives the merge
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateIds
+ *             properties:
+ *               duplicateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The surviving lead and the merge records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerLead'
+ *                 merges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadMerge'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Customer lead or duplicate not found
+ */
+router.post('/:id/merge', auth('manageLeads'), validate(customerLeadValidation.mergeLeads), mergeLeadsController);
+
+/**
+ * @swagger
+ * /customer-leads/{id}/merges:
+ *   get:
+ *     summary: Audit records of leads merged into this lead
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     responses:
+ *       200:
+ *         description: Merge records, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadMerge'
+ */
+router.get('/:id/merges', auth('manageLeads'), validate(customerLeadValidation.getLeadDuplicates), getLeadMergesController);
+
+/**
+ * @swagger
+ * /customer-leads/{id}:
+ *   put:
+ *     summary: Update a customer lead
+ *     description: Update specific fields of a customer lead. Also supports optional updates to associated requirements.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer lead ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               leadSource:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *               mobileNumber:
+ *                 type: string
+ *               whatsappNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               preferredLanguage:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               googleLocationLink:
+ *                 type: string
+ *                 format: uri
+ *               isActive:
  *                 type: boolean
  *               requirementsToUpdate:
  *                 type: array
@@ -511,7 +1501,193 @@ router.patch('/:id/deactivate', deactivateCustomerLeadController);
  *               requirementType: "New Construction"
  *     responses:
  *       200:
- *         description: Customer lead updated successfully
+ *         description: Customer lead updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 message:
+ *                   type: string
+ *                   example: Customer lead updated successfully.
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Bad Request (e.g., validation error)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Customer lead not found
+ */
+router.put(
+  '/:id',
+  auth(),
+  validate(customerLeadValidation.updateCustomerLead),
+  transactional(updateCustomerLeadService)
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/share:
+ *   post:
+ *     summary: Share a specific requirement with one or more users
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the customer lead
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the requirement to share
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of user IDs to share the requirement with
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When access ends. Without it the share lasts until revoked. Users who still have access only get the new expiry; expired shares are replaced.
+ *             example:
+ *               userIds: ["64f57c1a7baf4a001f68b111", "64f57c1a7baf4a001f68b222"]
+ *               expiresAt: "2026-12-31T18:30:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Requirement shared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 message:
+ *                   type: string
+ *                   example: Requirement shared successfully.
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Bad Request (e.g., already shared with user)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Customer lead or requirement not found
+ */
+router.post(
+  '/:leadId/requirements/:requirementId/share',
+  auth('manageLeads'),
+  validate(customerLeadValidation.shareRequirement),
+  shareRequirementForUserController
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/access:
+ *   get:
+ *     summary: List who a requirement is shared with
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeExpired
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list shares that have expired
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RequirementShare'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Customer lead or requirement not found
+ */
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/scp-data:
+ *   patch:
+ *     summary: Change the SCP data of a requirement
+ *     description: |
+ *       Only the fields given are changed. Typed fields take their value or text such as "5000 sq ft", "Yes" or
+ *       "31/03/2025"; a number without a unit is in sq ft or ft. Setting a field flagged by the SCP data migration,
+ *       to a value or to null, takes it off the review list.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScpData'
+ *           example:
+ *             plotSize: { value: 5000, unit: sqft }
+ *             roadWidth: 20 ft
+ *             numUnits: 3
+ *             tokenAdvance: true
+ *             targetCompletionDate: "2025-03-31"
+ *     responses:
+ *       200:
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
@@ -520,30 +1696,33 @@ router.patch('/:id/deactivate', deactivateCustomerLeadController);
  *                 status:
  *                   type: integer
  *                   example: 1
- *                 message:
- *                   type: string
- *                   example: Customer lead updated successfully.
- *                 data:
+ *                 requirement:
  *                   type: object
  *       400:
- *         description: Bad Request (e.g., validation error)
+ *         description: A value that cannot be read, e.g. "about 5000"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
- *         description: Customer lead not found
+ *         description: Requirement not found for this lead
  */
-router.put(
-  '/:id',
-  auth(),
-  validate(customerLeadValidation.updateCustomerLead),
-  transactional(updateCustomerLeadService)
+router.patch(
+  '/:leadId/requirements/:requirementId/scp-data',
+  auth('manageLeads'),
+  validate(customerLeadValidation.updateRequirementScpData),
+  scpDataController.updateRequirementScpData
 );
 
 /**
  * @swagger
- * /customer-leads/{leadId}/requirements/{requirementId}/share:
- *   post:
- *     summary: Share a specific requirement with one or more users
+ * /customer-leads/{leadId}/requirements/{requirementId}/form-data:
+ *   patch:
+ *     summary: Change a requirement's answers to the form of its type
+ *     description: |
+ *       Answers not given are kept and null clears one. The answers as a whole are then checked against the current
+ *       form of the requirement type (GET /requirement-forms/schema), so this is also how required fields left empty
+ *       by an import are filled in. The change is kept as a revision.
  *     tags: [Customer Leads]
  *     security:
  *       - bearerAuth: []
@@ -553,32 +1732,24 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: The ID of the customer lead
  *       - in: path
  *         name: requirementId
  *         required: true
  *         schema:
  *           type: string
- *         description: The ID of the requirement to share
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - userIds
- *             properties:
- *               userIds:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of user IDs to share the requirement with
- *             example:
- *               userIds: ["64f57c1a7baf4a001f68b111", "64f57c1a7baf4a001f68b222"]
+ *             additionalProperties: true
+ *           example:
+ *             kitchenArea: 120 sq ft
+ *             layout: l-shape
  *     responses:
  *       200:
- *         description: Requirement shared successfully
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
@@ -587,27 +1758,390 @@ router.put(
  *                 status:
  *                   type: integer
  *                   example: 1
- *                 message:
- *                   type: string
- *                   example: Requirement shared successfully.
- *                 data:
+ *                 requirement:
  *                   type: object
  *       400:
- *         description: Bad Request (e.g., already shared with user)
+ *         description: The answers do not satisfy the form, or the requirement type has no form
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Customer lead or requirement not found
+ *         description: Requirement not found for this lead
+ */
+router.patch(
+  '/:leadId/requirements/:requirementId/form-data',
+  auth('manageLeads'),
+  validate(customerLeadValidation.updateRequirementFormData),
+  requirementFormController.updateRequirementFormData
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/revisions:
+ *   get:
+ *     summary: List the revisions of a requirement, newest first
+ *     description: |
+ *       A revision is kept for every change to a requirement's details, SCP data or files: when it is created (by
+ *       hand, by an import or by an inbound lead), when a site visit's findings are saved to it, when its SCP data is
+ *       edited and when it is rolled back. Each has its author, source and the fields that changed. Requirements
+ *       created before revisions were kept start with a baseline revision of how they looked before their first
+ *       change.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RequirementRevision'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Requirement not found for this lead
+ */
+router.get(
+  '/:leadId/requirements/:requirementId/revisions',
+  auth('manageLeads'),
+  validate(requirementRevisionValidation.getRequirementRevisions),
+  requirementRevisionController.getRequirementRevisions
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/revisions/compare:
+ *   get:
+ *     summary: Compare two revisions of a requirement
+ *     description: Lists the fields that differ, with their values in `from` and in `to`. Either may be the older one.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 from:
+ *                   type: object
+ *                   description: number, source, author and createdAt of the revision
+ *                 to:
+ *                   type: object
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RequirementRevisionChange'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Requirement or revision not found
+ */
+router.get(
+  '/:leadId/requirements/:requirementId/revisions/compare',
+  auth('manageLeads'),
+  validate(requirementRevisionValidation.compareRequirementRevisions),
+  requirementRevisionController.compareRequirementRevisions
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/revisions/{number}:
+ *   get:
+ *     summary: Get a revision of a requirement with the requirement's details as they were
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 revision:
+ *                   $ref: '#/components/schemas/RequirementRevision'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Requirement or revision not found
+ */
+router.get(
+  '/:leadId/requirements/:requirementId/revisions/:number',
+  auth('manageLeads'),
+  validate(requirementRevisionValidation.getRequirementRevision),
+  requirementRevisionController.getRequirementRevision
+);
+
+/**
+ * @swagger
+ * /customer-leads/{leadId}/requirements/{requirementId}/revisions/{number}/rollback:
+ *   post:
+ *     summary: Roll a requirement back to an earlier revision
+ *     description: |
+ *       Its details, SCP data and files are put back the way they were at the revision. The rollback is kept as a new
+ *       revision, so it can be undone by rolling back to the revision before it. Sharing is not affected.
+ *     tags: [Customer Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 requirement:
+ *                   type: object
+ *                 revision:
+ *                   $ref: '#/components/schemas/RequirementRevision'
+ *       400:
+ *         description: The requirement already matches the revision
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Requirement or revision not found
  */
 router.post(
-  '/:leadId/requirements/:requirementId/share',
+  '/:leadId/requirements/:requirementId/revisions/:number/rollback',
   auth('manageLeads'),
-  validate(customerLeadValidation.shareRequirement),
-  shareRequirementForUserController
+  validate(requirementRevisionValidation.getRequirementRevision),
+  requirementRevisionController.rollbackRequirement
+);
+
+router.get(
+  '/:leadId/requirements/:requirementId/access',
+  auth('manageLeads'),
+  validate(customerLeadValidation.getRequirementAccess),
+  requirementShareController.getRequirementAccess
 );
 
+router
+  .route('/:leadId/requirements/:requirementId/share/:userId')
+  /**
+   * @swagger
+   * /customer-leads/{leadId}/requirements/{requirementId}/share/{userId}:
+   *   patch:
+   *     summary: Change when a user's access to a requirement ends
+   *     tags: [Customer Leads]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: leadId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: requirementId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - expiresAt
+   *             properties:
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *                 description: A future time, or null to keep the share until revoked
+   *     responses:
+   *       200:
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 share:
+   *                   $ref: '#/components/schemas/RequirementShare'
+   *       400:
+   *         description: Bad Request
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Requirement not found, or not shared with the user
+   */
+  .patch(
+    auth('manageLeads'),
+    validate(customerLeadValidation.updateRequirementShare),
+    requirementShareController.updateRequirementShare
+  )
+  /**
+   * @swagger
+   * /customer-leads/{leadId}/requirements/{requirementId}/share/{userId}:
+   *   delete:
+   *     summary: Revoke a user's access to a requirement
+   *     description: Recorded on the lead's timeline. Share again to give access back.
+   *     tags: [Customer Leads]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: leadId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: requirementId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       204:
+   *         description: No content
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Requirement not found, or not shared with the user
+   */
+  .delete(
+    auth('manageLeads'),
+    validate(customerLeadValidation.revokeRequirementShare),
+    requirementShareController.revokeRequirementShare
+  );
+
 /**
  * @swagger
  * /customer-leads/shared-with/{userId}:
@@ -0,0 +1,209 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as exportPresetValidation from '../../validations/exportPreset.validation.js';
+import * as exportPresetController from '../../controllers/exportPreset.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Export Presets
+ *   description: Saved columns, format and filters for the lead and user exports, kept per user
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /export-presets:
+   *   post:
+   *     summary: Save an export preset
+   *     description: Use it with the preset parameter of GET /customer-leads/export or GET /users/export.
+   *     tags: [Export Presets]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - resource
+   *               - name
+   *             properties:
+   *               resource:
+   *                 type: string
+   *                 enum: [customer-leads, users]
+   *               name:
+   *                 type: string
+   *                 description: Unique among the caller's presets for the resource
+   *               format:
+   *                 type: string
+   *                 enum: [xlsx, csv, pdf]
+   *                 default: xlsx
+   *               columns:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 description: Column keys in order; empty for the default columns
+   *               filters:
+   *                 type: object
+   *                 description: Query parameters of the resource's export, e.g. stage or dateFilterType
+   *           example:
+   *             resource: customer-leads
+   *             name: Qualified in Pune
+   *             format: csv
+   *             columns: [customerName, mobileNumber, city, stage, owner, requirementType, budget]
+   *             filters:
+   *               stage: qualified
+   *               city: Pune
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 preset:
+   *                   $ref: '#/components/schemas/ExportPreset'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  .post(auth(), validate(exportPresetValidation.createExportPreset), exportPresetController.createExportPreset)
+  /**
+   * @swagger
+   * /export-presets:
+   *   get:
+   *     summary: List the caller's export presets
+   *     tags: [Export Presets]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: resource
+   *         schema:
+   *           type: string
+   *           enum: [customer-leads, users]
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ExportPreset'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  .get(auth(), validate(exportPresetValidation.getExportPresets), exportPresetController.getExportPresets);
+
+router
+  .route('/:presetId')
+  /**
+   * @swagger
+   * /export-presets/{presetId}:
+   *   get:
+   *     summary: Get one of the caller's export presets
+   *     tags: [Export Presets]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: presetId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth(), validate(exportPresetValidation.getExportPreset), exportPresetController.getExportPreset)
+  /**
+   * @swagger
+   * /export-presets/{presetId}:
+   *   patch:
+   *     summary: Update one of the caller's export presets
+   *     description: New columns or filters replace the old ones. The resource cannot be changed.
+   *     tags: [Export Presets]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: presetId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               format:
+   *                 type: string
+   *                 enum: [xlsx, csv, pdf]
+   *               columns:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               filters:
+   *                 type: object
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth(), validate(exportPresetValidation.updateExportPreset), exportPresetController.updateExportPreset)
+  /**
+   * @swagger
+   * /export-presets/{presetId}:
+   *   delete:
+   *     summary: Delete one of the caller's export presets
+   *     tags: [Export Presets]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: presetId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth(), validate(exportPresetValidation.getExportPreset), exportPresetController.deleteExportPreset);
+
+export default router;
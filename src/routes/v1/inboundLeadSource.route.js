@@ -0,0 +1,350 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as inboundLeadSourceValidation from '../../validations/inboundLeadSource.validation.js';
+import * as inboundLeadSourceController from '../../controllers/inboundLeadSource.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inbound Lead Sources
+ *   description: Marketing forms and ad platforms that push leads to POST /customer-leads/inbound/{sourceKey}
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /inbound-lead-sources:
+   *   post:
+   *     summary: Set up an inbound lead source
+   *     description: The signing secret is only returned in this response and when it is rotated. Leads from the source are created in the name of whoever set it up.
+   *     tags: [Inbound Lead Sources]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - key
+   *               - name
+   *               - leadSource
+   *               - mapping
+   *             properties:
+   *               key:
+   *                 type: string
+   *                 description: Lowercase letters, digits and dashes, used in the webhook URL
+   *               name:
+   *                 type: string
+   *               leadSource:
+   *                 type: string
+   *               signatureHeader:
+   *                 type: string
+   *                 default: x-signature
+   *               eventIdHeader:
+   *                 type: string
+   *               eventIdPath:
+   *                 type: string
+   *               mapping:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/InboundLeadFieldMapping'
+   *               isActive:
+   *                 type: boolean
+   *           example:
+   *             key: website-contact-form
+   *             name: Website contact form
+   *             leadSource: Website
+   *             eventIdPath: submission.id
+   *             mapping:
+   *               - field: customerName
+   *                 path: submission.name
+   *               - field: mobileNumber
+   *                 path: submission.phone
+   *               - field: email
+   *                 path: submission.email
+   *               - field: city
+   *                 path: submission.city
+   *               - field: requirement.requirementType
+   *                 value: Architecture
+   *               - field: requirement.requirementDescription
+   *                 path: submission.message
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 source:
+   *                   $ref: '#/components/schemas/InboundLeadSource'
+   *                 secret:
+   *                   type: string
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(
+    auth('manageLeads'),
+    validate(inboundLeadSourceValidation.createInboundLeadSource),
+    inboundLeadSourceController.createInboundLeadSource
+  )
+  /**
+   * @swagger
+   * /inbound-lead-sources:
+   *   get:
+   *     summary: List inbound lead sources
+   *     tags: [Inbound Lead Sources]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/InboundLeadSource'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(auth('manageLeads'), inboundLeadSourceController.getInboundLeadSources);
+
+router
+  .route('/:sourceId')
+  /**
+   * @swagger
+   * /inbound-lead-sources/{sourceId}:
+   *   get:
+   *     summary: Get an inbound lead source
+   *     tags: [Inbound Lead Sources]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sourceId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(
+    auth('manageLeads'),
+    validate(inboundLeadSourceValidation.getInboundLeadSource),
+    inboundLeadSourceController.getInboundLeadSource
+  )
+  /**
+   * @swagger
+   * /inbound-lead-sources/{sourceId}:
+   *   patch:
+   *     summary: Update an inbound lead source
+   *     description: The key cannot be changed since senders post to it. A new mapping replaces the old one.
+   *     tags: [Inbound Lead Sources]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sourceId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               leadSource:
+   *                 type: string
+   *               signatureHeader:
+   *                 type: string
+   *               eventIdHeader:
+   *                 type: string
+   *               eventIdPath:
+   *                 type: string
+   *               mapping:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/InboundLeadFieldMapping'
+   *               isActive:
+   *                 type: boolean
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(
+    auth('manageLeads'),
+    validate(inboundLeadSourceValidation.updateInboundLeadSource),
+    inboundLeadSourceController.updateInboundLeadSource
+  )
+  /**
+   * @swagger
+   * /inbound-lead-sources/{sourceId}:
+   *   delete:
+   *     summary: Delete an inbound lead source
+   *     description: Its events are kept. Set isActive to false instead to pause it.
+   *     tags: [Inbound Lead Sources]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sourceId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(
+    auth('manageLeads'),
+    validate(inboundLeadSourceValidation.getInboundLeadSource),
+    inboundLeadSourceController.deleteInboundLeadSource
+  );
+
+/**
+ * @swagger
+ * /inbound-lead-sources/{sourceId}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret of a source
+ *     description: Requests signed with the old secret are refused as soon as this returns.
+ *     tags: [Inbound Lead Sources]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 source:
+ *                   $ref: '#/components/schemas/InboundLeadSource'
+ *                 secret:
+ *                   type: string
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post(
+  '/:sourceId/rotate-secret',
+  auth('manageLeads'),
+  validate(inboundLeadSourceValidation.getInboundLeadSource),
+  inboundLeadSourceController.rotateInboundLeadSourceSecret
+);
+
+/**
+ * @swagger
+ * /inbound-lead-sources/{sourceId}/events:
+ *   get:
+ *     summary: Recent events received from a source
+ *     tags: [Inbound Lead Sources]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InboundLeadEvent'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get(
+  '/:sourceId/events',
+  auth('manageLeads'),
+  validate(inboundLeadSourceValidation.getInboundLeadEvents),
+  inboundLeadSourceController.getInboundLeadEvents
+);
+
+export default router;
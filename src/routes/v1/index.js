@@ -18,6 +18,17 @@ import projectAssignmentPaymentRoute from './projectAssignmentPayment.route.js';
 import walletTransactionRoute from './walletTransaction.route.js';
 import messageRoute from './message.route.js';
 import socketRoute from './socket.route.js';
+import roleRoute from './role.route.js';
+import loginAuditRoute from './loginAudit.route.js';
+import apiKeyRoute from './apiKey.route.js';
+import leadStageRoute from './leadStage.route.js';
+import leadFollowUpRoute from './leadFollowUp.route.js';
+import jobRoute from './job.route.js';
+import analyticsRoute from './analytics.route.js';
+import inboundLeadSourceRoute from './inboundLeadSource.route.js';
+import leadAssignmentRuleRoute from './leadAssignmentRule.route.js';
+import exportPresetRoute from './exportPreset.route.js';
+import requirementFormRoute from './requirementForm.route.js';
 
 const router = express.Router();
 
@@ -30,6 +41,38 @@ const defaultRoutes = [
     path: '/customer-leads',
     route: customerLeadRoute,
   },
+  {
+    path: '/lead-stages',
+    route: leadStageRoute,
+  },
+  {
+    path: '/follow-ups',
+    route: leadFollowUpRoute,
+  },
+  {
+    path: '/jobs',
+    route: jobRoute,
+  },
+  {
+    path: '/analytics',
+    route: analyticsRoute,
+  },
+  {
+    path: '/inbound-lead-sources',
+    route: inboundLeadSourceRoute,
+  },
+  {
+    path: '/lead-assignment-rules',
+    route: leadAssignmentRuleRoute,
+  },
+  {
+    path: '/export-presets',
+    route: exportPresetRoute,
+  },
+  {
+    path: '/requirement-forms',
+    route: requirementFormRoute,
+  },
   // {
   //   path: '/superadmin/',
   //   route: superAdminRoute,
@@ -46,6 +89,18 @@ const defaultRoutes = [
     path: '/users',
     route: userRoute,
   },
+  {
+    path: '/roles',
+    route: roleRoute,
+  },
+  {
+    path: '/login-audit',
+    route: loginAuditRoute,
+  },
+  {
+    path: '/api-keys',
+    route: apiKeyRoute,
+  },
   {
     path: '/site-visits',
     route: siteVisitRoute,
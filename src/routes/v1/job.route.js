@@ -0,0 +1,136 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as jobValidation from '../../validations/job.validation.js';
+import * as jobController from '../../controllers/job.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background jobs such as spreadsheet imports. Progress is also sent as `job-progress` socket events.
+ *     Every job is started from a manageLeads endpoint, so the same right reads them, for API keys as well as users.
+ */
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: My most recent jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [lead-import, scp-data-migration, location-backfill]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', auth('manageLeads'), validate(jobValidation.getJobs), jobController.getJobs);
+
+/**
+ * @swagger
+ * /jobs/{jobId}:
+ *   get:
+ *     summary: Get the status, progress and result of one of my jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:jobId', auth('manageLeads'), validate(jobValidation.getJob), jobController.getJob);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/error-file:
+ *   get:
+ *     summary: Download the items one of my jobs could not process
+ *     description: For lead imports, the rejected rows with their original columns, row number and errors.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: The error file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:jobId/error-file', auth('manageLeads'), validate(jobValidation.getJob), jobController.downloadErrorFile);
+
+export default router;
@@ -0,0 +1,240 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as leadAssignmentValidation from '../../validations/leadAssignment.validation.js';
+import * as leadAssignmentController from '../../controllers/leadAssignment.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lead Assignment Rules
+ *   description: Rules that pick the owner of new customer leads
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /lead-assignment-rules:
+   *   post:
+   *     summary: Create a lead assignment rule
+   *     description: Rules are tried from the lowest priority up, and the first rule that matches a new lead and has an assignee under its cap gives the lead its owner. An empty match list matches any lead, and a rule without assignees picks from all active sales admins.
+   *     tags: [Lead Assignment Rules]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *               priority:
+   *                 type: integer
+   *                 default: 0
+   *               isActive:
+   *                 type: boolean
+   *               match:
+   *                 $ref: '#/components/schemas/LeadAssignmentMatch'
+   *               assignees:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 description: Active sales admins
+   *               strategy:
+   *                 type: string
+   *                 enum: [round-robin, least-loaded]
+   *                 default: round-robin
+   *               maxOpenLeads:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Skip assignees who already own this many open leads
+   *           example:
+   *             name: Pune territory
+   *             priority: 1
+   *             match:
+   *               cities: [Pune]
+   *             assignees: [5ebac534954b54139806c112, 5ebac534954b54139806c113]
+   *             strategy: least-loaded
+   *             maxOpenLeads: 40
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 rule:
+   *                   $ref: '#/components/schemas/LeadAssignmentRule'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(
+    auth('manageLeads'),
+    validate(leadAssignmentValidation.createLeadAssignmentRule),
+    leadAssignmentController.createLeadAssignmentRule
+  )
+  /**
+   * @swagger
+   * /lead-assignment-rules:
+   *   get:
+   *     summary: List lead assignment rules in the order they are tried
+   *     tags: [Lead Assignment Rules]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/LeadAssignmentRule'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(auth('manageLeads'), leadAssignmentController.getLeadAssignmentRules);
+
+router
+  .route('/:ruleId')
+  /**
+   * @swagger
+   * /lead-assignment-rules/{ruleId}:
+   *   get:
+   *     summary: Get a lead assignment rule
+   *     tags: [Lead Assignment Rules]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: ruleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(
+    auth('manageLeads'),
+    validate(leadAssignmentValidation.getLeadAssignmentRule),
+    leadAssignmentController.getLeadAssignmentRule
+  )
+  /**
+   * @swagger
+   * /lead-assignment-rules/{ruleId}:
+   *   patch:
+   *     summary: Update a lead assignment rule
+   *     description: Match lists are changed one by one. Changing the assignees restarts the round-robin. A maxOpenLeads of null removes the cap.
+   *     tags: [Lead Assignment Rules]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: ruleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               priority:
+   *                 type: integer
+   *               isActive:
+   *                 type: boolean
+   *               match:
+   *                 $ref: '#/components/schemas/LeadAssignmentMatch'
+   *               assignees:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               strategy:
+   *                 type: string
+   *                 enum: [round-robin, least-loaded]
+   *               maxOpenLeads:
+   *                 type: integer
+   *                 nullable: true
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(
+    auth('manageLeads'),
+    validate(leadAssignmentValidation.updateLeadAssignmentRule),
+    leadAssignmentController.updateLeadAssignmentRule
+  )
+  /**
+   * @swagger
+   * /lead-assignment-rules/{ruleId}:
+   *   delete:
+   *     summary: Delete a lead assignment rule
+   *     description: Leads keep the owners the rule gave them.
+   *     tags: [Lead Assignment Rules]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: ruleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(
+    auth('manageLeads'),
+    validate(leadAssignmentValidation.getLeadAssignmentRule),
+    leadAssignmentController.deleteLeadAssignmentRule
+  );
+
+export default router;
@@ -0,0 +1,227 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as leadFollowUpValidation from '../../validations/leadFollowUp.validation.js';
+import * as leadFollowUpController from '../../controllers/leadFollowUp.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Follow-ups
+ *   description: Call-backs, WhatsApp messages and visits scheduled on customer leads
+ */
+
+/**
+ * @swagger
+ * /follow-ups/due-today:
+ *   get:
+ *     summary: My pending follow-ups due today
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadFollowUp'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/due-today', auth(), leadFollowUpController.getDueToday);
+
+/**
+ * @swagger
+ * /follow-ups/overdue:
+ *   get:
+ *     summary: My pending follow-ups that are past due
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadFollowUp'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/overdue', auth(), leadFollowUpController.getOverdue);
+
+router
+  .route('/:followUpId')
+  /**
+   * @swagger
+   * /follow-ups/{followUpId}:
+   *   patch:
+   *     summary: Reschedule, reassign or edit a pending follow-up
+   *     description: Changing the due date or the assignee sends the reminder again.
+   *     tags: [Follow-ups]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: followUpId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               dueAt:
+   *                 type: string
+   *                 format: date-time
+   *               channel:
+   *                 type: string
+   *                 enum: [call, whatsapp, visit]
+   *               note:
+   *                 type: string
+   *               assignee:
+   *                 type: string
+   *                 description: User or admin id
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 followUp:
+   *                   $ref: '#/components/schemas/LeadFollowUp'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth('manageLeads'), validate(leadFollowUpValidation.updateFollowUp), leadFollowUpController.updateFollowUp)
+  /**
+   * @swagger
+   * /follow-ups/{followUpId}:
+   *   delete:
+   *     summary: Cancel a pending follow-up
+   *     description: The follow-up is kept with status cancelled.
+   *     tags: [Follow-ups]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: followUpId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 followUp:
+   *                   $ref: '#/components/schemas/LeadFollowUp'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth('manageLeads'), validate(leadFollowUpValidation.cancelFollowUp), leadFollowUpController.cancelFollowUp);
+
+/**
+ * @swagger
+ * /follow-ups/{followUpId}/complete:
+ *   post:
+ *     summary: Record the outcome of a follow-up
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: followUpId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *           example:
+ *             outcome: Interested, wants a site visit next week
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 followUp:
+ *                   $ref: '#/components/schemas/LeadFollowUp'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post(
+  '/:followUpId/complete',
+  auth('manageLeads'),
+  validate(leadFollowUpValidation.completeFollowUp),
+  leadFollowUpController.completeFollowUp
+);
+
+export default router;
@@ -0,0 +1,189 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as leadStageValidation from '../../validations/leadStage.validation.js';
+import * as leadStageController from '../../controllers/leadStage.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lead Stages
+ *   description: Stages of the sales pipeline customer leads move through
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /lead-stages:
+   *   get:
+   *     summary: Get the pipeline
+   *     description: Stages in pipeline order. The default pipeline is created on first use.
+   *     tags: [Lead Stages]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/LeadStage'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  .get(auth(), leadStageController.getLeadStages)
+  /**
+   * @swagger
+   * /lead-stages:
+   *   post:
+   *     summary: Add a stage to the pipeline
+   *     tags: [Lead Stages]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - key
+   *               - name
+   *               - order
+   *             properties:
+   *               key:
+   *                 type: string
+   *                 description: Lowercase letters, digits and dashes
+   *               name:
+   *                 type: string
+   *               order:
+   *                 type: number
+   *               outcome:
+   *                 type: string
+   *                 enum: [open, won, lost]
+   *                 default: open
+   *               requiresReason:
+   *                 type: boolean
+   *           example:
+   *             key: negotiation
+   *             name: Negotiation
+   *             order: 55
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 stage:
+   *                   $ref: '#/components/schemas/LeadStage'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(auth('manageLeads'), validate(leadStageValidation.createLeadStage), leadStageController.createLeadStage);
+
+router
+  .route('/:stageId')
+  /**
+   * @swagger
+   * /lead-stages/{stageId}:
+   *   patch:
+   *     summary: Update a stage
+   *     description: Rename, reorder or change whether a reason is required. System stages keep their outcome and whether they require a reason.
+   *     tags: [Lead Stages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: stageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               order:
+   *                 type: number
+   *               outcome:
+   *                 type: string
+   *                 enum: [open, won, lost]
+   *               requiresReason:
+   *                 type: boolean
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 stage:
+   *                   $ref: '#/components/schemas/LeadStage'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth('manageLeads'), validate(leadStageValidation.updateLeadStage), leadStageController.updateLeadStage)
+  /**
+   * @swagger
+   * /lead-stages/{stageId}:
+   *   delete:
+   *     summary: Delete a stage
+   *     description: Only stages that are not system stages and have no leads in them can be deleted.
+   *     tags: [Lead Stages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: stageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth('manageLeads'), validate(leadStageValidation.deleteLeadStage), leadStageController.deleteLeadStage);
+
+export default router;
@@ -0,0 +1,143 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as loginAuditValidation from '../../validations/loginAudit.validation.js';
+import * as loginAuditController from '../../controllers/loginAudit.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Login Audit
+ *   description: Login history and account lockout
+ */
+
+/**
+ * @swagger
+ * /login-audit/attempts:
+ *   get:
+ *     summary: Get the login history
+ *     description: Every password and OTP login attempt, newest first.
+ *     tags: [Login Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *         description: Email or mobile number used to log in
+ *       - in: query
+ *         name: principal
+ *         schema:
+ *           type: string
+ *         description: User or admin id
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid-credentials, unknown-account, locked, inactive, email-unverified, two-factor-required]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [password, otp, totp]
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. createdAt:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/attempts',
+  auth('manageUsers'),
+  validate(loginAuditValidation.getLoginAttempts),
+  loginAuditController.getLoginAttempts
+);
+
+/**
+ * @swagger
+ * /login-audit/locked-accounts:
+ *   get:
+ *     summary: List accounts that are locked right now
+ *     tags: [Login Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/locked-accounts', auth('manageUsers'), loginAuditController.getLockedAccounts);
+
+/**
+ * @swagger
+ * /login-audit/accounts/{accountId}/unlock:
+ *   post:
+ *     summary: Unlock an account
+ *     description: Clears the lock and the failed login counter of a user or admin.
+ *     tags: [Login Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User or admin id
+ *     responses:
+ *       "200":
+ *         description: Account unlocked
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post(
+  '/accounts/:accountId/unlock',
+  auth('manageUsers'),
+  validate(loginAuditValidation.unlockAccount),
+  loginAuditController.unlockAccount
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
+import projectAccess, { fromBody, fromMessage, fromQuery } from '../../middlewares/projectAccess.js';
 import { transactional } from '../../utils/transactional.js';
 import * as messageValidation from '../../validations/message.validation.js';
 import * as messageController from '../../controllers/message.controller.js';
@@ -10,16 +11,16 @@ const router = express.Router();
 
 router
     .route('/')
-    .get(auth(), validate(messageValidation.getMessages), messageController.getMessages)
-    .post(auth(), validate(messageValidation.createMessage), transactional(messageService.createMessage));
+    .get(auth(), validate(messageValidation.getMessages), projectAccess(fromQuery('project')), messageController.getMessages)
+    .post(auth(), validate(messageValidation.createMessage), projectAccess(fromBody('project')), transactional(messageService.createMessage));
 
 router
     .route('/:messageId')
-    .get(auth(), validate(messageValidation.getMessage), messageController.getMessage)
-    .delete(auth(), validate(messageValidation.deleteMessage), messageController.deleteMessage);
+    .get(auth(), validate(messageValidation.getMessage), projectAccess(fromMessage()), messageController.getMessage)
+    .delete(auth(), validate(messageValidation.deleteMessage), projectAccess(fromMessage()), messageController.deleteMessage);
 
 router
     .route('/project/:projectId')
-    .get(auth(), validate(messageValidation.getProjectMessages), messageController.getProjectMessages);
+    .get(auth(), validate(messageValidation.getProjectMessages), projectAccess(), messageController.getProjectMessages);
 
 export default router; 
\ No newline at end of file
@@ -1,8 +1,11 @@
 import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
+import projectAccess from '../../middlewares/projectAccess.js';
 import * as projectValidation from '../../validations/project.validation.js';
 import * as projectController from '../../controllers/project.controller.js';
+import * as locationValidation from '../../validations/location.validation.js';
+import * as locationController from '../../controllers/location.controller.js';
 import { transactional } from '../../utils/transactional.js';
 // const projectValidation = require('../../validations/project.validation');
 // const projectController = require('../../controllers/project.controller');
@@ -128,51 +131,148 @@ router
  */
 router.get('/my-sitework-projects', auth(), projectController.getMySiteworkProjects);
 
+/**
+ * @swagger
+ * /projects/nearby:
+ *   get:
+ *     summary: Find projects whose site is within a distance of a place
+ *     description: |
+ *       Nearest first. A project's site is the location of its requirement, found from the requirement's Google Maps
+ *       link or given as lat/lng when the lead was created. Projects whose location is not known are left out.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated project statuses, e.g. Open,OnHold
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Projects near the place
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NearbyProject'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router
+    .route('/nearby')
+    .get(auth('manageLeads'), validate(locationValidation.getProjectsNear), locationController.getProjectsNear);
+
+/**
+ * @swagger
+ * /projects/map:
+ *   get:
+ *     summary: Projects with a known site location as a GeoJSON FeatureCollection, for a map
+ *     description: Active projects (Pending, Open and OnHold) unless other statuses are asked for.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated project statuses, e.g. Open,OnHold
+ *     responses:
+ *       200:
+ *         description: The map feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectMapFeed'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router
+    .route('/map')
+    .get(auth('manageLeads'), validate(locationValidation.getProjectMap), locationController.getProjectMap);
+
 router
     .route('/:projectId')
-    .get(auth('getProjects'), projectController.getProjectById);
+    .get(auth('getProjects'), projectAccess(), projectController.getProjectById);
 
 router
     .route('/:projectId/visits')
-    .get(auth('getProjects'), validate(projectValidation.getProjectSiteVisits), projectController.getProjectSiteVisits);
+    .get(auth('getProjects'), validate(projectValidation.getProjectSiteVisits), projectAccess(), projectController.getProjectSiteVisits);
 
 router
     .route('/:projectId/proposals')
-    .post(auth('manageProjects'), validate(projectValidation.submitProposal), projectController.submitProposal)
-    .get(auth('getProjects'), validate(projectValidation.getProposals), projectController.getProposalsForProject);
+    .post(auth('manageProjects'), validate(projectValidation.submitProposal), projectAccess(), projectController.submitProposal)
+    .get(auth('getProjects'), validate(projectValidation.getProposals), projectAccess(), projectController.getProposalsForProject);
 
 router
     .route('/:projectId/proposals/:proposalId/accept')
-    .patch(auth('manageProjects'), validate(projectValidation.acceptProposal), projectController.acceptProposal);
+    .patch(auth('manageProjects'), validate(projectValidation.acceptProposal), projectAccess(), projectController.acceptProposal);
 
 router
     .route('/:projectId/architect-documents')
-    .post(auth('manageProjects'), validate(projectValidation.submitArchitectDocument), transactional(projectController.submitArchitectDocument))
-    .get(auth('getProjects'), projectController.getArchitectDocuments);
+    .post(auth('manageProjects'), validate(projectValidation.submitArchitectDocument), projectAccess(), transactional(projectController.submitArchitectDocument))
+    .get(auth('getProjects'), projectAccess(), projectController.getArchitectDocuments);
 
 router
     .route('/:projectId/architect-documents/:documentId/admin-review')
-    .patch(auth('manageProjects'), validate(projectValidation.reviewArchitectDocument), projectController.reviewArchitectDocument);
+    .patch(auth('manageProjects'), validate(projectValidation.reviewArchitectDocument), projectAccess(), projectController.reviewArchitectDocument);
 
 router
     .route('/:projectId/architect-documents/:documentId/send-to-customer')
-    .post(auth('manageProjects'), validate(projectValidation.sendDocumentToCustomer), projectController.sendDocumentToCustomer);
+    .post(auth('manageProjects'), validate(projectValidation.sendDocumentToCustomer), projectAccess(), projectController.sendDocumentToCustomer);
 
 router
     .route('/:projectId/architect-documents/:documentId/customer-review')
-    .patch(auth('getProjects'), validate(projectValidation.customerReviewDocument), projectController.customerReviewDocument);
+    .patch(auth('getProjects'), validate(projectValidation.customerReviewDocument), projectAccess(), projectController.customerReviewDocument);
 
 router
     .route('/:projectId/architect-documents/customer')
     .get(
         auth('getProjects'),
         validate(projectValidation.getArchitectDocumentsForCustomer),
+        projectAccess(),
         projectController.getArchitectDocumentsForCustomer
     );
 
 router
     .route('/:projectId/architect-documents/:documentId/send-to-procurement')
-    .post(auth('manageProjects'), validate(projectValidation.sendDocumentToProcurement), projectController.sendDocumentToProcurement);
+    .post(auth('manageProjects'), validate(projectValidation.sendDocumentToProcurement), projectAccess(), projectController.sendDocumentToProcurement);
 
 router
     .route('/approved-documents/procurement')
@@ -195,6 +295,7 @@ router
     .get(
         auth('getProjects'),
         validate(projectValidation.getProjectDocumentsForProcurement),
+        projectAccess(),
         projectController.getProjectDocumentsForProcurement
     );
 
@@ -252,7 +353,7 @@ router
  */
 router
     .route('/:projectId/assign-site-engineers')
-    .post(auth('manageProjects'), projectController.assignSiteEngineers);
+    .post(auth('manageProjects'), projectAccess(), projectController.assignSiteEngineers);
 
 /**
  * @swagger
@@ -301,7 +402,7 @@ router
  */
 router
     .route('/:projectId/assigned-site-engineers')
-    .get(auth('getProjects'), projectController.getAssignedSiteEngineers);
+    .get(auth('getProjects'), projectAccess(), projectController.getAssignedSiteEngineers);
 
 // Add this route after the existing routes
 
@@ -452,7 +553,7 @@ router
  */
 router
     .route('/:projectId/status')
-    .patch(auth('updateProjectStatus'), validate(projectValidation.updateProjectStatus), projectController.updateProjectStatus);
+    .patch(auth('updateProjectStatus'), validate(projectValidation.updateProjectStatus), projectAccess(), projectController.updateProjectStatus);
 
 export default router;
 
@@ -0,0 +1,285 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as requirementFormValidation from '../../validations/requirementForm.validation.js';
+import * as requirementFormController from '../../controllers/requirementForm.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Requirement Forms
+ *   description: Intake forms for each requirement type
+ */
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /requirement-forms:
+   *   post:
+   *     summary: Create the form of a requirement type
+   *     description: |
+   *       Requirements of the type are then checked against the form when they are created (`formData` in
+   *       POST /customer-leads) and when their answers change (PATCH
+   *       /customer-leads/{leadId}/requirements/{requirementId}/form-data). Imported and inbound requirements may leave
+   *       required fields empty. `min` and `max` apply to number fields and to the number of choices of multiselect
+   *       fields; `minLength`, `maxLength` (at most 5000) and `pattern` to text fields. Patterns with nested repetition
+   *       such as `(a+)+` are refused.
+   *     tags: [Requirement Forms]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - requirementType
+   *               - fields
+   *             properties:
+   *               requirementType:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               fields:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/RequirementFormField'
+   *               isActive:
+   *                 type: boolean
+   *           example:
+   *             requirementType: Modular Kitchen
+   *             fields:
+   *               - key: kitchenArea
+   *                 label: Kitchen area
+   *                 type: area
+   *                 required: true
+   *               - key: layout
+   *                 label: Layout
+   *                 type: select
+   *                 required: true
+   *                 options:
+   *                   - value: l-shape
+   *                     label: L-shape
+   *                   - value: u-shape
+   *                     label: U-shape
+   *                   - value: parallel
+   *               - key: appliances
+   *                 label: Built-in appliances
+   *                 type: multiselect
+   *                 options: [{ value: hob }, { value: chimney }, { value: oven }]
+   *                 max: 3
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 form:
+   *                   $ref: '#/components/schemas/RequirementForm'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(
+    auth('manageLeads'),
+    validate(requirementFormValidation.createRequirementForm),
+    requirementFormController.createRequirementForm
+  )
+  /**
+   * @swagger
+   * /requirement-forms:
+   *   get:
+   *     summary: List requirement forms by requirement type
+   *     tags: [Requirement Forms]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: isActive
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/RequirementForm'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(auth(), validate(requirementFormValidation.getRequirementForms), requirementFormController.getRequirementForms);
+
+/**
+ * @swagger
+ * /requirement-forms/schema:
+ *   get:
+ *     summary: Get the active form of a requirement type, to render it
+ *     description: Returns the form as defined, and the same fields as a JSON Schema (draft-07) for form libraries.
+ *     tags: [Requirement Forms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: requirementType
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 form:
+ *                   $ref: '#/components/schemas/RequirementForm'
+ *                 jsonSchema:
+ *                   type: object
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get(
+  '/schema',
+  auth(),
+  validate(requirementFormValidation.getRequirementFormSchema),
+  requirementFormController.getRequirementFormSchema
+);
+
+router
+  .route('/:formId')
+  /**
+   * @swagger
+   * /requirement-forms/{formId}:
+   *   get:
+   *     summary: Get a requirement form
+   *     tags: [Requirement Forms]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: formId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth(), validate(requirementFormValidation.getRequirementForm), requirementFormController.getRequirementForm)
+  /**
+   * @swagger
+   * /requirement-forms/{formId}:
+   *   patch:
+   *     summary: Update a requirement form
+   *     description: |
+   *       `fields` replaces the whole list. Changing the fields raises the form's `version`; requirements answered
+   *       against an earlier version keep their answers, and answers to removed fields are dropped the next time the
+   *       requirement's answers change.
+   *     tags: [Requirement Forms]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: formId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               requirementType:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               fields:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/RequirementFormField'
+   *               isActive:
+   *                 type: boolean
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(
+    auth('manageLeads'),
+    validate(requirementFormValidation.updateRequirementForm),
+    requirementFormController.updateRequirementForm
+  )
+  /**
+   * @swagger
+   * /requirement-forms/{formId}:
+   *   delete:
+   *     summary: Delete a requirement form
+   *     description: Requirements of its type keep their answers. To stop using a form for a while, set isActive to false.
+   *     tags: [Requirement Forms]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: formId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(
+    auth('manageLeads'),
+    validate(requirementFormValidation.getRequirementForm),
+    requirementFormController.deleteRequirementForm
+  );
+
+export default router;
@@ -0,0 +1,211 @@
+import express from 'express';
+import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import * as roleValidation from '../../validations/role.validation.js';
+import * as roleController from '../../controllers/role.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and the rights they grant
+ */
+
+/**
+ * @swagger
+ * /roles/rights:
+ *   get:
+ *     summary: List every right that can be granted
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/rights', auth('manageRoles'), roleController.getRightsCatalog);
+
+router
+  .route('/')
+  /**
+   * @swagger
+   * /roles:
+   *   get:
+   *     summary: List roles
+   *     description: The collection is seeded from the built-in role map on first use.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(auth('manageRoles'), roleController.getRoles)
+  /**
+   * @swagger
+   * /roles:
+   *   post:
+   *     summary: Create a role
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 description: Lowercase letters, digits and dashes
+   *               description:
+   *                 type: string
+   *               rights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               requireTwoFactor:
+   *                 type: boolean
+   *                 description: Members must log in with a TOTP code
+   *           example:
+   *             name: "accounts"
+   *             description: "Reads projects and site visits"
+   *             rights: ["getProjects", "getSiteVisits"]
+   *     responses:
+   *       "201":
+   *         description: Created
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(auth('manageRoles'), validate(roleValidation.createRole), roleController.createRole);
+
+router
+  .route('/:roleId')
+  /**
+   * @swagger
+   * /roles/{roleId}:
+   *   get:
+   *     summary: Get a role
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: roleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth('manageRoles'), validate(roleValidation.getRole), roleController.getRole)
+  /**
+   * @swagger
+   * /roles/{roleId}:
+   *   patch:
+   *     summary: Update a role
+   *     description: Replaces the role's rights and 2FA requirement. The admin role must keep manageRoles. Takes effect for every user with the role straight away.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: roleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               description:
+   *                 type: string
+   *               rights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               requireTwoFactor:
+   *                 type: boolean
+   *                 description: Members must log in with a TOTP code
+   *     responses:
+   *       "200":
+   *         description: OK
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth('manageRoles'), validate(roleValidation.updateRole), roleController.updateRole)
+  /**
+   * @swagger
+   * /roles/{roleId}:
+   *   delete:
+   *     summary: Delete a role
+   *     description: System roles and roles still assigned to users cannot be deleted.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: roleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth('manageRoles'), validate(roleValidation.deleteRole), roleController.deleteRole);
+
+export default router;
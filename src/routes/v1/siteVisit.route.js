@@ -173,6 +173,9 @@ export default router;
  *       Schedule a site visit with either a single date or a date range.
  *       - For single date: provide `visitDate`
  *       - For date range: provide both `visitStartDate` and `visitEndDate`
+ *
+ *       The engineer must be free on those days (see GET /users/site-engineers/availability); otherwise the visit is
+ *       refused with 409 and the bookings it clashes with.
  *     tags: [SiteVisits]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +259,8 @@ export default router;
  *         $ref: '#/components/responses/Forbidden'
  *       "404":
  *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         $ref: '#/components/responses/ScheduleConflict'
  *
  *   get:
  *     summary: Get all site visits for a requirement
@@ -1,6 +1,7 @@
 import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
+import projectAccess, { fromBody, fromSitework } from '../../middlewares/projectAccess.js';
 import * as siteworkValidation from '../../validations/sitework.validation.js';
 import * as siteworkController from '../../controllers/sitework.controller.js';
 
@@ -11,6 +12,7 @@ const router = express.Router();
  * /siteworks:
  *   post:
  *     summary: Create a sitework
+ *     description: Assigned site engineers must be free from startDate to endDate, or on startDate without an endDate.
  *     tags: [Sitework]
  *     security:
  *       - bearerAuth: []
@@ -50,14 +52,17 @@ const router = express.Router();
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         $ref: '#/components/responses/ScheduleConflict'
  */
-router.post('/', auth('manageSiteworks'), validate(siteworkValidation.createSitework), siteworkController.createSitework);
+router.post('/', auth('manageSiteworks'), validate(siteworkValidation.createSitework), projectAccess(fromBody('project')), siteworkController.createSitework);
 
 /**
  * @swagger
  * /siteworks/{id}:
  *   put:
  *     summary: Update sitework details
+ *     description: When assignedUsers or endDate change, the assigned site engineers must be free on the sitework's days.
  *     tags: [Sitework]
  *     security:
  *       - bearerAuth: []
@@ -96,8 +101,10 @@ router.post('/', auth('manageSiteworks'), validate(siteworkValidation.createSite
  *         description: Unauthorized
  *       404:
  *         description: Sitework not found
+ *       409:
+ *         $ref: '#/components/responses/ScheduleConflict'
  */
-router.put('/:id', auth('manageSiteworks'), validate(siteworkValidation.updateSitework), siteworkController.updateSitework);
+router.put('/:id', auth('manageSiteworks'), validate(siteworkValidation.updateSitework), projectAccess(fromSitework('id')), siteworkController.updateSitework);
 
 /**
  * @swagger
@@ -169,7 +176,7 @@ router.put('/:id', auth('manageSiteworks'), validate(siteworkValidation.updateSi
  *       404:
  *         description: Project not found
  */
-router.get('/project/:projectId', auth('getSiteworks'), validate(siteworkValidation.getSiteworksByProject), siteworkController.getSiteworksByProject);
+router.get('/project/:projectId', auth('getSiteworks'), validate(siteworkValidation.getSiteworksByProject), projectAccess(), siteworkController.getSiteworksByProject);
 
 /**
  * @swagger
@@ -242,7 +249,7 @@ router.get('/project/:projectId', auth('getSiteworks'), validate(siteworkValidat
  *       404:
  *         description: Sitework not found
  */
-router.post('/:siteworkId/documents', auth('manageSiteworkDocuments'), validate(siteworkValidation.addSiteworkDocument), siteworkController.addSiteworkDocument);
+router.post('/:siteworkId/documents', auth('manageSiteworkDocuments'), validate(siteworkValidation.addSiteworkDocument), projectAccess(fromSitework()), siteworkController.addSiteworkDocument);
 
 /**
  * @swagger
@@ -308,7 +315,7 @@ router.post('/:siteworkId/documents', auth('manageSiteworkDocuments'), validate(
  *       404:
  *         description: Sitework or document not found
  */
-router.patch('/:siteworkId/documents/:docId/review', auth('manageSiteworkDocuments'), validate(siteworkValidation.approveOrRejectSiteworkDocument), siteworkController.approveOrRejectSiteworkDocument);
+router.patch('/:siteworkId/documents/:docId/review', auth('manageSiteworkDocuments'), validate(siteworkValidation.approveOrRejectSiteworkDocument), projectAccess(fromSitework()), siteworkController.approveOrRejectSiteworkDocument);
 
 /**
  * @swagger
@@ -392,7 +399,7 @@ router.patch('/:siteworkId/documents/:docId/review', auth('manageSiteworkDocumen
  *       404:
  *         description: Project not found
  */
-router.get('/project/:projectId/documents/customer', auth('getSiteworkDocumentsForCustomer'), validate(siteworkValidation.getSiteworkDocumentsForCustomer), siteworkController.getSiteworkDocumentsForCustomer);
+router.get('/project/:projectId/documents/customer', auth('getSiteworkDocumentsForCustomer'), validate(siteworkValidation.getSiteworkDocumentsForCustomer), projectAccess(), siteworkController.getSiteworkDocumentsForCustomer);
 
 /**
  * @swagger
@@ -508,7 +515,7 @@ router.get('/project/:projectId/documents/customer', auth('getSiteworkDocumentsF
  *       404:
  *         description: Sitework or document not found
  */
-router.patch('/project/:projectId/sitework/:siteworkId/documents/:docId/customer-review', auth('customerReviewSiteworkDocument'), validate(siteworkValidation.customerReviewSiteworkDocument), siteworkController.customerReviewSiteworkDocument);
+router.patch('/project/:projectId/sitework/:siteworkId/documents/:docId/customer-review', auth('customerReviewSiteworkDocument'), validate(siteworkValidation.customerReviewSiteworkDocument), projectAccess(), siteworkController.customerReviewSiteworkDocument);
 
 /**
  * @swagger
@@ -610,7 +617,7 @@ router.patch('/project/:projectId/sitework/:siteworkId/documents/:docId/customer
  *       404:
  *         description: Sitework or document not found
  */
-router.post('/project/:projectId/sitework/:siteworkId/documents/:docId/send-to-customer', auth('sendSiteworkDocumentToCustomer'), validate(siteworkValidation.sendSiteworkDocumentToCustomer), siteworkController.sendSiteworkDocumentToCustomer);
+router.post('/project/:projectId/sitework/:siteworkId/documents/:docId/send-to-customer', auth('sendSiteworkDocumentToCustomer'), validate(siteworkValidation.sendSiteworkDocumentToCustomer), projectAccess(), siteworkController.sendSiteworkDocumentToCustomer);
 
 /**
  * @swagger
@@ -686,6 +693,6 @@ router.post('/project/:projectId/sitework/:siteworkId/documents/:docId/send-to-c
  *       404:
  *         description: Sitework not found
  */
-router.get('/:siteworkId/documents', auth(), siteworkController.getSiteworkDocuments);
+router.get('/:siteworkId/documents', auth(), projectAccess(fromSitework()), siteworkController.getSiteworkDocuments);
 
 export default router; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
+import projectAccess from '../../middlewares/projectAccess.js';
 import * as socketValidation from '../../validations/socket.validation.js';
 import * as socketController from '../../controllers/socket.controller.js';
 
@@ -83,7 +84,7 @@ router.get('/stats', auth(), socketController.getSocketStats);
  *                         type: string
  *                         format: date-time
  */
-router.get('/projects/:projectId/online-users', auth(), socketController.getOnlineUsersForProject);
+router.get('/projects/:projectId/online-users', auth(), projectAccess(), socketController.getOnlineUsersForProject);
 
 /**
  * @swagger
@@ -4,6 +4,12 @@ import validate from '../../middlewares/validate.js';
 import { userValidation } from '../../validations/index.js';
 import { userController } from '../../controllers/index.js';
 import { getMySharedRequirementsController } from '../../controllers/customerLead.controller.js';
+import * as requirementShareController from '../../controllers/requirementShare.controller.js';
+import { openSharedRequirement } from '../../validations/customerLead.validation.js';
+import * as locationValidation from '../../validations/location.validation.js';
+import * as locationController from '../../controllers/location.controller.js';
+import * as engineerScheduleValidation from '../../validations/engineerSchedule.validation.js';
+import * as engineerScheduleController from '../../controllers/engineerSchedule.controller.js';
 
 const router = express.Router();
 
@@ -196,6 +202,290 @@ router
  */
 router.get('/site-engineers', auth('getUsers'), userController.getSiteEngineers);
 
+/**
+ * @swagger
+ * /users/site-engineers/nearest:
+ *   get:
+ *     summary: Find the active site engineers nearest to a place or to a project's site
+ *     description: |
+ *       Distance is measured from each engineer's home base (`homeBase`, found from `homeBaseLink` or set as lat/lng).
+ *       Engineers with a scheduled or in-progress site visit, an unfinished sitework or leave on the day are left out,
+ *       as are engineers without a home base. Give either lat and lng, or project.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Start from the site of this project instead of lat/lng
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day the engineers should be free, today by default
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *         description: Only engineers within this distance
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       "200":
+ *         description: Engineers, nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NearbySiteEngineer'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get(
+  '/site-engineers/nearest',
+  auth('manageLeads'),
+  validate(locationValidation.getNearestSiteEngineers),
+  locationController.getNearestSiteEngineers
+);
+
+/**
+ * @swagger
+ * /users/site-engineers/availability:
+ *   get:
+ *     summary: Free and busy days of site engineers over a date range
+ *     description: |
+ *       An engineer is busy on a day with a scheduled or in-progress site visit, a not-started or in-progress
+ *       sitework they are assigned to, or leave. A site visit takes up the days from visitStartDate to visitEndDate,
+ *       or the day of visitDate; a sitework without an end date takes up its start day. Consecutive days with the
+ *       same status make one slot. Scheduling a site visit or assigning a sitework on a busy day is refused with 409.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: engineers
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user ids, all active site engineers by default
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: At most 92 days after from
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EngineerAvailability'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/site-engineers/availability',
+  auth('getSiteVisits'),
+  validate(engineerScheduleValidation.getEngineerAvailability),
+  engineerScheduleController.getEngineerAvailability
+);
+
+router
+  .route('/site-engineers/leaves')
+  /**
+   * @swagger
+   * /users/site-engineers/leaves:
+   *   post:
+   *     summary: Record leave of a site engineer
+   *     description: |
+   *       Both days are included. Leave is recorded even when the engineer is already booked; the site visits and
+   *       siteworks it clashes with are returned as `clashes` so they can be rescheduled.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - engineer
+   *               - startDate
+   *               - endDate
+   *             properties:
+   *               engineer:
+   *                 type: string
+   *               startDate:
+   *                 type: string
+   *                 format: date
+   *               endDate:
+   *                 type: string
+   *                 format: date
+   *               reason:
+   *                 type: string
+   *             example:
+   *               engineer: 60d0fe4f5311236168a109ca
+   *               startDate: "2024-08-19"
+   *               endDate: "2024-08-21"
+   *               reason: Family function
+   *     responses:
+   *       "201":
+   *         description: Created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 leave:
+   *                   $ref: '#/components/schemas/EngineerLeave'
+   *                 clashes:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/EngineerBooking'
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .post(
+    auth('manageUsers'),
+    validate(engineerScheduleValidation.createEngineerLeave),
+    engineerScheduleController.createEngineerLeave
+  )
+  /**
+   * @swagger
+   * /users/site-engineers/leaves:
+   *   get:
+   *     summary: List leave of site engineers
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: engineer
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Only leave that ends on or after this day
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Only leave that starts on or before this day
+   *     responses:
+   *       "200":
+   *         description: Leave, latest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/EngineerLeave'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  .get(
+    auth('getSiteVisits'),
+    validate(engineerScheduleValidation.getEngineerLeaves),
+    engineerScheduleController.getEngineerLeaves
+  );
+
+/**
+ * @swagger
+ * /users/site-engineers/leaves/{leaveId}:
+ *   delete:
+ *     summary: Delete leave of a site engineer
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete(
+  '/site-engineers/leaves/:leaveId',
+  auth('manageUsers'),
+  validate(engineerScheduleValidation.deleteEngineerLeave),
+  engineerScheduleController.deleteEngineerLeave
+);
+
 router.get('/me/site-visits', auth('getSiteVisits'), userController.getMySiteVisits);
 
 /**
@@ -252,7 +542,8 @@ router.post('/search', auth('getUsers'), validate(userValidation.searchUsers), u
  * @swagger
  * /users/export:
  *   get:
- *     summary: Export users to an Excel file
+ *     summary: Export users as xlsx, CSV or PDF
+ *     description: Takes the filters of the user list. xlsx and PDF exports are limited to EXPORT_XLSX_MAX_ROWS and EXPORT_PDF_MAX_ROWS users, CSV exports are not.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -273,6 +564,18 @@ router.post('/search', auth('getUsers'), validate(userValidation.searchUsers), u
  *           type: boolean
  *         description: Filter by active status
  *       - in: query
+ *         name: experience
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: education
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: dateFilterType
  *         schema:
  *           type: string
@@ -296,14 +599,40 @@ router.post('/search', auth('getUsers'), validate(userValidation.searchUsers), u
  *           type: string
  *           format: date
  *         description: The end date for the range filter (e.g., YYYY-MM-DD)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv, pdf]
+ *           default: xlsx
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated column keys in the order wanted, from name, email, role, phoneNumber, city, region, address, education, experience, isActive, isEmailVerified and createdAt
+ *       - in: query
+ *         name: preset
+ *         schema:
+ *           type: string
+ *         description: Id of one of the caller's export presets; parameters given here win over the preset's
  *     responses:
  *       200:
- *         description: An Excel file containing the users.
+ *         description: The exported file
  *         content:
  *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
  *             schema:
  *               type: string
  *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
@@ -311,13 +640,14 @@ router.post('/search', auth('getUsers'), validate(userValidation.searchUsers), u
  *       404:
  *         description: No users found for the selected criteria.
  */
-router.get('/export', auth('getUsers'), userController.exportUsersController);
+router.get('/export', auth('getUsers'), validate(userValidation.exportUsers), userController.exportUsersController);
 
 /**
  * @swagger
  * /users/me/shared-requirements:
  *   get:
  *     summary: Get all requirements shared with the currently logged-in user
+ *     description: Grouped by lead. Shares that have expired are left out; each requirement has the user's own share.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -341,6 +671,279 @@ router.get('/export', auth('getUsers'), userController.exportUsersController);
  */
 router.get('/me/shared-requirements', auth(), getMySharedRequirementsController);
 
+/**
+ * @swagger
+ * /users/me/shared-requirements/{requirementId}:
+ *   get:
+ *     summary: Open a requirement shared with the currently logged-in user
+ *     description: The first time marks the user's share as seen. Other users' shares are not included.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The requirement with its lead, site visits and the user's share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     share:
+ *                       $ref: '#/components/schemas/RequirementShare'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not shared with the user, or the share has expired
+ */
+router.get(
+  '/me/shared-requirements/:requirementId',
+  auth(),
+  validate(openSharedRequirement),
+  requirementShareController.openSharedRequirement
+);
+
+// The path parameter is `id` rather than `userId` so auth() does not let users change their own rights
+router
+  .route('/:id/rights')
+  /**
+   * @swagger
+   * /users/{id}/rights:
+   *   get:
+   *     summary: Get a user's rights
+   *     description: Returns the rights of the user's role, the user's extra grants and denials, and the rights the user ends up with.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User id
+   *     responses:
+   *       "200":
+   *         description: OK
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: integer
+   *                   example: 1
+   *                 role:
+   *                   type: string
+   *                 roleRights:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                 extraRights:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                 deniedRights:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                 effectiveRights:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth('manageRoles'), validate(userValidation.getUserRights), userController.getUserRights)
+  /**
+   * @swagger
+   * /users/{id}/rights:
+   *   patch:
+   *     summary: Grant or deny rights to a single user
+   *     description: Replaces the user's extra grants and/or denials. Denials win over both the role's rights and extra grants.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               extraRights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               deniedRights:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *           example:
+   *             extraRights: ["manageLeads"]
+   *             deniedRights: ["manageWorkers"]
+   *     responses:
+   *       "200":
+   *         description: Updated rights, same shape as the GET response
+   *       "400":
+   *         $ref: '#/components/responses/BadRequest'
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .patch(auth('manageRoles'), validate(userValidation.updateUserRights), userController.updateUserRights);
+
+router
+  .route('/:id/sessions')
+  /**
+   * @swagger
+   * /users/{id}/sessions:
+   *   get:
+   *     summary: List a user's active sessions
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User id
+   *     responses:
+   *       "200":
+   *         description: OK, same shape as GET /auth/sessions
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .get(auth('manageUsers'), validate(userValidation.getUserSessions), userController.getUserSessions)
+  /**
+   * @swagger
+   * /users/{id}/sessions:
+   *   delete:
+   *     summary: Sign a user out of all sessions
+   *     description: Revokes every session of the user and disconnects their sockets.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User id
+   *     responses:
+   *       "204":
+   *         description: No content
+   *       "401":
+   *         $ref: '#/components/responses/Unauthorized'
+   *       "403":
+   *         $ref: '#/components/responses/Forbidden'
+   *       "404":
+   *         $ref: '#/components/responses/NotFound'
+   */
+  .delete(auth('manageUsers'), validate(userValidation.getUserSessions), userController.revokeUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign a user out of one session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete(
+  '/:id/sessions/:sessionId',
+  auth('manageUsers'),
+  validate(userValidation.revokeUserSession),
+  userController.revokeUserSession
+);
+
+/**
+ * @swagger
+ * /users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: For a lost authenticator. Works for admin accounts too. If the account's role requires 2FA, it enrols again on its next login.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User or admin id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete(
+  '/:id/2fa',
+  auth('manageUsers'),
+  validate(userValidation.resetUserTwoFactor),
+  userController.resetUserTwoFactor
+);
+
 router
   .route('/:userId')
   /**
@@ -2,6 +2,10 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import Admin from '../models/admin.model.js';
 import ApiError from '../utils/ApiError.js';
+import config from '../config/config.js';
+import { assertEmailVerified } from './auth.service.js';
+import * as loginAuditService from './loginAudit.service.js';
+import * as twoFactorService from './twoFactor.service.js';
 // import { Store } from '../models/store.model.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'secret';
@@ -17,13 +21,7 @@ export const register = async (data) => {
   return admin;
 };
 
-export const login = async ({ email, password }) => {
-  const admin = await Admin.findOne({ email });
-  if (!admin) throw new ApiError(404, 'Admin not found');
-
-  const isMatch = await bcrypt.compare(password, admin.password);
-  if (!isMatch) throw new ApiError(401, 'Invalid credentials');
-
+const buildLoginResponse = (admin) => {
   const token = jwt.sign({ id: admin._id, role: admin.role }, JWT_SECRET, { expiresIn: '7d' });
 
   return {
@@ -39,6 +37,53 @@ export const login = async ({ email, password }) => {
   };
 };
 
+/**
+ * Log an admin in with email and password. Every attempt is recorded, and repeated failures lock the account the
+ * same way as /auth/login, and unverified admins are refused when REQUIRE_EMAIL_VERIFICATION_ROLES lists their role.
+ * Unknown emails and wrong passwords get the same answer.
+ * @param {Object} credentials
+ * @param {string} credentials.email
+ * @param {string} credentials.password
+ * @param {Object} [context] - ip and userAgent of the caller
+ * @returns {Promise<Object>}
+ */
+export const login = async ({ email, password }, context = {}) => {
+  const attempt = { identifier: email, method: 'password', ip: context.ip, userAgent: context.userAgent };
+  const { loginOutcomes } = loginAuditService;
+
+  const admin = await Admin.findOne({ email });
+  if (!admin) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.UNKNOWN_ACCOUNT });
+    throw new ApiError(401, 'Invalid credentials');
+  }
+  await loginAuditService.assertNotLocked(admin, attempt);
+  if (!(await admin.isPasswordMatch(password))) {
+    if (await loginAuditService.registerFailedLogin(admin, attempt)) {
+      throw new ApiError(
+        423,
+        `Too many failed logins. The account is locked for ${config.auth.lockout.durationMinutes} minute(s).`
+      );
+    }
+    throw new ApiError(401, 'Invalid credentials');
+  }
+  await assertEmailVerified(admin, attempt);
+
+  const challenge = await twoFactorService.createLoginChallenge(admin, attempt);
+  if (challenge) {
+    return { status: 1, message: 'Two-factor code required', twoFactorRequired: true, ...challenge };
+  }
+
+  await loginAuditService.registerSuccessfulLogin(admin, attempt);
+  return buildLoginResponse(admin);
+};
+
+export const completeTwoFactorLogin = async ({ challengeToken, code }, context = {}) => {
+  const { user, backupCodes } = await twoFactorService.completeLoginChallenge(challengeToken, code, context);
+  if (!(user instanceof Admin)) throw new ApiError(401, 'Please log in with /auth/login');
+
+  return { ...buildLoginResponse(user), backupCodes };
+};
+
 export const updateProfile = async (adminId, data) => {
   const admin = await Admin.findByIdAndUpdate(adminId, data, { new: true });
   if (!admin) throw new ApiError(404, 'Admin not found');
@@ -0,0 +1,322 @@
+import httpStatus from 'http-status';
+import moment from 'moment';
+import xlsx from 'xlsx';
+import CustomerLead from '../models/customerLead.model.js';
+import Project from '../models/project.model.js';
+import SiteVisit from '../models/siteVisit.model.js';
+import ClientProposal from '../models/clientProposal.model.js';
+import ApiError from '../utils/ApiError.js';
+import LeadStages from '../config/enums/leadStages.enum.js';
+
+// $dateToString formats of the periods, quarters are put together in periodOf
+const periodFormats = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y',
+};
+
+// Periods follow the server's time zone, like the dates in the rest of the API
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Funnel steps in order, each counted once per lead however many projects reach it
+const funnelSteps = ['siteVisitScheduled', 'proposalSent', 'proposalApproved', 'projectOpen', 'projectCompleted'];
+
+// Steps the median times are measured between
+const stageIntervals = [
+  ['created', 'siteVisitScheduled'],
+  ['siteVisitScheduled', 'proposalSent'],
+  ['proposalSent', 'proposalApproved'],
+  ['proposalApproved', 'projectOpen'],
+  ['projectOpen', 'projectCompleted'],
+  ['created', 'projectOpen'],
+];
+
+const columnLabels = {
+  leadSource: 'Lead Source',
+  city: 'City',
+  state: 'State',
+  period: 'Period',
+  leads: 'Leads',
+  siteVisitScheduled: 'Site Visit Scheduled',
+  proposalSent: 'Proposal Sent',
+  proposalApproved: 'Proposal Approved',
+  projectOpen: 'Project Open',
+  projectCompleted: 'Project Completed',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const intervalKey = ([from, to]) => `${from}To${to.charAt(0).toUpperCase()}${to.slice(1)}`;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 10) / 10;
+};
+
+const ratio = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : 0);
+
+// The period a lead was created in, e.g. 2025-03, 2025-W11 or 2025-Q1
+const periodOf = (period) => {
+  const date = { date: '$createdAt', timezone };
+  if (period !== 'quarter') {
+    return { $dateToString: { format: periodFormats[period], ...date } };
+  }
+  const quarter = {
+    $switch: {
+      branches: [3, 6, 9].map((lastMonth, index) => ({
+        case: { $lte: [{ $month: date }, lastMonth] },
+        then: `${index + 1}`,
+      })),
+      default: '4',
+    },
+  };
+  return { $concat: [{ $dateToString: { format: '%Y', ...date } }, '-Q', quarter] };
+};
+
+// A dimension of the lead, trimmed, or Unknown when it has none
+const groupValue = (dimension) => ({
+  $let: {
+    vars: { value: { $trim: { input: { $toString: { $ifNull: [`$${dimension}`, ''] } } } } },
+    in: { $cond: [{ $eq: ['$$value', ''] }, 'Unknown', '$$value'] },
+  },
+});
+
+// When the lead was first moved to a stage, null when never
+const movedTo = (stage) => ({
+  $let: {
+    vars: {
+      change: {
+        $arrayElemAt: [
+          { $filter: { input: { $ifNull: ['$stageHistory', []] }, cond: { $eq: ['$$this.stage', stage] } } },
+          0,
+        ],
+      },
+    },
+    in: { $ifNull: ['$$change.changedAt', null] },
+  },
+});
+
+const whereAny = (input, cond) => ({ $filter: { input, as: 'item', cond } });
+
+// The earliest of some arrays of dates, ignoring missing ones; null when there are none
+const earliest = (...arrays) => ({ $min: { $concatArrays: arrays } });
+
+// When a lead first reached a step, null when it did not or when it was reached before its date was recorded
+const reachedAt = (step) =>
+  step === 'created' ? '$dates.created' : { $cond: [`$reached.${step}`, `$dates.${step}`, null] };
+
+/**
+ * Aggregation stages that work out, per lead, which funnel steps it reached and when. A step reached before its
+ * date was recorded counts, but has a date of null and is left out of the median times.
+ * @returns {Object[]} stages leaving key, reached (step -> boolean) and dates (step -> Date|null) on each lead
+ */
+const leadMilestoneStages = () => [
+  { $project: { key: 1, createdAt: 1, stageHistory: 1 } },
+  { $lookup: { from: Project.collection.name, localField: '_id', foreignField: 'lead', as: 'projects' } },
+  { $lookup: { from: SiteVisit.collection.name, localField: 'projects._id', foreignField: 'project', as: 'siteVisits' } },
+  {
+    $lookup: { from: ClientProposal.collection.name, localField: 'projects._id', foreignField: 'project', as: 'proposals' },
+  },
+  {
+    $project: {
+      key: 1,
+      created: { $ifNull: ['$createdAt', null] },
+      movedToSiteVisitScheduled: movedTo(LeadStages.SITE_VISIT_SCHEDULED),
+      movedToProposalSent: movedTo(LeadStages.PROPOSAL_SENT),
+      movedToWon: movedTo(LeadStages.WON),
+      siteVisitCount: { $size: '$siteVisits' },
+      siteVisitDates: '$siteVisits.createdAt',
+      sentProposals: whereAny('$proposals', { $or: ['$$item.sentToCustomer', { $ne: ['$$item.status', 'draft'] }] }),
+      approvedProposals: whereAny('$proposals', { $eq: ['$$item.status', 'approved'] }),
+      openProjects: whereAny('$projects', {
+        $or: ['$$item.openedAt', { $in: ['$$item.status', ['Open', 'OnHold', 'Completed']] }],
+      }),
+      completedProjects: whereAny('$projects', { $or: ['$$item.completedAt', { $eq: ['$$item.status', 'Completed'] }] }),
+    },
+  },
+  {
+    $project: {
+      key: 1,
+      reached: {
+        siteVisitScheduled: { $or: [{ $gt: ['$siteVisitCount', 0] }, '$movedToSiteVisitScheduled'] },
+        proposalSent: { $gt: [{ $size: '$sentProposals' }, 0] },
+        proposalApproved: { $gt: [{ $size: '$approvedProposals' }, 0] },
+        projectOpen: { $gt: [{ $size: '$openProjects' }, 0] },
+        projectCompleted: { $gt: [{ $size: '$completedProjects' }, 0] },
+      },
+      dates: {
+        created: '$created',
+        siteVisitScheduled: earliest('$siteVisitDates', ['$movedToSiteVisitScheduled']),
+        proposalSent: earliest('$sentProposals.sentToCustomerAt', ['$movedToProposalSent']),
+        proposalApproved: earliest('$approvedProposals.customerReviewedAt', ['$movedToWon']),
+        projectOpen: earliest('$openProjects.openedAt'),
+        projectCompleted: earliest('$completedProjects.completedAt'),
+      },
+    },
+  },
+];
+
+/**
+ * Counts, conversion rates and median days between steps of a group of leads
+ * @param {Object} key - the group's dimension values
+ * @param {Object} group
+ * @param {number} group.leads
+ * @param {Object} group.counts - step -> leads that reached it
+ * @param {Object} group.intervals - interval key -> milliseconds between its steps, null for leads without both dates
+ * @returns {Object}
+ */
+const summarizeGroup = (key, { leads, counts, intervals }) => {
+  const medianDays = Object.fromEntries(
+    stageIntervals.map((interval) => [
+      intervalKey(interval),
+      median(intervals[intervalKey(interval)].filter((ms) => ms !== null).map((ms) => Math.max(0, ms / DAY_MS))),
+    ])
+  );
+
+  return {
+    ...key,
+    leads,
+    ...counts,
+    // Share of the group's leads that reached each step
+    conversion: Object.fromEntries(funnelSteps.map((step) => [step, ratio(counts[step], leads)])),
+    // Share of the leads at the previous step that reached each step
+    stepConversion: Object.fromEntries(
+      funnelSteps.map((step, index) => [step, ratio(counts[step], index ? counts[funnelSteps[index - 1]] : leads)])
+    ),
+    medianDays,
+  };
+};
+
+/**
+ * Turn the funnel query into a lead filter
+ * @param {Object} query
+ * @returns {Object}
+ */
+const buildLeadFilter = ({ from, to, leadSource, city, state }) => {
+  const filter = {};
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: moment(from).startOf('day').toDate() }),
+      ...(to && { $lte: moment(to).endOf('day').toDate() }),
+    };
+    if (from && to && filter.createdAt.$gte > filter.createdAt.$lte) {
+      throw new ApiError(httpStatus.BAD_REQUEST, '"from" must be before "to"');
+    }
+  }
+  Object.entries({ leadSource, city, state }).forEach(([field, value]) => {
+    if (value) {
+      filter[field] = { $regex: `^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+    }
+  });
+  return filter;
+};
+
+/**
+ * Sales conversion funnel of the leads created in a period: how many had a site visit scheduled, were sent a
+ * proposal, approved one, and had a project opened and completed, with conversion rates and the median days
+ * between those steps. Grouped by any of lead source, city and state, and optionally by the period the lead was
+ * created in.
+ * @param {Object} query
+ * @param {Date} [query.from] - leads created on or after this day
+ * @param {Date} [query.to] - leads created on or before this day
+ * @param {string[]} [query.groupBy] - some of leadSource, city, state
+ * @param {string} [query.period] - day, week, month, quarter or year
+ * @param {string} [query.leadSource]
+ * @param {string} [query.city]
+ * @param {string} [query.state]
+ * @returns {Promise<{filters: Object, groupBy: string[], period: string, totals: Object, groups: Object[]}>}
+ */
+export const getLeadFunnel = async (query = {}) => {
+  const { groupBy = ['leadSource'], period } = query;
+  const key = {
+    ...Object.fromEntries(groupBy.map((dimension) => [dimension, groupValue(dimension)])),
+    ...(period && { period: periodOf(period) }),
+  };
+  // Groups are told apart without regard to case, and show the spelling of their first lead
+  const groupId = Object.fromEntries(Object.keys(key).map((field) => [field, { $toLower: `$key.${field}` }]));
+
+  const rows = await CustomerLead.aggregate([
+    { $match: buildLeadFilter(query) },
+    { $addFields: { key } },
+    ...leadMilestoneStages(),
+    {
+      $group: {
+        _id: Object.keys(groupId).length ? groupId : null,
+        key: { $first: '$key' },
+        leads: { $sum: 1 },
+        ...Object.fromEntries(funnelSteps.map((step) => [step, { $sum: { $cond: [`$reached.${step}`, 1, 0] } }])),
+        ...Object.fromEntries(
+          stageIntervals.map(([from, to]) => [
+            intervalKey([from, to]),
+            {
+              $push: {
+                $cond: [{ $and: [reachedAt(from), reachedAt(to)] }, { $subtract: [reachedAt(to), reachedAt(from)] }, null],
+              },
+            },
+          ])
+        ),
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const groups = rows.map((row) => ({
+    key: row.key || {},
+    leads: row.leads,
+    counts: Object.fromEntries(funnelSteps.map((step) => [step, row[step]])),
+    intervals: Object.fromEntries(stageIntervals.map((interval) => [intervalKey(interval), row[intervalKey(interval)]])),
+  }));
+  const totals = {
+    leads: groups.reduce((sum, group) => sum + group.leads, 0),
+    counts: Object.fromEntries(
+      funnelSteps.map((step) => [step, groups.reduce((sum, group) => sum + group.counts[step], 0)])
+    ),
+    intervals: Object.fromEntries(
+      stageIntervals.map(intervalKey).map((name) => [name, groups.flatMap((group) => group.intervals[name])])
+    ),
+  };
+
+  return {
+    filters: { from: query.from, to: query.to, leadSource: query.leadSource, city: query.city, state: query.state },
+    groupBy,
+    period,
+    totals: summarizeGroup({}, totals),
+    groups: groups
+      .map((group) => summarizeGroup(group.key, group))
+      .sort((a, b) => (a.period || '').localeCompare(b.period || '') || b.leads - a.leads),
+  };
+};
+
+/**
+ * The lead funnel as a spreadsheet, one row per group and a total row
+ * @param {Object} query - see getLeadFunnel
+ * @returns {Promise<Buffer>}
+ */
+export const exportLeadFunnel = async (query = {}) => {
+  const funnel = await getLeadFunnel(query);
+  const keyColumns = [...funnel.groupBy, ...(funnel.period ? ['period'] : [])];
+  const medianKeys = stageIntervals.map(intervalKey);
+
+  const headers = [
+    ...keyColumns.map((column) => columnLabels[column]),
+    ...['leads', ...funnelSteps].map((step) => columnLabels[step]),
+    ...funnelSteps.map((step) => `${columnLabels[step]} %`),
+    ...stageIntervals.map(([from, to]) => `Median Days ${columnLabels[from] || 'Created'} → ${columnLabels[to]}`),
+  ];
+  const toRow = (group) => [
+    ...keyColumns.map((column) => group[column] ?? ''),
+    group.leads,
+    ...funnelSteps.map((step) => group[step]),
+    ...funnelSteps.map((step) => Math.round(group.conversion[step] * 1000) / 10),
+    ...medianKeys.map((key) => group.medianDays[key] ?? ''),
+  ];
+  const totals = toRow({ ...funnel.totals, ...(keyColumns.length && { [keyColumns[0]]: 'Total' }) });
+
+  const worksheet = xlsx.utils.aoa_to_sheet([headers, ...funnel.groups.map(toRow), totals]);
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, worksheet, 'Lead Funnel');
+  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+};
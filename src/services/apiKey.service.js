@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import ApiKey from '../models/apiKey.model.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { assertValidRights } from './role.service.js';
+import { getPrincipalModel } from './token.service.js';
+
+const KEY_PREFIX = 'sok';
+
+// Rights that would let a key grant itself or others more access
+const nonDelegableRights = ['manageUsers', 'manageRoles'];
+
+// Avoid a write on every request; last use is only tracked to the minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const assertDelegableRights = (rights = []) => {
+  assertValidRights(rights);
+  const refused = rights.filter((right) => nonDelegableRights.includes(right));
+  if (refused.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Rights cannot be given to API keys: ${refused.join(', ')}`);
+  }
+};
+
+/**
+ * Check whether an authenticated principal is an API key rather than a user or admin
+ * @param {Object} principal
+ * @returns {boolean}
+ */
+export const isApiKey = (principal) => principal instanceof ApiKey;
+
+/**
+ * Create an API key. The key is returned once and only its hash is stored.
+ * @param {Object} keyBody - name, rights, expiresAt
+ * @param {(User|Admin)} creator
+ * @returns {Promise<{apiKey: ApiKey, key: string}>}
+ */
+export const createApiKey = async (keyBody, creator) => {
+  assertDelegableRights(keyBody.rights);
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name: keyBody.name,
+    rights: [...new Set(keyBody.rights)],
+    expiresAt: keyBody.expiresAt,
+    prefix,
+    keyHash: hashKey(key),
+    createdBy: creator._id,
+    createdByModel: getPrincipalModel(creator),
+  });
+  apiKey.keyHash = undefined;
+  return { apiKey, key };
+};
+
+/**
+ * List API keys, newest first
+ * @param {Object} [filter]
+ * @param {boolean} [filter.active] - only keys that are neither revoked nor expired
+ * @returns {Promise<ApiKey[]>}
+ */
+export const queryApiKeys = async (filter = {}) => {
+  const query = {};
+  if (filter.active) {
+    query.revokedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+  return ApiKey.find(query).select('-keyHash').sort({ createdAt: -1 });
+};
+
+/**
+ * Get API key by id
+ * @param {ObjectId} apiKeyId
+ * @returns {Promise<ApiKey>}
+ */
+export const getApiKeyById = async (apiKeyId) => {
+  const apiKey = mongoose.isValidObjectId(apiKeyId) ? await ApiKey.findById(apiKeyId).select('-keyHash') : null;
+  if (!apiKey) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'API key not found');
+  }
+  return apiKey;
+};
+
+/**
+ * Rename an API key or change its rights or expiry
+ * @param {ObjectId} apiKeyId
+ * @param {Object} updateBody
+ * @returns {Promise<ApiKey>}
+ */
+export const updateApiKeyById = async (apiKeyId, updateBody) => {
+  const apiKey = await getApiKeyById(apiKeyId);
+  if (apiKey.revokedAt) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'API key has been revoked');
+  }
+  if (updateBody.rights) {
+    assertDelegableRights(updateBody.rights);
+  }
+  Object.assign(apiKey, updateBody.rights ? { ...updateBody, rights: [...new Set(updateBody.rights)] } : updateBody);
+  await apiKey.save();
+  return apiKey;
+};
+
+/**
+ * Revoke an API key. The document is kept so its usage stays on record.
+ * @param {ObjectId} apiKeyId
+ * @returns {Promise<ApiKey>}
+ */
+export const revokeApiKeyById = async (apiKeyId) => {
+  const apiKey = await getApiKeyById(apiKeyId);
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    logger.info(`Revoked API key ${apiKey.prefix} (${apiKey.name})`);
+  }
+  return apiKey;
+};
+
+/**
+ * Find the usable API key matching a raw key and record its use
+ * @param {string} key
+ * @param {string} [ip]
+ * @returns {Promise<ApiKey|null>}
+ */
+export const verifyApiKey = async (key, ip) => {
+  const [scheme, prefix] = String(key).split('_');
+  if (scheme !== KEY_PREFIX || !prefix) {
+    return null;
+  }
+  const apiKey = await ApiKey.findOne({ prefix });
+  if (!apiKey || !apiKey.isUsable()) {
+    return null;
+  }
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }).catch((e) =>
+      logger.error(`Failed to record use of API key ${prefix}: ${e.message}`)
+    );
+  }
+  apiKey.keyHash = undefined;
+  return apiKey;
+};
@@ -1,37 +1,114 @@
 import httpStatus from 'http-status';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import config from '../config/config.js';
 import Admin from '../models/admin.model.js';
+import User from '../models/user.model.js';
+import Token from '../models/token.model.js';
 import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
 import { userService } from './index.js';
 import * as tokenService from './token.service.js';
+import * as emailService from './email.service.js';
+import * as loginAuditService from './loginAudit.service.js';
+import * as sessionService from './session.service.js';
+import * as twoFactorService from './twoFactor.service.js';
+import { tokenTypes } from '../config/tokens.js';
+
+/**
+ * Refuse the login of an unverified principal whose role is in REQUIRE_EMAIL_VERIFICATION_ROLES.
+ * The attempt is recorded and a fresh verification link is sent.
+ * @param {(Admin|User)} principal
+ * @param {Object} attempt - identifier, method, ip and userAgent of the login
+ * @returns {Promise}
+ */
+export const assertEmailVerified = async (principal, attempt) => {
+  if (!config.auth.requireEmailVerificationRoles.includes(principal.role?.toLowerCase()) || principal.isEmailVerified) {
+    return;
+  }
+  await loginAuditService.recordLoginAttempt({
+    ...attempt,
+    principal,
+    outcome: loginAuditService.loginOutcomes.EMAIL_UNVERIFIED,
+  });
+  // Send a fresh link, otherwise an unverified account has no way to get one without logging in
+  const verifyEmailToken = await tokenService.generateVerifyEmailToken(principal);
+  await emailService
+    .sendVerificationEmail(principal.email, verifyEmailToken)
+    .catch((e) => logger.error(`Failed to send verification email to ${principal.email}: ${e.message}`));
+  throw new ApiError(
+    httpStatus.FORBIDDEN,
+    'Please verify your email before logging in. A new verification link has been sent to your email.'
+  );
+};
 
 /**
  * Login with username and password
  * This function first checks if the user is an admin, then checks if they are a regular user.
+ * Every attempt is recorded, and repeated failures lock the account for a while.
+ * Principals with two-factor authentication get a challenge instead of tokens.
  * @param {string} email
  * @param {string} password
- * @returns {Promise<{user: (Admin|User), tokens: Object}>}
+ * @param {Object} [context]
+ * @param {string} [context.ip]
+ * @param {string} [context.userAgent]
+ * @returns {Promise<{user: (Admin|User), tokens: Object}|{challenge: Object}>}
  */
-export const loginUserWithEmailAndPassword = async (email, password) => {
-  // First, try to find an admin with the provided email
-  let user = await Admin.findOne({ email });
+export const loginUserWithEmailAndPassword = async (email, password, context = {}) => {
+  const attempt = { identifier: email, method: 'password', ip: context.ip, userAgent: context.userAgent };
 
-  if (user) {
-    // If an admin is found, check their password
-    if (!(await user.isPasswordMatch(password))) {
-      throw new ApiError(httpStatus.UNAUTHORIZED, 'Incorrect email or password');
-    }
-  } else {
-    // If no admin is found, try to find a regular user
-    user = await userService.getUserByEmail(email);
-    if (!user || !(await user.isPasswordMatch(password))) {
-      throw new ApiError(httpStatus.UNAUTHORIZED, 'Incorrect email or password');
+  // Admins and users share the login form, admins take precedence for the same email
+  const user = (await Admin.findOne({ email })) || (await userService.getUserByEmail(email));
+  if (!user) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginAuditService.loginOutcomes.UNKNOWN_ACCOUNT });
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Incorrect email or password');
+  }
+  await loginAuditService.assertNotLocked(user, attempt);
+  if (!(await user.isPasswordMatch(password))) {
+    const locked = await loginAuditService.registerFailedLogin(user, attempt);
+    if (locked) {
+      throw new ApiError(
+        httpStatus.LOCKED,
+        `Too many failed logins. The account is locked for ${config.auth.lockout.durationMinutes} minute(s).`
+      );
     }
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Incorrect email or password');
   }
+  await assertEmailVerified(user, attempt);
+  // With 2FA the login is only complete once completeTwoFactorLogin accepts a code
+  const challenge = await twoFactorService.createLoginChallenge(user, attempt);
+  if (challenge) {
+    return { challenge };
+  }
+  await loginAuditService.registerSuccessfulLogin(user, attempt);
   delete user.password;
-  const tokens = await tokenService.generateAuthTokens(user);
+  const tokens = await tokenService.generateAuthTokens(user, context);
   return { user, tokens };
 };
 
+/**
+ * Finish a password login that was answered with a 2FA challenge
+ * @param {string} challengeToken
+ * @param {string} code - TOTP or backup code
+ * @param {Object} [context] - ip and userAgent of the caller
+ * @returns {Promise<{user: (Admin|User), tokens: Object, backupCodes?: string[]}>}
+ */
+export const completeTwoFactorLogin = async (challengeToken, code, context = {}) => {
+  const { user, backupCodes } = await twoFactorService.completeLoginChallenge(challengeToken, code, context);
+  const tokens = await tokenService.generateAuthTokens(user, context);
+  return { user, tokens, backupCodes };
+};
+
+/**
+ * Get the user or admin a token was issued for
+ * @param {Token} tokenDoc
+ * @returns {Promise<(Admin|User)>}
+ */
+const getTokenPrincipal = async (tokenDoc) => {
+  const Model = tokenDoc.userModel === 'Admin' ? Admin : User;
+  return Model.findById(tokenDoc.user);
+};
+
 /**
  * Logout
  * @param {string} refreshToken
@@ -42,5 +119,92 @@ export const logout = async (refreshToken) => {
   if (!refreshTokenDoc) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Not found');
   }
-  await refreshTokenDoc.remove();
-}; 
\ No newline at end of file
+  await refreshTokenDoc.deleteOne();
+};
+
+/**
+ * Refresh auth tokens
+ * Rotates the refresh token on every use. Presenting a refresh token that was already rotated
+ * is treated as token theft and revokes the whole token family.
+ * @param {string} refreshToken
+ * @param {Object} [context] - ip and userAgent of the caller, stored on the session
+ * @returns {Promise<{user: (Admin|User), tokens: Object}>}
+ */
+export const refreshAuth = async (refreshToken, context = {}) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, config.jwt.secret);
+  } catch (error) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+  }
+
+  // Claim the token in one update, so of two requests with the same token only one can rotate it
+  const refreshTokenDoc = await Token.findOneAndUpdate(
+    { token: refreshToken, type: tokenTypes.REFRESH, user: payload.sub, blacklisted: false },
+    { $set: { blacklisted: true } },
+    { new: true }
+  );
+  if (!refreshTokenDoc) {
+    // Blacklisted rather than deleted on rotation, so a replay can be told apart from an unknown token
+    const replayed = await Token.findOne({ token: refreshToken, type: tokenTypes.REFRESH, user: payload.sub });
+    if (replayed) {
+      logger.warn(`Refresh token reuse detected for ${replayed.userModel} ${replayed.user}, revoking token family`);
+      if (replayed.family) {
+        await tokenService.revokeTokenFamily(replayed.family);
+      }
+    }
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+  }
+
+  const user = await getTokenPrincipal(refreshTokenDoc);
+  if (!user) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+  }
+
+  const tokens = await tokenService.generateAuthTokens(user, { ...context, family: refreshTokenDoc.family });
+  return { user, tokens };
+};
+
+/**
+ * Reset password
+ * The reset token is single use, and all refresh tokens of the account are revoked.
+ * @param {string} resetPasswordToken
+ * @param {string} newPassword
+ * @returns {Promise}
+ */
+export const resetPassword = async (resetPasswordToken, newPassword) => {
+  try {
+    const resetPasswordTokenDoc = await tokenService.verifyToken(resetPasswordToken, tokenTypes.RESET_PASSWORD);
+    const user = await getTokenPrincipal(resetPasswordTokenDoc);
+    if (!user) {
+      throw new Error();
+    }
+    // Admin passwords are not hashed by a save hook, see admin.service register
+    user.password = user instanceof Admin ? await bcrypt.hash(newPassword, 10) : newPassword;
+    await user.save();
+    await Token.deleteMany({ user: user.id, type: tokenTypes.RESET_PASSWORD });
+    await sessionService.revokeAllSessions(user._id);
+  } catch (error) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Password reset failed');
+  }
+};
+
+/**
+ * Verify email
+ * @param {string} verifyEmailToken
+ * @returns {Promise}
+ */
+export const verifyEmail = async (verifyEmailToken) => {
+  try {
+    const verifyEmailTokenDoc = await tokenService.verifyToken(verifyEmailToken, tokenTypes.VERIFY_EMAIL);
+    const user = await getTokenPrincipal(verifyEmailTokenDoc);
+    if (!user) {
+      throw new Error();
+    }
+    await Token.deleteMany({ user: user.id, type: tokenTypes.VERIFY_EMAIL });
+    user.isEmailVerified = true;
+    await user.save();
+  } catch (error) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Email verification failed');
+  }
+};
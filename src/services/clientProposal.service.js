@@ -6,6 +6,10 @@ import User from '../models/user.model.js';
 import Admin from '../models/admin.model.js';
 import Project from '../models/project.model.js';
 import { generateClientProposalPDF } from './jsreport.service.js';
+import { advanceProjectLeadStage } from './leadStage.service.js';
+import LeadStages from '../config/enums/leadStages.enum.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+import { recordProjectActivity } from './leadActivity.service.js';
 
 /**
  * Helper function to determine user type
@@ -28,6 +32,64 @@ const getUserAndType = async (userId) => {
     return { user, userType };
 };
 
+/**
+ * Move the lead of the proposal's project along the pipeline
+ * @param {ClientProposal} clientProposal
+ * @param {string} stageKey
+ * @param {ObjectId} userId
+ * @param {string} userType
+ * @returns {Promise<boolean>}
+ */
+const advanceProposalLead = (clientProposal, stageKey, userId, userType) =>
+    advanceProjectLeadStage(clientProposal.project._id || clientProposal.project, stageKey, {
+        changedBy: userId,
+        changedByModel: userType,
+    });
+
+/**
+ * Note a proposal being sent on the timeline of the lead of its project
+ * @param {ClientProposal} clientProposal
+ * @param {ObjectId} userId
+ * @param {string} userType
+ * @returns {Promise<LeadActivity|null>}
+ */
+const recordProposalSent = (clientProposal, userId, userType) =>
+    recordProjectActivity(
+        clientProposal.project._id || clientProposal.project,
+        LeadActivityTypes.PROPOSAL_SENT,
+        {
+            summary: `Proposal version ${clientProposal.version} sent to the customer`,
+            clientProposal: clientProposal._id,
+        },
+        { performedBy: userId, performedByModel: userType }
+    );
+
+/**
+ * Open the project of an approved proposal and note the status change on the lead's timeline
+ * @param {ClientProposal} clientProposal
+ * @param {ObjectId} userId
+ * @param {string} userType
+ * @returns {Promise<void>}
+ */
+const openProposalProject = async (clientProposal, userId, userType) => {
+    const previous = await Project.findByIdAndUpdate(clientProposal.project._id, {
+        $set: { status: 'Open' },
+        $min: { openedAt: new Date() },
+    });
+    if (previous && previous.status !== 'Open') {
+        await recordProjectActivity(
+            previous._id,
+            LeadActivityTypes.PROJECT_STATUS_CHANGED,
+            {
+                summary: `Project status changed from ${previous.status} to Open`,
+                clientProposal: clientProposal._id,
+                details: { from: previous.status, to: 'Open' },
+            },
+            { performedBy: userId, performedByModel: userType }
+        );
+    }
+};
+
 /**
  * Create a client proposal
  * @param {Object} clientProposalBody
@@ -123,6 +185,8 @@ export const sendToCustomer = async (clientProposalId, userId) => {
     clientProposal.updatedByModel = userType;
 
     await clientProposal.save();
+    await advanceProposalLead(clientProposal, LeadStages.PROPOSAL_SENT, userId, userType);
+    await recordProposalSent(clientProposal, userId, userType);
 
     return clientProposal.populate(['project', 'createdBy', 'updatedBy']);
 };
@@ -142,20 +206,23 @@ export const customerReview = async (clientProposalId, reviewData, userId) => {
         throw new ApiError(httpStatus.BAD_REQUEST, 'Proposal has not been sent to customer');
     }
 
+    // Determine user type for updatedBy
+    const { userType } = await getUserAndType(userId);
+
     // Update proposal based on customer review
     clientProposal.status = reviewData.status;
     if (reviewData.status === 'approved') {
-        await Project.findByIdAndUpdate(clientProposal.project._id, { status: 'Open' });
+        await openProposalProject(clientProposal, userId, userType);
     }
     clientProposal.customerRemarks = reviewData.remarks;
     clientProposal.customerReviewedAt = new Date();
     clientProposal.updatedBy = userId;
-
-    // Determine user type for updatedBy
-    const { userType } = await getUserAndType(userId);
     clientProposal.updatedByModel = userType;
 
     await clientProposal.save();
+    if (reviewData.status === 'approved') {
+        await advanceProposalLead(clientProposal, LeadStages.WON, userId, userType);
+    }
 
     return clientProposal.populate(['project', 'createdBy', 'updatedBy']);
 };
@@ -291,9 +358,20 @@ export const updateClientProposalStatus = async (clientProposalId, status, userI
         clientProposal.sentToCustomerAt = new Date();
     }
     if (status === 'approved') {
-        await Project.findByIdAndUpdate(clientProposal.project._id, { status: 'Open' });
+        await openProposalProject(clientProposal, userId, userType);
     }
     await clientProposal.save();
+    if (status === 'sent') {
+        await recordProposalSent(clientProposal, userId, userType);
+    }
+    if (status === 'sent' || status === 'approved') {
+        await advanceProposalLead(
+            clientProposal,
+            status === 'sent' ? LeadStages.PROPOSAL_SENT : LeadStages.WON,
+            userId,
+            userType
+        );
+    }
 
     return clientProposal.populate(['project', 'createdBy', 'updatedBy']);
 };
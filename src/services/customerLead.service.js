@@ -1,3 +1,6 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import xlsx from 'xlsx';
 import CustomerLead from '../models/customerLead.model.js';
 import ApiError from '../utils/ApiError.js';
@@ -5,9 +8,9 @@ import httpStatus from 'http-status';
 import storage from '../factory/storage.factory.js';
 import mongoose from 'mongoose';
 import logger from '../config/logger.js';
-import { createCustomerLead, updateCustomerLead } from '../validations/customerLead.validation.js';
+import { createCustomerLead } from '../validations/customerLead.validation.js';
 import { createProject } from './project.service.js';
-import Requirement from '../models/requirement.model.js';
+import Requirement, { activeShareMatch, isShareActive } from '../models/requirement.model.js';
 import User from '../models/user.model.js';
 import SiteVisit from '../models/siteVisit.model.js';
 import Project from '../models/project.model.js';
@@ -15,27 +18,53 @@ import { roles } from '../config/roles.js';
 import Roles from '../config/enums/roles.enum.js';
 import { createUser } from './user.service.js';
 import ProjectAssignmentPayment from '../models/projectAssignmentPaymant.model.js';
-
-
-export const createCustomerLeadService = async (req, session) => {
-  const { body: leadData } = req;
+import { normalizePhoneNumber } from '../utils/phone.js';
+import LeadStages from '../config/enums/leadStages.enum.js';
+import { buildStageChange, buildStageFilter } from './leadStage.service.js';
+import { findDuplicatesForData, findExistingLead } from './leadDuplicate.service.js';
+import { registerJobHandler } from './job.service.js';
+import { recordLeadActivity } from './leadActivity.service.js';
+import { assignNewLead, notifyLeadOwner } from './leadAssignment.service.js';
+import { createExport, resolveExportColumns } from './export.service.js';
+import { recordRequirementRevision } from './requirementRevision.service.js';
+import { validateRequirementFormData } from './requirementForm.service.js';
+import { assertEngineersAvailable, visitDays } from './engineerSchedule.service.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+import BookingTypes from '../config/enums/bookingTypes.enum.js';
+
+
+/**
+ * Create the Requirement, Project, site visit and assignment payment documents for requirements of a lead
+ * @param {CustomerLead} lead
+ * @param {Object[]} requirements - as validated by createCustomerLead
+ * @param {(User|Admin|ApiKey)} user - who is adding them
+ * @param {ClientSession} session
+ * @param {string} [revisionSource] - where the requirements come from, one of RequirementRevisionSources
+ * @returns {Promise<{requirementIds: ObjectId[], siteVisitScheduled: boolean, tempFileKeysToDelete: string[]}>}
+ */
+const addRequirementsToLead = async (
+  lead,
+  requirements,
+  user,
+  session,
+  revisionSource = RequirementRevisionSources.MANUAL
+) => {
   const tempFileKeysToDelete = [];
-  const { requirements, ...basicLeadInfo } = leadData;
-
   const requirementIds = [];
+  let siteVisitScheduled = false;
+  const activityOptions = { performedBy: user._id, performedByModel: user.constructor.modelName, session };
 
-  // 1. Create the CustomerLead first
-  const leadPayload = {
-    ...basicLeadInfo,
-    createdBy: req.user.id,
-    requirements: [], // will update after creating Requirement docs
-  };
-
-  const lead = (await CustomerLead.create([leadPayload], { session }))[0];
+  // Imported and inbound requirements may leave required form fields to be filled in later
+  const enforceRequired = ![RequirementRevisionSources.IMPORT, RequirementRevisionSources.INBOUND].includes(revisionSource);
 
   // 2. Process each requirement separately
   for (const reqData of requirements) {
     const requirementId = new mongoose.Types.ObjectId();
+    const { formData, formVersion } = await validateRequirementFormData(reqData.requirementType, reqData.formData, {
+      enforceRequired,
+    });
     const files = [];
 
     const fileKeys = {
@@ -67,20 +96,29 @@ export const createCustomerLeadService = async (req, session) => {
       urgency: reqData.urgency,
       budget: reqData.budget,
       scpData: reqData.scpData || {},
+      location: reqData.location,
+      formData,
+      formVersion,
       files,
       sharedWith: [],
     }], { session });
 
     requirementIds.push(requirementId);
+    await recordRequirementRevision(requirement[0], null, {
+      source: revisionSource,
+      author: user._id,
+      authorModel: user.constructor.modelName,
+      session,
+    });
 
     // 4. Create a project and link back to requirement
     const project = await createProject({
       projectName: reqData.projectName,
       requirement: requirementId,
       lead: lead._id,
-      budget: reqData.budget ? parseFloat(reqData.budget.replace(/[^0-9.-]+/g, '')) : 0,
-      createdBy: req.user.id,
-      createdByModel: req.user.constructor.modelName,
+      budget: reqData.budget ? parseFloat(String(reqData.budget).replace(/[^0-9.-]+/g, '')) : 0,
+      createdBy: user.id,
+      createdByModel: user.constructor.modelName,
     }, session);
 
     // 5. Update the requirement with the project ID
@@ -88,14 +126,23 @@ export const createCustomerLeadService = async (req, session) => {
       project: project._id,
     }, { session });
 
+    await recordLeadActivity(
+      lead._id,
+      LeadActivityTypes.REQUIREMENT_ADDED,
+      { summary: `Requirement "${reqData.projectName}" added`, requirement: requirementId, project: project._id },
+      activityOptions
+    );
+
     // 5.1 Handle multiple site visits
     const siteVisitsToCreate = [];
     const siteEngineersToShare = new Set();
 
+    const scpData = reqData.scpData || {};
+
     // Check for new multiple site visits format
-    if (reqData.scpData.siteVisits && Array.isArray(reqData.scpData.siteVisits)) {
+    if (scpData.siteVisits && Array.isArray(scpData.siteVisits)) {
       // Process multiple site visits
-      for (const siteVisitData of reqData.scpData.siteVisits) {
+      for (const siteVisitData of scpData.siteVisits) {
         // Validate site engineer
         const siteEngineer = await User.findById(siteVisitData.siteEngineer).session(session);
         if (!siteEngineer || siteEngineer.role !== 'site-engineer') {
@@ -129,27 +176,36 @@ export const createCustomerLeadService = async (req, session) => {
           siteEngineersToShare.add(siteVisitData.siteEngineer);
         }
       }
-    } else if (reqData.scpData.siteEngineer && reqData.scpData.siteVisitDate) {
+    } else if (scpData.siteEngineer && scpData.siteVisitDate) {
       // Backward compatibility: single site visit
-      const siteEngineer = await User.findById(reqData.scpData.siteEngineer).session(session);
+      const siteEngineer = await User.findById(scpData.siteEngineer).session(session);
       if (!siteEngineer || siteEngineer.role !== 'site-engineer') {
-        throw new ApiError(httpStatus.BAD_REQUEST, `Invalid site engineer ID: ${reqData.scpData.siteEngineer}`);
+        throw new ApiError(httpStatus.BAD_REQUEST, `Invalid site engineer ID: ${scpData.siteEngineer}`);
       }
 
       siteVisitsToCreate.push({
         requirement: requirementId,
         project: project._id,
-        siteEngineer: reqData.scpData.siteEngineer,
-        visitDate: reqData.scpData.siteVisitDate,
+        siteEngineer: scpData.siteEngineer,
+        visitDate: scpData.siteVisitDate,
         hasRequirementEditAccess: true, // Default to true for backward compatibility
       });
 
-      siteEngineersToShare.add(reqData.scpData.siteEngineer);
+      siteEngineersToShare.add(scpData.siteEngineer);
     }
 
-    // 5.2 Create all site visits
+    // 5.2 Create all site visits, once the engineers are known to be free on their days
     if (siteVisitsToCreate.length > 0) {
+      await assertEngineersAvailable(
+        siteVisitsToCreate.map((visit) => ({
+          engineer: visit.siteEngineer,
+          type: BookingTypes.SITE_VISIT,
+          ...visitDays(visit),
+        })),
+        { session }
+      );
       const createdSiteVisits = await SiteVisit.create(siteVisitsToCreate, { session, ordered: true });
+      siteVisitScheduled = true;
 
       // 5.3 Push all site visits to project
       for (const siteVisit of createdSiteVisits) {
@@ -157,7 +213,27 @@ export const createCustomerLeadService = async (req, session) => {
       }
       await project.save({ session });
 
-      // 5.4 Add site engineers with edit access to requirement.sharedWith
+      for (const siteVisit of createdSiteVisits) {
+        await recordLeadActivity(
+          lead._id,
+          LeadActivityTypes.SITE_VISIT_SCHEDULED,
+          {
+            summary: 'Site visit scheduled',
+            requirement: requirementId,
+            project: project._id,
+            siteVisit: siteVisit._id,
+            details: { visitDate: siteVisit.visitDate, siteEngineer: siteVisit.siteEngineer },
+          },
+          activityOptions
+        );
+      }
+
+      // 5.4 Add site engineers with edit access to requirement.sharedWith, replacing shares that have expired
+      await Requirement.updateOne(
+        { _id: requirementId },
+        { $pull: { sharedWith: { user: { $in: [...siteEngineersToShare] }, expiresAt: { $lte: new Date() } } } },
+        { session }
+      );
       for (const siteEngineerId of siteEngineersToShare) {
         await Requirement.updateOne(
           { _id: requirementId, 'sharedWith.user': { $ne: siteEngineerId } },
@@ -165,7 +241,7 @@ export const createCustomerLeadService = async (req, session) => {
             $push: {
               sharedWith: {
                 user: siteEngineerId,
-                sharedBy: req.user.id,
+                sharedBy: user.id,
               },
             },
           },
@@ -174,7 +250,7 @@ export const createCustomerLeadService = async (req, session) => {
       }
 
       // 5.5 Create project assignment payments (mandatory for all site visits)
-      for (const siteVisitData of reqData.scpData.siteVisits || []) {
+      for (const siteVisitData of scpData.siteVisits || []) {
         if (!siteVisitData.assignmentAmount || siteVisitData.assignmentAmount <= 0) {
           throw new ApiError(httpStatus.BAD_REQUEST, 'Assignment amount is required for all site visits');
         }
@@ -187,8 +263,8 @@ export const createCustomerLeadService = async (req, session) => {
         if (!existingPayment) {
           await ProjectAssignmentPayment.create([{
             project: project._id,
-            createdBy: req.user.id,
-            createdByModel: req.user.constructor.modelName,
+            createdBy: user.id,
+            createdByModel: user.constructor.modelName,
             assignedAmount: siteVisitData.assignmentAmount,
             perDayAmount: siteVisitData.assignmentAmount / (siteVisitData.visitEndDate - siteVisitData.visitStartDate) === 0 || siteVisitData.assignmentAmount / (siteVisitData.visitEndDate - siteVisitData.visitStartDate) === Infinity || siteVisitData.assignmentAmount / (siteVisitData.visitEndDate - siteVisitData.visitStartDate) === undefined ? 1 : siteVisitData.assignmentAmount / (siteVisitData.visitEndDate - siteVisitData.visitStartDate),
             note: "Site visit assignment amount",
@@ -199,32 +275,100 @@ export const createCustomerLeadService = async (req, session) => {
     }
   }
 
+  return { requirementIds, siteVisitScheduled, tempFileKeysToDelete };
+};
+
+/**
+ * Create a lead with its requirements, projects and site visits
+ * @param {Object} leadData - as validated by createCustomerLead
+ * @param {(User|Admin|ApiKey)} user
+ * @param {ClientSession} session
+ * @param {Object} [options]
+ * @param {string} [options.revisionSource] - where the lead comes from, kept on the revisions of its requirements
+ * @returns {Promise<{lead: CustomerLead, tempFileKeysToDelete: string[], assignment: Object|null}>} the assignment
+ *   from assignNewLead, whose owner the caller notifies once the session's transaction is committed
+ */
+export const createLead = async (leadData, user, session, { revisionSource } = {}) => {
+  const { requirements, ...basicLeadInfo } = leadData;
+  const actor = { changedBy: user._id, changedByModel: user.constructor.modelName };
+
+  // 1. Create the CustomerLead first
+  const leadPayload = {
+    ...basicLeadInfo,
+    createdBy: user.id,
+    requirements: [], // will update after creating Requirement docs
+    stage: LeadStages.NEW,
+    stageChangedAt: new Date(),
+    stageHistory: [buildStageChange(LeadStages.NEW, undefined, actor)],
+  };
+
+  const lead = (await CustomerLead.create([leadPayload], { session }))[0];
+  const { requirementIds, siteVisitScheduled, tempFileKeysToDelete } = await addRequirementsToLead(
+    lead,
+    requirements,
+    user,
+    session,
+    revisionSource
+  );
+
   // 6. Update the lead with the array of requirement references
   lead.requirements = requirementIds;
+  if (siteVisitScheduled) {
+    lead.stage = LeadStages.SITE_VISIT_SCHEDULED;
+    lead.stageChangedAt = new Date();
+    lead.stageHistory.push(buildStageChange(LeadStages.SITE_VISIT_SCHEDULED, LeadStages.NEW, { ...actor, automatic: true }));
+  }
   await lead.save({ session });
 
+  // Give the lead an owner with the assignment rules
+  const assignment = await assignNewLead(lead, { ...actor, session });
+
   // create user if password is provided
   if (leadData.password) {
     await createUser({
       name: leadData.customerName,
       email: leadData.email,
       password: leadData.password,
+      phoneNumber: normalizePhoneNumber(leadData.mobileNumber) || leadData.mobileNumber,
     });
   }
 
-  // 7. Clean up temp S3 files after commit
-  Promise.all(tempFileKeysToDelete.map(key => storage.deleteFile(key))).catch(err => {
+  return { lead, tempFileKeysToDelete, assignment };
+};
+
+const deleteTempFiles = (keys) => {
+  Promise.all(keys.map(key => storage.deleteFile(key))).catch(err => {
     logger.error(`Failed to delete temporary file during cleanup: ${err.message}`);
   });
+};
+
+export const createCustomerLeadService = async (req, session) => {
+  const { lead, tempFileKeysToDelete, assignment } = await createLead(req.body, req.user, session);
+  if (assignment) {
+    req.afterCommit.push(() => notifyLeadOwner(lead, assignment.owner, assignment.reason));
+  }
+
+  // 7. Clean up temp S3 files after commit
+  deleteTempFiles(tempFileKeysToDelete);
+
+  // Not blocking: the same customer may genuinely come back with a new enquiry
+  const possibleDuplicates = await findDuplicatesForData(lead, { excludeIds: [lead._id] });
 
   return {
     status: httpStatus.CREATED,
-    body: { status: 1, message: 'Customer lead created successfully', data: lead },
+    body: { status: 1, message: 'Customer lead created successfully', data: lead, possibleDuplicates },
   };
 };
 
-export const listCustomerLeadsService = async (filter = {}, options = {}) => {
+// Turn the pipeline filters of the lead list into a query
+const toLeadQuery = ({ stage, movedTo, stageChangedFrom, stageChangedTo, ...rest }) => ({
+  ...rest,
+  ...buildStageFilter({ stage, movedTo, stageChangedFrom, stageChangedTo }),
+});
+
+export const listCustomerLeadsService = async (query = {}, options = {}) => {
   const { limit = 10, page = 1, sortBy } = options;
+  const filter = toLeadQuery(query);
 
   let sort;
   if (typeof sortBy === 'string') {
@@ -336,10 +480,14 @@ export const shareRequirementService = async (leadId, requirementId, userIdToSha
     throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found within the lead');
   }
 
-  const isAlreadyShared = requirement.sharedWith.some(share => share.user.toString() === userIdToShareWith);
-  if (isAlreadyShared) {
+  const existing = requirement.sharedWith.find(share => share.user.toString() === userIdToShareWith);
+  if (existing && isShareActive(existing)) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Requirement already shared with this user');
   }
+  // A share that has expired is replaced by the new one
+  if (existing) {
+    requirement.sharedWith.splice(requirement.sharedWith.indexOf(existing), 1);
+  }
 
   requirement.sharedWith.push({
     user: userIdToShareWith,
@@ -350,13 +498,53 @@ export const shareRequirementService = async (leadId, requirementId, userIdToSha
   return lead;
 };
 
-export const shareRequirementWithUsersService = async (leadId, requirementId, userIds, adminId) => {
+/**
+ * Share a requirement with users. Procurement team members only get it once the project has architect documents
+ * approved by admin and customer. Sharing again with a user whose share expired gives them a new share; with a
+ * user who still has access it only moves the expiry, when one is given.
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {ObjectId[]} userIds
+ * @param {ObjectId} adminId - who is sharing it
+ * @param {string} [adminModel] - User or Admin
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] - when access ends; without it the share lasts until revoked
+ * @returns {Promise<Requirement>}
+ */
+export const shareRequirementWithUsersService = async (
+  leadId,
+  requirementId,
+  userIds,
+  adminId,
+  adminModel = 'User',
+  { expiresAt } = {}
+) => {
   const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId });
   if (!requirement) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
   }
 
-  let updated = false;
+  const newlySharedWith = [];
+  const now = new Date();
+  const shareWith = (user) => {
+    const existing = requirement.sharedWith.find(share => share.user.toString() === user._id.toString());
+    if (existing && isShareActive(existing, now)) {
+      if (expiresAt) {
+        existing.expiresAt = expiresAt;
+      }
+      return;
+    }
+    if (existing) {
+      requirement.sharedWith.splice(requirement.sharedWith.indexOf(existing), 1);
+    }
+    requirement.sharedWith.push({
+      user: user._id,
+      sharedBy: adminId,
+      expiresAt,
+      isSeen: false
+    });
+    newlySharedWith.push(user._id);
+  };
 
   // Check if any of the users are procurement team members
   const users = await User.find({ _id: { $in: userIds } }).select('_id role');
@@ -364,17 +552,7 @@ export const shareRequirementWithUsersService = async (leadId, requirementId, us
   const otherUsers = users.filter(user => user.role !== Roles.PROCUREMENT);
 
   // Handle regular users (non-procurement)
-  otherUsers.forEach(user => {
-    const alreadyShared = requirement.sharedWith.some(share => share.user.toString() === user._id.toString());
-    if (!alreadyShared) {
-      requirement.sharedWith.push({
-        user: user._id,
-        sharedBy: adminId,
-        isSeen: false
-      });
-      updated = true;
-    }
-  });
+  otherUsers.forEach(shareWith);
 
   // Handle procurement team members specially
   if (procurementUsers.length > 0) {
@@ -389,17 +567,7 @@ export const shareRequirementWithUsersService = async (leadId, requirementId, us
 
       if (approvedDocuments.length > 0) {
         // Share requirement with procurement team only if there are approved documents
-        procurementUsers.forEach(user => {
-          const alreadyShared = requirement.sharedWith.some(share => share.user.toString() === user._id.toString());
-          if (!alreadyShared) {
-            requirement.sharedWith.push({
-              user: user._id,
-              sharedBy: adminId,
-              isSeen: false
-            });
-            updated = true;
-          }
-        });
+        procurementUsers.forEach(shareWith);
       } else {
         // Log that procurement sharing was skipped due to no approved documents
         logger.info(`Procurement sharing skipped for requirement ${requirementId}: No approved architect documents found`);
@@ -410,15 +578,34 @@ export const shareRequirementWithUsersService = async (leadId, requirementId, us
     }
   }
 
-  if (updated) {
+  if (requirement.isModified()) {
     await requirement.save();
   }
+  if (newlySharedWith.length > 0) {
+    await recordLeadActivity(
+      leadId,
+      LeadActivityTypes.REQUIREMENT_SHARED,
+      {
+        summary: `Requirement "${requirement.projectName}" shared with ${newlySharedWith.length} user(s)`,
+        requirement: requirement._id,
+        project: requirement.project,
+        details: { sharedWith: newlySharedWith, expiresAt },
+      },
+      { performedBy: adminId, performedByModel: adminModel }
+    );
+  }
 
   return requirement;
 };
 
+/**
+ * Requirements shared with a user, grouped by lead. Expired shares are left out, and each requirement carries the
+ * user's own share as share.
+ * @param {ObjectId} userId
+ * @returns {Promise<Object[]>}
+ */
 export const getSharedRequirementsForUserService = async (userId) => {
-  const requirements = await Requirement.find({ 'sharedWith.user': userId })
+  const requirements = await Requirement.find({ sharedWith: activeShareMatch(userId) })
     .populate('lead', 'customerName') // populate only necessary lead fields
     .populate({
       path: 'visits',
@@ -449,6 +636,7 @@ export const getSharedRequirementsForUserService = async (userId) => {
     // Add site visits data to the requirement
     const requirementWithVisits = {
       ...req,
+      share: req.sharedWith.find(share => share.user.toString() === userId.toString()),
       siteVisits: req.visits || []
     };
 
@@ -470,6 +658,7 @@ const normalizeHeaders = (headers) => {
     city: ['city'],
 
     // Requirement specific
+    projectName: ['projectname', 'project name'],
     requirementType: ['requirementtype', 'requirement type'],
     otherRequirement: ['otherrequirement', 'other requirement'],
     requirementDescription: ['requirementdescription', 'requirement description'],
@@ -512,237 +701,337 @@ const normalizeHeaders = (headers) => {
   return mapping;
 };
 
-const parseBoolean = (value) => {
-  if (value === null || value === undefined) return undefined;
-  const strVal = String(value).toLowerCase().trim();
-  if (['true', '1', 'yes', 'y'].includes(strVal)) return true;
-  if (['false', '0', 'no', 'n'].includes(strVal)) return false;
-  return undefined;
-};
-
-export const importCustomerLeadsService = async (filePath) => {
-  const workbook = xlsx.readFile(filePath);
+// Rejected rows of an import are written here so they can be fixed and uploaded again
+const IMPORT_ERRORS_DIR = path.join('uploads', 'imports', 'errors');
+
+// Spreadsheet columns that go into scpData for cottage / structure proposals
+const importScpFields = [
+  'siteAddress',
+  'googleLocationLink',
+  'siteType',
+  'plotSize',
+  'totalArea',
+  'plinthStatus',
+  'structureType',
+  'numUnits',
+  'usageType',
+  'avgStayDuration',
+  'additionalFeatures',
+  'designIdeas',
+  'drawingStatus',
+  'architectStatus',
+  'roomRequirements',
+  'tokenAdvance',
+  'financing',
+  'roadWidth',
+  'targetCompletionDate',
+  'siteVisitDate',
+  'scpRemarks',
+];
+
+/**
+ * Read a lead spreadsheet and group its rows by customer
+ * @param {string} filePath
+ * @returns {{headers: string[], sheetRows: Object, customers: Object[], report: Object[]}}
+ */
+const readLeadSheet = (filePath) => {
+  const workbook = xlsx.readFile(filePath, { cellDates: true });
   const sheetName = workbook.SheetNames[0];
   const worksheet = workbook.Sheets[sheetName];
-  const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, cellDates: true, raw: false });
+  const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, raw: true, blankrows: false });
 
-  if (data.length < 2) {
-    return { importedCount: 0, errors: [] };
-  }
-
-  const headers = data[0];
+  const headers = (data[0] || []).map((header) => String(header ?? ''));
   const headerMapping = normalizeHeaders(headers);
-  const rows = data.slice(1);
+  const sheetRows = {};
+  const customers = new Map();
+  const report = [];
 
-  const leadsByCustomer = new Map();
-  const errors = [];
+  data.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2; // 1-based and after the header row
+    sheetRows[rowNumber] = row;
 
-  rows.forEach((row, index) => {
     const getVal = (fieldName) => {
       const colIndex = headerMapping[fieldName];
       if (colIndex === undefined) return undefined;
       const cellValue = row[colIndex];
       if (cellValue === null || cellValue === undefined) return undefined;
-      // The xlsx library with cellDates:true will return a Date object for dates.
-      // For other types it will be string/number.
-      if (cellValue instanceof Date) {
-        return cellValue;
-      }
-      return cellValue.toString().trim();
+      // Everything is kept as text, the way the lead form sends it
+      const value = cellValue instanceof Date ? cellValue.toISOString() : String(cellValue).trim();
+      return value === '' ? undefined : value;
     };
 
     // Use a unique identifier for the customer, e.g., email or mobile.
     // Fallback to customer name if others are not present.
-    const customerId = getVal('email') || getVal('mobileNumber') || getVal('customerName');
+    const customerId =
+      getVal('email')?.toLowerCase() ||
+      normalizePhoneNumber(getVal('mobileNumber')) ||
+      getVal('mobileNumber') ||
+      getVal('customerName')?.toLowerCase();
 
     if (!customerId) {
-      errors.push({ row: index + 2, error: 'Missing customer identifier (Email, Mobile, or Name).' });
+      report.push({ row: rowNumber, status: 'rejected', errors: ['Missing customer identifier (Email, Mobile, or Name).'] });
       return;
     }
 
-    if (!leadsByCustomer.has(customerId)) {
-      leadsByCustomer.set(customerId, {
-        leadSource: getVal('leadSource'),
-        customerName: getVal('customerName'),
-        mobileNumber: getVal('mobileNumber'),
-        alternateContactNumber: getVal('alternateContactNumber'),
-        email: getVal('email'),
-        state: getVal('state'),
-        city: getVal('city'),
-        requirements: [],
-        _sourceRows: [], // To track original row numbers for better error reporting
+    if (!customers.has(customerId)) {
+      customers.set(customerId, {
+        customerId,
+        rows: [],
+        lead: {
+          leadSource: getVal('leadSource'),
+          customerName: getVal('customerName'),
+          mobileNumber: getVal('mobileNumber'),
+          alternateContactNumber: getVal('alternateContactNumber'),
+          email: getVal('email'),
+          state: getVal('state'),
+          city: getVal('city'),
+          requirements: [],
+        },
       });
     }
-
-    const customerData = leadsByCustomer.get(customerId);
-    customerData._sourceRows.push(index + 2); // Store original row number (2-based index)
-
-    const scpData = {
-      siteAddress: getVal('siteAddress'),
-      googleLocationLink: getVal('googleLocationLink'),
-      siteType: getVal('siteType'),
-      plotSize: getVal('plotSize'),
-      totalArea: getVal('totalArea'),
-      plinthStatus: getVal('plinthStatus'),
-      structureType: getVal('structureType'),
-      numUnits: getVal('numUnits') ? Number(getVal('numUnits')) : undefined,
-      usageType: getVal('usageType'),
-      avgStayDuration: getVal('avgStayDuration'),
-      additionalFeatures: getVal('additionalFeatures'),
-      designIdeas: getVal('designIdeas'),
-      drawingStatus: getVal('drawingStatus'),
-      architectStatus: getVal('architectStatus'),
-      roomRequirements: getVal('roomRequirements'),
-      tokenAdvance: parseBoolean(getVal('tokenAdvance')),
-      financing: parseBoolean(getVal('financing')),
-      roadWidth: getVal('roadWidth'),
-      targetCompletionDate: getVal('targetCompletionDate'),
-      siteVisitDate: getVal('siteVisitDate'),
-      scpRemarks: getVal('scpRemarks'),
-    };
-
-    const requirement = {
-      requirementType: getVal('requirementType'),
+    const customer = customers.get(customerId);
+
+    const scpData = Object.fromEntries(
+      importScpFields.map((field) => [field, getVal(field)]).filter(([, value]) => value !== undefined)
+    );
+    const requirementType = getVal('requirementType');
+
+    const rowReport = { row: rowNumber, customer: customerId, status: 'pending', errors: [] };
+    report.push(rowReport);
+    customer.rows.push(rowReport);
+    customer.lead.requirements.push({
+      projectName: getVal('projectName') || `${requirementType || 'Project'} - ${customer.lead.customerName || customerId}`,
+      requirementType,
       otherRequirement: getVal('otherRequirement'),
       requirementDescription: getVal('requirementDescription'),
       urgency: getVal('urgency'),
-      budget: getVal('budget') ? Number(getVal('budget')) : undefined,
-      scpData: getVal('requirementType') === 'Cottage / Structure Proposal' ? scpData : {},
-    };
-
-    customerData.requirements.push(requirement);
+      budget: getVal('budget'),
+      ...(requirementType === 'Cottage / Structure Proposal' && { scpData }),
+    });
   });
 
-  let importedCount = 0;
-  for (const [customerId, leadData] of leadsByCustomer.entries()) {
-    const { _sourceRows, ...leadPayload } = leadData;
-    const rowIdentifier = `Row(s) ${_sourceRows.join(', ')}`;
+  return { headers, sheetRows, customers: [...customers.values()], report };
+};
 
-    try {
-      // Find existing lead by email or mobile.
-      const existingLead = await CustomerLead.findOne({
-        $or: [{ email: leadPayload.email }, { mobileNumber: leadPayload.mobileNumber }],
-      });
+/**
+ * Validate the rows of one customer. Problems with a requirement reject its own row, problems with the
+ * customer details reject every row of the customer.
+ * @param {Object} customer - as grouped by readLeadSheet
+ * @returns {Object|null} the validated lead with only the accepted requirements, or null when none are left
+ */
+const validateImportedCustomer = (customer) => {
+  const { value, error } = createCustomerLead.body.validate(customer.lead, { abortEarly: false });
+  const leadErrors = [];
+  (error?.details || []).forEach((detail) => {
+    const [field, index] = detail.path;
+    if (field === 'requirements' && Number.isInteger(index)) {
+      // The row stands for the requirement, so "requirements[1].budget" is reported as "budget"
+      const label = detail.path.slice(2).join('.') || 'requirement';
+      customer.rows[index].errors.push(detail.message.replace(`"${detail.context.label}"`, `"${label}"`));
+    } else {
+      leadErrors.push(detail.message);
+    }
+  });
 
-      if (existingLead) {
-        // If lead exists, add new requirements.
-        const { error: validationError } = updateCustomerLead.body.validate({ requirements: leadPayload.requirements });
-        if (validationError) {
-          errors.push({ customerId, error: validationError.details.map((d) => d.message).join(', '), location: rowIdentifier });
-          continue;
-        }
+  customer.rows.forEach((rowReport) => {
+    const errors = [...leadErrors, ...rowReport.errors];
+    Object.assign(rowReport, { errors, status: errors.length ? 'rejected' : rowReport.status });
+  });
+  const requirements = value.requirements.filter((requirement, index) => customer.rows[index].status !== 'rejected');
+  return requirements.length ? { ...value, requirements } : null;
+};
 
-        existingLead.requirements.push(...leadPayload.requirements);
-        await existingLead.save();
+/**
+ * Write the rejected rows, with the original columns and their errors, to a spreadsheet
+ * @param {string[]} headers
+ * @param {Object} sheetRows - original rows by row number
+ * @param {Object[]} rejected - row reports
+ * @returns {Promise<string|undefined>} the path of the sheet, when there were rejected rows
+ */
+const writeImportErrorSheet = async (headers, sheetRows, rejected) => {
+  if (!rejected.length) {
+    return undefined;
+  }
+  const rows = rejected.map(({ row, errors }) => {
+    const values = Array.from({ length: headers.length }, (_, index) => sheetRows[row]?.[index] ?? '');
+    return [...values, row, errors.join('; ')];
+  });
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([[...headers, 'Row', 'Errors'], ...rows]), 'Errors');
 
-      } else {
-        // If lead doesn't exist, create a new one.
-        const { error: validationError } = createCustomerLead.body.validate(leadPayload);
-        if (validationError) {
-          errors.push({ customerId, error: validationError.details.map((d) => d.message).join(', '), location: rowIdentifier });
-          continue;
-        }
+  const filePath = path.join(IMPORT_ERRORS_DIR, `lead-import-errors-${crypto.randomBytes(8).toString('hex')}.xlsx`);
+  await fs.promises.mkdir(IMPORT_ERRORS_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  return filePath;
+};
 
-        await CustomerLead.create(leadPayload);
+/**
+ * Import the accepted rows of one customer in its own transaction, or only check where they would go in a dry run.
+ * The row reports are updated with the outcome.
+ * @param {Object} customer - as grouped by readLeadSheet
+ * @param {Object} leadData - as returned by validateImportedCustomer
+ * @param {(User|Admin|ApiKey)} user
+ * @param {boolean} dryRun
+ * @returns {Promise<boolean>} whether the customer was imported
+ */
+const importCustomer = async (customer, leadData, user, dryRun) => {
+  const accepted = customer.rows.filter((rowReport) => rowReport.status !== 'rejected');
+  const session = dryRun ? null : await mongoose.startSession();
+  try {
+    const existingLead = await findExistingLead(leadData);
+    let lead = existingLead;
+    let assignment = null;
+
+    if (!dryRun) {
+      session.startTransaction();
+      if (existingLead) {
+        const { requirementIds } = await addRequirementsToLead(
+          existingLead,
+          leadData.requirements,
+          user,
+          session,
+          RequirementRevisionSources.IMPORT
+        );
+        existingLead.requirements.push(...requirementIds);
+        await existingLead.save({ session });
+      } else {
+        ({ lead, assignment } = await createLead(leadData, user, session, {
+          revisionSource: RequirementRevisionSources.IMPORT,
+        }));
+      }
+      await session.commitTransaction();
+      if (assignment) {
+        notifyLeadOwner(lead, assignment.owner, assignment.reason);
       }
+    }
 
-      importedCount++;
-    } catch (dbError) {
-      const errorMessage = `Failed to process lead. Reason: ${dbError.message}`;
-      errors.push({ customerId, error: errorMessage, location: rowIdentifier });
+    const outcome = {
+      status: dryRun ? 'valid' : 'imported',
+      action: existingLead ? 'add-to-existing' : 'create',
+      leadId: lead?._id,
+    };
+    accepted.forEach((rowReport) => Object.assign(rowReport, outcome));
+    return true;
+  } catch (dbError) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
     }
+    const errors = [`Failed to process lead. Reason: ${dbError.message}`];
+    accepted.forEach((rowReport) => Object.assign(rowReport, { status: 'rejected', errors }));
+    return false;
+  } finally {
+    session?.endSession();
   }
-
-  return { importedCount, errors };
 };
 
-export const exportCustomerLeadsService = async (filter = {}) => {
-  const customerLeads = await CustomerLead.find(filter).lean();
+/**
+ * Import leads from a spreadsheet, one row per requirement. Rows are grouped by customer and each customer is
+ * created, or added to the lead it already has, through the same path as the lead form in its own transaction.
+ * @param {string} filePath
+ * @param {(User|Admin|ApiKey)} user - who is importing
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - only validate, nothing is written to the database
+ * @param {function(Object): Promise<void>} [options.onProgress] - called with row counts after each customer
+ * @returns {Promise<{dryRun: boolean, importedCount: number, rows: Object[], errors: Object[], errorSheet: string}>}
+ */
+export const importCustomerLeadsService = async (filePath, user, { dryRun = false, onProgress } = {}) => {
+  const { headers, sheetRows, customers, report } = readLeadSheet(filePath);
+
+  // Rows without a customer are rejected while reading the sheet
+  const unmatched = report.length - customers.reduce((count, customer) => count + customer.rows.length, 0);
+  const progress = { total: report.length, processed: unmatched, succeeded: 0, failed: unmatched };
+
+  // One customer at a time, each in its own transaction
+  const importedCount = await customers.reduce(async (previous, customer) => {
+    const count = await previous;
+    const leadData = validateImportedCustomer(customer);
+    const imported = !!leadData && (await importCustomer(customer, leadData, user, dryRun));
+
+    const rejected = customer.rows.filter((rowReport) => rowReport.status === 'rejected').length;
+    progress.processed += customer.rows.length;
+    progress.succeeded += customer.rows.length - rejected;
+    progress.failed += rejected;
+    if (onProgress) {
+      await onProgress({ ...progress });
+    }
+    return imported ? count + 1 : count;
+  }, Promise.resolve(0));
 
-  if (customerLeads.length === 0) {
-    return null;
+  const errors = report.filter((rowReport) => rowReport.status === 'rejected');
+  const errorSheet = await writeImportErrorSheet(headers, sheetRows, errors);
+  return { dryRun, importedCount, rows: report, errors, errorSheet };
+};
+
+/**
+ * Run a lead import job, see importCustomerLeadsService. The result is a summary, the rejected rows are in the
+ * job's error file.
+ * @param {Job} job
+ * @param {Object} context
+ * @param {function(Object): Promise<void>} context.reportProgress
+ * @returns {Promise<{result: Object, errorFile: string}>}
+ */
+const runLeadImportJob = async (job, { reportProgress }) => {
+  const user = await mongoose.model(job.createdByModel).findById(job.createdBy);
+  if (!user) {
+    throw new Error('The user who started the import no longer exists');
   }
+  const { dryRun, importedCount, rows, errors, errorSheet } = await importCustomerLeadsService(job.inputFile, user, {
+    dryRun: !!job.params.dryRun,
+    onProgress: reportProgress,
+  });
 
-  const dataToExport = [];
-  const headers = [
-    // Basic Info
-    'Lead ID', 'Lead Source', 'Customer Name', 'Mobile Number', 'Alternate Contact', 'Email', 'State', 'City', 'Is Active', 'Created At',
-    // Requirement specific
-    'Requirement ID', 'Requirement Type', 'Other Requirement', 'Description', 'Urgency', 'Budget',
-    // SCP Data
-    'Site Address', 'Google Location', 'Site Type', 'Plot Size', 'Total Area', 'Plinth Status', 'Structure Type', 'Num Units', 'Usage Type',
-    'Avg Stay Duration', 'Additional Features', 'Design Ideas', 'Drawing Status', 'Architect Status', 'Room Requirements', 'Token Advance',
-    'Financing', 'Road Width', 'Target Completion', 'Site Visit Date', 'SCP Remarks'
-  ];
+  const accepted = rows.filter((rowReport) => rowReport.status !== 'rejected');
+  return {
+    result: {
+      dryRun,
+      customers: importedCount,
+      rows: rows.length,
+      createdRows: accepted.filter((rowReport) => rowReport.action === 'create').length,
+      addedToExistingRows: accepted.filter((rowReport) => rowReport.action === 'add-to-existing').length,
+      rejectedRows: errors.length,
+    },
+    errorFile: errorSheet,
+  };
+};
 
-  for (const lead of customerLeads) {
-    if (lead.requirements && lead.requirements.length > 0) {
-      for (const requirement of lead.requirements) {
-        const scpData = requirement.scpData || {};
-        const row = {
-          'Lead ID': lead._id.toString(),
-          'Lead Source': lead.leadSource,
-          'Customer Name': lead.customerName,
-          'Mobile Number': lead.mobileNumber,
-          'Alternate Contact': lead.alternateContactNumber,
-          'Email': lead.email,
-          'State': lead.state,
-          'City': lead.city,
-          'Is Active': lead.isActive,
-          'Created At': lead.createdAt.toISOString(),
-
-          'Requirement ID': requirement._id.toString(),
-          'Requirement Type': requirement.requirementType,
-          'Other Requirement': requirement.otherRequirement,
-          'Description': requirement.requirementDescription,
-          'Urgency': requirement.urgency,
-          'Budget': requirement.budget,
-
-          'Site Address': scpData.siteAddress,
-          'Google Location': scpData.googleLocationLink,
-          'Site Type': scpData.siteType,
-          'Plot Size': scpData.plotSize,
-          'Total Area': scpData.totalArea,
-          'Plinth Status': scpData.plinthStatus,
-          'Structure Type': scpData.structureType,
-          'Num Units': scpData.numUnits,
-          'Usage Type': scpData.usageType,
-          'Avg Stay Duration': scpData.avgStayDuration,
-          'Additional Features': scpData.additionalFeatures,
-          'Design Ideas': scpData.designIdeas,
-          'Drawing Status': scpData.drawingStatus,
-          'Architect Status': scpData.architectStatus,
-          'Room Requirements': scpData.roomRequirements,
-          'Token Advance': scpData.tokenAdvance,
-          'Financing': scpData.financing,
-          'Road Width': scpData.roadWidth,
-          'Target Completion': scpData.targetCompletionDate,
-          'Site Visit Date': scpData.siteVisitDate,
-          'SCP Remarks': scpData.scpRemarks
-        };
-        dataToExport.push(row);
-      }
-    } else {
-      // Add a row for leads without any requirements
-      const row = {
-        'Lead ID': lead._id.toString(),
-        'Lead Source': lead.leadSource,
-        'Customer Name': lead.customerName,
-        'Mobile Number': lead.mobileNumber,
-        'Alternate Contact': lead.alternateContactNumber,
-        'Email': lead.email,
-        'State': lead.state,
-        'City': lead.city,
-        'Is Active': lead.isActive,
-        'Created At': lead.createdAt.toISOString(),
-      };
-      dataToExport.push(row);
-    }
+registerJobHandler(JobTypes.LEAD_IMPORT, runLeadImportJob);
+
+/**
+ * Export the customer leads matching the same filters as the lead list. Requirement columns give one row per
+ * requirement, and a row with empty requirement columns for leads without any.
+ * @param {Object} [filter] - as built for listCustomerLeadsService
+ * @param {Object} [options]
+ * @param {string|string[]} [options.columns] - column keys in order, see config/exportColumns
+ * @param {string} [options.format] - xlsx, csv or pdf
+ * @returns {Promise<Object|null>} the file, see createExport, or null when no lead matches
+ */
+export const exportCustomerLeadsService = async (filter = {}, { columns, format } = {}) => {
+  const selectedColumns = resolveExportColumns('customer-leads', columns);
+  const query = toLeadQuery(filter);
+  const total = await CustomerLead.countDocuments(query);
+  if (!total) {
+    return null;
   }
 
-  const worksheet = xlsx.utils.json_to_sheet(dataToExport, { header: headers });
-  const workbook = xlsx.utils.book_new();
-  xlsx.utils.book_append_sheet(workbook, worksheet, 'Customer Leads');
-
-  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+  const withRequirements = selectedColumns.some((column) => column.requirement);
+  const withOwner = selectedColumns.some((column) => column.key === 'owner');
+  return createExport({
+    title: 'Customer Leads',
+    fileName: 'customer-leads',
+    columns: selectedColumns,
+    format,
+    total,
+    cursor: () =>
+      CustomerLead.find(query)
+        .select('-stageHistory -ownerHistory -phoneNumbers')
+        .populate(withRequirements ? [{ path: 'requirements', select: '-files -sharedWith' }] : [])
+        .populate(withOwner ? [{ path: 'owner', select: 'name' }] : [])
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: 200 }),
+    toRows: (lead) =>
+      withRequirements && lead.requirements.length
+        ? lead.requirements.map((requirement) => ({ lead, requirement }))
+        : [{ lead }],
+  });
 };
@@ -32,8 +32,7 @@ const sendEmail = async (to, subject, text) => {
  */
 const sendResetPasswordEmail = async (to, token) => {
   const subject = 'Reset password';
-  // replace this URL with the link to the reset password page of your front-end app
-  const resetPasswordUrl = `http://link-to-app/reset-password?token=${token}`;
+  const resetPasswordUrl = `${config.email.resetPasswordUrl}?token=${token}`;
   const text = `Dear user,
 To reset your password, click on this link: ${resetPasswordUrl}
 If you did not request any password resets, then ignore this email.`;
@@ -48,12 +47,62 @@ If you did not request any password resets, then ignore this email.`;
  */
 const sendVerificationEmail = async (to, token) => {
   const subject = 'Email Verification';
-  // replace this URL with the link to the email verification page of your front-end app
-  const verificationEmailUrl = `http://link-to-app/verify-email?token=${token}`;
+  const verificationEmailUrl = `${config.email.verifyEmailUrl}?token=${token}`;
   const text = `Dear user,
 To verify your email, click on this link: ${verificationEmailUrl}
 If you did not create an account, then ignore this email.`;
   await sendEmail(to, subject, text);
 };
 
-export { transport, sendEmail, sendResetPasswordEmail, sendVerificationEmail };
+/**
+ * Send a lead follow-up reminder
+ * @param {string} to
+ * @param {Object} reminder
+ * @param {string} reminder.customerName
+ * @param {string} [reminder.mobileNumber]
+ * @param {string} reminder.channel - call, whatsapp or visit
+ * @param {Date} reminder.dueAt
+ * @param {string} [reminder.note]
+ * @returns {Promise}
+ */
+const sendFollowUpReminderEmail = async (to, { customerName, mobileNumber, channel, dueAt, note }) => {
+  const subject = `Follow-up due: ${customerName}`;
+  const contact = mobileNumber ? `${customerName} (${mobileNumber})` : customerName;
+  let text = `Dear user,
+You have a ${channel} follow-up with ${contact} due at ${dueAt.toLocaleString()}.`;
+  if (note) {
+    text += `\nNote: ${note}`;
+  }
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Tell a sales admin they own a lead
+ * @param {string} to
+ * @param {Object} lead
+ * @param {string} lead.customerName
+ * @param {string} [lead.mobileNumber]
+ * @param {string} [lead.city]
+ * @param {string} [lead.leadSource]
+ * @param {string} [reason]
+ * @returns {Promise}
+ */
+const sendLeadAssignedEmail = async (to, { customerName, mobileNumber, city, leadSource }, reason) => {
+  const subject = `New lead assigned: ${customerName}`;
+  const contact = mobileNumber ? `${customerName} (${mobileNumber})` : customerName;
+  let text = `Dear user,
+The lead ${contact}${city ? ` from ${city}` : ''} has been assigned to you${leadSource ? ` (source: ${leadSource})` : ''}.`;
+  if (reason) {
+    text += `\nReason: ${reason}`;
+  }
+  await sendEmail(to, subject, text);
+};
+
+export {
+  transport,
+  sendEmail,
+  sendResetPasswordEmail,
+  sendVerificationEmail,
+  sendFollowUpReminderEmail,
+  sendLeadAssignedEmail,
+};
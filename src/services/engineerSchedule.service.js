@@ -0,0 +1,293 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import EngineerLeave from '../models/engineerLeave.model.js';
+import SiteVisit from '../models/siteVisit.model.js';
+import Sitework from '../models/sitework.model.js';
+import User from '../models/user.model.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import BookingTypes from '../config/enums/bookingTypes.enum.js';
+import Roles from '../config/enums/roles.enum.js';
+
+// Site visits and siteworks that still take up their days
+const BUSY_VISIT_STATUSES = ['Scheduled', 'InProgress'];
+export const BUSY_SITEWORK_STATUSES = ['not-started', 'in-progress'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const nextDay = (date) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + 1);
+  return day;
+};
+
+/**
+ * The days a site visit takes up: visitStartDate to visitEndDate, or the day of visitDate
+ * @param {Object} visit
+ * @returns {{start: Date, end: Date}}
+ */
+export const visitDays = ({ visitDate, visitStartDate, visitEndDate }) => ({
+  start: startOfDay(visitStartDate || visitDate),
+  end: endOfDay(visitEndDate || visitStartDate || visitDate),
+});
+
+/**
+ * The days a sitework takes up: startDate to endDate, or the day of startDate when it has no end yet
+ * @param {Object} sitework
+ * @returns {{start: Date, end: Date}|null} null for a sitework without a start date
+ */
+export const siteworkDays = ({ startDate, endDate }) =>
+  startDate ? { start: startOfDay(startDate), end: endOfDay(endDate || startDate) } : null;
+
+const overlaps = (a, b) => a.start <= b.end && b.start <= a.end;
+
+const projectSummary = (project) => project && pick(project, ['_id', 'projectName', 'projectCode']);
+
+/**
+ * Site visits, sitework assignments and leave that take up any day of a range
+ * @param {ObjectId[]} [engineers] - everyone's when not given
+ * @param {{start: Date, end: Date}} range
+ * @param {Object} [options]
+ * @param {ObjectId} [options.excludeSitework] - a sitework being changed, which cannot clash with itself
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<Object[]>} bookings with engineer, type, id, start, end and, for visits and siteworks, project
+ */
+export const findBookings = async (engineers, { start, end }, { excludeSitework, session } = {}) => {
+  const ids = engineers && engineers.map((engineer) => new mongoose.Types.ObjectId(String(engineer)));
+  // One after another, as queries in a transaction cannot share its session at the same time
+  const visits = await SiteVisit.find({
+    ...(ids && { siteEngineer: { $in: ids } }),
+    status: { $in: BUSY_VISIT_STATUSES },
+    $or: [
+      { visitStartDate: { $lte: end }, visitEndDate: { $gte: start } },
+      { visitStartDate: null, visitDate: { $gte: start, $lte: end } },
+    ],
+  })
+    .populate('project', 'projectName projectCode')
+    .lean()
+    .session(session);
+  const siteworks = await Sitework.find({
+    ...(ids && { 'assignedUsers.user': { $in: ids } }),
+    ...(excludeSitework && { _id: { $ne: excludeSitework } }),
+    status: { $in: BUSY_SITEWORK_STATUSES },
+    isActive: true,
+    startDate: { $lte: end },
+    $or: [{ endDate: { $gte: start } }, { endDate: null, startDate: { $gte: start } }],
+  })
+    .populate('project', 'projectName projectCode')
+    .lean()
+    .session(session);
+  const leaves = await EngineerLeave.find({
+    ...(ids && { engineer: { $in: ids } }),
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  })
+    .lean()
+    .session(session);
+
+  const isWanted = (engineer) => !ids || ids.some((id) => id.equals(engineer));
+  return [
+    ...visits.map((visit) => ({
+      engineer: visit.siteEngineer,
+      type: BookingTypes.SITE_VISIT,
+      id: visit._id,
+      ...visitDays(visit),
+      status: visit.status,
+      project: projectSummary(visit.project),
+    })),
+    ...siteworks.flatMap((sitework) =>
+      sitework.assignedUsers
+        .filter((assigned) => assigned.user && isWanted(assigned.user))
+        .map((assigned) => ({
+          engineer: assigned.user,
+          type: BookingTypes.SITEWORK,
+          id: sitework._id,
+          ...siteworkDays(sitework),
+          status: sitework.status,
+          name: sitework.name,
+          project: projectSummary(sitework.project),
+        }))
+    ),
+    ...leaves.map((leave) => ({
+      engineer: leave.engineer,
+      type: BookingTypes.LEAVE,
+      id: leave._id,
+      start: leave.startDate,
+      end: leave.endDate,
+      reason: leave.reason,
+    })),
+  ].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Engineers with anything booked on a day
+ * @param {Date} date
+ * @returns {Promise<ObjectId[]>}
+ */
+export const findBusyEngineers = async (date) => {
+  const bookings = await findBookings(undefined, { start: startOfDay(date), end: endOfDay(date) });
+  const ids = new Map(bookings.map((booking) => [String(booking.engineer), booking.engineer]));
+  return [...ids.values()];
+};
+
+/**
+ * Check that engineers are free for new bookings, e.g. the site visits about to be created. Bookings clash when they
+ * share a day with a scheduled or in-progress site visit, an unfinished sitework or leave of the same engineer, or
+ * with another of the new bookings.
+ * @param {Object[]} bookings - each with engineer, type, start and end, see visitDays and siteworkDays
+ * @param {Object} [options]
+ * @param {ObjectId} [options.excludeSitework] - a sitework being changed, which cannot clash with itself
+ * @param {ClientSession} [options.session]
+ * @throws {ApiError} 409 with `conflicts`, each new booking that clashes and what it clashes with
+ */
+export const assertEngineersAvailable = async (bookings, options = {}) => {
+  const conflicts = await bookings.reduce(async (previous, booking, index) => {
+    const found = await previous;
+    const existing = await findBookings([booking.engineer], booking, options);
+    const requested = bookings
+      .filter((other, otherIndex) => otherIndex !== index && String(other.engineer) === String(booking.engineer))
+      .filter((other) => overlaps(other, booking))
+      .map((other) => ({ ...other, inThisRequest: true }));
+    const clashesWith = [...existing, ...requested];
+    return clashesWith.length ? [...found, { booking, clashesWith }] : found;
+  }, Promise.resolve([]));
+  if (conflicts.length) {
+    const error = new ApiError(
+      httpStatus.CONFLICT,
+      conflicts.length === 1
+        ? 'The engineer is already booked on some of these days'
+        : `${conflicts.length} of the bookings clash with the engineers' schedules`
+    );
+    error.details = { conflicts };
+    throw error;
+  }
+};
+
+// Consecutive days with the same status, busy days with the bookings on them
+const toSlots = (bookings, range) => {
+  const slots = [];
+  for (let day = range.start; day <= range.end; day = nextDay(day)) {
+    const today = { start: day, end: endOfDay(day) };
+    const onDay = bookings.filter((booking) => overlaps(booking, today));
+    const status = onDay.length ? 'busy' : 'free';
+    const last = slots[slots.length - 1];
+    if (last && last.status === status) {
+      last.end = today.end;
+      onDay.filter((booking) => !last.bookings.includes(booking)).forEach((booking) => last.bookings.push(booking));
+    } else {
+      slots.push({ ...today, status, bookings: onDay });
+    }
+  }
+  return slots.map(({ bookings: onSlot, ...slot }) => (slot.status === 'busy' ? { ...slot, bookings: onSlot } : slot));
+};
+
+/**
+ * Free and busy days of active site engineers over a date range
+ * @param {Object} query
+ * @param {ObjectId[]} [query.engineers] - all active site engineers when not given
+ * @param {Date} query.from
+ * @param {Date} query.to
+ * @returns {Promise<Object[]>} per engineer, slots of consecutive free or busy days and the number of free days
+ */
+export const getEngineerAvailability = async ({ engineers, from, to }) => {
+  const range = { start: startOfDay(from), end: endOfDay(to) };
+  const users = await User.find({
+    role: Roles.SITE_ENGINEER,
+    isActive: true,
+    ...(engineers?.length && { _id: { $in: engineers } }),
+  })
+    .select('name email phoneNumber')
+    .sort({ name: 1 })
+    .lean();
+  const bookings = await findBookings(
+    users.map((user) => user._id),
+    range
+  );
+
+  return users.map((engineer) => {
+    const slots = toSlots(
+      bookings.filter((booking) => engineer._id.equals(booking.engineer)),
+      range
+    );
+    const freeDays = slots
+      .filter((slot) => slot.status === 'free')
+      .reduce((days, slot) => days + Math.round((slot.end - slot.start) / 86400000), 0);
+    return { engineer, freeDays, slots };
+  });
+};
+
+const getSiteEngineer = async (engineerId) => {
+  const engineer = await User.findById(engineerId).select('role');
+  if (!engineer || engineer.role !== Roles.SITE_ENGINEER) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid site engineer');
+  }
+  return engineer;
+};
+
+/**
+ * Record leave of a site engineer. Leave is taken even when the engineer is already booked; what it clashes with is
+ * returned so it can be rescheduled.
+ * @param {Object} leaveBody
+ * @param {ObjectId} leaveBody.engineer
+ * @param {Date} leaveBody.startDate
+ * @param {Date} leaveBody.endDate
+ * @param {string} [leaveBody.reason]
+ * @param {(User|Admin|ApiKey)} creator
+ * @returns {Promise<{leave: EngineerLeave, clashes: Object[]}>}
+ */
+export const createEngineerLeave = async ({ engineer, startDate, endDate, reason }, creator) => {
+  await getSiteEngineer(engineer);
+  const range = { start: startOfDay(startDate), end: endOfDay(endDate) };
+  const clashes = (await findBookings([engineer], range)).filter((booking) => booking.type !== BookingTypes.LEAVE);
+  const leave = await EngineerLeave.create({
+    engineer,
+    startDate: range.start,
+    endDate: range.end,
+    reason,
+    createdBy: creator._id,
+    createdByModel: creator.constructor.modelName,
+  });
+  return { leave, clashes };
+};
+
+/**
+ * Leave of site engineers, latest first
+ * @param {Object} [filter]
+ * @param {ObjectId} [filter.engineer]
+ * @param {Date} [filter.from] - only leave that ends on or after this day
+ * @param {Date} [filter.to] - only leave that starts on or before this day
+ * @returns {Promise<EngineerLeave[]>}
+ */
+export const queryEngineerLeaves = async ({ engineer, from, to } = {}) => {
+  return EngineerLeave.find({
+    ...(engineer && { engineer }),
+    ...(from && { endDate: { $gte: startOfDay(from) } }),
+    ...(to && { startDate: { $lte: endOfDay(to) } }),
+  })
+    .populate('engineer', 'name email')
+    .sort({ startDate: -1 });
+};
+
+/**
+ * Delete leave of a site engineer
+ * @param {ObjectId} leaveId
+ * @returns {Promise<EngineerLeave>}
+ */
+export const deleteEngineerLeave = async (leaveId) => {
+  const leave = await EngineerLeave.findById(leaveId);
+  if (!leave) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Leave not found');
+  }
+  await leave.deleteOne();
+  return leave;
+};
@@ -0,0 +1,184 @@
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import httpStatus from 'http-status';
+import moment from 'moment';
+import xlsx from 'xlsx';
+import { encode } from 'html-entities';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import exportColumns from '../config/exportColumns.js';
+import ApiError from '../utils/ApiError.js';
+import { renderHtmlToPdf } from './jsreport.service.js';
+
+// xlsx and PDF files are built in memory before they are sent, so they hold a limited number of records
+const exportFormats = {
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    label: 'xlsx',
+    maxRows: () => config.exports.xlsxMaxRows,
+    instead: 'csv',
+  },
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  pdf: { contentType: 'application/pdf', label: 'PDF', maxRows: () => config.exports.pdfMaxRows, instead: 'xlsx or csv' },
+};
+
+// Spreadsheet apps run a cell that starts with one of these as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Rows handed to the xlsx sheet at a time
+const XLSX_BATCH_SIZE = 500;
+
+/**
+ * Turn column keys into the columns of a resource, keeping the order they were given in
+ * @param {string} resource - customer-leads or users
+ * @param {string|string[]} [keys] - comma separated or a list; the resource's default columns when empty
+ * @returns {Object[]} columns from config/exportColumns
+ */
+export const resolveExportColumns = (resource, keys) => {
+  const available = exportColumns[resource];
+  const list = (typeof keys === 'string' ? keys.split(',') : keys || []).map((key) => key.trim()).filter(Boolean);
+  if (!list.length) {
+    return available.filter((column) => !column.optional);
+  }
+  const unknown = list.filter((key) => !available.some((column) => column.key === key));
+  if (unknown.length) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Unknown columns: ${unknown.join(', ')}. Available columns: ${available.map((column) => column.key).join(', ')}`
+    );
+  }
+  return [...new Set(list)].map((key) => available.find((column) => column.key === key));
+};
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Text can come from the public inbound lead webhook, so it is kept from being read as a formula
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toPdfValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return encode(value instanceof Date ? moment(value).format('YYYY-MM-DD HH:mm') : String(value));
+};
+
+const toCsvLine = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+const writeCsv = async (columns, openRows, output) => {
+  // The BOM makes Excel open the file as UTF-8
+  output.write(`\ufeff${toCsvLine(columns.map((column) => column.header))}`);
+  const toCsv = new Transform({
+    writableObjectMode: true,
+    transform(rows, encoding, callback) {
+      callback(null, rows.map(toCsvLine).join(''));
+    },
+  });
+  await pipeline(openRows(), toCsv, output);
+};
+
+const writeXlsx = async (columns, openRows, output, { title }) => {
+  const worksheet = xlsx.utils.aoa_to_sheet([columns.map((column) => column.header)]);
+  let batch = [];
+  const flush = () => {
+    xlsx.utils.sheet_add_aoa(worksheet, batch, { origin: -1, cellDates: true, dateNF: 'yyyy-mm-dd hh:mm' });
+    batch = [];
+  };
+  await openRows().eachAsync((rows) => {
+    batch.push(...rows);
+    if (batch.length >= XLSX_BATCH_SIZE) flush();
+  });
+  if (batch.length) flush();
+  worksheet['!cols'] = columns.map((column) => ({ wch: column.width || Math.max(column.header.length + 2, 15) }));
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, worksheet, title);
+  output.end(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+};
+
+const writePdf = async (columns, openRows, output, { title }) => {
+  const body = [];
+  await openRows().eachAsync((rows) => {
+    body.push(...rows.map((row) => `<tr>${row.map((value) => `<td>${toPdfValue(value)}</td>`).join('')}</tr>`));
+  });
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 8pt; color: #333; margin: 24px; }
+    h1 { font-size: 14pt; margin: 0 0 4px; color: #2c3e50; }
+    p { margin: 0 0 12px; color: #777; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 3px 5px; text-align: left; vertical-align: top; word-break: break-word; }
+    th { background: #f2f4f7; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+  </style>
+</head>
+<body>
+  <h1>${encode(title)}</h1>
+  <p>Exported ${moment().format('YYYY-MM-DD HH:mm')}, ${body.length} rows</p>
+  <table>
+    <thead><tr>${columns.map((column) => `<th>${encode(column.header)}</th>`).join('')}</tr></thead>
+    <tbody>${body.join('')}</tbody>
+  </table>
+</body>
+</html>`;
+  await pipeline(await renderHtmlToPdf(html, { landscape: columns.length > 6 }), output);
+};
+
+const writers = { xlsx: writeXlsx, csv: writeCsv, pdf: writePdf };
+
+/**
+ * Prepare an export. Documents are read one at a time from a cursor, so the collection is never loaded whole: CSV
+ * is streamed to the response as it is read, while xlsx and PDF files are built from the rows and sent at the end,
+ * which is why they are limited to EXPORT_XLSX_MAX_ROWS and EXPORT_PDF_MAX_ROWS records.
+ * @param {Object} exportSpec
+ * @param {string} exportSpec.title - sheet or document title
+ * @param {string} exportSpec.fileName - file name without the extension
+ * @param {Object[]} exportSpec.columns - from resolveExportColumns
+ * @param {string} [exportSpec.format] - xlsx, csv or pdf
+ * @param {number} exportSpec.total - number of documents that will be read
+ * @param {Function} exportSpec.cursor - opens the cursor over the documents
+ * @param {Function} [exportSpec.toRows] - turns a document into what the columns read, one per row
+ * @returns {{fileName: string, contentType: string, send: Function}} send(res) writes the file to the response
+ */
+export const createExport = ({ title, fileName, columns, format = 'xlsx', total, cursor, toRows = (doc) => [doc] }) => {
+  const { label, maxRows, instead } = exportFormats[format];
+  if (maxRows && total > maxRows()) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `${label} exports are limited to ${maxRows()} records, this one has ${total}. Narrow the filters or export ${instead}.`
+    );
+  }
+
+  // Each document becomes a list of rows, each row a list of values in column order
+  const openRows = () => cursor().map((doc) => toRows(doc).map((source) => columns.map((column) => column.value(source))));
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = {
+    fileName: `${fileName}-${timestamp}.${format}`,
+    contentType: exportFormats[format].contentType,
+  };
+
+  file.send = async (res) => {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    try {
+      await writers[format](columns, openRows, res, { title });
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        throw error;
+      }
+      // Part of the file is already out, so the error can only be told by cutting the download short
+      logger.error(`Export ${file.fileName} failed: ${error.message}`);
+      res.destroy(error);
+    }
+  };
+  return file;
+};
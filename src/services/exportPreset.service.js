@@ -0,0 +1,133 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import ExportPreset from '../models/exportPreset.model.js';
+import ApiError from '../utils/ApiError.js';
+import { exportCustomerLeads } from '../validations/customerLead.validation.js';
+import { exportUsers } from '../validations/user.validation.js';
+import { resolveExportColumns } from './export.service.js';
+
+// A preset's filters are the query parameters of its resource's export, without the export options
+const filterSchemas = Object.fromEntries(
+  Object.entries({ 'customer-leads': exportCustomerLeads, users: exportUsers }).map(([resource, schema]) => [
+    resource,
+    schema.query.fork(['format', 'columns', 'preset'], (key) => key.forbidden()),
+  ])
+);
+
+/**
+ * Check the columns and filters of a preset against its resource
+ * @param {string} resource
+ * @param {Object} presetBody
+ * @returns {Object} presetBody with the filters as validated
+ */
+const checkPresetBody = (resource, presetBody) => {
+  if (presetBody.columns) {
+    resolveExportColumns(resource, presetBody.columns);
+  }
+  if (!presetBody.filters) {
+    return presetBody;
+  }
+  const { value, error } = filterSchemas[resource].validate(presetBody.filters, { abortEarly: false });
+  if (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, error.details.map((detail) => detail.message).join(', '));
+  }
+  return { ...presetBody, filters: value };
+};
+
+const checkNameFree = async (user, resource, name, excludeId) => {
+  if (await ExportPreset.exists({ user: user._id, resource, name, ...(excludeId && { _id: { $ne: excludeId } }) })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'You already have an export preset with this name');
+  }
+};
+
+/**
+ * Save an export preset for a user
+ * @param {Object} presetBody - resource, name, format, columns, filters
+ * @param {(User|Admin)} user
+ * @returns {Promise<ExportPreset>}
+ */
+export const createExportPreset = async (presetBody, user) => {
+  await checkNameFree(user, presetBody.resource, presetBody.name);
+  return ExportPreset.create({
+    ...checkPresetBody(presetBody.resource, presetBody),
+    user: user._id,
+    userModel: user.constructor.modelName,
+  });
+};
+
+/**
+ * List a user's export presets
+ * @param {(User|Admin)} user
+ * @param {Object} [filter]
+ * @param {string} [filter.resource]
+ * @returns {Promise<ExportPreset[]>}
+ */
+export const queryExportPresets = async (user, { resource } = {}) => {
+  return ExportPreset.find({ user: user._id, ...(resource && { resource }) }).sort({ resource: 1, name: 1 });
+};
+
+/**
+ * Get one of a user's export presets
+ * @param {ObjectId} presetId
+ * @param {(User|Admin)} user
+ * @returns {Promise<ExportPreset>}
+ */
+export const getExportPresetById = async (presetId, user) => {
+  const preset = mongoose.isValidObjectId(presetId) ? await ExportPreset.findOne({ _id: presetId, user: user._id }) : null;
+  if (!preset) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Export preset not found');
+  }
+  return preset;
+};
+
+/**
+ * Update one of a user's export presets. New columns or filters replace the old ones.
+ * @param {ObjectId} presetId
+ * @param {Object} updateBody
+ * @param {(User|Admin)} user
+ * @returns {Promise<ExportPreset>}
+ */
+export const updateExportPresetById = async (presetId, updateBody, user) => {
+  const preset = await getExportPresetById(presetId, user);
+  if (updateBody.name) {
+    await checkNameFree(user, preset.resource, updateBody.name, preset._id);
+  }
+  Object.assign(preset, checkPresetBody(preset.resource, updateBody));
+  await preset.save();
+  return preset;
+};
+
+/**
+ * Delete one of a user's export presets
+ * @param {ObjectId} presetId
+ * @param {(User|Admin)} user
+ * @returns {Promise<ExportPreset>}
+ */
+export const deleteExportPresetById = async (presetId, user) => {
+  const preset = await getExportPresetById(presetId, user);
+  await preset.deleteOne();
+  return preset;
+};
+
+/**
+ * Fill in an export request from the preset it names. Parameters given with the request win over the preset's.
+ * @param {string} resource - what is being exported
+ * @param {Object} query - the export's query parameters, with the preset id in preset
+ * @param {(User|Admin|ApiKey)} user
+ * @returns {Promise<Object>} the query parameters to export with
+ */
+export const applyExportPreset = async (resource, { preset: presetId, ...query }, user) => {
+  if (!presetId) {
+    return query;
+  }
+  const preset = await getExportPresetById(presetId, user);
+  if (preset.resource !== resource) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `This preset is for ${preset.resource} exports`);
+  }
+  return {
+    ...preset.filters,
+    format: preset.format,
+    ...(preset.columns.length && { columns: preset.columns }),
+    ...query,
+  };
+};
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import InboundLeadSource from '../models/inboundLeadSource.model.js';
+import InboundLeadEvent from '../models/inboundLeadEvent.model.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { createCustomerLead } from '../validations/customerLead.validation.js';
+import { createLead } from './customerLead.service.js';
+import { notifyLeadOwner } from './leadAssignment.service.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+
+const REQUIREMENT_PREFIX = 'requirement.';
+// An event still processing after this long was left behind by a crashed or timed out request
+const STALE_PROCESSING_MINUTES = 10;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Register a source that pushes leads to /v1/customer-leads/inbound/:key. The signing secret is returned once.
+ * @param {Object} sourceBody - key, name, leadSource, signatureHeader, eventIdHeader, eventIdPath, mapping
+ * @param {(User|Admin|ApiKey)} creator - leads from the source are created in their name
+ * @returns {Promise<{source: InboundLeadSource, secret: string}>}
+ */
+export const createInboundLeadSource = async (sourceBody, creator) => {
+  if (await InboundLeadSource.exists({ key: sourceBody.key.toLowerCase() })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Inbound lead source key already taken');
+  }
+  const secret = generateSecret();
+  const source = await InboundLeadSource.create({
+    ...sourceBody,
+    secret,
+    createdBy: creator._id,
+    createdByModel: creator.constructor.modelName,
+  });
+  source.secret = undefined;
+  return { source, secret };
+};
+
+/**
+ * List inbound lead sources
+ * @returns {Promise<InboundLeadSource[]>}
+ */
+export const queryInboundLeadSources = async () => {
+  return InboundLeadSource.find().select('-secret').sort({ name: 1 });
+};
+
+/**
+ * Get inbound lead source by id
+ * @param {ObjectId} sourceId
+ * @returns {Promise<InboundLeadSource>}
+ */
+export const getInboundLeadSourceById = async (sourceId) => {
+  const source = mongoose.isValidObjectId(sourceId) ? await InboundLeadSource.findById(sourceId).select('-secret') : null;
+  if (!source) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inbound lead source not found');
+  }
+  return source;
+};
+
+/**
+ * Change the mapping, headers, lead source or name of a source, or turn it off
+ * @param {ObjectId} sourceId
+ * @param {Object} updateBody
+ * @returns {Promise<InboundLeadSource>}
+ */
+export const updateInboundLeadSourceById = async (sourceId, updateBody) => {
+  const source = await getInboundLeadSourceById(sourceId);
+  Object.assign(source, updateBody);
+  await source.save();
+  return source;
+};
+
+/**
+ * Replace the signing secret of a source. Requests signed with the old one are refused from now on.
+ * @param {ObjectId} sourceId
+ * @returns {Promise<{source: InboundLeadSource, secret: string}>}
+ */
+export const rotateInboundLeadSourceSecret = async (sourceId) => {
+  const source = await getInboundLeadSourceById(sourceId);
+  const secret = generateSecret();
+  await InboundLeadSource.updateOne({ _id: source._id }, { $set: { secret } });
+  logger.info(`Rotated the secret of inbound lead source ${source.key}`);
+  return { source, secret };
+};
+
+/**
+ * Delete a source. Its events are kept.
+ * @param {ObjectId} sourceId
+ * @returns {Promise<InboundLeadSource>}
+ */
+export const deleteInboundLeadSourceById = async (sourceId) => {
+  const source = await getInboundLeadSourceById(sourceId);
+  await source.deleteOne();
+  return source;
+};
+
+/**
+ * Recent events received from a source, newest first
+ * @param {ObjectId} sourceId
+ * @param {Object} [filter]
+ * @param {string} [filter.status]
+ * @param {number} [filter.limit]
+ * @returns {Promise<InboundLeadEvent[]>}
+ */
+export const getInboundLeadEvents = async (sourceId, { status, limit = 50 } = {}) => {
+  await getInboundLeadSourceById(sourceId);
+  return InboundLeadEvent.find({ source: sourceId, ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Check the HMAC-SHA256 signature of a request body. The signature may be hex, optionally prefixed with
+ * "sha256=", or base64.
+ * @param {string} secret
+ * @param {Buffer} rawBody
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, rawBody, signature) => {
+  if (!rawBody || !signature) {
+    return false;
+  }
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = String(signature)
+    .trim()
+    .replace(/^sha256=/i, '');
+  const candidates = [Buffer.from(received, 'hex'), Buffer.from(received, 'base64')];
+  return candidates.some((candidate) => candidate.length === digest.length && crypto.timingSafeEqual(candidate, digest));
+};
+
+const getPath = (payload, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), payload);
+
+const toFieldValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter((item) => item !== null && typeof item !== 'object').join(', ') || undefined;
+  }
+  if (value === null || value === undefined || typeof value === 'object') {
+    return undefined;
+  }
+  return String(value).trim() || undefined;
+};
+
+/**
+ * Build lead data from a payload with the source's mapping
+ * @param {InboundLeadSource} source
+ * @param {Object} payload
+ * @returns {Object} lead data in the shape createCustomerLead validates, with one requirement
+ */
+export const mapInboundPayload = (source, payload) => {
+  const lead = { leadSource: source.leadSource };
+  const requirement = {};
+  source.mapping.forEach(({ field, path, value }) => {
+    const mapped = (path && toFieldValue(getPath(payload, path))) ?? value;
+    if (mapped === undefined) return;
+    if (field.startsWith(REQUIREMENT_PREFIX)) {
+      requirement[field.slice(REQUIREMENT_PREFIX.length)] = mapped;
+    } else {
+      lead[field] = mapped;
+    }
+  });
+  requirement.projectName =
+    requirement.projectName || `${requirement.requirementType || 'Project'} - ${lead.customerName || source.name}`;
+  return { ...lead, requirements: [requirement] };
+};
+
+/**
+ * Record an event before it is processed so each event is landed once. A redelivered event that failed, or that
+ * has been processing for longer than STALE_PROCESSING_MINUTES, is processed again.
+ * @param {InboundLeadSource} source
+ * @param {string} eventId
+ * @param {Object} payload
+ * @returns {Promise<InboundLeadEvent|null>} the event to process, or null when it was already received
+ */
+const claimEvent = async (source, eventId, payload) => {
+  try {
+    return await InboundLeadEvent.create({ source: source._id, eventId, payload });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const staleBefore = moment().subtract(STALE_PROCESSING_MINUTES, 'minutes').toDate();
+    return InboundLeadEvent.findOneAndUpdate(
+      {
+        source: source._id,
+        eventId,
+        $or: [{ status: 'failed' }, { status: 'processing', updatedAt: { $lt: staleBefore } }],
+      },
+      { $set: { status: 'processing', payload }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Land a lead pushed by a marketing form or ad platform. The request must be signed with the source's secret.
+ * Events are deduplicated by the event id the sender gives, or by a hash of the body when it gives none, and the
+ * lead is created the same way as from the lead form.
+ * @param {string} sourceKey
+ * @param {Object} request
+ * @param {Buffer} request.rawBody
+ * @param {Object} request.body
+ * @param {Object} request.headers
+ * @returns {Promise<{event: InboundLeadEvent, duplicate: boolean}>}
+ */
+export const receiveInboundLead = async (sourceKey, { rawBody, body, headers }) => {
+  const source = await InboundLeadSource.findOne({ key: String(sourceKey).toLowerCase(), isActive: true });
+  if (!source) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inbound lead source not found');
+  }
+  if (!verifySignature(source.secret, rawBody, headers[source.signatureHeader])) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid signature');
+  }
+
+  const eventId =
+    (source.eventIdHeader && headers[source.eventIdHeader]) ||
+    (source.eventIdPath && toFieldValue(getPath(body, source.eventIdPath))) ||
+    crypto.createHash('sha256').update(rawBody).digest('hex');
+  await InboundLeadSource.updateOne({ _id: source._id }, { $set: { lastReceivedAt: new Date() } });
+
+  const event = await claimEvent(source, String(eventId), body);
+  if (!event) {
+    return { event: await InboundLeadEvent.findOne({ source: source._id, eventId: String(eventId) }), duplicate: true };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    const { value, error } = createCustomerLead.body.validate(mapInboundPayload(source, body), { abortEarly: false });
+    if (error) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Payload does not map to a valid lead: ${error.details.map((detail) => detail.message).join(', ')}`
+      );
+    }
+    const creator = await mongoose.model(source.createdByModel).findById(source.createdBy);
+    if (!creator) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'The user who set up this source no longer exists');
+    }
+
+    session.startTransaction();
+    const { lead, assignment } = await createLead(value, creator, session, {
+      revisionSource: RequirementRevisionSources.INBOUND,
+    });
+    await session.commitTransaction();
+    if (assignment) {
+      notifyLeadOwner(lead, assignment.owner, assignment.reason);
+    }
+
+    Object.assign(event, { status: 'processed', lead: lead._id });
+    await event.save();
+    return { event, duplicate: false };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    Object.assign(event, { status: 'failed', error: error.message });
+    await event.save();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
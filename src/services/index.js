@@ -3,5 +3,19 @@ import * as tokenService from './token.service.js';
 import * as userService from './user.service.js';
 import * as authService from './auth.service.js';
 import * as clientProposalService from './clientProposal.service.js';
+import * as otpService from './otp.service.js';
+import * as roleService from './role.service.js';
+import * as sessionService from './session.service.js';
+import * as twoFactorService from './twoFactor.service.js';
 
-export { emailService, tokenService, userService, authService, clientProposalService };
+export {
+  emailService,
+  tokenService,
+  userService,
+  authService,
+  clientProposalService,
+  otpService,
+  roleService,
+  sessionService,
+  twoFactorService,
+};
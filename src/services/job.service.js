@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import socketManager from '../config/socket.js';
+import Job from '../models/job.model.js';
+import ApiError from '../utils/ApiError.js';
+
+// Progress is saved and sent to the client at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+const handlers = new Map();
+
+// Jobs run one after another in this process
+let queue = Promise.resolve();
+
+/**
+ * Register the function that runs jobs of a type. It is called with the job and a reportProgress function taking
+ * {total, processed, succeeded, failed}, and resolves to the job's result and optionally the path of an error file.
+ * @param {string} type - one of JobTypes
+ * @param {function(Job, {reportProgress: function(Object): Promise<void>}): Promise<{result: Object, errorFile: string}>} handler
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Send the state of a job to the socket of its creator
+ * @param {Job} job
+ */
+const emitJobProgress = (job) => {
+  socketManager.emitToUser(job.createdBy.toString(), 'job-progress', {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    timestamp: new Date(),
+  });
+};
+
+const deleteInputFile = (job) => {
+  if (job.inputFile) {
+    fs.promises.unlink(job.inputFile).catch((error) => {
+      logger.error(`Failed to delete the input file of job ${job._id}: ${error.message}`);
+    });
+  }
+};
+
+/**
+ * Run a queued job to completion. Never throws; a failing handler fails the job.
+ * @param {ObjectId} jobId
+ * @returns {Promise<void>}
+ */
+const runJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) {
+    return;
+  }
+  emitJobProgress(job);
+
+  let lastReportedAt = 0;
+  const reportProgress = async (progress) => {
+    Object.assign(job.progress, progress);
+    if (Date.now() - lastReportedAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastReportedAt = Date.now();
+    await Job.updateOne({ _id: job._id }, { $set: { progress: job.progress } });
+    emitJobProgress(job);
+  };
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler for ${job.type} jobs`);
+    }
+    const { result, errorFile } = await handler(job, { reportProgress });
+    Object.assign(job, { status: 'completed', result, errorFile });
+  } catch (error) {
+    logger.error(`Job ${job._id} (${job.type}) failed: ${error.message}`);
+    Object.assign(job, { status: 'failed', error: error.message });
+  }
+  job.finishedAt = new Date();
+  await job.save();
+  deleteInputFile(job);
+  emitJobProgress(job);
+};
+
+const enqueueJob = (jobId) => {
+  queue = queue.then(() => runJob(jobId)).catch((error) => logger.error(`Failed to run job ${jobId}: ${error.message}`));
+};
+
+/**
+ * Queue a background job
+ * @param {string} type - one of JobTypes
+ * @param {Object} options
+ * @param {Object} [options.params]
+ * @param {string} [options.inputFile] - path of an uploaded file, deleted once the job has finished
+ * @param {string} [options.inputFileName]
+ * @param {(User|Admin|ApiKey)} principal - who started the job, the only one who can see it
+ * @returns {Promise<Job>}
+ */
+export const createJob = async (type, { params = {}, inputFile, inputFileName }, principal) => {
+  if (!handlers.has(type)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown job type: ${type}`);
+  }
+  const job = await Job.create({
+    type,
+    params,
+    inputFile,
+    inputFileName,
+    createdBy: principal._id,
+    createdByModel: principal.constructor.modelName,
+  });
+  enqueueJob(job._id);
+  return job;
+};
+
+/**
+ * Get a job started by the principal
+ * @param {ObjectId} jobId
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<Job>}
+ */
+export const getJobById = async (jobId, principal) => {
+  const job = mongoose.isValidObjectId(jobId) ? await Job.findById(jobId) : null;
+  if (!job || !job.createdBy.equals(principal._id)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+  return job;
+};
+
+/**
+ * The most recent jobs started by the principal
+ * @param {(User|Admin|ApiKey)} principal
+ * @param {Object} [filter]
+ * @param {string} [filter.type]
+ * @param {string} [filter.status]
+ * @param {number} [filter.limit]
+ * @returns {Promise<Job[]>}
+ */
+export const getJobsForPrincipal = async (principal, { type, status, limit = 20 } = {}) => {
+  return Job.find({ createdBy: principal._id, ...(type && { type }), ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Get the path of the error file of a job
+ * @param {ObjectId} jobId
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<string>}
+ */
+export const getJobErrorFilePath = async (jobId, principal) => {
+  const job = await getJobById(jobId, principal);
+  if (!job.errorFile || !fs.existsSync(job.errorFile)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'This job has no error file');
+  }
+  return path.resolve(job.errorFile);
+};
+
+/**
+ * Pick up jobs left behind by the last run of the server. Queued jobs are run, jobs that were running when it
+ * stopped are failed since their progress is lost.
+ * @returns {Promise<void>}
+ */
+export const resumeJobs = async () => {
+  const interrupted = await Job.find({ status: 'running' });
+  await Promise.all(
+    interrupted.map(async (job) => {
+      Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() });
+      await job.save();
+      deleteInputFile(job);
+    })
+  );
+  const queued = await Job.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+  queued.forEach((job) => enqueueJob(job._id));
+  if (interrupted.length || queued.length) {
+    logger.info(`Resumed ${queued.length} queued job(s), ${interrupted.length} interrupted job(s) failed`);
+  }
+};
@@ -357,4 +357,22 @@ export const generateClientProposalPDF = async (clientProposal) => {
     console.error('PDF generation error:', error);
     throw new Error(`PDF generation failed: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+/**
+ * Print ready-made HTML to PDF. The HTML is not run through a template engine.
+ * @param {string} html
+ * @param {Object} [chrome] - chrome-pdf options, e.g. format and landscape
+ * @returns {Promise<Readable>} - PDF stream
+ */
+export const renderHtmlToPdf = async (html, chrome = {}) => {
+  const reporter = await initializeJsreport();
+  const { stream } = await reporter.render({
+    template: {
+      content: html,
+      engine: 'none',
+      recipe: 'chrome-pdf',
+      chrome: { format: 'A4', printBackground: true, ...chrome },
+    },
+  });
+  return stream;
+};
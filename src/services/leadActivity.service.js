@@ -0,0 +1,112 @@
+import httpStatus from 'http-status';
+import logger from '../config/logger.js';
+import LeadActivity from '../models/leadActivity.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import Project from '../models/project.model.js';
+import ApiError from '../utils/ApiError.js';
+
+/**
+ * Add an entry to a lead's timeline
+ * @param {ObjectId} leadId
+ * @param {string} type - one of LeadActivityTypes
+ * @param {Object} [entry] - summary, note, direction, durationMinutes, outcome, requirement, project, siteVisit,
+ *   clientProposal, details, occurredAt
+ * @param {Object} [options]
+ * @param {ObjectId} [options.performedBy]
+ * @param {string} [options.performedByModel]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<LeadActivity>}
+ */
+export const recordLeadActivity = async (leadId, type, entry = {}, options = {}) => {
+  const [activity] = await LeadActivity.create(
+    [{ ...entry, lead: leadId, type, performedBy: options.performedBy, performedByModel: options.performedByModel }],
+    { session: options.session }
+  );
+  return activity;
+};
+
+/**
+ * Add an entry to the timeline of the lead behind a project, see recordLeadActivity. Never throws so the
+ * triggering action is not undone by a failure here.
+ * @param {ObjectId} projectId
+ * @param {string} type
+ * @param {Object} [entry]
+ * @param {Object} [options]
+ * @returns {Promise<LeadActivity|null>}
+ */
+export const recordProjectActivity = async (projectId, type, entry = {}, options = {}) => {
+  try {
+    const project = await Project.findById(projectId)
+      .select('lead requirement')
+      .session(options.session || null);
+    if (!project?.lead) {
+      return null;
+    }
+    return await recordLeadActivity(
+      project.lead,
+      type,
+      { project: project._id, requirement: project.requirement, ...entry },
+      options
+    );
+  } catch (error) {
+    logger.error(`Failed to record ${type} on the lead of project ${projectId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Log a note, call or WhatsApp conversation on a lead
+ * @param {ObjectId} leadId
+ * @param {Object} activityBody - type, note, direction, durationMinutes, outcome, occurredAt, requirement
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<LeadActivity>}
+ */
+export const logLeadActivity = async (leadId, activityBody, principal) => {
+  if (!(await CustomerLead.exists({ _id: leadId }))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  const { type, ...entry } = activityBody;
+  return recordLeadActivity(leadId, type, entry, {
+    performedBy: principal._id,
+    performedByModel: principal.constructor.modelName,
+  });
+};
+
+/**
+ * A lead's timeline, newest first
+ * @param {ObjectId} leadId
+ * @param {Object} [filter]
+ * @param {string[]} [filter.type] - only these activity types
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.page]
+ * @returns {Promise<QueryResult>}
+ */
+export const getLeadActivities = async (leadId, { type } = {}, { limit = 20, page = 1 } = {}) => {
+  if (!(await CustomerLead.exists({ _id: leadId }))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  const filter = { lead: leadId };
+  if (type?.length) {
+    filter.type = { $in: type };
+  }
+
+  const [results, totalResults] = await Promise.all([
+    LeadActivity.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('performedBy', 'name email')
+      .populate('project', 'projectName projectCode status')
+      .populate('requirement', 'projectName requirementType'),
+    LeadActivity.countDocuments(filter),
+  ]);
+
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
@@ -0,0 +1,444 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import socketManager from '../config/socket.js';
+import LeadAssignmentRule from '../models/leadAssignmentRule.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import User from '../models/user.model.js';
+import Roles from '../config/enums/roles.enum.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+import ApiError from '../utils/ApiError.js';
+import { getPipeline } from './leadStage.service.js';
+import { recordLeadActivity } from './leadActivity.service.js';
+import * as emailService from './email.service.js';
+
+const ownerFields = 'name email';
+
+/**
+ * Active sales admins, optionally only some of them
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.ids] - only these users
+ * @param {ObjectId[]} [options.exclude] - leave these users out
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<User[]>}
+ */
+const getSalesAdmins = ({ ids, exclude = [], session } = {}) => {
+  const idFilter = {
+    ...(ids && { $in: ids }),
+    ...(exclude.length && { $nin: exclude }),
+  };
+  return User.find({ role: Roles.SALES_ADMIN, isActive: true, ...(Object.keys(idFilter).length && { _id: idFilter }) })
+    .select(`_id ${ownerFields}`)
+    .sort({ _id: 1 })
+    .session(session || null);
+};
+
+/**
+ * Find an owner by id, who must be an active sales admin
+ * @param {ObjectId} ownerId
+ * @returns {Promise<User>}
+ */
+const getOwnerCandidate = async (ownerId) => {
+  const [owner] = await getSalesAdmins({ ids: [ownerId] });
+  if (!owner) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The owner must be an active sales admin');
+  }
+  return owner;
+};
+
+const checkAssignees = async (assignees) => {
+  const ids = [...new Set((assignees || []).map(String))];
+  if (ids.length && (await getSalesAdmins({ ids })).length !== ids.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Assignees must be active sales admins');
+  }
+};
+
+/**
+ * Number of open leads each user owns. Leads in a won or lost stage, and deactivated leads, do not count.
+ * @param {ObjectId[]} ownerIds
+ * @param {ClientSession} [session]
+ * @returns {Promise<Map<string, number>>} owner id -> count
+ */
+const countOpenLeads = async (ownerIds, session) => {
+  const openStages = (await getPipeline()).filter((stage) => stage.outcome === 'open').map((stage) => stage.key);
+  const counts = await CustomerLead.aggregate([
+    // Leads from before the pipeline existed have no stage and count as new
+    { $match: { owner: { $in: ownerIds }, isActive: { $ne: false }, stage: { $in: [...openStages, null] } } },
+    { $group: { _id: '$owner', count: { $sum: 1 } } },
+  ]).session(session || null);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+const normalize = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+const matchesAny = (values, value) =>
+  !values?.length || values.some((candidate) => normalize(candidate) === normalize(value));
+
+/**
+ * Whether a rule applies to a lead
+ * @param {LeadAssignmentRule} rule
+ * @param {CustomerLead} lead
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, lead) =>
+  matchesAny(rule.match?.leadSources, lead.leadSource) &&
+  matchesAny(rule.match?.cities, lead.city) &&
+  matchesAny(rule.match?.states, lead.state);
+
+/**
+ * Pick the next owner by a rule
+ * @param {LeadAssignmentRule} rule
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.exclude] - users not to pick
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<User|null>} null when nobody in the rule's pool is active and under the workload cap
+ */
+const pickAssignee = async (rule, { exclude, session } = {}) => {
+  const pool = await getSalesAdmins({ ids: rule.assignees.length ? rule.assignees : undefined, exclude, session });
+  if (rule.assignees.length) {
+    // Take turns in the order the rule lists them
+    const order = rule.assignees.map(String);
+    pool.sort((a, b) => order.indexOf(String(a._id)) - order.indexOf(String(b._id)));
+  }
+
+  const openLeads =
+    rule.strategy === 'least-loaded' || rule.maxOpenLeads
+      ? await countOpenLeads(
+          pool.map((user) => user._id),
+          session
+        )
+      : new Map();
+  const load = (user) => openLeads.get(String(user._id)) || 0;
+  const eligible = pool.filter((user) => !rule.maxOpenLeads || load(user) < rule.maxOpenLeads);
+  if (!eligible.length) {
+    return null;
+  }
+
+  if (rule.strategy === 'least-loaded') {
+    return eligible.reduce((least, user) => (load(user) < load(least) ? user : least));
+  }
+  // Kept out of the lead's transaction: a turn used by a lead that is rolled back does no harm, and leads created
+  // at the same time do not conflict on the rule
+  const previous = await LeadAssignmentRule.findByIdAndUpdate(rule._id, { $inc: { roundRobinCursor: 1 } }).select(
+    'roundRobinCursor'
+  );
+  return eligible[(previous?.roundRobinCursor || 0) % eligible.length];
+};
+
+/**
+ * Try the active rules in order until one matches the lead and has someone to assign
+ * @param {CustomerLead} lead
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.exclude]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{rule: LeadAssignmentRule, owner: User}|null>}
+ */
+const findAssignee = async (lead, options = {}) => {
+  const rules = await LeadAssignmentRule.find({ isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .session(options.session || null);
+  const tryRules = async ([rule, ...rest]) => {
+    if (!rule) {
+      return null;
+    }
+    const owner = ruleMatches(rule, lead) ? await pickAssignee(rule, options) : null;
+    return owner ? { rule, owner } : tryRules(rest);
+  };
+  return tryRules(rules);
+};
+
+/**
+ * Tell the new owner about a lead by socket and, when they have an email address, by email. Never throws. Call it
+ * only once the assignment is committed.
+ * @param {CustomerLead} lead
+ * @param {User} owner
+ * @param {string} [reason]
+ */
+export const notifyLeadOwner = (lead, owner, reason) => {
+  const summary = {
+    customerName: lead.customerName,
+    mobileNumber: lead.mobileNumber,
+    city: lead.city,
+    leadSource: lead.leadSource,
+  };
+  socketManager.emitToUser(owner._id.toString(), 'lead-assigned', {
+    leadId: lead._id,
+    ...summary,
+    reason,
+    timestamp: new Date(),
+  });
+  if (owner.email) {
+    emailService.sendLeadAssignedEmail(owner.email, summary, reason).catch((error) => {
+      logger.error(`Failed to email ${owner.email} about lead ${lead._id}: ${error.message}`);
+    });
+  }
+};
+
+/**
+ * Give a lead a new owner, or none, keeping the change in its owner history and on its timeline. The new owner is
+ * not notified, as the change may still be part of a transaction; see notifyLeadOwner.
+ * @param {CustomerLead} lead
+ * @param {User|null} owner
+ * @param {Object} [options]
+ * @param {ObjectId} [options.changedBy]
+ * @param {string} [options.changedByModel]
+ * @param {string} [options.reason]
+ * @param {ObjectId} [options.rule]
+ * @param {boolean} [options.automatic]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<boolean>} false when the lead already had this owner
+ */
+const setLeadOwner = async (lead, owner, options = {}) => {
+  const previousOwner = lead.owner;
+  if (String(previousOwner || '') === String(owner?._id || '')) {
+    return false;
+  }
+  const changedAt = new Date();
+  Object.assign(lead, { owner: owner?._id, ownerAssignedAt: owner ? changedAt : undefined });
+  lead.ownerHistory.push({
+    owner: owner?._id,
+    previousOwner,
+    changedAt,
+    changedBy: options.changedBy,
+    changedByModel: options.changedBy ? options.changedByModel : undefined,
+    reason: options.reason,
+    rule: options.rule,
+    automatic: !!options.automatic,
+  });
+  await lead.save({ session: options.session });
+
+  await recordLeadActivity(
+    lead._id,
+    LeadActivityTypes.LEAD_ASSIGNED,
+    {
+      summary: owner ? `Assigned to ${owner.name}` : 'Owner removed',
+      note: options.reason,
+      details: { owner: owner?._id, previousOwner, rule: options.rule },
+      occurredAt: changedAt,
+    },
+    { performedBy: options.changedBy, performedByModel: options.changedByModel, session: options.session }
+  );
+  return true;
+};
+
+const getLeadForAssignment = async (leadId) => {
+  const lead = mongoose.isValidObjectId(leadId) ? await CustomerLead.findById(leadId) : null;
+  if (!lead) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  return lead;
+};
+
+/**
+ * Give a new lead an owner with the assignment rules. Left unassigned when no rule applies. The owner is not
+ * notified; pass the assignment to notifyLeadOwner once the session's transaction is committed.
+ * @param {CustomerLead} lead
+ * @param {Object} [options]
+ * @param {ObjectId} [options.changedBy] - who created the lead
+ * @param {string} [options.changedByModel]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{owner: User, rule: LeadAssignmentRule, reason: string}|null>}
+ */
+export const assignNewLead = async (lead, options = {}) => {
+  const found = await findAssignee(lead, { session: options.session });
+  if (!found) {
+    return null;
+  }
+  const assignment = { ...found, reason: `Assignment rule "${found.rule.name}"` };
+  await setLeadOwner(lead, assignment.owner, {
+    ...options,
+    rule: assignment.rule._id,
+    reason: assignment.reason,
+    automatic: true,
+  });
+  return assignment;
+};
+
+/**
+ * Hand a lead to a sales admin, or take it away from its owner
+ * @param {ObjectId} leadId
+ * @param {ObjectId|null} ownerId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<CustomerLead>}
+ */
+export const assignLeadOwner = async (leadId, ownerId, { reason } = {}, principal) => {
+  const lead = await getLeadForAssignment(leadId);
+  const owner = ownerId ? await getOwnerCandidate(ownerId) : null;
+  const changed = await setLeadOwner(lead, owner, {
+    changedBy: principal._id,
+    changedByModel: principal.constructor.modelName,
+    reason,
+  });
+  if (!changed) {
+    throw new ApiError(httpStatus.BAD_REQUEST, owner ? 'The lead is already owned by this user' : 'The lead has no owner');
+  }
+  if (owner) {
+    notifyLeadOwner(lead, owner, reason);
+  }
+  return lead.populate('owner', ownerFields);
+};
+
+/**
+ * Run the assignment rules again for a lead, e.g. after its city was corrected
+ * @param {ObjectId} leadId
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<CustomerLead>}
+ */
+export const reapplyAssignmentRules = async (leadId, principal) => {
+  const lead = await getLeadForAssignment(leadId);
+  const assignment = await assignNewLead(lead, {
+    changedBy: principal._id,
+    changedByModel: principal.constructor.modelName,
+  });
+  if (!assignment) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No assignment rule applies to this lead or has anyone to assign');
+  }
+  notifyLeadOwner(lead, assignment.owner, assignment.reason);
+  return lead.populate('owner', ownerFields);
+};
+
+/**
+ * Move the open leads of one sales admin to another, or share them out with the assignment rules, e.g. when
+ * someone leaves or goes on leave
+ * @param {Object} reassignment
+ * @param {ObjectId} reassignment.from
+ * @param {ObjectId} [reassignment.to] - without it each lead goes through the rules, never back to "from"
+ * @param {ObjectId[]} [reassignment.leadIds] - only these of their leads
+ * @param {string} [reassignment.reason]
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<{matched: number, reassigned: number, unassigned: ObjectId[]}>} unassigned lists the leads no
+ *   rule could place, which keep their owner
+ */
+export const reassignLeads = async ({ from, to, leadIds, reason }, principal) => {
+  if (to && String(to) === String(from)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, '"to" must be a different user');
+  }
+  const target = to ? await getOwnerCandidate(to) : null;
+  const openStages = (await getPipeline()).filter((stage) => stage.outcome === 'open').map((stage) => stage.key);
+  const leads = await CustomerLead.find({
+    owner: from,
+    isActive: { $ne: false },
+    stage: { $in: [...openStages, null] },
+    ...(leadIds?.length && { _id: { $in: leadIds } }),
+  }).sort({ createdAt: 1 });
+
+  const options = { changedBy: principal._id, changedByModel: principal.constructor.modelName };
+  const unassigned = [];
+  let reassigned = 0;
+  // One at a time so least-loaded and round-robin rules see the leads already handed out
+  await leads.reduce(async (previous, lead) => {
+    await previous;
+    const assignment = target ? { owner: target } : await findAssignee(lead, { exclude: [from] });
+    if (!assignment) {
+      unassigned.push(lead._id);
+      return;
+    }
+    const changeReason = reason || (assignment.rule && `Assignment rule "${assignment.rule.name}"`);
+    await setLeadOwner(lead, assignment.owner, {
+      ...options,
+      reason: changeReason,
+      rule: assignment.rule?._id,
+      automatic: !target,
+    });
+    notifyLeadOwner(lead, assignment.owner, changeReason);
+    reassigned += 1;
+  }, Promise.resolve());
+
+  return { matched: leads.length, reassigned, unassigned };
+};
+
+/**
+ * Current owner of a lead and everyone who owned it before
+ * @param {ObjectId} leadId
+ * @returns {Promise<{owner: User, ownerAssignedAt: Date, history: Object[]}>} history newest first
+ */
+export const getLeadOwnerHistory = async (leadId) => {
+  const lead = mongoose.isValidObjectId(leadId)
+    ? await CustomerLead.findById(leadId)
+        .select('owner ownerAssignedAt ownerHistory')
+        .populate('owner', ownerFields)
+        .populate('ownerHistory.owner', ownerFields)
+        .populate('ownerHistory.previousOwner', ownerFields)
+        .populate('ownerHistory.rule', 'name')
+        .populate('ownerHistory.changedBy', ownerFields)
+    : null;
+  if (!lead) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  return { owner: lead.owner, ownerAssignedAt: lead.ownerAssignedAt, history: [...lead.ownerHistory].reverse() };
+};
+
+/**
+ * Add an assignment rule
+ * @param {Object} ruleBody
+ * @param {(User|Admin|ApiKey)} creator
+ * @returns {Promise<LeadAssignmentRule>}
+ */
+export const createLeadAssignmentRule = async (ruleBody, creator) => {
+  await checkAssignees(ruleBody.assignees);
+  return LeadAssignmentRule.create({
+    ...ruleBody,
+    createdBy: creator._id,
+    createdByModel: creator.constructor.modelName,
+  });
+};
+
+/**
+ * The assignment rules in the order they are tried
+ * @returns {Promise<LeadAssignmentRule[]>}
+ */
+export const queryLeadAssignmentRules = async () => {
+  return LeadAssignmentRule.find().sort({ priority: 1, createdAt: 1 }).populate('assignees', ownerFields);
+};
+
+/**
+ * Get assignment rule by id
+ * @param {ObjectId} ruleId
+ * @returns {Promise<LeadAssignmentRule>}
+ */
+export const getLeadAssignmentRuleById = async (ruleId) => {
+  const rule = mongoose.isValidObjectId(ruleId) ? await LeadAssignmentRule.findById(ruleId) : null;
+  if (!rule) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Assignment rule not found');
+  }
+  return rule;
+};
+
+/**
+ * Update an assignment rule. Changing its assignees starts round-robin from the first of them.
+ * @param {ObjectId} ruleId
+ * @param {Object} updateBody
+ * @returns {Promise<LeadAssignmentRule>}
+ */
+export const updateLeadAssignmentRuleById = async (ruleId, updateBody) => {
+  const rule = await getLeadAssignmentRuleById(ruleId);
+  if (updateBody.assignees) {
+    await checkAssignees(updateBody.assignees);
+  }
+  const { match, ...rest } = updateBody;
+  Object.assign(rule, rest);
+  if (match) {
+    Object.assign(rule.match, match);
+  }
+  if (rule.isModified('assignees')) {
+    rule.roundRobinCursor = 0;
+  }
+  await rule.save();
+  return rule.populate('assignees', ownerFields);
+};
+
+/**
+ * Delete an assignment rule. Leads it assigned keep their owner.
+ * @param {ObjectId} ruleId
+ * @returns {Promise<LeadAssignmentRule>}
+ */
+export const deleteLeadAssignmentRuleById = async (ruleId) => {
+  const rule = await getLeadAssignmentRuleById(ruleId);
+  await rule.deleteOne();
+  return rule;
+};
@@ -0,0 +1,311 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import CustomerLead from '../models/customerLead.model.js';
+import LeadMerge from '../models/leadMerge.model.js';
+import LeadActivity from '../models/leadActivity.model.js';
+import LeadFollowUp from '../models/leadFollowUp.model.js';
+import Requirement from '../models/requirement.model.js';
+import RequirementRevision from '../models/requirementRevision.model.js';
+import Project from '../models/project.model.js';
+import SiteVisit from '../models/siteVisit.model.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { normalizePhoneNumbers, getPhoneNumberVariants } from '../utils/phone.js';
+import { normalizeName, normalizeText, similarity } from '../utils/fuzzy.js';
+import { recordLeadActivity } from './leadActivity.service.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+
+// Leads fetched for scoring; fuzzy name matching happens in memory
+const CANDIDATE_LIMIT = 500;
+
+const NAME_THRESHOLD = 0.85;
+const CITY_THRESHOLD = 0.8;
+// Without a city on both leads the name alone has to be this close
+const NAME_ONLY_THRESHOLD = 0.95;
+
+const summaryFields =
+  'customerName mobileNumber alternateContactNumber whatsappNumber email city state stage phoneNumbers createdAt';
+
+// Contact fields of the survivor that are filled in from a duplicate when empty
+const fillableFields = [
+  'email',
+  'alternateContactNumber',
+  'whatsappNumber',
+  'preferredLanguage',
+  'state',
+  'city',
+  'googleLocationLink',
+];
+
+const getLeadPhones = (lead) =>
+  normalizePhoneNumbers(lead.mobileNumber, lead.alternateContactNumber, lead.whatsappNumber, ...(lead.phoneNumbers || []));
+
+/**
+ * Score how likely a candidate is the same customer as a lead
+ * @param {Object} lead
+ * @param {Object} candidate
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scoreCandidate = (lead, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  const phones = getLeadPhones(lead);
+  if (getLeadPhones(candidate).some((phone) => phones.includes(phone))) {
+    reasons.push('phone');
+    score = 1;
+  }
+  if (lead.email && candidate.email && lead.email.trim().toLowerCase() === candidate.email) {
+    reasons.push('email');
+    score = Math.max(score, 0.9);
+  }
+
+  const nameScore = similarity(normalizeName(lead.customerName), normalizeName(candidate.customerName));
+  const leadCity = normalizeText(lead.city);
+  const candidateCity = normalizeText(candidate.city);
+  if (leadCity && candidateCity) {
+    const cityScore = similarity(leadCity, candidateCity);
+    if (nameScore >= NAME_THRESHOLD && cityScore >= CITY_THRESHOLD) {
+      reasons.push('name-city');
+      score = Math.max(score, 0.8 * nameScore * cityScore);
+    }
+  } else if (nameScore >= NAME_ONLY_THRESHOLD) {
+    reasons.push('name');
+    score = Math.max(score, 0.5);
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Find leads that may be the same customer as the given lead data: a shared phone number (compared in
+ * E.164), the same email, or a similar name in a similar city
+ * @param {Object} leadData - customerName, mobileNumber, alternateContactNumber, whatsappNumber, email, city
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.excludeIds] - leads to leave out, e.g. the lead itself
+ * @returns {Promise<Array<{lead: Object, score: number, reasons: string[]}>>} best matches first
+ */
+export const findDuplicatesForData = async (leadData, { excludeIds = [] } = {}) => {
+  // Exact phone and email matches, all of them: they are what decides that a lead already exists
+  const exactConditions = [];
+  const phones = getLeadPhones(leadData);
+  if (phones.length) {
+    // Leads saved before numbers were normalized only have the raw fields
+    const variants = [...new Set(phones.flatMap(getPhoneNumberVariants))];
+    exactConditions.push(
+      { phoneNumbers: { $in: phones } },
+      { mobileNumber: { $in: variants } },
+      { alternateContactNumber: { $in: variants } },
+      { whatsappNumber: { $in: variants } }
+    );
+  }
+  if (leadData.email) {
+    exactConditions.push({ email: leadData.email.trim().toLowerCase() });
+  }
+  const exactMatches = exactConditions.length
+    ? await CustomerLead.find({ _id: { $nin: excludeIds }, $or: exactConditions })
+        .select(summaryFields)
+        .lean()
+    : [];
+
+  // Leads with a similar name, a capped sample scored in memory
+  const namePrefixes = normalizeName(leadData.customerName)
+    .split(' ')
+    .filter((token) => token.length >= 3)
+    .map((token) => token.slice(0, 3));
+  const nameMatches = namePrefixes.length
+    ? await CustomerLead.find({
+        _id: { $nin: [...excludeIds, ...exactMatches.map((lead) => lead._id)] },
+        customerName: { $regex: namePrefixes.join('|'), $options: 'i' },
+      })
+        .select(summaryFields)
+        .limit(CANDIDATE_LIMIT)
+        .lean()
+    : [];
+  const candidates = [...exactMatches, ...nameMatches];
+
+  return candidates
+    .map((candidate) => ({ lead: candidate, ...scoreCandidate(leadData, candidate) }))
+    .filter((match) => match.reasons.length)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Possible duplicates of an existing lead
+ * @param {ObjectId} leadId
+ * @returns {Promise<Array<{lead: Object, score: number, reasons: string[]}>>}
+ */
+export const findPossibleDuplicates = async (leadId) => {
+  const lead = await CustomerLead.findById(leadId).select(summaryFields).lean();
+  if (!lead) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  return findDuplicatesForData(lead, { excludeIds: [lead._id] });
+};
+
+/**
+ * Find the lead an incoming lead certainly belongs to, by phone number or email
+ * @param {Object} leadData
+ * @returns {Promise<CustomerLead|null>}
+ */
+export const findExistingLead = async (leadData) => {
+  const match = (await findDuplicatesForData(leadData)).find(
+    ({ reasons }) => reasons.includes('phone') || reasons.includes('email')
+  );
+  return match ? CustomerLead.findById(match.lead._id) : null;
+};
+
+/**
+ * Contact details the survivor is missing that a duplicate has. The duplicate's mobile number is kept
+ * as the survivor's alternate number when that is free.
+ * @param {CustomerLead} survivor
+ * @param {CustomerLead} duplicate
+ * @returns {Object} the values to set on the survivor, by field
+ */
+const blankFieldsFrom = (survivor, duplicate) => {
+  const duplicateMobile = normalizePhoneNumbers(duplicate.mobileNumber)[0];
+  const alternate =
+    !survivor.alternateContactNumber && duplicateMobile && !getLeadPhones(survivor).includes(duplicateMobile)
+      ? { alternateContactNumber: duplicate.mobileNumber }
+      : {};
+  const fillable = fillableFields.filter((field) => !survivor[field] && duplicate[field]);
+  return { ...alternate, ...Object.fromEntries(fillable.map((field) => [field, duplicate[field]])) };
+};
+
+/**
+ * Keep the email and mobile number of a duplicate on the survivor. Project access finds a lead's customer by them,
+ * so the duplicate's customer would otherwise lose the projects that move to the survivor.
+ * @param {CustomerLead} survivor
+ * @param {CustomerLead} duplicate
+ */
+const keepMergedContacts = (survivor, duplicate) => {
+  const survivorMobile = normalizePhoneNumbers(survivor.mobileNumber);
+  const phones = normalizePhoneNumbers(duplicate.mobileNumber, ...duplicate.mergedPhoneNumbers).filter(
+    (phone) => !survivorMobile.includes(phone)
+  );
+  const emails = [duplicate.email, ...duplicate.mergedEmails].filter((email) => email && email !== survivor.email);
+  survivor.mergedPhoneNumbers.addToSet(...phones);
+  survivor.mergedEmails.addToSet(...emails);
+};
+
+/**
+ * Move everything of one duplicate to the survivor, fill the survivor's blank fields from it and delete it.
+ * The survivor itself is saved by the caller.
+ * @param {CustomerLead} survivor
+ * @param {CustomerLead} duplicate
+ * @param {(User|Admin|ApiKey)} principal
+ * @param {ClientSession} session
+ * @returns {Promise<Object>} the LeadMerge record to keep
+ */
+const mergeDuplicate = async (survivor, duplicate, principal, session) => {
+  const requirements = await Requirement.find({ lead: duplicate._id }).select('sharedWith').session(session);
+  const projects = await Project.find({ lead: duplicate._id }).select('_id').session(session);
+  const followUps = await LeadFollowUp.find({ lead: duplicate._id }).select('_id').session(session);
+  const requirementIds = [
+    ...new Set([...duplicate.requirements, ...requirements.map((requirement) => requirement._id)].map(String)),
+  ];
+  const projectIds = projects.map((project) => project._id);
+  const siteVisits = await SiteVisit.find({
+    $or: [{ requirement: { $in: requirementIds } }, { project: { $in: projectIds } }],
+  })
+    .select('_id')
+    .session(session);
+
+  await Requirement.updateMany({ lead: duplicate._id }, { $set: { lead: survivor._id } }, { session });
+  await Project.updateMany({ lead: duplicate._id }, { $set: { lead: survivor._id } }, { session });
+  await LeadFollowUp.updateMany({ lead: duplicate._id }, { $set: { lead: survivor._id } }, { session });
+  // The duplicate's timeline and requirement history carry on under the survivor
+  await LeadActivity.updateMany({ lead: duplicate._id }, { $set: { lead: survivor._id } }, { session });
+  await RequirementRevision.updateMany({ lead: duplicate._id }, { $set: { lead: survivor._id } }, { session });
+  survivor.requirements.addToSet(...requirementIds);
+  const fills = blankFieldsFrom(survivor, duplicate);
+  survivor.set(fills);
+  keepMergedContacts(survivor, duplicate);
+  const filledFields = Object.keys(fills);
+
+  await recordLeadActivity(
+    survivor._id,
+    LeadActivityTypes.LEAD_MERGED,
+    {
+      summary: `Lead "${duplicate.customerName}" merged into this lead`,
+      details: {
+        mergedLeadId: duplicate._id,
+        mobileNumber: duplicate.mobileNumber,
+        requirements: requirementIds.length,
+        filledFields,
+      },
+    },
+    { performedBy: principal._id, performedByModel: principal.constructor.modelName, session }
+  );
+  await duplicate.deleteOne({ session });
+
+  return {
+    survivor: survivor._id,
+    mergedLeadId: duplicate._id,
+    mergedLead: duplicate.toObject(),
+    requirements: requirementIds,
+    projects: projectIds,
+    siteVisits: siteVisits.map((siteVisit) => siteVisit._id),
+    followUps: followUps.map((followUp) => followUp._id),
+    shares: requirements.reduce((count, requirement) => count + requirement.sharedWith.length, 0),
+    filledFields,
+    mergedBy: principal._id,
+    mergedByModel: principal.constructor.modelName,
+  };
+};
+
+/**
+ * Merge duplicate leads into a surviving lead. Requirements, projects (and with them site visits and
+ * requirement shares), follow-ups, timeline entries and requirement revisions move to the survivor, missing contact
+ * details are copied over, the duplicates' emails and mobile numbers are kept as merged contacts, and the duplicates are deleted with a LeadMerge record kept for each and a lead-merged
+ * entry on the survivor's timeline. The survivor keeps its own pipeline stage.
+ * @param {ObjectId} survivorId
+ * @param {ObjectId[]} duplicateIds
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<{lead: CustomerLead, merges: LeadMerge[]}>}
+ */
+export const mergeLeads = async (survivorId, duplicateIds, principal) => {
+  const ids = [...new Set(duplicateIds.map(String))];
+  if (ids.includes(String(survivorId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A lead cannot be merged into itself');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const survivor = await CustomerLead.findById(survivorId).session(session);
+    if (!survivor) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+    }
+    const duplicates = await CustomerLead.find({ _id: { $in: ids } }).session(session);
+    if (duplicates.length !== ids.length) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Duplicate lead not found');
+    }
+
+    // One duplicate after another, as the survivor's blank fields are filled from the first that has them
+    const merges = await duplicates.reduce(async (previous, duplicate) => {
+      const done = await previous;
+      return [...done, await mergeDuplicate(survivor, duplicate, principal, session)];
+    }, Promise.resolve([]));
+
+    await survivor.save({ session });
+    const records = await LeadMerge.create(merges, { session, ordered: true });
+    await session.commitTransaction();
+    logger.info(`Merged lead(s) ${ids.join(', ')} into ${survivor._id}`);
+    return { lead: survivor, merges: records };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Merges into a lead, newest first
+ * @param {ObjectId} leadId
+ * @returns {Promise<LeadMerge[]>}
+ */
+export const getLeadMerges = async (leadId) => {
+  return LeadMerge.find({ survivor: leadId }).sort({ createdAt: -1 });
+};
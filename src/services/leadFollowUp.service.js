@@ -0,0 +1,248 @@
+import httpStatus from 'http-status';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import socketManager from '../config/socket.js';
+import LeadFollowUp from '../models/leadFollowUp.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import User from '../models/user.model.js';
+import Admin from '../models/admin.model.js';
+import ApiError from '../utils/ApiError.js';
+import * as emailService from './email.service.js';
+
+// Reminders sent per scheduler run, the rest are picked up by the next run
+const REMINDER_BATCH_SIZE = 100;
+
+const leadSummaryFields = 'customerName mobileNumber whatsappNumber stage';
+
+/**
+ * Find the User or Admin a follow-up is assigned to
+ * @param {ObjectId} assigneeId
+ * @returns {Promise<{assignee: ObjectId, assigneeModel: string}>}
+ */
+const resolveAssignee = async (assigneeId) => {
+  if (await User.exists({ _id: assigneeId })) {
+    return { assignee: assigneeId, assigneeModel: 'User' };
+  }
+  if (await Admin.exists({ _id: assigneeId })) {
+    return { assignee: assigneeId, assigneeModel: 'Admin' };
+  }
+  throw new ApiError(httpStatus.BAD_REQUEST, 'Assignee not found');
+};
+
+/**
+ * Get follow-up by id
+ * @param {ObjectId} followUpId
+ * @returns {Promise<LeadFollowUp>}
+ */
+export const getFollowUpById = async (followUpId) => {
+  const followUp = mongoose.isValidObjectId(followUpId) ? await LeadFollowUp.findById(followUpId) : null;
+  if (!followUp) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Follow-up not found');
+  }
+  return followUp;
+};
+
+const getPendingFollowUp = async (followUpId) => {
+  const followUp = await getFollowUpById(followUpId);
+  if (followUp.status !== 'pending') {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Follow-up is already ${followUp.status}`);
+  }
+  return followUp;
+};
+
+/**
+ * Schedule a follow-up on a lead. It is assigned to its creator unless an assignee is given.
+ * @param {ObjectId} leadId
+ * @param {Object} followUpBody - dueAt, channel, note, assignee
+ * @param {(User|Admin|ApiKey)} creator
+ * @returns {Promise<LeadFollowUp>}
+ */
+export const createFollowUp = async (leadId, followUpBody, creator) => {
+  if (!(await CustomerLead.exists({ _id: leadId }))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  const creatorModel = creator.constructor.modelName;
+  if (!followUpBody.assignee && creatorModel === 'ApiKey') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'An assignee is required');
+  }
+  const assignment = followUpBody.assignee
+    ? await resolveAssignee(followUpBody.assignee)
+    : { assignee: creator._id, assigneeModel: creatorModel };
+
+  return LeadFollowUp.create({
+    ...followUpBody,
+    ...assignment,
+    lead: leadId,
+    createdBy: creator._id,
+    createdByModel: creatorModel,
+  });
+};
+
+/**
+ * List the follow-ups of a lead, soonest first
+ * @param {ObjectId} leadId
+ * @param {Object} [filter]
+ * @param {string} [filter.status]
+ * @returns {Promise<LeadFollowUp[]>}
+ */
+export const getLeadFollowUps = async (leadId, filter = {}) => {
+  return LeadFollowUp.find({ lead: leadId, ...(filter.status && { status: filter.status }) })
+    .populate('assignee', 'name email')
+    .sort({ dueAt: 1 });
+};
+
+/**
+ * Pending follow-ups assigned to a user that are due today or already overdue
+ * @param {(User|Admin)} assignee
+ * @param {string} scope - 'today' for everything due today, 'overdue' for everything past due
+ * @returns {Promise<LeadFollowUp[]>}
+ */
+export const getDueFollowUps = async (assignee, scope) => {
+  const dueAt =
+    scope === 'overdue'
+      ? { $lt: new Date() }
+      : { $gte: moment().startOf('day').toDate(), $lte: moment().endOf('day').toDate() };
+  return LeadFollowUp.find({ assignee: assignee._id, status: 'pending', dueAt })
+    .populate('lead', leadSummaryFields)
+    .sort({ dueAt: 1 });
+};
+
+/**
+ * Reschedule, reassign or edit a pending follow-up. Changing the due date or assignee re-arms its reminder.
+ * @param {ObjectId} followUpId
+ * @param {Object} updateBody
+ * @returns {Promise<LeadFollowUp>}
+ */
+export const updateFollowUpById = async (followUpId, updateBody) => {
+  const followUp = await getPendingFollowUp(followUpId);
+  const { assignee, ...rest } = updateBody;
+  Object.assign(followUp, rest);
+  if (assignee) {
+    Object.assign(followUp, await resolveAssignee(assignee));
+  }
+  if (followUp.isModified('dueAt') || followUp.isModified('assignee')) {
+    followUp.remindedAt = undefined;
+  }
+  await followUp.save();
+  return followUp;
+};
+
+/**
+ * Record the outcome of a follow-up
+ * @param {ObjectId} followUpId
+ * @param {Object} completion
+ * @param {string} completion.outcome
+ * @param {string} [completion.note]
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<LeadFollowUp>}
+ */
+export const completeFollowUp = async (followUpId, { outcome, note }, principal) => {
+  const followUp = await getPendingFollowUp(followUpId);
+  Object.assign(followUp, {
+    status: 'done',
+    outcome,
+    completedAt: new Date(),
+    completedBy: principal._id,
+    completedByModel: principal.constructor.modelName,
+  });
+  if (note) {
+    followUp.note = note;
+  }
+  await followUp.save();
+  return followUp;
+};
+
+/**
+ * Cancel a pending follow-up. It is kept so the lead's history stays complete.
+ * @param {ObjectId} followUpId
+ * @returns {Promise<LeadFollowUp>}
+ */
+export const cancelFollowUp = async (followUpId) => {
+  const followUp = await getPendingFollowUp(followUpId);
+  followUp.status = 'cancelled';
+  await followUp.save();
+  return followUp;
+};
+
+/**
+ * Tell the assignee about a follow-up by socket and, when they have an email address, by email
+ * @param {LeadFollowUp} followUp - with lead and assignee populated
+ * @returns {Promise<void>}
+ */
+const notifyAssignee = async (followUp) => {
+  const { lead, assignee } = followUp;
+  const reminder = {
+    customerName: lead?.customerName || 'a customer',
+    mobileNumber: lead?.mobileNumber,
+    channel: followUp.channel,
+    dueAt: followUp.dueAt,
+    note: followUp.note,
+  };
+  socketManager.emitToUser(assignee._id.toString(), 'follow-up-reminder', {
+    followUpId: followUp._id,
+    leadId: lead?._id,
+    ...reminder,
+    timestamp: new Date(),
+  });
+  if (assignee.email) {
+    await emailService.sendFollowUpReminderEmail(assignee.email, reminder);
+  }
+};
+
+/**
+ * Send reminders for pending follow-ups coming due within the configured lead time. Each follow-up is
+ * claimed before it is sent, so it is reminded once even if runs overlap.
+ * @returns {Promise<number>} number of reminders sent
+ */
+export const sendDueReminders = async () => {
+  const cutoff = moment().add(config.followUps.reminderLeadMinutes, 'minutes').toDate();
+  const due = await LeadFollowUp.find({ status: 'pending', remindedAt: null, dueAt: { $lte: cutoff } })
+    .sort({ dueAt: 1 })
+    .limit(REMINDER_BATCH_SIZE)
+    .select('_id');
+
+  // One after another, so a slow mail server is not hit with the whole batch at once
+  const sent = await due.reduce(async (previous, { _id }) => {
+    const count = await previous;
+    const followUp = await LeadFollowUp.findOneAndUpdate(
+      { _id, status: 'pending', remindedAt: null },
+      { $set: { remindedAt: new Date() } },
+      { new: true }
+    ).populate([
+      { path: 'lead', select: leadSummaryFields },
+      { path: 'assignee', select: 'name email' },
+    ]);
+    if (!followUp?.assignee) {
+      return count;
+    }
+    try {
+      await notifyAssignee(followUp);
+      return count + 1;
+    } catch (error) {
+      logger.error(`Failed to send reminder for follow-up ${_id}: ${error.message}`);
+      return count;
+    }
+  }, Promise.resolve(0));
+  if (sent) {
+    logger.info(`Sent ${sent} follow-up reminder(s)`);
+  }
+  return sent;
+};
+
+/**
+ * Run sendDueReminders every FOLLOW_UP_REMINDER_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout|null} the timer, or null when reminders are turned off
+ */
+export const startReminderScheduler = () => {
+  const { reminderIntervalMinutes } = config.followUps;
+  if (!reminderIntervalMinutes) {
+    return null;
+  }
+  const run = () => sendDueReminders().catch((error) => logger.error(`Follow-up reminder run failed: ${error.message}`));
+  const timer = setInterval(run, reminderIntervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
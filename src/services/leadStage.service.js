@@ -0,0 +1,273 @@
+import httpStatus from 'http-status';
+import LeadStage from '../models/leadStage.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import Project from '../models/project.model.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import LeadStages from '../config/enums/leadStages.enum.js';
+import defaultLeadStages from '../config/leadStages.js';
+
+/**
+ * Seed the lead stages collection with the default pipeline. Only runs against an empty collection
+ * so stages an admin removed are never brought back.
+ * @returns {Promise<void>}
+ */
+export const seedLeadStages = async () => {
+  if ((await LeadStage.estimatedDocumentCount()) > 0) {
+    return;
+  }
+  await LeadStage.bulkWrite(
+    defaultLeadStages.map((stage) => ({
+      updateOne: {
+        filter: { key: stage.key },
+        update: { $setOnInsert: stage },
+        upsert: true,
+      },
+    }))
+  );
+  logger.info(`Seeded ${defaultLeadStages.length} lead stages`);
+};
+
+/**
+ * Get the pipeline in order
+ * @returns {Promise<LeadStage[]>}
+ */
+export const getPipeline = async () => {
+  await seedLeadStages();
+  return LeadStage.find().sort({ order: 1 });
+};
+
+/**
+ * Get a stage by its key
+ * @param {string} key
+ * @returns {Promise<LeadStage>}
+ */
+export const getStageByKey = async (key) => {
+  await seedLeadStages();
+  const stage = await LeadStage.findOne({ key: key?.toLowerCase() });
+  if (!stage) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown lead stage: ${key}`);
+  }
+  return stage;
+};
+
+/**
+ * Get stage by id
+ * @param {ObjectId} stageId
+ * @returns {Promise<LeadStage>}
+ */
+export const getLeadStageById = async (stageId) => {
+  const stage = await LeadStage.findById(stageId);
+  if (!stage) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Lead stage not found');
+  }
+  return stage;
+};
+
+/**
+ * Add a stage to the pipeline
+ * @param {Object} stageBody
+ * @returns {Promise<LeadStage>}
+ */
+export const createLeadStage = async (stageBody) => {
+  await seedLeadStages();
+  if (await LeadStage.exists({ key: stageBody.key })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Lead stage already exists');
+  }
+  return LeadStage.create({ ...stageBody, isSystem: false });
+};
+
+// What the pipeline relies on for system stages, e.g. Lost always asking for a reason
+const systemStageFields = ['outcome', 'requiresReason'];
+
+/**
+ * Rename, reorder or change a stage. System stages keep their outcome and whether they require a reason.
+ * @param {ObjectId} stageId
+ * @param {Object} updateBody
+ * @returns {Promise<LeadStage>}
+ */
+export const updateLeadStageById = async (stageId, updateBody) => {
+  const stage = await getLeadStageById(stageId);
+  const locked = systemStageFields.find(
+    (field) => stage.isSystem && updateBody[field] !== undefined && updateBody[field] !== stage[field]
+  );
+  if (locked) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The ${locked} of a system stage cannot be changed`);
+  }
+  Object.assign(stage, updateBody);
+  await stage.save();
+  return stage;
+};
+
+/**
+ * Remove a stage that is not a system stage and has no leads in it
+ * @param {ObjectId} stageId
+ * @returns {Promise<LeadStage>}
+ */
+export const deleteLeadStageById = async (stageId) => {
+  const stage = await getLeadStageById(stageId);
+  if (stage.isSystem) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'System stages cannot be deleted');
+  }
+  const leads = await CustomerLead.countDocuments({ stage: stage.key });
+  if (leads > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${leads} lead(s) are still in this stage`);
+  }
+  await stage.deleteOne();
+  return stage;
+};
+
+/**
+ * Build a stage history entry
+ * @param {string} stage
+ * @param {string} [fromStage]
+ * @param {Object} [options]
+ * @param {ObjectId} [options.changedBy]
+ * @param {string} [options.changedByModel] - User, Admin or ApiKey
+ * @param {string} [options.reason]
+ * @param {string} [options.note]
+ * @param {boolean} [options.automatic]
+ * @returns {Object}
+ */
+export const buildStageChange = (stage, fromStage, options = {}) => ({
+  stage,
+  fromStage,
+  changedAt: new Date(),
+  changedBy: options.changedBy,
+  changedByModel: options.changedBy ? options.changedByModel : undefined,
+  reason: options.reason,
+  note: options.note,
+  automatic: !!options.automatic,
+});
+
+/**
+ * Move a lead to a stage by hand
+ * @param {ObjectId} leadId
+ * @param {string} stageKey
+ * @param {Object} options
+ * @param {ObjectId} [options.changedBy]
+ * @param {string} [options.changedByModel] - User, Admin or ApiKey
+ * @param {string} [options.reason] - required by stages such as lost
+ * @param {string} [options.note]
+ * @returns {Promise<CustomerLead>}
+ */
+export const moveLeadToStage = async (leadId, stageKey, options = {}) => {
+  const lead = await CustomerLead.findById(leadId);
+  if (!lead) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Customer lead not found');
+  }
+  const stage = await getStageByKey(stageKey);
+  if (lead.stage === stage.key) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Lead is already in stage ${stage.name}`);
+  }
+  if (stage.requiresReason && !options.reason) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `A reason is required to move a lead to ${stage.name}`);
+  }
+
+  const fromStage = lead.stage;
+  lead.stage = stage.key;
+  lead.stageChangedAt = new Date();
+  lead.lostReason = stage.outcome === 'lost' ? options.reason : undefined;
+  lead.stageHistory.push(buildStageChange(stage.key, fromStage, options));
+  await lead.save();
+  return lead;
+};
+
+/**
+ * Move a lead forward because something happened to it. Leads already past the stage, or closed as
+ * won or lost, are left where they are.
+ * @param {ObjectId} leadId
+ * @param {string} stageKey
+ * @param {Object} [options]
+ * @param {ObjectId} [options.changedBy]
+ * @param {string} [options.changedByModel]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<boolean>} whether the lead moved
+ */
+export const advanceLeadStage = async (leadId, stageKey, options = {}) => {
+  const lead = await CustomerLead.findById(leadId)
+    .select('stage')
+    .session(options.session || null);
+  if (!lead) {
+    return false;
+  }
+  const pipeline = await getPipeline();
+  const target = pipeline.find((stage) => stage.key === stageKey);
+  if (!target) {
+    // The stage was removed from the pipeline
+    return false;
+  }
+  const current = pipeline.find((stage) => stage.key === (lead.stage || LeadStages.NEW));
+  if (current && (current.outcome !== 'open' || current.order >= target.order)) {
+    return false;
+  }
+
+  const { modifiedCount } = await CustomerLead.updateOne(
+    { _id: lead._id, stage: lead.stage },
+    {
+      $set: { stage: target.key, stageChangedAt: new Date() },
+      $push: { stageHistory: buildStageChange(target.key, lead.stage, { ...options, automatic: true }) },
+    },
+    { session: options.session }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Move the lead behind a project forward, see advanceLeadStage. Never throws so the triggering
+ * action is not undone by a pipeline problem.
+ * @param {ObjectId} projectId
+ * @param {string} stageKey
+ * @param {Object} [options]
+ * @returns {Promise<boolean>}
+ */
+export const advanceProjectLeadStage = async (projectId, stageKey, options = {}) => {
+  try {
+    const project = await Project.findById(projectId)
+      .select('lead')
+      .session(options.session || null);
+    return project?.lead ? await advanceLeadStage(project.lead, stageKey, options) : false;
+  } catch (error) {
+    logger.error(`Failed to move the lead of project ${projectId} to ${stageKey}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Turn the stage query parameters of the lead list into a Mongo filter
+ * @param {Object} query
+ * @param {string} [query.stage] - comma separated stage keys
+ * @param {string} [query.movedTo] - only leads that entered this stage, within the dates below when given
+ * @param {Date} [query.stageChangedFrom]
+ * @param {Date} [query.stageChangedTo]
+ * @returns {Object}
+ */
+export const buildStageFilter = ({ stage, movedTo, stageChangedFrom, stageChangedTo }) => {
+  const filter = {};
+  if (stage) {
+    const stages = stage
+      .split(',')
+      .map((key) => key.trim().toLowerCase())
+      .filter(Boolean);
+    // Leads from before the pipeline existed have no stage and count as new
+    filter.stage = { $in: stages.includes(LeadStages.NEW) ? [...stages, null] : stages };
+  }
+
+  const changedAt = {};
+  Object.entries({ $gte: stageChangedFrom, $lte: stageChangedTo }).forEach(([operator, value]) => {
+    if (!value) return;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Invalid date: ${value}`);
+    }
+    changedAt[operator] = date;
+  });
+  const hasDates = Object.keys(changedAt).length > 0;
+
+  if (movedTo) {
+    filter.stageHistory = { $elemMatch: { stage: movedTo.toLowerCase(), ...(hasDates && { changedAt }) } };
+  } else if (hasDates) {
+    filter.stageChangedAt = changedAt;
+  }
+  return filter;
+};
@@ -0,0 +1,214 @@
+import httpStatus from 'http-status';
+import CustomerLead from '../models/customerLead.model.js';
+import Project from '../models/project.model.js';
+import Requirement from '../models/requirement.model.js';
+import User from '../models/user.model.js';
+import ApiError from '../utils/ApiError.js';
+import { locateGoogleMapsLink, toGeoPoint } from '../utils/geo.js';
+import { findBusyEngineers } from './engineerSchedule.service.js';
+import { registerJobHandler } from './job.service.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+import Roles from '../config/enums/roles.enum.js';
+
+// Projects still being worked on, shown on the map unless other statuses are asked for
+export const ACTIVE_PROJECT_STATUSES = ['Pending', 'Open', 'OnHold'];
+
+const toKm = (metres) => ({ $round: [{ $divide: [metres, 1000] }, 2] });
+
+const lookupProject = [
+  { $lookup: { from: Project.collection.name, localField: 'project', foreignField: '_id', as: 'project' } },
+  { $unwind: '$project' },
+];
+
+/**
+ * Where a project's site is, from its requirement
+ * @param {ObjectId} projectId
+ * @returns {Promise<Object>} a GeoJSON point
+ */
+const getProjectLocation = async (projectId) => {
+  const project = await Project.findById(projectId).select('requirement').lean();
+  if (!project) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Project not found');
+  }
+  const requirement = project.requirement && (await Requirement.findById(project.requirement).select('location').lean());
+  if (!requirement?.location) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The location of this project is not known');
+  }
+  return requirement.location;
+};
+
+/**
+ * Projects whose site is within a distance of a place, nearest first
+ * @param {{lat: number, lng: number}} point
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm]
+ * @param {string[]} [options.status] - only projects with one of these statuses
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} projects with their requirement, site address, location and distanceKm
+ */
+export const findProjectsNear = async (point, { radiusKm = 10, status, limit = 50 } = {}) => {
+  return Requirement.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(point),
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: { project: { $ne: null } },
+      },
+    },
+    ...lookupProject,
+    ...(status?.length ? [{ $match: { 'project.status': { $in: status } } }] : []),
+    { $limit: limit },
+    {
+      $project: {
+        _id: '$project._id',
+        projectName: '$project.projectName',
+        projectCode: '$project.projectCode',
+        status: '$project.status',
+        lead: '$project.lead',
+        requirement: '$_id',
+        siteAddress: '$scpData.siteAddress',
+        location: 1,
+        distanceKm: toKm('$distance'),
+      },
+    },
+  ]);
+};
+
+/**
+ * Active site engineers nearest to a place by their home base, leaving out those with a site visit, sitework or
+ * leave on the day
+ * @param {Object} near
+ * @param {{lat: number, lng: number}} [near.point]
+ * @param {ObjectId} [near.project] - a project whose site to start from, instead of point
+ * @param {Object} [options]
+ * @param {Date} [options.date] - the day they should be free, today by default
+ * @param {number} [options.radiusKm] - only engineers within this distance
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} engineers with their home base and distanceKm, nearest first
+ */
+export const findNearestSiteEngineers = async ({ point, project }, { date = new Date(), radiusKm, limit = 10 } = {}) => {
+  const near = project ? await getProjectLocation(project) : toGeoPoint(point);
+  const busy = await findBusyEngineers(date);
+  return User.aggregate([
+    {
+      $geoNear: {
+        near,
+        key: 'homeBase',
+        distanceField: 'distance',
+        spherical: true,
+        ...(radiusKm && { maxDistance: radiusKm * 1000 }),
+        query: { role: Roles.SITE_ENGINEER, isActive: true, _id: { $nin: busy } },
+      },
+    },
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        phoneNumber: 1,
+        city: 1,
+        region: 1,
+        homeBase: 1,
+        distanceKm: toKm('$distance'),
+      },
+    },
+  ]);
+};
+
+/**
+ * Projects with a known site location as GeoJSON features, for a map
+ * @param {Object} [filter]
+ * @param {string[]} [filter.status] - ACTIVE_PROJECT_STATUSES by default
+ * @returns {Promise<Object>} a FeatureCollection, with the number of features of each status as byStatus
+ */
+export const getProjectMapFeed = async ({ status = ACTIVE_PROJECT_STATUSES } = {}) => {
+  const projects = await Requirement.aggregate([
+    { $match: { 'location.coordinates': { $exists: true }, project: { $ne: null } } },
+    ...lookupProject,
+    { $match: { 'project.status': { $in: status } } },
+    { $lookup: { from: CustomerLead.collection.name, localField: 'lead', foreignField: '_id', as: 'lead' } },
+    { $unwind: { path: '$lead', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        location: 1,
+        projectId: '$project._id',
+        projectName: '$project.projectName',
+        projectCode: '$project.projectCode',
+        status: '$project.status',
+        customerName: '$lead.customerName',
+        siteAddress: '$scpData.siteAddress',
+      },
+    },
+  ]);
+
+  const byStatus = Object.fromEntries(status.map((value) => [value, 0]));
+  const features = projects.map(({ _id, location, ...properties }) => {
+    byStatus[properties.status] += 1;
+    return { type: 'Feature', geometry: location, properties: { ...properties, requirement: _id } };
+  });
+  return { type: 'FeatureCollection', features, byStatus };
+};
+
+// What the backfill looks for: documents with a link and no location yet
+const backfillTargets = [
+  { name: 'leads', model: CustomerLead, linkPath: 'googleLocationLink', path: 'location' },
+  { name: 'requirements', model: Requirement, linkPath: 'scpData.googleLocationLink', path: 'location' },
+  { name: 'users', model: User, linkPath: 'homeBaseLink', path: 'homeBase' },
+];
+
+const backfillQuery = ({ linkPath, path }) => ({ [linkPath]: { $nin: [null, ''] }, [path]: null });
+
+/**
+ * Find the locations of leads, requirements and users saved with a Google Maps link before locations were kept.
+ * Documents whose link has no coordinates are left as they are, so running it again tries them again.
+ * @param {Object} [options]
+ * @param {function(Object): Promise<void>} [options.onProgress] - called with {total, processed, succeeded, failed}
+ * @returns {Promise<Object>} how many were located and not located, per kind of document
+ */
+export const backfillLocations = async ({ onProgress } = {}) => {
+  const counts = await Promise.all(backfillTargets.map((target) => target.model.countDocuments(backfillQuery(target))));
+  const progress = { total: counts.reduce((sum, count) => sum + count, 0), processed: 0, succeeded: 0, failed: 0 };
+  const result = {};
+
+  await backfillTargets.reduce(async (previous, target) => {
+    await previous;
+    const { name, model, linkPath, path } = target;
+    result[name] = { located: 0, notLocated: 0 };
+    await model
+      .find(backfillQuery(target))
+      .select(linkPath)
+      .lean()
+      .cursor()
+      .eachAsync(async (doc) => {
+        const point = await locateGoogleMapsLink(linkPath.split('.').reduce((value, key) => value?.[key], doc));
+        if (point) {
+          await model.updateOne({ _id: doc._id }, { $set: { [path]: toGeoPoint(point) } });
+        }
+        result[name][point ? 'located' : 'notLocated'] += 1;
+        progress.processed += 1;
+        progress[point ? 'succeeded' : 'failed'] += 1;
+        if (onProgress) {
+          await onProgress({ ...progress });
+        }
+      });
+  }, Promise.resolve());
+
+  return result;
+};
+
+/**
+ * Run a location backfill job, see backfillLocations
+ * @param {Job} job
+ * @param {Object} context
+ * @param {function(Object): Promise<void>} context.reportProgress
+ * @returns {Promise<{result: Object}>}
+ */
+const runLocationBackfillJob = async (job, { reportProgress }) => {
+  const result = await backfillLocations({ onProgress: reportProgress });
+  return { result };
+};
+
+registerJobHandler(JobTypes.LOCATION_BACKFILL, runLocationBackfillJob);
@@ -0,0 +1,201 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import LoginAttempt from '../models/loginAttempt.model.js';
+import User from '../models/user.model.js';
+import Admin from '../models/admin.model.js';
+import ApiError from '../utils/ApiError.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { getPrincipalModel } from './token.service.js';
+
+export const loginOutcomes = {
+  SUCCESS: 'success',
+  INVALID_CREDENTIALS: 'invalid-credentials',
+  UNKNOWN_ACCOUNT: 'unknown-account',
+  LOCKED: 'locked',
+  INACTIVE: 'inactive',
+  EMAIL_UNVERIFIED: 'email-unverified',
+  TWO_FACTOR_REQUIRED: 'two-factor-required',
+};
+
+const getModel = (principal) => (getPrincipalModel(principal) === 'Admin' ? Admin : User);
+
+const clearFailedLogins = (principal) =>
+  getModel(principal).updateOne(
+    { _id: principal._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { failedLoginWindowStart: 1, lockUntil: 1 } }
+  );
+
+/**
+ * Persist a login attempt. Never fails the login itself.
+ * @param {Object} attempt
+ * @param {string} attempt.identifier - email or mobile number the caller logged in with
+ * @param {string} attempt.method - password or otp
+ * @param {string} attempt.outcome - one of loginOutcomes
+ * @param {(User|Admin)} [attempt.principal]
+ * @param {string} [attempt.ip]
+ * @param {string} [attempt.userAgent]
+ * @returns {Promise<void>}
+ */
+export const recordLoginAttempt = async ({ identifier, method, outcome, principal, ip, userAgent }) => {
+  try {
+    await LoginAttempt.create({
+      identifier,
+      method,
+      outcome,
+      principal: principal?._id,
+      principalModel: principal ? getPrincipalModel(principal) : undefined,
+      ip,
+      userAgent,
+    });
+  } catch (error) {
+    logger.error(`Failed to record login attempt for ${identifier}: ${error.message}`);
+  }
+};
+
+/**
+ * Throw if the account is locked, recording the refused attempt
+ * @param {(User|Admin)} principal
+ * @param {Object} attempt - see recordLoginAttempt
+ * @returns {Promise<void>}
+ */
+export const assertNotLocked = async (principal, attempt) => {
+  if (!principal.lockUntil || principal.lockUntil <= new Date()) {
+    return;
+  }
+  await recordLoginAttempt({ ...attempt, principal, outcome: loginOutcomes.LOCKED });
+  const minutesLeft = Math.ceil((principal.lockUntil.getTime() - Date.now()) / 60000);
+  throw new ApiError(
+    httpStatus.LOCKED,
+    `Account is temporarily locked after too many failed logins. Try again in ${minutesLeft} minute(s).`
+  );
+};
+
+/**
+ * Record a failed password and lock the account once the threshold is reached inside the window
+ * @param {(User|Admin)} principal
+ * @param {Object} attempt - see recordLoginAttempt
+ * @returns {Promise<boolean>} whether the account is now locked
+ */
+export const registerFailedLogin = async (principal, attempt) => {
+  await recordLoginAttempt({ ...attempt, principal, outcome: loginOutcomes.INVALID_CREDENTIALS });
+
+  const Model = getModel(principal);
+  const { maxFailedAttempts, windowMinutes, durationMinutes } = config.auth.lockout;
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+
+  // Start a new window when the previous one has run out
+  await Model.updateOne(
+    {
+      _id: principal._id,
+      $or: [{ failedLoginWindowStart: { $lt: windowStart } }, { failedLoginWindowStart: null }],
+    },
+    { $set: { failedLoginAttempts: 0, failedLoginWindowStart: now } }
+  );
+  const updated = await Model.findByIdAndUpdate(principal._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  if (!updated || updated.failedLoginAttempts < maxFailedAttempts) {
+    return false;
+  }
+
+  await Model.updateOne(
+    { _id: principal._id },
+    {
+      $set: { lockUntil: new Date(now.getTime() + durationMinutes * 60 * 1000), failedLoginAttempts: 0 },
+      $unset: { failedLoginWindowStart: 1 },
+    }
+  );
+  logger.warn(`Locked ${getPrincipalModel(principal)} ${principal._id} after ${maxFailedAttempts} failed logins`);
+  return true;
+};
+
+/**
+ * Record a successful login and clear the failed login counter
+ * @param {(User|Admin)} principal
+ * @param {Object} attempt - see recordLoginAttempt
+ * @returns {Promise<void>}
+ */
+export const registerSuccessfulLogin = async (principal, attempt) => {
+  await recordLoginAttempt({ ...attempt, principal, outcome: loginOutcomes.SUCCESS });
+  if (principal.failedLoginAttempts || principal.lockUntil) {
+    await clearFailedLogins(principal);
+  }
+};
+
+/**
+ * Query login attempts
+ * @param {Object} filter - identifier, principal, outcome, method, ip, startDate, endDate
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: field:desc/asc
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<Object>}
+ */
+export const queryLoginAttempts = async (filter, options) => {
+  const { limit = 10, page = 1, sortBy } = options;
+  const query = {};
+  ['principal', 'outcome', 'method', 'ip'].forEach((key) => {
+    if (filter[key]) {
+      query[key] = filter[key];
+    }
+  });
+  if (filter.identifier) {
+    query.identifier = filter.identifier.toLowerCase();
+  }
+  if (filter.startDate || filter.endDate) {
+    query.createdAt = {};
+    if (filter.startDate) query.createdAt.$gte = new Date(filter.startDate);
+    if (filter.endDate) query.createdAt.$lte = new Date(filter.endDate);
+  }
+
+  const sort = sortBy ? { [sortBy.split(':')[0]]: sortBy.split(':')[1] === 'desc' ? -1 : 1 } : { createdAt: -1 };
+  const [results, totalResults] = await Promise.all([
+    LoginAttempt.find(query)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('principal', 'name adminName email role'),
+    LoginAttempt.countDocuments(query),
+  ]);
+
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * List accounts that are locked right now
+ * @returns {Promise<Object[]>}
+ */
+export const getLockedAccounts = async () => {
+  const filter = { lockUntil: { $gt: new Date() } };
+  const [users, admins] = await Promise.all([
+    User.find(filter).select('name email role lockUntil').lean(),
+    Admin.find(filter).select('adminName email role lockUntil').lean(),
+  ]);
+  return [
+    ...admins.map((admin) => ({ ...admin, principalModel: 'Admin' })),
+    ...users.map((user) => ({ ...user, principalModel: 'User' })),
+  ];
+};
+
+/**
+ * Unlock an account and clear its failed login counter
+ * @param {ObjectId} accountId - User or Admin id
+ * @returns {Promise<(User|Admin)>}
+ */
+export const unlockAccount = async (accountId) => {
+  const principal = mongoose.isValidObjectId(accountId)
+    ? (await User.findById(accountId)) || (await Admin.findById(accountId))
+    : null;
+  if (!principal) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Account not found');
+  }
+  await clearFailedLogins(principal);
+  logger.info(`Unlocked ${getPrincipalModel(principal)} ${principal._id}`);
+  return principal;
+};
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import moment from 'moment';
+import httpStatus from 'http-status';
+import config from '../config/config.js';
+import Otp from '../models/otp.model.js';
+import User from '../models/user.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import Roles from '../config/enums/roles.enum.js';
+import sms from '../factory/sms.factory.js';
+import ApiError from '../utils/ApiError.js';
+import { normalizePhoneNumber, getPhoneNumberVariants } from '../utils/phone.js';
+import * as tokenService from './token.service.js';
+import * as loginAuditService from './loginAudit.service.js';
+
+/**
+ * Hash an OTP so codes are never stored in plain text
+ * @param {string} mobileNumber
+ * @param {string} code
+ * @returns {string}
+ */
+const hashCode = (mobileNumber, code) =>
+  crypto.createHmac('sha256', config.jwt.secret).update(`${mobileNumber}:${code}`).digest('hex');
+
+/**
+ * Generate a numeric code of the configured length
+ * @returns {string}
+ */
+const generateCode = () =>
+  crypto
+    .randomInt(0, 10 ** config.otp.length)
+    .toString()
+    .padStart(config.otp.length, '0');
+
+/**
+ * Find the customer account for a mobile number
+ * Customer users created from a lead may only have the lead's email, so the lead is used as a fallback
+ * and the number is stored on the user for next time.
+ * @param {string} mobileNumber - E.164 number
+ * @returns {Promise<User|null>}
+ */
+const findCustomerByMobileNumber = async (mobileNumber) => {
+  const variants = getPhoneNumberVariants(mobileNumber);
+  const user = await User.findOne({ role: Roles.USER, phoneNumber: { $in: variants } });
+  if (user) {
+    return user;
+  }
+
+  const lead = await CustomerLead.findOne({ mobileNumber: { $in: variants }, email: { $nin: [null, ''] } }).sort({
+    createdAt: -1,
+  });
+  if (!lead) {
+    return null;
+  }
+
+  const leadUser = await User.findOne({ role: Roles.USER, email: lead.email });
+  if (leadUser && !leadUser.phoneNumber) {
+    await User.updateOne({ _id: leadUser._id }, { $set: { phoneNumber: mobileNumber } });
+  }
+  return leadUser;
+};
+
+/**
+ * Normalize the number or reject the request
+ * @param {string} mobileNumber
+ * @returns {string}
+ */
+const requireMobileNumber = (mobileNumber) => {
+  const normalized = normalizePhoneNumber(mobileNumber);
+  if (!normalized) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid mobile number');
+  }
+  return normalized;
+};
+
+/**
+ * Send a login OTP to a customer's mobile number
+ * @param {string} mobileNumber
+ * @param {string} [ip]
+ * @returns {Promise<{mobileNumber: string, expires: Date, retryAfterSeconds: number}>}
+ */
+export const requestLoginOtp = async (mobileNumber, ip) => {
+  const normalized = requireMobileNumber(mobileNumber);
+
+  const user = await findCustomerByMobileNumber(normalized);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'No customer account found for this mobile number');
+  }
+  if (!user.isActive) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'This account has been deactivated');
+  }
+
+  const lastOtp = await Otp.findOne({ mobileNumber: normalized, purpose: 'login' }).sort({ createdAt: -1 });
+  if (lastOtp) {
+    const waitSeconds = config.otp.resendIntervalSeconds - moment().diff(lastOtp.createdAt, 'seconds');
+    if (waitSeconds > 0) {
+      throw new ApiError(httpStatus.TOO_MANY_REQUESTS, `Please wait ${waitSeconds} seconds before requesting another OTP`);
+    }
+  }
+
+  const requestsInWindow = await Otp.countDocuments({
+    mobileNumber: normalized,
+    purpose: 'login',
+    createdAt: { $gte: moment().subtract(config.otp.requestWindowMinutes, 'minutes').toDate() },
+  });
+  if (requestsInWindow >= config.otp.maxRequestsPerWindow) {
+    throw new ApiError(httpStatus.TOO_MANY_REQUESTS, 'Too many OTP requests for this number. Please try again later');
+  }
+
+  // A new code replaces any earlier one
+  await Otp.updateMany({ mobileNumber: normalized, purpose: 'login', consumed: false }, { $set: { consumed: true } });
+
+  const code = generateCode();
+  const expires = moment().add(config.otp.expirationMinutes, 'minutes');
+  await Otp.create({
+    mobileNumber: normalized,
+    purpose: 'login',
+    codeHash: hashCode(normalized, code),
+    expires: expires.toDate(),
+    ip,
+  });
+
+  await sms.sendSms(
+    normalized,
+    `${code} is your Smart Orbit login code. It expires in ${config.otp.expirationMinutes} minutes. Do not share it with anyone.`
+  );
+
+  return { mobileNumber: normalized, expires: expires.toDate(), retryAfterSeconds: config.otp.resendIntervalSeconds };
+};
+
+/**
+ * Verify a login OTP and issue the same tokens as password login
+ * @param {string} mobileNumber
+ * @param {string} code
+ * @param {Object} [context]
+ * @param {string} [context.ip]
+ * @param {string} [context.userAgent]
+ * @returns {Promise<{user: User, tokens: Object}>}
+ */
+export const verifyLoginOtp = async (mobileNumber, code, context = {}) => {
+  const normalized = requireMobileNumber(mobileNumber);
+  const attempt = { identifier: normalized, method: 'otp', ip: context.ip, userAgent: context.userAgent };
+  const { loginOutcomes } = loginAuditService;
+
+  const otp = await Otp.findOne({
+    mobileNumber: normalized,
+    purpose: 'login',
+    consumed: false,
+    expires: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+  if (!otp) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.INVALID_CREDENTIALS });
+    throw new ApiError(httpStatus.BAD_REQUEST, 'OTP expired or not found. Please request a new one');
+  }
+
+  // Count the attempt before comparing, in one conditional update, so concurrent guesses cannot go over the limit
+  const counted = await Otp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: config.otp.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.INVALID_CREDENTIALS });
+    throw new ApiError(httpStatus.TOO_MANY_REQUESTS, 'Too many incorrect attempts. Please request a new OTP');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const received = Buffer.from(hashCode(normalized, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.INVALID_CREDENTIALS });
+    const remaining = Math.max(config.otp.maxAttempts - counted.attempts, 0);
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid OTP. ${remaining} attempt(s) remaining`);
+  }
+
+  // Conditional update so the same code cannot be redeemed twice by concurrent requests
+  const consumed = await Otp.findOneAndUpdate({ _id: otp._id, consumed: false }, { $set: { consumed: true } });
+  if (!consumed) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.INVALID_CREDENTIALS });
+    throw new ApiError(httpStatus.BAD_REQUEST, 'OTP expired or not found. Please request a new one');
+  }
+
+  const user = await findCustomerByMobileNumber(normalized);
+  if (!user) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, outcome: loginOutcomes.UNKNOWN_ACCOUNT });
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'No customer account found for this mobile number');
+  }
+  if (!user.isActive) {
+    await loginAuditService.recordLoginAttempt({ ...attempt, principal: user, outcome: loginOutcomes.INACTIVE });
+    throw new ApiError(httpStatus.FORBIDDEN, 'This account has been deactivated');
+  }
+  await loginAuditService.assertNotLocked(user, attempt);
+
+  await loginAuditService.registerSuccessfulLogin(user, attempt);
+  const tokens = await tokenService.generateAuthTokens(user, context);
+  return { user, tokens };
+};
@@ -2,12 +2,15 @@ import Project from '../models/project.model.js';
 import CustomerLead from '../models/customerLead.model.js';
 import ApiError from '../utils/ApiError.js';
 import { mongoose } from 'mongoose';
-import Requirement from '../models/requirement.model.js';
+import Requirement, { activeShareMatch, isShareActive } from '../models/requirement.model.js';
 import httpStatus from 'http-status';
 import storage from '../factory/storage.factory.js';
 import Sitework from '../models/sitework.model.js';
 import Roles from '../config/enums/roles.enum.js';
 import ProjectAssignmentPayment from '../models/projectAssignmentPaymant.model.js';
+import { projectRelations } from './projectAccess.service.js';
+import { recordProjectActivity } from './leadActivity.service.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
 
 /**
  * Generates a unique project code.
@@ -314,7 +317,7 @@ export const getArchitectDocuments = async (projectId) => {
 
   // Check if any procurement team members are in the sharedWith list
   const isSharedWithAnyProcurementTeam = project.requirement?.sharedWith?.some(share =>
-    share.user?.role === Roles.PROCUREMENT
+    share.user?.role === Roles.PROCUREMENT && isShareActive(share)
   ) || false;
 
   const requirementId = project.requirement._id;
@@ -440,13 +443,13 @@ export const customerReviewDocument = async (projectId, documentId, reviewData)
   return project;
 };
 
-export const getArchitectDocumentsForCustomer = async (projectId, user) => {
+export const getArchitectDocumentsForCustomer = async (projectId, user, relations = []) => {
   const project = await Project.findById(projectId).populate('lead');
   if (!project) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Project not found');
   }
 
-  if (project.lead.email !== user.email) {
+  if (!relations.includes(projectRelations.CUSTOMER)) {
     throw new ApiError(httpStatus.FORBIDDEN, 'You are not authorized to view documents for this project.');
   }
 
@@ -988,7 +991,7 @@ export const getProjectsForProcurement = async (user, options) => {
 
   // Find requirements shared with this procurement user
   const sharedRequirements = await Requirement.find({
-    'sharedWith.user': user._id
+    sharedWith: activeShareMatch(user._id)
   }).select('_id project');
 
   const projectIds = sharedRequirements.map(req => req.project).filter(Boolean);
@@ -1027,7 +1030,7 @@ export const getProjectDocumentsForProcurement = async (projectId, user) => {
   // Check if the procurement user has access to this project
   const sharedRequirement = await Requirement.findOne({
     project: projectId,
-    'sharedWith.user': user._id
+    sharedWith: activeShareMatch(user._id)
   });
 
   if (!sharedRequirement) {
@@ -1223,12 +1226,19 @@ export const updateProjectStatusService = async (projectId, newStatus, user) =>
     throw new ApiError(httpStatus.BAD_REQUEST, `Invalid status. Must be one of: ${validStatuses.join(', ')}`);
   }
 
+  const previous = await Project.findById(projectId).select('status');
+  if (!previous) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Project not found');
+  }
+
   // Find and update the project
   const project = await Project.findByIdAndUpdate(
     projectId,
     {
-      status: newStatus,
-      updatedAt: new Date()
+      $set: { status: newStatus, updatedAt: new Date() },
+      // Keep the first time the project reached these statuses
+      ...(newStatus === 'Open' && { $min: { openedAt: new Date() } }),
+      ...(newStatus === 'Completed' && { $min: { completedAt: new Date() } }),
     },
     {
       new: true,
@@ -1243,5 +1253,17 @@ export const updateProjectStatusService = async (projectId, newStatus, user) =>
     throw new ApiError(httpStatus.NOT_FOUND, 'Project not found');
   }
 
+  if (previous.status !== newStatus) {
+    await recordProjectActivity(
+      project._id,
+      LeadActivityTypes.PROJECT_STATUS_CHANGED,
+      {
+        summary: `Project status changed from ${previous.status} to ${newStatus}`,
+        details: { from: previous.status, to: newStatus },
+      },
+      { performedBy: user._id, performedByModel: user.constructor.modelName }
+    );
+  }
+
   return project;
 }; 
@@ -0,0 +1,163 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import Project from '../models/project.model.js';
+import Sitework from '../models/sitework.model.js';
+import Requirement, { activeShareMatch } from '../models/requirement.model.js';
+import CustomerLead from '../models/customerLead.model.js';
+import Message from '../models/message.model.js';
+import ApiError from '../utils/ApiError.js';
+import Roles from '../config/enums/roles.enum.js';
+import { getPhoneNumberVariants } from '../utils/phone.js';
+import { isApiKey } from './apiKey.service.js';
+
+// Roles that can reach every project
+const adminRoles = [Roles.ADMIN.toLowerCase(), Roles.SALES_ADMIN];
+
+/**
+ * Ways a principal can belong to a project
+ */
+export const projectRelations = {
+  ADMIN: 'admin',
+  ARCHITECT: 'architect',
+  PROPOSER: 'proposer',
+  SITE_ENGINEER: 'site-engineer',
+  SITEWORK_ASSIGNEE: 'sitework-assignee',
+  SHARED: 'shared',
+  CUSTOMER: 'customer',
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+const isProjectCustomer = async (user, project) => {
+  if (user.role?.toLowerCase() !== Roles.USER) {
+    return false;
+  }
+  const lead = await CustomerLead.findById(project.lead).select('email mobileNumber mergedEmails mergedPhoneNumbers').lean();
+  if (!lead) {
+    return false;
+  }
+  // The contacts of merged leads count too, their projects moved to this lead
+  if (user.email && [lead.email, ...(lead.mergedEmails || [])].includes(user.email)) {
+    return true;
+  }
+  const userPhones = getPhoneNumberVariants(user.phoneNumber);
+  return (
+    userPhones.length > 0 &&
+    [lead.mobileNumber, ...(lead.mergedPhoneNumbers || [])]
+      .flatMap(getPhoneNumberVariants)
+      .some((phone) => userPhones.includes(phone))
+  );
+};
+
+/**
+ * Work out how a principal belongs to a project
+ * @param {Object} user - User or Admin document
+ * @param {Project} project
+ * @returns {Promise<string[]>} the matching projectRelations, empty when the principal has no access
+ */
+export const getProjectRelations = async (user, project) => {
+  // API keys are issued by admins and already limited by their rights
+  if (isApiKey(user) || adminRoles.includes(user.role?.toLowerCase())) {
+    return [projectRelations.ADMIN];
+  }
+
+  const relations = [];
+  if (sameId(project.architect, user._id)) {
+    relations.push(projectRelations.ARCHITECT);
+  }
+  if (
+    (project.proposals || []).some((proposal) => sameId(proposal.architect, user._id) && proposal.status !== 'Withdrawn')
+  ) {
+    relations.push(projectRelations.PROPOSER);
+  }
+  if ((project.assignedSiteEngineer || []).some((engineer) => sameId(engineer, user._id))) {
+    relations.push(projectRelations.SITE_ENGINEER);
+  }
+
+  const [assignedSitework, sharedRequirement, isCustomer] = await Promise.all([
+    Sitework.exists({ project: project._id, 'assignedUsers.user': user._id }),
+    Requirement.exists({
+      $or: project.requirement ? [{ _id: project.requirement }, { project: project._id }] : [{ project: project._id }],
+      sharedWith: activeShareMatch(user._id),
+    }),
+    isProjectCustomer(user, project),
+  ]);
+  if (assignedSitework) {
+    relations.push(projectRelations.SITEWORK_ASSIGNEE);
+  }
+  if (sharedRequirement) {
+    relations.push(projectRelations.SHARED);
+  }
+  if (isCustomer) {
+    relations.push(projectRelations.CUSTOMER);
+  }
+  return relations;
+};
+
+/**
+ * Load a project and make sure the principal belongs to it
+ * @param {Object} user - User or Admin document
+ * @param {ObjectId|string} projectId
+ * @returns {Promise<{ project: Project, relations: string[] }>}
+ */
+export const assertProjectAccess = async (user, projectId) => {
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findById(projectId).select(
+        'architect proposals.architect proposals.status assignedSiteEngineer lead requirement'
+      )
+    : null;
+  if (!project) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Project not found');
+  }
+  const relations = await getProjectRelations(user, project);
+  if (!relations.length) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You do not have access to this project');
+  }
+  return { project, relations };
+};
+
+/**
+ * Check whether a principal belongs to a project
+ * @param {Object} user - User or Admin document
+ * @param {ObjectId|string} projectId
+ * @returns {Promise<boolean>}
+ */
+export const canAccessProject = async (user, projectId) => {
+  try {
+    await assertProjectAccess(user, projectId);
+    return true;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the project a sitework belongs to
+ * @param {ObjectId|string} siteworkId
+ * @returns {Promise<ObjectId>}
+ */
+export const getSiteworkProjectId = async (siteworkId) => {
+  const sitework = mongoose.isValidObjectId(siteworkId)
+    ? await Sitework.findById(siteworkId).select('project').lean()
+    : null;
+  if (!sitework) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Sitework not found');
+  }
+  return sitework.project;
+};
+
+/**
+ * Get the project a message was posted to
+ * @param {ObjectId|string} messageId
+ * @returns {Promise<ObjectId>}
+ */
+export const getMessageProjectId = async (messageId) => {
+  const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId).select('project').lean() : null;
+  if (!message) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Message not found');
+  }
+  return message.project;
+};
@@ -0,0 +1,316 @@
+import { isDeepStrictEqual } from 'util';
+import httpStatus from 'http-status';
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import Requirement from '../models/requirement.model.js';
+import RequirementForm from '../models/requirementForm.model.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { parseArea, parseLength } from '../utils/units.js';
+import { recordRequirementRevision, snapshotRequirement } from './requirementRevision.service.js';
+import { MAX_TEXT_ANSWER_LENGTH } from '../validations/requirementForm.validation.js';
+import AreaUnits from '../config/enums/areaUnits.enum.js';
+import FormFieldTypes from '../config/enums/formFieldTypes.enum.js';
+import LengthUnits from '../config/enums/lengthUnits.enum.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+
+const optionValues = (field) => (field.options || []).map((option) => option.value);
+
+// Forms saved before maxLength was capped can ask for more than the cap
+const answerMaxLength = ({ maxLength }) => Math.min(maxLength ?? MAX_TEXT_ANSWER_LENGTH, MAX_TEXT_ANSWER_LENGTH);
+
+const withLength = (schema, field) => {
+  const { minLength, pattern } = field;
+  const max = answerMaxLength(field);
+  let rules = schema.max(max);
+  if (minLength != null) rules = rules.min(minLength);
+  if (pattern) {
+    // eslint-disable-next-line security/detect-non-literal-regexp -- patterns pass safe-regex2 when the form is saved
+    const regex = new RegExp(pattern);
+    // Answers over the length limit are never matched, so a pattern only runs on bounded input
+    rules = rules.custom((value, helpers) =>
+      value.length > max || regex.test(value) ? value : helpers.error('string.pattern.base', { regex })
+    );
+  }
+  return rules;
+};
+
+// min and max of numbers, or of the number of choices of a multiselect field
+const withRange = (schema, { min, max }) => {
+  let rules = schema;
+  if (min != null) rules = rules.min(min);
+  if (max != null) rules = rules.max(max);
+  return rules;
+};
+
+// Measurements take { value, unit } or text such as "5000 sq ft", the same as scpData
+const measurement = (parse, expected) =>
+  Joi.any().custom((value, helpers) => parse(value) ?? helpers.message(`{{#label}} must be ${expected}`));
+
+// How the answer to each type of field is checked, and converted where it can be given as text
+const answerSchemas = {
+  [FormFieldTypes.TEXT]: (field) => withLength(Joi.string().trim(), field),
+  [FormFieldTypes.TEXTAREA]: (field) => withLength(Joi.string().trim(), field),
+  [FormFieldTypes.NUMBER]: (field) => withRange(Joi.number(), field),
+  [FormFieldTypes.BOOLEAN]: () => Joi.boolean(),
+  [FormFieldTypes.DATE]: () => Joi.date(),
+  [FormFieldTypes.SELECT]: (field) => Joi.string().valid(...optionValues(field)),
+  [FormFieldTypes.MULTISELECT]: (field) =>
+    withRange(
+      Joi.array()
+        .items(Joi.string().valid(...optionValues(field)))
+        .unique(),
+      field
+    ),
+  [FormFieldTypes.AREA]: () => measurement(parseArea, 'an area such as "5000 sq ft", "465 sq m" or "0.5 acres"'),
+  [FormFieldTypes.LENGTH]: () => measurement(parseLength, 'a length such as "20 ft" or "6 m"'),
+  [FormFieldTypes.EMAIL]: () => Joi.string().trim().lowercase().email(),
+  [FormFieldTypes.PHONE]: () =>
+    Joi.string().custom(
+      (value, helpers) => normalizePhoneNumber(value) ?? helpers.message('{{#label}} must be a phone number')
+    ),
+  [FormFieldTypes.URL]: () => Joi.string().uri(),
+};
+
+const measurementJsonSchema = (units) => ({
+  type: 'object',
+  properties: { value: { type: 'number', minimum: 0 }, unit: { type: 'string', enum: Object.values(units) } },
+  required: ['value', 'unit'],
+});
+
+const choices = (field) =>
+  (field.options || []).map((option) => ({ const: option.value, title: option.label || option.value }));
+
+const fieldJsonSchemas = {
+  [FormFieldTypes.TEXT]: (field) => ({
+    type: 'string',
+    minLength: field.minLength,
+    maxLength: answerMaxLength(field),
+    pattern: field.pattern,
+  }),
+  [FormFieldTypes.TEXTAREA]: (field) => ({
+    type: 'string',
+    minLength: field.minLength,
+    maxLength: answerMaxLength(field),
+    pattern: field.pattern,
+  }),
+  [FormFieldTypes.NUMBER]: (field) => ({ type: 'number', minimum: field.min, maximum: field.max }),
+  [FormFieldTypes.BOOLEAN]: () => ({ type: 'boolean' }),
+  [FormFieldTypes.DATE]: () => ({ type: 'string', format: 'date' }),
+  [FormFieldTypes.SELECT]: (field) => ({
+    type: 'string',
+    oneOf: choices(field),
+  }),
+  [FormFieldTypes.MULTISELECT]: (field) => ({
+    type: 'array',
+    items: {
+      type: 'string',
+      oneOf: choices(field),
+    },
+    uniqueItems: true,
+    minItems: field.min,
+    maxItems: field.max,
+  }),
+  [FormFieldTypes.AREA]: () => measurementJsonSchema(AreaUnits),
+  [FormFieldTypes.LENGTH]: () => measurementJsonSchema(LengthUnits),
+  [FormFieldTypes.EMAIL]: () => ({ type: 'string', format: 'email' }),
+  [FormFieldTypes.PHONE]: () => ({ type: 'string' }),
+  [FormFieldTypes.URL]: () => ({ type: 'string', format: 'uri' }),
+};
+
+const withoutEmpty = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+/**
+ * Joi schema of the answers to a form
+ * @param {RequirementForm} form
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceRequired] - false to accept answers with required fields missing
+ * @returns {Joi.ObjectSchema}
+ */
+export const buildFormDataSchema = (form, { enforceRequired = true } = {}) =>
+  Joi.object(
+    Object.fromEntries(
+      form.fields.map((field) => {
+        const schema = answerSchemas[field.type](field).label(field.label);
+        return [field.key, field.required && enforceRequired ? schema.required() : schema.allow(null, '')];
+      })
+    )
+  );
+
+/**
+ * JSON Schema (draft-07) of the answers to a form, for form libraries that render one
+ * @param {RequirementForm} form
+ * @returns {Object}
+ */
+export const toJsonSchema = (form) => ({
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: form.requirementType,
+  description: form.description,
+  type: 'object',
+  properties: Object.fromEntries(
+    form.fields.map((field) => [
+      field.key,
+      withoutEmpty({ ...fieldJsonSchemas[field.type](field), title: field.label, description: field.helpText }),
+    ])
+  ),
+  required: form.fields.filter((field) => field.required).map((field) => field.key),
+  additionalProperties: false,
+});
+
+const findActiveForm = (requirementType) =>
+  requirementType ? RequirementForm.findOne({ requirementType, isActive: true }) : null;
+
+const checkAnswers = (form, formData, options) => {
+  const { value, error } = buildFormDataSchema(form, options).validate(formData, { abortEarly: false });
+  if (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, error.details.map((details) => details.message).join(', '));
+  }
+  return { formData: withoutEmpty(value), formVersion: form.version };
+};
+
+/**
+ * Check the answers of a requirement against the active form of its type
+ * @param {string} requirementType
+ * @param {Object} [formData]
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceRequired] - false for imported and inbound requirements, which are completed later
+ * @returns {Promise<{formData: Object, formVersion: number}|{}>} the converted answers without empty ones and the
+ *   form's version, nothing when the type has no form
+ */
+export const validateRequirementFormData = async (requirementType, formData, options = {}) => {
+  const form = await findActiveForm(requirementType);
+  if (!form) {
+    if (formData && Object.keys(formData).length) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `There is no form for requirement type "${requirementType || ''}"`);
+    }
+    return {};
+  }
+  return checkAnswers(form, formData || {}, options);
+};
+
+const checkTypeAvailable = async (requirementType, excludeFormId) => {
+  if (await RequirementForm.exists({ requirementType, _id: { $ne: excludeFormId } })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `A form for requirement type "${requirementType}" already exists`);
+  }
+};
+
+/**
+ * Add the form of a requirement type
+ * @param {Object} formBody
+ * @param {(User|Admin|ApiKey)} creator
+ * @returns {Promise<RequirementForm>}
+ */
+export const createRequirementForm = async (formBody, creator) => {
+  await checkTypeAvailable(formBody.requirementType);
+  return RequirementForm.create({
+    ...formBody,
+    createdBy: creator._id,
+    createdByModel: creator.constructor.modelName,
+  });
+};
+
+/**
+ * The requirement forms, by requirement type
+ * @param {Object} [filter]
+ * @param {boolean} [filter.isActive]
+ * @returns {Promise<RequirementForm[]>}
+ */
+export const queryRequirementForms = async (filter = {}) => {
+  return RequirementForm.find(filter).sort({ requirementType: 1 });
+};
+
+/**
+ * Get requirement form by id
+ * @param {ObjectId} formId
+ * @returns {Promise<RequirementForm>}
+ */
+export const getRequirementFormById = async (formId) => {
+  const form = mongoose.isValidObjectId(formId) ? await RequirementForm.findById(formId) : null;
+  if (!form) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement form not found');
+  }
+  return form;
+};
+
+/**
+ * The active form of a requirement type, as the front end renders it
+ * @param {string} requirementType
+ * @returns {Promise<{form: RequirementForm, jsonSchema: Object}>}
+ */
+export const getRequirementFormSchema = async (requirementType) => {
+  const form = await RequirementForm.findOne({ requirementType, isActive: true });
+  if (!form) {
+    throw new ApiError(httpStatus.NOT_FOUND, `There is no form for requirement type "${requirementType}"`);
+  }
+  return { form, jsonSchema: toJsonSchema(form) };
+};
+
+/**
+ * Update a requirement form. Changing its fields gives it a new version; requirements already answered keep their
+ * answers until they are next changed.
+ * @param {ObjectId} formId
+ * @param {Object} updateBody
+ * @returns {Promise<RequirementForm>}
+ */
+export const updateRequirementFormById = async (formId, updateBody) => {
+  const form = await getRequirementFormById(formId);
+  if (updateBody.requirementType && updateBody.requirementType !== form.requirementType) {
+    await checkTypeAvailable(updateBody.requirementType, form._id);
+  }
+  const { fields, ...rest } = updateBody;
+  Object.assign(form, rest);
+  if (fields && !isDeepStrictEqual(JSON.parse(JSON.stringify(form.fields)), JSON.parse(JSON.stringify(fields)))) {
+    form.fields = fields;
+    form.version += 1;
+  }
+  await form.save();
+  return form;
+};
+
+/**
+ * Delete a requirement form. Requirements of its type keep their answers.
+ * @param {ObjectId} formId
+ * @returns {Promise<RequirementForm>}
+ */
+export const deleteRequirementFormById = async (formId) => {
+  const form = await getRequirementFormById(formId);
+  await form.deleteOne();
+  return form;
+};
+
+/**
+ * Change the answers of a requirement to the form of its type. Answers not given are kept, and null clears one;
+ * the answers as a whole must then satisfy the current form.
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {Object} answers
+ * @param {(User|Admin|ApiKey)} principal - who is changing them
+ * @returns {Promise<Requirement>}
+ */
+export const updateRequirementFormData = async (leadId, requirementId, answers, principal) => {
+  const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId });
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+  const form = await findActiveForm(requirement.requirementType);
+  if (!form) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `There is no form for requirement type "${requirement.requirementType}"`);
+  }
+  const before = snapshotRequirement(requirement);
+  // Answers to fields since taken off the form are dropped
+  const kept = pick(
+    requirement.formData || {},
+    form.fields.map((field) => field.key)
+  );
+  const { formData, formVersion } = checkAnswers(form, { ...kept, ...answers });
+  Object.assign(requirement, { formData, formVersion });
+  await requirement.save();
+  await recordRequirementRevision(requirement, before, {
+    source: RequirementRevisionSources.MANUAL,
+    author: principal._id,
+    authorModel: principal.constructor.modelName,
+  });
+  return requirement;
+};
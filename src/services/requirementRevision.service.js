@@ -0,0 +1,247 @@
+import { isDeepStrictEqual } from 'util';
+import httpStatus from 'http-status';
+import Requirement from '../models/requirement.model.js';
+import RequirementRevision from '../models/requirementRevision.model.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+
+// Fields of a requirement kept in its revisions. Sharing and the links to the lead and project are not.
+const trackedFields = [
+  'projectName',
+  'requirementType',
+  'otherRequirement',
+  'requirementDescription',
+  'urgency',
+  'budget',
+  'scpData',
+  'formData',
+  'files',
+];
+
+// Empty text and empty lists are no different from a field that is not set
+const blank = (value) => (value === undefined || value === '' || (Array.isArray(value) && !value.length) ? null : value);
+
+const flattenAnswers = (name, answers) =>
+  Object.fromEntries(Object.entries(answers || {}).map(([field, value]) => [`${name}.${field}`, value]));
+
+// scpData and formData are compared field by field, everything else as a whole
+const flattenSnapshot = (snapshot) => {
+  const { scpData, formData, ...fields } = snapshot || {};
+  return { ...fields, ...flattenAnswers('scpData', scpData), ...flattenAnswers('formData', formData) };
+};
+
+/**
+ * The tracked fields of a requirement as plain JSON, the way revisions store them
+ * @param {(Requirement|Object)} requirement
+ * @returns {Object}
+ */
+export const snapshotRequirement = (requirement) => {
+  const plain = typeof requirement.toObject === 'function' ? requirement.toObject({ virtuals: false }) : requirement;
+  return JSON.parse(JSON.stringify(pick(plain, trackedFields)));
+};
+
+/**
+ * Field-level difference between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{path: string, from: *, to: *}[]}
+ */
+export const diffRequirementSnapshots = (before, after) => {
+  const from = flattenSnapshot(before);
+  const to = flattenSnapshot(after);
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter((path) => !isDeepStrictEqual(blank(from[path]), blank(to[path])))
+    .map((path) => ({ path, from: blank(from[path]), to: blank(to[path]) }));
+};
+
+/**
+ * Claim the next revision number of a requirement. The count is kept on the requirement and raised atomically, so
+ * concurrent changes never pick the same number.
+ * @param {ObjectId} requirementId
+ * @param {ClientSession} [session]
+ * @returns {Promise<number>}
+ */
+const claimRevisionNumber = async (requirementId, session) => {
+  const claim = () =>
+    Requirement.findOneAndUpdate(
+      { _id: requirementId, revisionCount: { $exists: true } },
+      { $inc: { revisionCount: 1 } },
+      { new: true, session, timestamps: false }
+    ).select('revisionCount');
+  const claimed = await claim();
+  if (claimed) {
+    return claimed.revisionCount;
+  }
+  // The count starts with the first revision; requirements revised before it was kept carry on from their latest
+  const latest = await RequirementRevision.findOne({ requirement: requirementId })
+    .sort({ number: -1 })
+    .select('number')
+    .session(session || null);
+  await Requirement.updateOne(
+    { _id: requirementId, revisionCount: { $exists: false } },
+    { $set: { revisionCount: latest?.number || 0 } },
+    { session, timestamps: false }
+  );
+  return (await claim()).revisionCount;
+};
+
+/**
+ * Keep a revision of a requirement after it was changed. Nothing is kept when the tracked fields did not change.
+ * The first change to a requirement created before revisions were kept also keeps a baseline revision with what it
+ * looked like before.
+ * @param {Requirement} requirement - as saved
+ * @param {Object|null} before - snapshotRequirement of it before the change, null when it was just created
+ * @param {Object} options
+ * @param {string} options.source - one of RequirementRevisionSources
+ * @param {ObjectId} [options.author]
+ * @param {string} [options.authorModel]
+ * @param {ObjectId} [options.siteVisit]
+ * @param {number} [options.rolledBackTo]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<RequirementRevision|null>}
+ */
+export const recordRequirementRevision = async (requirement, before, options) => {
+  const { source, author, authorModel, siteVisit, rolledBackTo, session } = options;
+  const after = snapshotRequirement(requirement);
+  const changes = diffRequirementSnapshots(before, after);
+  if (!changes.length) {
+    return null;
+  }
+
+  const base = { requirement: requirement._id, lead: requirement.lead };
+  const revisions = [];
+  let number = await claimRevisionNumber(requirement._id, session);
+  if (number === 1 && before) {
+    revisions.push({ ...base, number, source: RequirementRevisionSources.BASELINE, changes: [], snapshot: before });
+    number = await claimRevisionNumber(requirement._id, session);
+  }
+  revisions.push({
+    ...base,
+    number,
+    source,
+    author,
+    authorModel,
+    siteVisit,
+    rolledBackTo,
+    changes,
+    snapshot: after,
+  });
+
+  const created = await RequirementRevision.create(revisions, { session, ordered: true });
+  return created[created.length - 1];
+};
+
+const checkLeadRequirement = async (leadId, requirementId) => {
+  if (!(await Requirement.exists({ _id: requirementId, lead: leadId }))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+};
+
+const findRevision = async (requirementId, number) => {
+  const revision = await RequirementRevision.findOne({ requirement: requirementId, number }).populate(
+    'author',
+    'name email'
+  );
+  if (!revision) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Revision ${number} not found`);
+  }
+  return revision;
+};
+
+/**
+ * A requirement's revisions, newest first, without their snapshots
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.page]
+ * @returns {Promise<QueryResult>}
+ */
+export const getRequirementRevisions = async (leadId, requirementId, { limit = 20, page = 1 } = {}) => {
+  await checkLeadRequirement(leadId, requirementId);
+  const filter = { requirement: requirementId };
+  const [results, totalResults] = await Promise.all([
+    RequirementRevision.find(filter)
+      .select('-snapshot')
+      .sort({ number: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('author', 'name email')
+      .populate('siteVisit', 'visitDate status siteEngineer'),
+    RequirementRevision.countDocuments(filter),
+  ]);
+
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * One revision of a requirement, with its snapshot
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {number} number
+ * @returns {Promise<RequirementRevision>}
+ */
+export const getRequirementRevision = async (leadId, requirementId, number) => {
+  await checkLeadRequirement(leadId, requirementId);
+  return findRevision(requirementId, number);
+};
+
+/**
+ * What changed between two revisions of a requirement
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {number} fromNumber
+ * @param {number} toNumber
+ * @returns {Promise<{from: Object, to: Object, changes: Object[]}>}
+ */
+export const compareRequirementRevisions = async (leadId, requirementId, fromNumber, toNumber) => {
+  await checkLeadRequirement(leadId, requirementId);
+  const [from, to] = await Promise.all([findRevision(requirementId, fromNumber), findRevision(requirementId, toNumber)]);
+  const summary = ({ number, source, author, createdAt }) => ({ number, source, author, createdAt });
+  return {
+    from: summary(from),
+    to: summary(to),
+    changes: diffRequirementSnapshots(from.snapshot, to.snapshot),
+  };
+};
+
+/**
+ * Put a requirement's tracked fields back the way they were at an earlier revision. The rollback is kept as a
+ * revision of its own, so it can be undone the same way.
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {number} number - the revision to go back to
+ * @param {(User|Admin|ApiKey)} principal
+ * @returns {Promise<{requirement: Requirement, revision: RequirementRevision}>}
+ */
+export const rollbackRequirement = async (leadId, requirementId, number, principal) => {
+  const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId });
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+  const target = await findRevision(requirementId, number);
+
+  const before = snapshotRequirement(requirement);
+  if (!diffRequirementSnapshots(before, target.snapshot).length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The requirement already matches revision ${number}`);
+  }
+  trackedFields.forEach((field) => {
+    requirement.set(field, field === 'scpData' ? target.snapshot.scpData || {} : target.snapshot[field]);
+  });
+  await requirement.save();
+
+  const revision = await recordRequirementRevision(requirement, before, {
+    source: RequirementRevisionSources.ROLLBACK,
+    rolledBackTo: number,
+    author: principal._id,
+    authorModel: principal.constructor.modelName,
+  });
+  return { requirement, revision };
+};
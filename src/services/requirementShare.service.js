@@ -0,0 +1,131 @@
+import httpStatus from 'http-status';
+import Requirement, { activeShareMatch, isShareActive } from '../models/requirement.model.js';
+import User from '../models/user.model.js';
+import ApiError from '../utils/ApiError.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+import { recordLeadActivity } from './leadActivity.service.js';
+
+const sameId = (a, b) => String(a?._id ?? a) === String(b?._id ?? b);
+
+const getLeadRequirement = async (leadId, requirementId) => {
+  const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId });
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+  return requirement;
+};
+
+const findShare = (requirement, userId) => {
+  const share = requirement.sharedWith.find((entry) => sameId(entry.user, userId));
+  if (!share) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement is not shared with this user');
+  }
+  return share;
+};
+
+/**
+ * Who a requirement is shared with, for admins
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExpired] - also list shares that have expired
+ * @returns {Promise<Object[]>} the shares with user and sharedBy populated and an expired flag
+ */
+export const getRequirementAccess = async (leadId, requirementId, { includeExpired = false } = {}) => {
+  const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId })
+    .select('sharedWith')
+    .populate('sharedWith.user', 'name email role')
+    .populate('sharedWith.sharedBy', 'name email')
+    .lean();
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+  const now = new Date();
+  return requirement.sharedWith
+    .map((share) => ({ ...share, expired: !isShareActive(share, now) }))
+    .filter((share) => includeExpired || !share.expired);
+};
+
+/**
+ * Change when a user's access to a requirement ends
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {ObjectId} userId
+ * @param {Object} updateBody
+ * @param {Date|null} updateBody.expiresAt - null to keep the share until revoked
+ * @returns {Promise<Object>} the updated share
+ */
+export const updateRequirementShare = async (leadId, requirementId, userId, { expiresAt }) => {
+  const requirement = await getLeadRequirement(leadId, requirementId);
+  const share = findShare(requirement, userId);
+  share.expiresAt = expiresAt ?? undefined;
+  await requirement.save();
+  return share;
+};
+
+/**
+ * Take a user's access to a requirement away
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {ObjectId} userId
+ * @param {(User|Admin)} principal - who is revoking it
+ * @returns {Promise<Requirement>}
+ */
+export const revokeRequirementShare = async (leadId, requirementId, userId, principal) => {
+  const requirement = await getLeadRequirement(leadId, requirementId);
+  const share = findShare(requirement, userId);
+  requirement.sharedWith.pull(share);
+  await requirement.save();
+
+  const user = await User.findById(userId).select('name');
+  await recordLeadActivity(
+    leadId,
+    LeadActivityTypes.REQUIREMENT_SHARE_REVOKED,
+    {
+      summary: `Access to requirement "${requirement.projectName}" revoked for ${user?.name || 'a user'}`,
+      requirement: requirement._id,
+      project: requirement.project,
+      details: { user: userId },
+    },
+    { performedBy: principal._id, performedByModel: principal.constructor.modelName }
+  );
+  return requirement;
+};
+
+/**
+ * Open a requirement shared with the user. The first time marks the share as seen.
+ * @param {ObjectId} requirementId
+ * @param {User} user
+ * @returns {Promise<Object>} the requirement with its lead and site visits, and the user's own share as share
+ */
+export const openSharedRequirement = async (requirementId, user) => {
+  const now = new Date();
+  const filter = { _id: requirementId, sharedWith: activeShareMatch(user._id, now) };
+  const requirement = await Requirement.findOne(filter)
+    .populate('lead', 'customerName mobileNumber email state city')
+    .populate({
+      path: 'visits',
+      select: 'documents',
+      populate: {
+        path: 'siteEngineer',
+        select: 'name email',
+      },
+    })
+    .lean();
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found or no longer shared with you');
+  }
+
+  const share = requirement.sharedWith.find((entry) => sameId(entry.user, user._id));
+  if (!share.isSeen) {
+    await Requirement.updateOne(
+      { _id: requirementId, sharedWith: { $elemMatch: { user: user._id, isSeen: false } } },
+      { $set: { 'sharedWith.$.isSeen': true, 'sharedWith.$.seenAt': now } }
+    );
+    Object.assign(share, { isSeen: true, seenAt: now });
+  }
+
+  // Other recipients are not the user's business
+  const { sharedWith, visits, ...rest } = requirement;
+  return { ...rest, share, siteVisits: visits || [] };
+};
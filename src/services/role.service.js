@@ -0,0 +1,237 @@
+import httpStatus from 'http-status';
+import Role from '../models/role.model.js';
+import User from '../models/user.model.js';
+import ApiError from '../utils/ApiError.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { allRoles, roleRights, rights as rightsCatalog } from '../config/roles.js';
+
+// role name -> rights. Shared by every request; dropped whenever a role is written.
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+let roleCachePromise = null;
+
+/**
+ * Seed the roles collection from the static role map. Only runs against an empty collection so
+ * roles deleted or edited by an admin are never brought back.
+ * @returns {Promise<void>}
+ */
+export const seedRoles = async () => {
+  if ((await Role.estimatedDocumentCount()) > 0) {
+    return;
+  }
+  await Role.bulkWrite(
+    Object.entries(allRoles).map(([name, roleRightsList]) => ({
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name, rights: [...new Set(roleRightsList)], isSystem: true } },
+        upsert: true,
+      },
+    }))
+  );
+  logger.info(`Seeded ${Object.keys(allRoles).length} roles`);
+};
+
+const loadRoles = async () => {
+  await seedRoles();
+  const docs = await Role.find().select('name rights').lean();
+  return new Map(docs.map((doc) => [doc.name, doc.rights]));
+};
+
+/**
+ * Drop the in-memory role cache so the next permission check reads from the database
+ */
+export const invalidateRoleCache = () => {
+  roleCache = null;
+  roleCachePromise = null;
+};
+
+/**
+ * Get the role -> rights map, from the cache while it is fresh
+ * @returns {Promise<Map<string, string[]>>}
+ */
+export const getRoleRightsMap = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < config.roles.cacheTtlSeconds * 1000) {
+    return roleCache;
+  }
+  if (!roleCachePromise) {
+    const pending = loadRoles()
+      .then((map) => {
+        if (roleCachePromise === pending) {
+          roleCache = map;
+          roleCacheLoadedAt = Date.now();
+        }
+        return map;
+      })
+      .finally(() => {
+        if (roleCachePromise === pending) {
+          roleCachePromise = null;
+        }
+      });
+    roleCachePromise = pending;
+  }
+  try {
+    return await roleCachePromise;
+  } catch (error) {
+    logger.error(`Failed to load roles, falling back to the built-in role map: ${error.message}`);
+    return roleRights;
+  }
+};
+
+/**
+ * Get the rights granted by a role
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+export const getRoleRights = async (roleName) => {
+  const map = await getRoleRightsMap();
+  return map.get(roleName?.toLowerCase()) || [];
+};
+
+/**
+ * Rights a principal ends up with: the rights of its role, plus its extra grants, minus its denials
+ * @param {Object} user - User or Admin document
+ * @returns {Promise<string[]>}
+ */
+export const getEffectiveRights = async (user) => {
+  const effective = new Set(await getRoleRights(user.role));
+  (user.extraRights || []).forEach((right) => effective.add(right));
+  (user.deniedRights || []).forEach((right) => effective.delete(right));
+  return [...effective];
+};
+
+/**
+ * Check that a role exists
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+export const roleExists = async (roleName) => {
+  const map = await getRoleRightsMap();
+  return map.has(roleName?.toLowerCase());
+};
+
+/**
+ * Throw if a role does not exist
+ * @param {string} roleName
+ * @returns {Promise<void>}
+ */
+export const assertRoleExists = async (roleName) => {
+  if (!(await roleExists(roleName))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown role: ${roleName}`);
+  }
+};
+
+/**
+ * Check whether members of a role must use two-factor authentication
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (roleName) => {
+  if (!roleName) {
+    return false;
+  }
+  return !!(await Role.exists({ name: roleName.toLowerCase(), requireTwoFactor: true }));
+};
+
+/**
+ * Throw if any right is not in the rights catalog
+ * @param {string[]} rightsList
+ */
+export const assertValidRights = (rightsList = []) => {
+  const unknown = rightsList.filter((right) => !rightsCatalog.includes(right));
+  if (unknown.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown rights: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Get every right that can be granted
+ * @returns {string[]}
+ */
+export const getRightsCatalog = () => rightsCatalog;
+
+/**
+ * List roles
+ * @returns {Promise<Role[]>}
+ */
+export const queryRoles = async () => {
+  await seedRoles();
+  return Role.find().sort({ name: 1 });
+};
+
+/**
+ * Get role by id
+ * @param {ObjectId} roleId
+ * @returns {Promise<Role>}
+ */
+export const getRoleById = async (roleId) => {
+  const role = await Role.findById(roleId);
+  if (!role) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Role not found');
+  }
+  return role;
+};
+
+/**
+ * Create a role
+ * @param {Object} roleBody
+ * @returns {Promise<Role>}
+ */
+export const createRole = async (roleBody) => {
+  await seedRoles();
+  const name = roleBody.name.trim().toLowerCase();
+  if (await Role.exists({ name })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Role already exists');
+  }
+  assertValidRights(roleBody.rights);
+  const role = await Role.create({ ...roleBody, name, rights: [...new Set(roleBody.rights || [])] });
+  invalidateRoleCache();
+  return role;
+};
+
+/**
+ * Update a role's description, rights and 2FA requirement
+ * @param {ObjectId} roleId
+ * @param {Object} updateBody
+ * @returns {Promise<Role>}
+ */
+export const updateRoleById = async (roleId, updateBody) => {
+  const role = await getRoleById(roleId);
+  if (updateBody.rights) {
+    assertValidRights(updateBody.rights);
+    // Keep at least one way back into role management
+    if (role.name === 'admin' && !updateBody.rights.includes('manageRoles')) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'The admin role must keep the manageRoles right');
+    }
+    role.rights = [...new Set(updateBody.rights)];
+  }
+  if (updateBody.description !== undefined) {
+    role.description = updateBody.description;
+  }
+  if (updateBody.requireTwoFactor !== undefined) {
+    role.requireTwoFactor = updateBody.requireTwoFactor;
+  }
+  await role.save();
+  invalidateRoleCache();
+  return role;
+};
+
+/**
+ * Delete a role that is not a system role and is not assigned to any user
+ * @param {ObjectId} roleId
+ * @returns {Promise<Role>}
+ */
+export const deleteRoleById = async (roleId) => {
+  const role = await getRoleById(roleId);
+  if (role.isSystem) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'System roles cannot be deleted');
+  }
+  const name = role.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const assignedUsers = await User.countDocuments({ role: { $regex: `^${name}$`, $options: 'i' } });
+  if (assignedUsers > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Role is assigned to ${assignedUsers} user(s)`);
+  }
+  await role.deleteOne();
+  invalidateRoleCache();
+  return role;
+};
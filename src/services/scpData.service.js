@@ -0,0 +1,172 @@
+import httpStatus from 'http-status';
+import Requirement from '../models/requirement.model.js';
+import ApiError from '../utils/ApiError.js';
+import { convertLegacyScpData, typedScpFields } from '../utils/scpData.js';
+import { registerJobHandler } from './job.service.js';
+import { recordRequirementRevision, snapshotRequirement } from './requirementRevision.service.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+
+// Requirements are updated this many at a time by the migration
+const MIGRATION_BATCH_SIZE = 100;
+
+// Requirements with a typed field still stored as text, as the schema kept them before they were typed
+const unmigratedQuery = {
+  $or: typedScpFields.map((field) => ({ [`scpData.${field}`]: { $type: 'string' } })),
+};
+
+/**
+ * The update that gives a stored requirement typed scpData. Values that cannot be read are cleared and listed in
+ * scpDataReview with what was stored.
+ * @param {Object} requirement - as stored, with scpData and scpDataReview
+ * @returns {{update: Object, converted: Object, unreadable: {field: string, value: *}[]}}
+ */
+const buildScpMigration = (requirement) => {
+  const { converted, unreadable } = convertLegacyScpData(requirement.scpData);
+  const $set = Object.fromEntries(Object.entries(converted).map(([field, value]) => [`scpData.${field}`, value]));
+  if (unreadable.length) {
+    const flagged = unreadable.map((entry) => entry.field);
+    $set.scpDataReview = [
+      ...(requirement.scpDataReview || []).filter((entry) => !flagged.includes(entry.field)),
+      ...unreadable,
+    ];
+  }
+  return { update: { $set }, converted, unreadable };
+};
+
+/**
+ * Convert the text stored in the typed scpData fields of existing requirements, see utils/scpData. Run it again to
+ * pick up requirements written by an older version; values already converted are left alone. Each converted
+ * requirement gets a migration revision.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - count what would change without writing
+ * @param {function(Object): Promise<void>} [options.onProgress] - called with {total, processed, succeeded, failed}
+ * @param {ObjectId} [options.author] - who started the migration, kept on the revisions
+ * @param {string} [options.authorModel]
+ * @returns {Promise<Object>} how many requirements were converted and flagged, and the unreadable values per field
+ */
+export const migrateScpData = async ({ dryRun = false, onProgress, author, authorModel } = {}) => {
+  const total = await Requirement.countDocuments(unmigratedQuery);
+  const progress = { total, processed: 0, succeeded: 0, failed: 0 };
+  const unreadableByField = {};
+  let operations = [];
+  let changes = [];
+
+  const flush = async () => {
+    if (operations.length && !dryRun) {
+      await Requirement.collection.bulkWrite(operations, { ordered: false });
+      await Promise.all(
+        changes.map(({ requirement, before }) =>
+          recordRequirementRevision(requirement, before, {
+            source: RequirementRevisionSources.MIGRATION,
+            author,
+            authorModel,
+          })
+        )
+      );
+    }
+    operations = [];
+    changes = [];
+    if (onProgress) {
+      await onProgress({ ...progress });
+    }
+  };
+
+  // Lean, since hydrating would drop the text the schema cannot cast. Whole documents, as revisions snapshot them.
+  await Requirement.find(unmigratedQuery)
+    .lean()
+    .cursor()
+    .eachAsync(async (requirement) => {
+      const { update, converted, unreadable } = buildScpMigration(requirement);
+      operations.push({ updateOne: { filter: { _id: requirement._id }, update } });
+      changes.push({
+        before: snapshotRequirement(requirement),
+        requirement: { ...requirement, scpData: { ...requirement.scpData, ...converted } },
+      });
+      unreadable.forEach(({ field }) => {
+        unreadableByField[field] = (unreadableByField[field] || 0) + 1;
+      });
+      progress.processed += 1;
+      progress[unreadable.length ? 'failed' : 'succeeded'] += 1;
+      if (operations.length >= MIGRATION_BATCH_SIZE) {
+        await flush();
+      }
+    });
+  await flush();
+
+  return {
+    dryRun,
+    requirements: progress.processed,
+    converted: progress.succeeded,
+    flagged: progress.failed,
+    unreadableByField,
+  };
+};
+
+/**
+ * Run an SCP data migration job, see migrateScpData
+ * @param {Job} job
+ * @param {Object} context
+ * @param {function(Object): Promise<void>} context.reportProgress
+ * @returns {Promise<{result: Object}>}
+ */
+const runScpDataMigrationJob = async (job, { reportProgress }) => {
+  const result = await migrateScpData({
+    dryRun: !!job.params.dryRun,
+    onProgress: reportProgress,
+    author: job.createdBy,
+    authorModel: job.createdByModel,
+  });
+  return { result };
+};
+
+registerJobHandler(JobTypes.SCP_DATA_MIGRATION, runScpDataMigrationJob);
+
+/**
+ * Requirements with SCP values the migration could not read
+ * @param {Object} [filter]
+ * @param {string} [filter.field] - only requirements with this field flagged
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.page]
+ * @returns {Promise<QueryResult>}
+ */
+export const queryScpDataReview = async ({ field } = {}, { page = 1, limit = 10 } = {}) => {
+  return Requirement.paginate(
+    { 'scpDataReview.0': { $exists: true }, ...(field && { 'scpDataReview.field': field }) },
+    {
+      page,
+      limit,
+      sort: { updatedAt: -1 },
+      select: 'lead project projectName requirementType scpData scpDataReview',
+      populate: [{ path: 'lead', select: 'customerName mobileNumber' }],
+      lean: true,
+    }
+  );
+};
+
+/**
+ * Change the SCP data of a requirement. Setting a field flagged by the migration, to a value or to null, takes it
+ * off the review list.
+ * @param {ObjectId} leadId
+ * @param {ObjectId} requirementId
+ * @param {Object} scpData - fields to change, as validated by updateRequirementScpData
+ * @param {(User|Admin|ApiKey)} principal - who is changing it
+ * @returns {Promise<Requirement>}
+ */
+export const updateRequirementScpData = async (leadId, requirementId, scpData, principal) => {
+  const requirement = await Requirement.findOne({ _id: requirementId, lead: leadId });
+  if (!requirement) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found for this lead');
+  }
+  const before = snapshotRequirement(requirement);
+  Object.entries(scpData).forEach(([field, value]) => requirement.set(`scpData.${field}`, value));
+  requirement.scpDataReview = requirement.scpDataReview.filter((entry) => !(entry.field in scpData));
+  await requirement.save();
+  await recordRequirementRevision(requirement, before, {
+    source: RequirementRevisionSources.MANUAL,
+    author: principal._id,
+    authorModel: principal.constructor.modelName,
+  });
+  return requirement;
+};
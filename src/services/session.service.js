@@ -0,0 +1,91 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import Token from '../models/token.model.js';
+import ApiError from '../utils/ApiError.js';
+import socketManager from '../config/socket.js';
+import logger from '../config/logger.js';
+import { tokenTypes } from '../config/tokens.js';
+
+// Refresh tokens from before token families existed are their own session
+const sessionIdExpression = { $ifNull: ['$family', { $toString: '$_id' }] };
+
+const sessionFilter = (principalId, sessionId) => {
+  const filter = { user: principalId, type: tokenTypes.REFRESH };
+  if (sessionId) {
+    filter.$or = [{ family: sessionId }];
+    if (mongoose.isValidObjectId(sessionId)) {
+      filter.$or.push({ _id: sessionId, family: null });
+    }
+  }
+  return filter;
+};
+
+/**
+ * List the active sessions of a user or admin. A session is a refresh token family: it starts at
+ * login and every refresh adds a token to it.
+ * @param {ObjectId} principalId
+ * @param {string} [currentSessionId] - flagged as `current` in the result
+ * @returns {Promise<Object[]>}
+ */
+export const listSessions = async (principalId, currentSessionId) => {
+  const now = new Date();
+  const sessions = await Token.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(principalId), type: tokenTypes.REFRESH } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: sessionIdExpression,
+        startedAt: { $first: '$createdAt' },
+        lastUsedAt: { $last: '$createdAt' },
+        expires: { $last: '$expires' },
+        ip: { $last: '$ip' },
+        userAgent: { $last: '$userAgent' },
+        activeTokens: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$blacklisted', false] }, { $gt: ['$expires', now] }] }, 1, 0] },
+        },
+      },
+    },
+    { $match: { activeTokens: { $gt: 0 } } },
+    { $sort: { lastUsedAt: -1 } },
+  ]);
+
+  return sessions.map(({ _id, activeTokens, ...session }) => ({
+    id: _id,
+    ...session,
+    current: !!currentSessionId && _id === currentSessionId,
+  }));
+};
+
+/**
+ * Revoke one session and disconnect the sockets opened with it
+ * @param {ObjectId} principalId
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (principalId, sessionId) => {
+  const { deletedCount } = await Token.deleteMany(sessionFilter(principalId, sessionId));
+  if (!deletedCount) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Session not found');
+  }
+  await socketManager
+    .disconnectUser(principalId.toString(), { sessionId })
+    .catch((e) => logger.error(`Failed to disconnect sockets of session ${sessionId}: ${e.message}`));
+};
+
+/**
+ * Revoke every session of a user or admin and disconnect their sockets
+ * @param {ObjectId} principalId
+ * @param {string} [exceptSessionId] - session to keep, usually the caller's own
+ * @returns {Promise<number>} number of revoked refresh tokens
+ */
+export const revokeAllSessions = async (principalId, exceptSessionId) => {
+  const filter = sessionFilter(principalId);
+  if (exceptSessionId) {
+    filter.family = { $ne: exceptSessionId };
+  }
+  const { deletedCount } = await Token.deleteMany(filter);
+  await socketManager
+    .disconnectUser(principalId.toString(), { exceptSessionId })
+    .catch((e) => logger.error(`Failed to disconnect sockets of ${principalId}: ${e.message}`));
+  return deletedCount;
+};
@@ -8,8 +8,17 @@ import storage from '../factory/storage.factory.js';
 import ApiError from '../utils/ApiError.js';
 import * as userService from './user.service.js';
 import Project from '../models/project.model.js';
-import Requirement from '../models/requirement.model.js';
+import Requirement, { isShareActive } from '../models/requirement.model.js';
 import ProjectAssignmentPayment from '../models/projectAssignmentPaymant.model.js';
+import LeadStages from '../config/enums/leadStages.enum.js';
+import { advanceLeadStage } from './leadStage.service.js';
+import { recordLeadActivity } from './leadActivity.service.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+import { describeScpField, parseScpData } from '../utils/scpData.js';
+import { recordRequirementRevision, snapshotRequirement } from './requirementRevision.service.js';
+import { assertEngineersAvailable, visitDays } from './engineerSchedule.service.js';
+import RequirementRevisionSources from '../config/enums/requirementRevisionSources.enum.js';
+import BookingTypes from '../config/enums/bookingTypes.enum.js';
 
 /**
  * Query for site visits
@@ -103,7 +112,9 @@ export const scheduleSiteVisit = async (requirementId, visitBody, adminUser = nu
       visitData.visitDate = visitStartDate;
     }
 
-    // 5. Create the new visit
+    // 5. Make sure the engineer is free on those days, then create the new visit
+    const booking = { engineer: siteEngineerId, type: BookingTypes.SITE_VISIT, ...visitDays(visitData) };
+    await assertEngineersAvailable([booking], { session });
     const [siteVisit] = await SiteVisit.create([visitData], { session });
 
     // 6. Push to project siteVisits if not already there
@@ -111,9 +122,12 @@ export const scheduleSiteVisit = async (requirementId, visitBody, adminUser = nu
     project.siteVisits.push(siteVisit._id);
     await project.save({ session });
 
-    // 7. Add the site engineer to requirement.sharedWith (if not already)
-    const alreadyShared = requirement.sharedWith.some(sw => sw.user.toString() === siteEngineerId);
-    if (!alreadyShared) {
+    // 7. Add the site engineer to requirement.sharedWith (if not already), replacing a share that has expired
+    const existingShare = requirement.sharedWith.find(sw => sw.user.toString() === siteEngineerId);
+    if (!existingShare || !isShareActive(existingShare)) {
+      if (existingShare) {
+        requirement.sharedWith.splice(requirement.sharedWith.indexOf(existingShare), 1);
+      }
       requirement.sharedWith.push({
         user: siteEngineerId,
         sharedBy: adminUser ? adminUser.id : siteEngineerId,
@@ -147,6 +161,31 @@ export const scheduleSiteVisit = async (requirementId, visitBody, adminUser = nu
       user: siteEngineerId
     }], { session });
 
+    // 9. Move the lead along the pipeline and note the visit on its timeline
+    if (requirement.lead) {
+      await advanceLeadStage(requirement.lead._id, LeadStages.SITE_VISIT_SCHEDULED, {
+        changedBy: adminUser?._id,
+        changedByModel: adminUser?.constructor.modelName,
+        session,
+      });
+      await recordLeadActivity(
+        requirement.lead._id,
+        LeadActivityTypes.SITE_VISIT_SCHEDULED,
+        {
+          summary: 'Site visit scheduled',
+          requirement: requirement._id,
+          project: project._id,
+          siteVisit: siteVisit._id,
+          details: { visitDate: siteVisit.visitDate, siteEngineer: siteEngineerId },
+        },
+        {
+          performedBy: adminUser?._id,
+          performedByModel: adminUser?.constructor.modelName,
+          session,
+        }
+      );
+    }
+
     await session.commitTransaction();
     return siteVisit;
 
@@ -286,6 +325,22 @@ export const completeSiteVisit = async (visitId) => {
   return visit;
 };
 
+/**
+ * Read the SCP data saved on a visit into the types the requirement stores
+ * @param {Object} scpData
+ * @returns {Object}
+ */
+const readVisitScpData = (scpData) => {
+  const { scpData: parsed, unreadable } = parseScpData(scpData);
+  if (unreadable.length) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      unreadable.map(({ field }) => `${field} must be ${describeScpField(field)}`).join(', ')
+    );
+  }
+  return parsed;
+};
+
 /**
  * Approve a site visit and merge data (transactional)
  * @param {string} visitId
@@ -315,7 +370,7 @@ export const approveSiteVisit = async (visitId, adminId) => {
     }
 
     // Merge the approved data into the master scpData
-    Object.assign(requirementToUpdate.scpData, visit.updatedData);
+    Object.assign(requirementToUpdate.scpData, readVisitScpData(visit.updatedData));
     await lead.save({ session });
 
     // Update the visit status
@@ -592,12 +647,13 @@ export const savePermanentSiteVisit = async (visitId, updateBody) => {
     if (!requirement) {
       throw new ApiError(httpStatus.NOT_FOUND, 'Requirement not found');
     }
+    const before = snapshotRequirement(requirement);
 
     // Update the requirement's scpData with the visit's updatedData
     if (visit.updatedData.scpData) {
       requirement.scpData = {
         ...requirement.scpData,
-        ...visit.updatedData.scpData
+        ...readVisitScpData(visit.updatedData.scpData)
       };
     }
 
@@ -610,6 +666,29 @@ export const savePermanentSiteVisit = async (visitId, updateBody) => {
     // Save both requirement and visit
     await requirement.save({ session });
     await visit.save({ session });
+    await recordRequirementRevision(requirement, before, {
+      source: RequirementRevisionSources.SITE_VISIT,
+      siteVisit: visit._id,
+      author: visit.siteEngineer?._id,
+      authorModel: 'User',
+      session,
+    });
+
+    // The engineer's findings are final once saved to the requirement, so this completes the visit for the lead
+    if (requirement.lead) {
+      await recordLeadActivity(
+        requirement.lead,
+        LeadActivityTypes.SITE_VISIT_COMPLETED,
+        {
+          summary: 'Site visit completed and its findings saved to the requirement',
+          note: remarks || undefined,
+          requirement: requirement._id,
+          project: visit.project,
+          siteVisit: visit._id,
+        },
+        { performedBy: visit.siteEngineer?._id, performedByModel: 'User', session }
+      );
+    }
 
     await session.commitTransaction();
 
@@ -8,9 +8,35 @@ import User from '../models/user.model.js';
 import ProjectAssignmentPaymant from '../models/projectAssignmentPaymant.model.js';
 import Project from '../models/project.model.js';
 import Roles from '../config/enums/roles.enum.js';
-
+import { projectRelations } from './projectAccess.service.js';
+import { assertEngineersAvailable, BUSY_SITEWORK_STATUSES, siteworkDays } from './engineerSchedule.service.js';
+import BookingTypes from '../config/enums/bookingTypes.enum.js';
+
+/**
+ * Check that the site engineers among a sitework's assigned users are free on its days
+ * @param {Object} sitework - startDate, endDate and status, as they will be saved
+ * @param {Object[]} assignedUsers
+ * @param {ObjectId} [excludeSitework] - the sitework being changed
+ */
+const checkEngineersFree = async (sitework, assignedUsers, excludeSitework) => {
+    const days = siteworkDays(sitework);
+    const isBusy = !sitework.status || BUSY_SITEWORK_STATUSES.includes(sitework.status);
+    if (!days || !isBusy || !assignedUsers?.length) {
+        return;
+    }
+    const engineers = await User.find({
+        _id: { $in: assignedUsers.map((assigned) => assigned.user) },
+        role: Roles.SITE_ENGINEER,
+    }).distinct('_id');
+    await assertEngineersAvailable(
+        engineers.map((engineer) => ({ engineer, type: BookingTypes.SITEWORK, ...days })),
+        { excludeSitework }
+    );
+};
 
 export const createSiteworkService = async (data, user) => {
+    await checkEngineersFree(data, data.assignedUsers);
+
     // Create the Sitework entry
     const sitework = await Sitework.create({
         name: data.name,
@@ -49,6 +75,19 @@ export const updateSiteworkService = async (id, data, user) => {
     const sitework = await Sitework.findById(id);
     if (!sitework) throw new ApiError(httpStatus.NOT_FOUND, 'Sitework not found');
 
+    // New assignees, a new end date or reopening a finished sitework must not double-book a site engineer
+    if (data.assignedUsers !== undefined || data.endDate !== undefined || data.status !== undefined) {
+        await checkEngineersFree(
+            {
+                startDate: sitework.startDate,
+                endDate: data.endDate !== undefined ? data.endDate : sitework.endDate,
+                status: data.status || sitework.status,
+            },
+            data.assignedUsers || sitework.assignedUsers,
+            sitework._id
+        );
+    }
+
     // Update fields if provided
     if (data.description !== undefined) sitework.description = data.description;
     if (data.assignedUsers !== undefined) sitework.assignedUsers = data.assignedUsers;
@@ -73,10 +112,20 @@ export const updateSiteworkService = async (id, data, user) => {
     return sitework;
 };
 
-export const getSiteworksByProjectService = async (projectId, user) => {
+/**
+ * Get the siteworks of a project, trimmed to what the caller's project relations allow
+ * @param {ObjectId} projectId
+ * @param {Object} user
+ * @param {string[]} relations - from the project access policy
+ * @returns {Promise<Sitework[]>}
+ */
+export const getSiteworksByProjectService = async (projectId, user, relations = []) => {
     const filter = { project: projectId };
-    // If not admin or site engineer, restrict to assignedUsers
-    if (user.role !== 'Admin' && user.role !== 'site-engineer' && user.role !== Roles.USER) {
+    const seesEverything = relations.includes(projectRelations.ADMIN) || relations.includes(projectRelations.SITE_ENGINEER);
+    const isAssignee = relations.includes(projectRelations.SITEWORK_ASSIGNEE);
+    const isCustomer = relations.includes(projectRelations.CUSTOMER);
+    // Assignees only see the siteworks they are assigned to
+    if (!seesEverything && !isCustomer) {
         filter["assignedUsers.user"] = user._id;
     }
     const siteworks = await Sitework.find(filter)
@@ -84,21 +133,19 @@ export const getSiteworksByProjectService = async (projectId, user) => {
         .select('name description status startDate endDate assignedUsers sequence isActive siteworkDocuments')
         .populate('assignedUsers', 'name email role');
 
-    if (user.role === Roles.USER) {
-        siteworks.forEach(sitework => {
-            sitework.siteworkDocuments = sitework.siteworkDocuments.filter(doc => doc.sentToCustomer === true);
-        });
+    if (seesEverything) {
         return siteworks;
     }
 
-    if (user.role !== 'Admin' && user.role !== 'sales-admin' && user.role !== 'site-engineer') {
-        // Only show documents uploaded by this user
-        siteworks.forEach(sitework => {
-            sitework.siteworkDocuments = sitework.siteworkDocuments.filter(
-                doc => doc.createdByUser && doc.createdByUser.toString() === user.id
-            );
-        });
-    }
+    siteworks.forEach(sitework => {
+        const isAssignedHere = isAssignee && sitework.assignedUsers.some(assigned => (assigned.user?._id || assigned.user)?.toString() === user.id);
+        sitework.siteworkDocuments = sitework.siteworkDocuments.filter(doc =>
+            isAssignedHere
+                // Only show documents uploaded by this user
+                ? doc.createdByUser && doc.createdByUser.toString() === user.id
+                : doc.sentToCustomer === true
+        );
+    });
     return siteworks;
 };
 
@@ -257,9 +304,9 @@ export const getSiteworkDocumentsService = async (siteworkId, user) => {
     return documents;
 };
 
-export const getSiteworkDocumentsForCustomerService = async (projectId, user) => {
-    // Verify user is a customer and has access to this project
-    if (user.role !== 'Customer') {
+export const getSiteworkDocumentsForCustomerService = async (projectId, user, relations = []) => {
+    // Verify user is this project's customer
+    if (!relations.includes(projectRelations.CUSTOMER)) {
         throw new ApiError(httpStatus.FORBIDDEN, 'Only customers can access this endpoint');
     }
 
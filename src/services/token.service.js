@@ -1,9 +1,11 @@
 import jwt from 'jsonwebtoken';
 import moment from 'moment';
 import httpStatus from 'http-status';
+import { v4 as uuidv4 } from 'uuid';
 import config from '../config/config.js';
 import * as userService from './user.service.js';
 import { Token } from '../models/index.js';
+import Admin from '../models/admin.model.js';
 import ApiError from '../utils/ApiError.js';
 import { tokenTypes } from '../config/tokens.js';
 
@@ -14,20 +16,31 @@ import { tokenTypes } from '../config/tokens.js';
  * @param {string} type
  * @param {User} user
  * @param {string} [secret]
+ * @param {Object} [claims] - extra claims, e.g. the session id of access tokens
  * @returns {string}
  */
-const generateToken = (userId, expires, type, user, secret = config.jwt.secret) => {
+const generateToken = (userId, expires, type, user, secret = config.jwt.secret, claims = {}) => {
   const payload = {
     sub: userId,
+    // Unique per token, so two tokens issued in the same second for the same user still differ
+    jti: uuidv4(),
     iat: moment().unix(),
     exp: expires.unix(),
     type,
     role: user?.role,
     name: user?.name,
+    ...claims,
   };
   return jwt.sign(payload, secret);
 };
 
+/**
+ * Get the model name a token principal is stored under
+ * @param {User|Admin} user
+ * @returns {string}
+ */
+const getPrincipalModel = (user) => (user.constructor.modelName === 'Admin' ? 'Admin' : 'User');
+
 /**
  * Save a token
  * @param {string} token
@@ -35,10 +48,12 @@ const generateToken = (userId, expires, type, user, secret = config.jwt.secret)
  * @param {Moment} expires
  * @param {string} type
  * @param {boolean} [blacklisted]
+ * @param {Object} [extra] - Additional token fields (e.g. userModel, family)
  * @returns {Promise<Token>}
  */
-const saveToken = async (token, userId, expires, type, blacklisted = false) => {
+const saveToken = async (token, userId, expires, type, blacklisted = false, extra = {}) => {
   const tokenDoc = await Token.create({
+    ...extra,
     token,
     user: userId,
     expires: expires.toDate(),
@@ -65,16 +80,29 @@ const verifyToken = async (token, type) => {
 
 /**
  * Generate auth tokens
- * @param {User} user
+ * The refresh token family doubles as the session id, and access tokens carry it as `sid`.
+ * @param {User|Admin} user
+ * @param {Object} [options]
+ * @param {string} [options.family] - Refresh token family to continue (a new one is started when omitted)
+ * @param {string} [options.ip] - IP the session is used from
+ * @param {string} [options.userAgent] - User agent the session is used from
  * @returns {Promise<Object>}
  */
-const generateAuthTokens = async (user) => {
+const generateAuthTokens = async (user, options = {}) => {
+  const family = options.family || uuidv4();
   const accessTokenExpires = moment().add(config.jwt.accessExpirationMinutes, 'minutes');
-  const accessToken = generateToken(user.id, accessTokenExpires, tokenTypes.ACCESS, user);
+  const accessToken = generateToken(user.id, accessTokenExpires, tokenTypes.ACCESS, user, config.jwt.secret, {
+    sid: family,
+  });
 
   const refreshTokenExpires = moment().add(config.jwt.refreshExpirationDays, 'days');
   const refreshToken = generateToken(user.id, refreshTokenExpires, tokenTypes.REFRESH, user);
-  await saveToken(refreshToken, user.id, refreshTokenExpires, tokenTypes.REFRESH);
+  await saveToken(refreshToken, user.id, refreshTokenExpires, tokenTypes.REFRESH, false, {
+    userModel: getPrincipalModel(user),
+    family,
+    ip: options.ip,
+    userAgent: options.userAgent,
+  });
 
   return {
     access: {
@@ -88,39 +116,74 @@ const generateAuthTokens = async (user) => {
   };
 };
 
+/**
+ * Check that a session still has a usable refresh token
+ * @param {string} sessionId - refresh token family
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+  const token = await Token.exists({
+    family: sessionId,
+    type: tokenTypes.REFRESH,
+    blacklisted: false,
+    expires: { $gt: new Date() },
+  });
+  return !!token;
+};
+
+/**
+ * Revoke every refresh token that belongs to a token family
+ * @param {string} family
+ * @returns {Promise}
+ */
+const revokeTokenFamily = async (family) => {
+  await Token.updateMany({ family, type: tokenTypes.REFRESH }, { $set: { blacklisted: true } });
+};
+
 /**
  * Generate reset password token
+ * Admins are looked up before users, the same order used for login.
  * @param {string} email
  * @returns {Promise<string>}
  */
 const generateResetPasswordToken = async (email) => {
-  const user = await userService.getUserByEmail(email);
+  const user = (await Admin.findOne({ email })) || (await userService.getUserByEmail(email));
   if (!user) {
     throw new ApiError(httpStatus.NOT_FOUND, 'No users found with this email');
   }
+  // Only the most recently requested link stays valid
+  await Token.deleteMany({ user: user.id, type: tokenTypes.RESET_PASSWORD });
   const expires = moment().add(config.jwt.resetPasswordExpirationMinutes, 'minutes');
   const resetPasswordToken = generateToken(user.id, expires, tokenTypes.RESET_PASSWORD, user);
-  await saveToken(resetPasswordToken, user.id, expires, tokenTypes.RESET_PASSWORD);
+  await saveToken(resetPasswordToken, user.id, expires, tokenTypes.RESET_PASSWORD, false, {
+    userModel: getPrincipalModel(user),
+  });
   return resetPasswordToken;
 };
 
 /**
  * Generate verify email token
- * @param {User} user
+ * @param {User|Admin} user
  * @returns {Promise<string>}
  */
 const generateVerifyEmailToken = async (user) => {
+  await Token.deleteMany({ user: user.id, type: tokenTypes.VERIFY_EMAIL });
   const expires = moment().add(config.jwt.verifyEmailExpirationMinutes, 'minutes');
   const verifyEmailToken = generateToken(user.id, expires, tokenTypes.VERIFY_EMAIL, user);
-  await saveToken(verifyEmailToken, user.id, expires, tokenTypes.VERIFY_EMAIL);
+  await saveToken(verifyEmailToken, user.id, expires, tokenTypes.VERIFY_EMAIL, false, {
+    userModel: getPrincipalModel(user),
+  });
   return verifyEmailToken;
 };
 
 export {
+  getPrincipalModel,
   generateToken,
   saveToken,
   verifyToken,
   generateAuthTokens,
+  isSessionActive,
+  revokeTokenFamily,
   generateResetPasswordToken,
   generateVerifyEmailToken,
 };
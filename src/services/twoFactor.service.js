@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import moment from 'moment';
+import httpStatus from 'http-status';
+import config from '../config/config.js';
+import TwoFactor from '../models/twoFactor.model.js';
+import User from '../models/user.model.js';
+import Admin from '../models/admin.model.js';
+import Token from '../models/token.model.js';
+import ApiError from '../utils/ApiError.js';
+import { tokenTypes } from '../config/tokens.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { decryptText, encryptText } from '../utils/encryption.js';
+import * as tokenService from './token.service.js';
+import * as roleService from './role.service.js';
+import * as loginAuditService from './loginAudit.service.js';
+
+const getAccountName = (principal) => principal.email || principal.phoneNumber || principal._id.toString();
+
+const normalizeBackupCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[\s-]/g, '');
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {Promise<{codes: string[], hashes: string[]}>} plain codes for the user, hashes for storage
+ */
+const generateBackupCodes = async () => {
+  const codes = Array.from({ length: config.auth.twoFactor.backupCodes }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(normalizeBackupCode(code), 8)));
+  return { codes, hashes };
+};
+
+/**
+ * Accept a TOTP code for a secret once per time step
+ * @param {TwoFactor} record
+ * @param {string} encryptedSecret - secret or pendingSecret of the record, as stored
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (record, encryptedSecret, code) => {
+  const step = verifyCode(decryptText(encryptedSecret, config.auth.twoFactor.encryptionKey), code);
+  if (step === null) {
+    return false;
+  }
+  const { modifiedCount } = await TwoFactor.updateOne(
+    { _id: record._id, $or: [{ lastUsedStep: { $lt: step } }, { lastUsedStep: null }] },
+    { $set: { lastUsedStep: step } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Accept a backup code and remove it so it cannot be used again
+ * @param {TwoFactor} record
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const consumeBackupCode = async (record, code) => {
+  const normalized = normalizeBackupCode(code);
+  if (!normalized) {
+    return false;
+  }
+  const matches = await Promise.all(record.backupCodes.map((hash) => bcrypt.compare(normalized, hash)));
+  const hash = record.backupCodes[matches.indexOf(true)];
+  if (!hash) {
+    return false;
+  }
+  const { modifiedCount } = await TwoFactor.updateOne({ _id: record._id }, { $pull: { backupCodes: hash } });
+  return modifiedCount > 0;
+};
+
+/**
+ * Check a code from the authenticator app, or a backup code, against an enabled record
+ * @param {TwoFactor} record
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const consumeCode = async (record, code) =>
+  (await consumeTotpCode(record, record.secret, code)) || consumeBackupCode(record, code);
+
+const getEnabledRecord = async (principal) => {
+  const record = await TwoFactor.findOne({ principal: principal._id });
+  if (!record || !record.enabled) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Two-factor authentication is not enabled');
+  }
+  return record;
+};
+
+/**
+ * Start enrolment: store a pending secret and return it with the otpauth:// URI for the QR code
+ * @param {(User|Admin)} principal
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+const startEnrolment = async (principal) => {
+  const record = await TwoFactor.findOne({ principal: principal._id });
+  if (record?.enabled) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Two-factor authentication is already enabled');
+  }
+  const secret = generateSecret();
+  await TwoFactor.updateOne(
+    { principal: principal._id },
+    {
+      $set: {
+        pendingSecret: encryptText(secret, config.auth.twoFactor.encryptionKey),
+        principalModel: tokenService.getPrincipalModel(principal),
+      },
+    },
+    { upsert: true }
+  );
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: getAccountName(principal), issuer: config.auth.twoFactor.issuer }),
+  };
+};
+
+/**
+ * Promote the pending secret and issue backup codes
+ * @param {TwoFactor} record
+ * @returns {Promise<{backupCodes: string[]}>}
+ */
+const activate = async (record) => {
+  const { codes, hashes } = await generateBackupCodes();
+  await TwoFactor.updateOne(
+    { _id: record._id },
+    {
+      $set: { enabled: true, enabledAt: new Date(), secret: record.pendingSecret, backupCodes: hashes },
+      $unset: { pendingSecret: 1 },
+    }
+  );
+  return { backupCodes: codes };
+};
+
+const getPendingRecord = async (principal) => {
+  const record = await TwoFactor.findOne({ principal: principal._id });
+  if (record?.enabled) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Two-factor authentication is already enabled');
+  }
+  if (!record?.pendingSecret) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Start two-factor setup first');
+  }
+  return record;
+};
+
+/**
+ * Get the two-factor state of a principal
+ * @param {(User|Admin)} principal
+ * @returns {Promise<Object>}
+ */
+export const getTwoFactorStatus = async (principal) => {
+  const [record, required] = await Promise.all([
+    TwoFactor.findOne({ principal: principal._id }).lean(),
+    roleService.isTwoFactorRequired(principal.role),
+  ]);
+  return {
+    enabled: !!record?.enabled,
+    enabledAt: record?.enabledAt,
+    required,
+    backupCodesRemaining: record?.enabled ? record.backupCodes.length : 0,
+  };
+};
+
+/**
+ * Start two-factor setup for a logged in principal
+ * @param {(User|Admin)} principal
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const setupTwoFactor = (principal) => startEnrolment(principal);
+
+/**
+ * Turn two-factor on once the principal proves the app is set up
+ * @param {(User|Admin)} principal
+ * @param {string} code
+ * @returns {Promise<{backupCodes: string[]}>}
+ */
+export const enableTwoFactor = async (principal, code) => {
+  const record = await getPendingRecord(principal);
+  if (!(await consumeTotpCode(record, record.pendingSecret, code))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid two-factor code');
+  }
+  return activate(record);
+};
+
+/**
+ * Turn two-factor off. Not allowed while the principal's role requires it.
+ * @param {(User|Admin)} principal
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (principal, code) => {
+  if (await roleService.isTwoFactorRequired(principal.role)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Two-factor authentication is required for your role');
+  }
+  const record = await getEnabledRecord(principal);
+  if (!(await consumeCode(record, code))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid two-factor code');
+  }
+  await record.deleteOne();
+};
+
+/**
+ * Replace the backup codes, invalidating the old ones
+ * @param {(User|Admin)} principal
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<{backupCodes: string[]}>}
+ */
+export const regenerateBackupCodes = async (principal, code) => {
+  const record = await getEnabledRecord(principal);
+  if (!(await consumeCode(record, code))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid two-factor code');
+  }
+  const { codes, hashes } = await generateBackupCodes();
+  await TwoFactor.updateOne({ _id: record._id }, { $set: { backupCodes: hashes } });
+  return { backupCodes: codes };
+};
+
+/**
+ * Remove a principal's two-factor setup, e.g. after a lost phone. They enrol again on next login
+ * if their role requires it.
+ * @param {ObjectId} principalId - User or Admin id
+ * @returns {Promise<void>}
+ */
+export const resetTwoFactor = async (principalId) => {
+  const { deletedCount } = await TwoFactor.deleteOne({ principal: principalId });
+  if (!deletedCount) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Two-factor authentication is not set up for this account');
+  }
+};
+
+/**
+ * Issue a login challenge when the principal has 2FA on or their role requires it
+ * Called once the password has been checked.
+ * @param {(User|Admin)} principal
+ * @param {Object} attempt - see loginAuditService.recordLoginAttempt
+ * @returns {Promise<{challengeToken: string, expires: Date, enrolmentRequired: boolean}|null>} null when no code is needed
+ */
+export const createLoginChallenge = async (principal, attempt) => {
+  const [record, required] = await Promise.all([
+    TwoFactor.exists({ principal: principal._id, enabled: true }),
+    roleService.isTwoFactorRequired(principal.role),
+  ]);
+  if (!record && !required) {
+    return null;
+  }
+
+  await loginAuditService.recordLoginAttempt({
+    ...attempt,
+    principal,
+    outcome: loginAuditService.loginOutcomes.TWO_FACTOR_REQUIRED,
+  });
+  const expires = moment().add(config.auth.twoFactor.challengeExpirationMinutes, 'minutes');
+  const challengeToken = tokenService.generateToken(principal.id, expires, tokenTypes.TWO_FACTOR_CHALLENGE, principal);
+  await tokenService.saveToken(challengeToken, principal.id, expires, tokenTypes.TWO_FACTOR_CHALLENGE, false, {
+    userModel: tokenService.getPrincipalModel(principal),
+  });
+  return { challengeToken, expires: expires.toDate(), enrolmentRequired: !record };
+};
+
+/**
+ * Resolve a challenge token to the principal that passed the password step
+ * @param {string} challengeToken
+ * @returns {Promise<{tokenDoc: Token, principal: (User|Admin)}>}
+ */
+const resolveChallenge = async (challengeToken) => {
+  let tokenDoc;
+  try {
+    tokenDoc = await tokenService.verifyToken(challengeToken, tokenTypes.TWO_FACTOR_CHALLENGE);
+  } catch (error) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Login challenge is invalid or has expired, please log in again');
+  }
+  const Model = tokenDoc.userModel === 'Admin' ? Admin : User;
+  const principal = await Model.findById(tokenDoc.user);
+  if (!principal) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Login challenge is invalid or has expired, please log in again');
+  }
+  return { tokenDoc, principal };
+};
+
+/**
+ * Start enrolment from a login challenge, for principals whose role requires 2FA but who never set it up
+ * @param {string} challengeToken
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const setupTwoFactorFromChallenge = async (challengeToken) => {
+  const { principal } = await resolveChallenge(challengeToken);
+  return startEnrolment(principal);
+};
+
+/**
+ * Finish a login with a TOTP or backup code. Wrong codes count towards the account lockout.
+ * Principals enrolling during login get their backup codes back.
+ * @param {string} challengeToken
+ * @param {string} code
+ * @param {Object} [context] - ip and userAgent of the caller
+ * @returns {Promise<{user: (User|Admin), backupCodes?: string[]}>}
+ */
+export const completeLoginChallenge = async (challengeToken, code, context = {}) => {
+  const { tokenDoc, principal } = await resolveChallenge(challengeToken);
+  const attempt = { identifier: getAccountName(principal), method: 'totp', ip: context.ip, userAgent: context.userAgent };
+  await loginAuditService.assertNotLocked(principal, attempt);
+
+  const record =
+    (await TwoFactor.findOne({ principal: principal._id, enabled: true })) || (await getPendingRecord(principal));
+  const valid = record.enabled ? await consumeCode(record, code) : await consumeTotpCode(record, record.pendingSecret, code);
+  if (!valid) {
+    if (await loginAuditService.registerFailedLogin(principal, attempt)) {
+      await Token.deleteOne({ _id: tokenDoc._id });
+      throw new ApiError(
+        httpStatus.LOCKED,
+        `Too many failed logins. The account is locked for ${config.auth.lockout.durationMinutes} minute(s).`
+      );
+    }
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid two-factor code');
+  }
+
+  const result = { user: principal };
+  if (!record.enabled) {
+    result.backupCodes = (await activate(record)).backupCodes;
+  }
+  await Token.deleteOne({ _id: tokenDoc._id });
+  await loginAuditService.registerSuccessfulLogin(principal, attempt);
+  return result;
+};
@@ -4,8 +4,9 @@ import User from '../models/user.model.js';
 import ApiError from '../utils/ApiError.js';
 import storage from '../factory/storage.factory.js';
 import logger from '../config/logger.js';
-import xlsx from 'xlsx';
 import { SiteVisit, CustomerLead } from '../models/index.js';
+import * as roleService from './role.service.js';
+import { createExport, resolveExportColumns } from './export.service.js';
 
 /**
  * Create a user
@@ -16,6 +17,9 @@ export const createUser = async (userBody) => {
   if (await User.isEmailTaken(userBody.email)) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Email already taken');
   }
+  if (userBody.role) {
+    await roleService.assertRoleExists(userBody.role);
+  }
 
   const { profilePictureKey, ...restOfBody } = userBody;
   const user = await User.create(restOfBody);
@@ -54,10 +58,7 @@ export const createUser = async (userBody) => {
  * @param {number} [options.page] - Current page (default = 1)
  * @returns {Promise<Object>}
  */
-export const queryUsers = async (filter, options) => {
-  const { limit = 10, page = 1, sortBy } = options;
-  const skip = (page - 1) * limit;
-
+const buildUserQuery = (filter) => {
   const query = {};
 
   // Build the query dynamically for flexible, case-insensitive searching
@@ -77,6 +78,15 @@ export const queryUsers = async (filter, options) => {
     }
   });
 
+  return query;
+};
+
+export const queryUsers = async (filter, options) => {
+  const { limit = 10, page = 1, sortBy } = options;
+  const skip = (page - 1) * limit;
+
+  const query = buildUserQuery(filter);
+
   const sortOption = sortBy ? { [sortBy.split(':')[0]]: sortBy.split(':')[1] === 'desc' ? -1 : 1 } : { createdAt: -1 };
 
   const users = await User.find(query).sort(sortOption).skip(skip).limit(limit).populate('createdBy', 'name email role').select('name email role createdBy isActive experience education phoneNumber city region address profilePicture ');
@@ -123,6 +133,9 @@ export const updateUserById = async (userId, updateBody) => {
   if (updateBody.email && (await User.isEmailTaken(updateBody.email, userId))) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Email already taken');
   }
+  if (updateBody.role) {
+    await roleService.assertRoleExists(updateBody.role);
+  }
 
   const { profilePictureKey, ...restOfBody } = updateBody;
   Object.assign(user, restOfBody);
@@ -239,43 +252,35 @@ export const deactivateUser = async (userId) => {
   return user;
 };
 
-export const exportUsersService = async (filter = {}) => {
-  const users = await User.find(filter).lean();
-
-  if (users.length === 0) {
+/**
+ * Export the users matching the same filters as the user list
+ * @param {Object} [filter] - as for queryUsers, plus createdAt
+ * @param {Object} [options]
+ * @param {string|string[]} [options.columns] - column keys in order, see config/exportColumns
+ * @param {string} [options.format] - xlsx, csv or pdf
+ * @returns {Promise<Object|null>} the file, see createExport, or null when no user matches
+ */
+export const exportUsersService = async (filter = {}, { columns, format } = {}) => {
+  const selectedColumns = resolveExportColumns('users', columns);
+  const query = buildUserQuery(filter);
+  const total = await User.countDocuments(query);
+  if (!total) {
     return null;
   }
 
-  const worksheetData = users.map((user) => ({
-    Name: user.name,
-    Email: user.email,
-    Role: user.role,
-    'Phone Number': user.phoneNumber,
-    City: user.city,
-    Region: user.region,
-    Address: user.address,
-    Education: user.education,
-    Experience: user.experience,
-    'Active Status': user.isActive ? 'Active' : 'Inactive',
-    'Email Verified': user.isEmailVerified ? 'Yes' : 'No',
-    'Joined Date': user.createdAt,
-  }));
-
-  const worksheet = xlsx.utils.json_to_sheet(worksheetData);
-  const workbook = xlsx.utils.book_new();
-  xlsx.utils.book_append_sheet(workbook, worksheet, 'Users');
-
-  // Set date format for the 'Joined Date' column
-  worksheet['!cols'] = [{ wch: 25 }, { wch: 30 }, { wch: 15 }, { wch: 20 }, { wch: 15 }, { wch: 15 }, { wch: 30 }, { wch: 20 }, { wch: 20 }, { wch: 15 }, { wch: 15 }, { wch: 20 }];
-  users.forEach((_user, index) => {
-    const cellRef = xlsx.utils.encode_cell({ c: 11, r: index + 1 });
-    if (worksheet[cellRef]) {
-      worksheet[cellRef].z = 'yyyy-mm-dd';
-    }
+  return createExport({
+    title: 'Users',
+    fileName: 'users',
+    columns: selectedColumns,
+    format,
+    total,
+    cursor: () =>
+      User.find(query)
+        .select(selectedColumns.map((column) => column.key).join(' '))
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: 200 }),
   });
-
-
-  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 };
 
 export const createWorkerBySiteEngineerService = async (data, siteEngineerId) => {
@@ -390,3 +395,47 @@ export const resetUserPasswordById = async (userId, newPassword) => {
   await user.save();
   return user;
 };
+
+/**
+ * Get a user's role rights, per-user overrides and the rights they end up with
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+export const getUserRights = async (userId) => {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  return {
+    role: user.role,
+    roleRights: await roleService.getRoleRights(user.role),
+    extraRights: user.extraRights,
+    deniedRights: user.deniedRights,
+    effectiveRights: await roleService.getEffectiveRights(user),
+  };
+};
+
+/**
+ * Replace a user's extra grants and/or denials
+ * @param {ObjectId} userId
+ * @param {Object} rightsBody
+ * @param {string[]} [rightsBody.extraRights]
+ * @param {string[]} [rightsBody.deniedRights]
+ * @returns {Promise<Object>}
+ */
+export const updateUserRights = async (userId, rightsBody) => {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  const extraRights = rightsBody.extraRights ?? user.extraRights;
+  const deniedRights = rightsBody.deniedRights ?? user.deniedRights;
+  roleService.assertValidRights([...extraRights, ...deniedRights]);
+  if (extraRights.some((right) => deniedRights.includes(right))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A right cannot be both granted and denied');
+  }
+  user.extraRights = extraRights;
+  user.deniedRights = deniedRights;
+  await user.save();
+  return getUserRights(userId);
+};
@@ -0,0 +1,11 @@
+/**
+ * Get the caller details that are stored with login attempts and sessions
+ * @param {import('express').Request} req
+ * @returns {{ ip: string, userAgent: string }}
+ */
+const getClientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+export default getClientContext;
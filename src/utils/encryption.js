@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Any string works as a key; it is stretched to the 32 bytes AES-256 needs
+const toKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+/**
+ * Encrypt a short value, e.g. a TOTP secret, for storing. AES-256-GCM, so tampering is detected on decryption.
+ * @param {string} text
+ * @param {string} key
+ * @returns {string} iv, auth tag and ciphertext, base64 and separated by dots
+ */
+export const encryptText = (text, key) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, toKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a value encrypted with encryptText
+ * @param {string} payload
+ * @param {string} key
+ * @returns {string}
+ * @throws {Error} when the payload is malformed, was changed or was encrypted with another key
+ */
+export const decryptText = (payload, key) => {
+  const parts = String(payload).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed encrypted value');
+  }
+  const [iv, tag, encrypted] = parts.map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, toKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,58 @@
+// Titles and honorifics that say nothing about who a customer is
+const nameNoise = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari']);
+
+/**
+ * Lowercase a value and reduce it to letters, digits and single spaces
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeText = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Normalize a person's name so word order and titles do not matter: "Mr. Kumar Ravi" becomes "kumar ravi"
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeName = (value) =>
+  normalizeText(value)
+    .split(' ')
+    .filter((token) => token && !nameNoise.has(token))
+    .sort()
+    .join(' ');
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two already normalized strings, from 0 (nothing in common) to 1 (equal)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
@@ -0,0 +1,142 @@
+import axios from 'axios';
+import logger from '../config/logger.js';
+
+// The share button of Google Maps gives short links that only redirect to the full link
+const SHORT_LINK_HOSTS = ['maps.app.goo.gl', 'goo.gl'];
+const MAX_REDIRECTS = 5;
+const REDIRECT_TIMEOUT_MS = 5000;
+
+// Query parameters that hold the place a link points at, most specific first
+const COORDINATE_PARAMS = ['q', 'query', 'll', 'destination', 'daddr', 'center', 'sll'];
+
+/**
+ * Whether a latitude and longitude are numbers within range
+ * @param {{lat: number, lng: number}} point
+ * @returns {boolean}
+ */
+export const isValidLatLng = ({ lat, lng }) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const toLatLng = (lat, lng) => {
+  const point = { lat: Number(lat), lng: Number(lng) };
+  return isValidLatLng(point) ? point : null;
+};
+
+// "18.5204,73.8567", "18.5204, 73.8567" or "loc:18.5204+73.8567"
+const readPair = (text) => {
+  const parts = String(text)
+    .replace(/^loc:/i, '')
+    .replace(/\+/g, ' ')
+    .trim()
+    .split(/[\s,]+/);
+  return parts.length === 2 && parts.every((part) => /^-?[\d.]+$/.test(part)) ? toLatLng(parts[0], parts[1]) : null;
+};
+
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Read the coordinates out of a Google Maps link, without following it. Understands place links
+ * (.../place/Name/@18.52,73.85,17z/data=...!3d18.5204!4d73.8567), links with the coordinates in the query
+ * (?q=18.52,73.85, ?ll=, ?query=, ?destination=), search and directions links (/maps/search/18.52,+73.85),
+ * geo: URIs and a bare "lat,lng".
+ * @param {string} link
+ * @returns {{lat: number, lng: number}|null} null when the link has no coordinates, e.g. a short link
+ */
+export const parseGoogleMapsLink = (link) => {
+  if (!link || typeof link !== 'string') {
+    return null;
+  }
+  const text = link.trim();
+  const bare = readPair(text);
+  if (bare) {
+    return bare;
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return null;
+  }
+  // The marker of a place outranks the middle of the map (@lat,lng), which is wherever the map was panned to
+  const pin = /!3d(-?[\d.]+)!4d(-?[\d.]+)/.exec(text);
+  const viewport = /@(-?[\d.]+),(-?[\d.]+)/.exec(safeDecode(url.pathname));
+  const found = [
+    pin && toLatLng(pin[1], pin[2]),
+    ...COORDINATE_PARAMS.map((name) => url.searchParams.get(name)).map((value) => value && readPair(value)),
+    ...url.pathname.split('/').map((segment) => readPair(safeDecode(segment))),
+    viewport && toLatLng(viewport[1], viewport[2]),
+  ].find(Boolean);
+  return found || null;
+};
+
+/**
+ * Whether a link is a Google Maps short link, which has to be followed to find its coordinates
+ * @param {string} link
+ * @returns {boolean}
+ */
+export const isShortLink = (link) => {
+  try {
+    return SHORT_LINK_HOSTS.includes(new URL(link).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+const nextLocation = async (link) => {
+  const response = await axios.head(link, {
+    maxRedirects: 0,
+    timeout: REDIRECT_TIMEOUT_MS,
+    validateStatus: (status) => status < 400,
+  });
+  return response.headers.location ? new URL(response.headers.location, link).href : null;
+};
+
+// Only short link hosts are ever requested, at every hop, so a link cannot redirect the server anywhere else
+const followToPoint = async (link, redirectsLeft) => {
+  const next = redirectsLeft > 0 && isShortLink(link) ? await nextLocation(link) : null;
+  if (!next) {
+    return null;
+  }
+  return parseGoogleMapsLink(next) || followToPoint(next, redirectsLeft - 1);
+};
+
+/**
+ * Find the coordinates of a Google Maps link. Short links (maps.app.goo.gl, goo.gl/maps) are followed to the full
+ * link they redirect to, which takes HTTP requests, so this is not meant to run inside a transaction.
+ * @param {string} link
+ * @returns {Promise<{lat: number, lng: number}|null>} null when there are no coordinates or the short link could
+ *   not be followed
+ */
+export const locateGoogleMapsLink = async (link) => {
+  const point = parseGoogleMapsLink(link);
+  if (point || !isShortLink(link)) {
+    return point;
+  }
+  try {
+    return await followToPoint(link.trim(), MAX_REDIRECTS);
+  } catch (error) {
+    logger.warn(`Could not follow Google Maps link ${link}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * A latitude and longitude as a GeoJSON point, which has them the other way round
+ * @param {{lat: number, lng: number}} point
+ * @returns {{type: string, coordinates: number[]}}
+ */
+export const toGeoPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+/**
+ * The latitude and longitude of a GeoJSON point
+ * @param {{coordinates: number[]}} point
+ * @returns {{lat: number, lng: number}}
+ */
+export const fromGeoPoint = ({ coordinates: [lng, lat] }) => ({ lat, lng });
@@ -0,0 +1,57 @@
+import config from '../config/config.js';
+
+/**
+ * Normalize a phone number to E.164 (+<country code><subscriber number>)
+ * Numbers written without a country code are assumed to belong to the default country.
+ * @param {string} value
+ * @param {string} [defaultCountryCode]
+ * @returns {string|null} null when the value cannot be a phone number
+ */
+export const normalizePhoneNumber = (value, defaultCountryCode = config.phone.defaultCountryCode) => {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (raw.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    digits = digits.replace(/^0+/, '');
+    if (!(digits.length > 10 && digits.startsWith(defaultCountryCode))) {
+      digits = `${defaultCountryCode}${digits}`;
+    }
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+  return `+${digits}`;
+};
+
+/**
+ * Formats a phone number may have been stored in before numbers were normalized
+ * @param {string} value
+ * @returns {string[]}
+ */
+export const getPhoneNumberVariants = (value) => {
+  const e164 = normalizePhoneNumber(value);
+  if (!e164) return [];
+
+  const variants = new Set([e164, e164.slice(1)]);
+  const countryPrefix = `+${config.phone.defaultCountryCode}`;
+  if (e164.startsWith(countryPrefix)) {
+    const national = e164.slice(countryPrefix.length);
+    variants.add(national);
+    variants.add(`0${national}`);
+  }
+  return [...variants];
+};
+
+/**
+ * Normalize several phone numbers, e.g. the mobile, alternate and WhatsApp numbers of a lead
+ * @param {...string} values
+ * @returns {string[]} unique E.164 numbers, values that are not phone numbers are dropped
+ */
+export const normalizePhoneNumbers = (...values) => [
+  ...new Set(values.map((value) => normalizePhoneNumber(value)).filter(Boolean)),
+];
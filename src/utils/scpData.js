@@ -0,0 +1,132 @@
+import moment from 'moment';
+import { formatMeasurement, parseArea, parseLength } from './units.js';
+
+// Day-first, the way dates are written on the lead forms and spreadsheets
+const DATE_FORMATS = [
+  moment.ISO_8601,
+  'DD/MM/YYYY',
+  'D/M/YYYY',
+  'DD-MM-YYYY',
+  'D-M-YYYY',
+  'DD.MM.YYYY',
+  'D MMM YYYY',
+  'D MMMM YYYY',
+];
+
+const BOOLEAN_WORDS = { yes: true, y: true, true: true, 1: true, no: false, n: false, false: false, 0: false };
+
+// What may follow a number of units, e.g. "3 units" or "4 nos."
+const COUNT_SUFFIXES = ['', 'unit', 'units', 'no', 'nos', 'no.', 'nos.'];
+
+const parseCount = (input) => {
+  if (typeof input === 'number') {
+    return Number.isInteger(input) && input >= 0 ? input : null;
+  }
+  const match = /^(\d+)\s*([a-z.]*)$/.exec(String(input).trim().toLowerCase().replace(/,/g, ''));
+  return match && COUNT_SUFFIXES.includes(match[2]) ? Number(match[1]) : null;
+};
+
+const parseBoolean = (input) => {
+  if (typeof input === 'boolean') {
+    return input;
+  }
+  return BOOLEAN_WORDS[String(input).trim().toLowerCase()] ?? null;
+};
+
+const parseDate = (input) => {
+  if (input instanceof Date) {
+    return Number.isNaN(input.getTime()) ? null : input;
+  }
+  const date = moment(String(input).trim(), DATE_FORMATS, true);
+  return date.isValid() ? date.toDate() : null;
+};
+
+// How each typed field of scpData is read, and what to tell people when it cannot be
+const scpFieldTypes = {
+  plotSize: { parse: parseArea, expected: 'an area such as "5000 sq ft", "465 sq m" or "0.5 acres"' },
+  totalArea: { parse: parseArea, expected: 'an area such as "5000 sq ft", "465 sq m" or "0.5 acres"' },
+  roadWidth: { parse: parseLength, expected: 'a length such as "20 ft" or "6 m"' },
+  numUnits: { parse: parseCount, expected: 'a whole number' },
+  tokenAdvance: { parse: parseBoolean, expected: 'yes or no' },
+  financing: { parse: parseBoolean, expected: 'yes or no' },
+  targetCompletionDate: { parse: parseDate, expected: 'a date such as 2025-03-31 or 31/03/2025' },
+};
+
+/**
+ * The scpData fields that are stored as numbers, measurements, booleans or dates rather than text
+ */
+export const typedScpFields = Object.keys(scpFieldTypes);
+
+/**
+ * What a typed scpData field takes, for error messages
+ * @param {string} field
+ * @returns {string}
+ */
+export const describeScpField = (field) => scpFieldTypes[field].expected;
+
+/**
+ * Read a value of a typed scpData field. Text is accepted in the forms people write it in, e.g. "5,000 sq ft",
+ * "Yes" or "31/03/2025"; a number without a unit is taken to be in sq ft or ft.
+ * @param {string} field - one of typedScpFields
+ * @param {*} value
+ * @returns {*} the typed value, null when the value is empty, undefined when it cannot be read
+ */
+export const parseScpValue = (field, value) => {
+  if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) {
+    return null;
+  }
+  return scpFieldTypes[field].parse(value) ?? undefined;
+};
+
+/**
+ * Read the typed fields of an scpData object; other fields are copied as they are
+ * @param {Object} scpData
+ * @returns {{scpData: Object, unreadable: {field: string, value: *}[]}} scpData without the fields that could not
+ *   be read, which are listed in unreadable
+ */
+export const parseScpData = (scpData = {}) => {
+  const parsed = { ...scpData };
+  const unreadable = [];
+  typedScpFields
+    .filter((field) => field in parsed)
+    .forEach((field) => {
+      const value = parseScpValue(field, parsed[field]);
+      if (value === undefined) {
+        unreadable.push({ field, value: parsed[field] });
+        delete parsed[field];
+      } else {
+        parsed[field] = value;
+      }
+    });
+  return { scpData: parsed, unreadable };
+};
+
+/**
+ * Convert the typed fields of scpData as an older version stored them, as text. Fields already typed are left out.
+ * @param {Object} [scpData] - as stored
+ * @returns {{converted: Object, unreadable: {field: string, value: *}[]}} the typed value of each field stored as text,
+ *   null for empty text and for text that cannot be read, which is also listed in unreadable
+ */
+export const convertLegacyScpData = (scpData = {}) => {
+  const legacy = Object.fromEntries(
+    typedScpFields.filter((field) => typeof scpData[field] === 'string').map((field) => [field, scpData[field]])
+  );
+  const { scpData: parsed, unreadable } = parseScpData(legacy);
+  const converted = Object.fromEntries(Object.keys(legacy).map((field) => [field, parsed[field] ?? null]));
+  return { converted, unreadable };
+};
+
+/**
+ * Write a value of scpData for people, e.g. in exports
+ * @param {*} value
+ * @returns {*} measurements and booleans as text, anything else as it is
+ */
+export const formatScpValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  if (value && typeof value === 'object' && 'unit' in value) {
+    return formatMeasurement(value);
+  }
+  return value;
+};
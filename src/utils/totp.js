@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults, the only settings authenticator apps reliably support
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect secrets in
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 secret, ignoring padding, spaces and case
+ * @param {string} value
+ * @returns {Buffer}
+ */
+const base32Decode = (value) => {
+  const cleaned = value.toUpperCase().replace(/[\s=]/g, '');
+  const bits = [...cleaned]
+    .map((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} [timestamp] - milliseconds
+ * @returns {number}
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string}
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  // 8-byte big-endian counter, written as two 32-bit halves
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+  counter.writeUInt32BE(step % 2 ** 32, 4);
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  // Dynamic truncation (RFC 4226 5.3): the low 4 bits pick the offset, the top bit of the 31-bit number is dropped
+  const offset = hmac[hmac.length - 1] % 16;
+  const binary = hmac.readUInt32BE(offset) % 2 ** 31;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours to allow for clock drift
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {number} [window] - steps accepted on each side of the current one
+ * @returns {number|null} the matching time step, or null when the code is wrong
+ */
+export const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} options
+ * @param {string} options.secret - base32
+ * @param {string} options.accountName - usually the email
+ * @param {string} options.issuer
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
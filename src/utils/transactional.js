@@ -10,12 +10,15 @@ export const transactional = (service) => {
       await session.startTransaction();
       req.session = session;
       req.uploadedFiles = [];
+      // Side effects that must not happen unless the transaction commits, e.g. notifications
+      req.afterCommit = [];
 
       // Execute service logic with session
       const result = await service(req, session);
 
       // Commit transaction and send response
       await session.commitTransaction();
+      req.afterCommit.forEach((callback) => callback());
       res.status(result.status || 200).json(result.body);
     } catch (err) {
       // Abort transaction and clean up files
@@ -0,0 +1,113 @@
+import AreaUnits from '../config/enums/areaUnits.enum.js';
+import LengthUnits from '../config/enums/lengthUnits.enum.js';
+
+// Size of each unit in square feet and in feet
+const SQ_FT_PER_UNIT = { [AreaUnits.SQ_FT]: 1, [AreaUnits.SQ_M]: 10.7639104, [AreaUnits.ACRE]: 43560 };
+const FT_PER_UNIT = { [LengthUnits.FT]: 1, [LengthUnits.M]: 3.2808399 };
+
+// Ways units are written, lower case and without spaces or dots
+const AREA_UNIT_SPELLINGS = {
+  [AreaUnits.SQ_FT]: ['sqft', 'sqfeet', 'sqfoot', 'squarefeet', 'squarefoot', 'sft', 'ft2', 'ft²'],
+  [AreaUnits.SQ_M]: [
+    'sqm',
+    'sqmt',
+    'sqmtr',
+    'sqmeter',
+    'sqmeters',
+    'sqmetre',
+    'sqmetres',
+    'squaremeter',
+    'squaremeters',
+    'squaremetre',
+    'squaremetres',
+    'm2',
+    'm²',
+  ],
+  [AreaUnits.ACRE]: ['acre', 'acres', 'ac'],
+};
+const LENGTH_UNIT_SPELLINGS = {
+  [LengthUnits.FT]: ['ft', 'feet', 'foot', "'"],
+  [LengthUnits.M]: ['m', 'mt', 'mtr', 'mtrs', 'meter', 'meters', 'metre', 'metres'],
+};
+
+const UNIT_LABELS = {
+  [AreaUnits.SQ_FT]: 'sq ft',
+  [AreaUnits.SQ_M]: 'sq m',
+  [AreaUnits.ACRE]: 'acres',
+  [LengthUnits.FT]: 'ft',
+  [LengthUnits.M]: 'm',
+};
+
+const convert = (factors, value, from, to) => {
+  if (!factors[from] || !factors[to]) {
+    throw new Error(`Cannot convert from ${from} to ${to}`);
+  }
+  return (value * factors[from]) / factors[to];
+};
+
+/**
+ * Convert an area between units
+ * @param {number} value
+ * @param {string} from - one of AreaUnits
+ * @param {string} to - one of AreaUnits
+ * @returns {number}
+ */
+export const convertArea = (value, from, to) => convert(SQ_FT_PER_UNIT, value, from, to);
+
+/**
+ * Convert a length between units
+ * @param {number} value
+ * @param {string} from - one of LengthUnits
+ * @param {string} to - one of LengthUnits
+ * @returns {number}
+ */
+export const convertLength = (value, from, to) => convert(FT_PER_UNIT, value, from, to);
+
+/**
+ * Read a measurement given as { value, unit } or as text such as "5,000 sq ft"
+ * @param {Object} spellings - unit => ways it is written
+ * @param {(Object|string|number)} input
+ * @param {string} defaultUnit - unit of a number given without one
+ * @returns {{value: number, unit: string}|null} null when it cannot be read
+ */
+const parseMeasurement = (spellings, input, defaultUnit) => {
+  if (input && typeof input === 'object') {
+    const value = Number(input.value);
+    return spellings[input.unit] && Number.isFinite(value) && value >= 0 ? { value, unit: input.unit } : null;
+  }
+  if (typeof input === 'number') {
+    return Number.isFinite(input) && input >= 0 ? { value: input, unit: defaultUnit } : null;
+  }
+  const match = /^([\d.]+)\s*(.*)$/.exec(String(input).trim().toLowerCase().replace(/,/g, ''));
+  if (!match) {
+    return null;
+  }
+  const value = Number(match[1]);
+  const spelling = match[2].replace(/[\s.]/g, '');
+  const unit = spelling ? Object.keys(spellings).find((candidate) => spellings[candidate].includes(spelling)) : defaultUnit;
+  return unit && Number.isFinite(value) ? { value, unit } : null;
+};
+
+/**
+ * Read an area, e.g. "5000 sq ft", "465 sqm", "0.5 acres" or { value: 5000, unit: 'sqft' }
+ * @param {(Object|string|number)} input
+ * @param {string} [defaultUnit] - unit of a bare number
+ * @returns {{value: number, unit: string}|null} null when it cannot be read
+ */
+export const parseArea = (input, defaultUnit = AreaUnits.SQ_FT) => parseMeasurement(AREA_UNIT_SPELLINGS, input, defaultUnit);
+
+/**
+ * Read a length, e.g. "20 ft", "6 m" or { value: 20, unit: 'ft' }
+ * @param {(Object|string|number)} input
+ * @param {string} [defaultUnit] - unit of a bare number
+ * @returns {{value: number, unit: string}|null} null when it cannot be read
+ */
+export const parseLength = (input, defaultUnit = LengthUnits.FT) =>
+  parseMeasurement(LENGTH_UNIT_SPELLINGS, input, defaultUnit);
+
+/**
+ * Write a measurement for people, e.g. "5000 sq ft"
+ * @param {{value: number, unit: string}} measurement
+ * @returns {string}
+ */
+export const formatMeasurement = ({ value, unit }) => `${value} ${UNIT_LABELS[unit] || unit}`;
@@ -0,0 +1,26 @@
+import Joi from 'joi';
+
+const funnelDimensions = ['leadSource', 'city', 'state'];
+
+// Comma separated dimensions, e.g. "leadSource,city"
+const dimensions = (value, helpers) => {
+  const list = [...new Set(value.split(',').map((dimension) => dimension.trim()))];
+  if (!list.every((dimension) => funnelDimensions.includes(dimension))) {
+    return helpers.message(`{{#label}} must be a comma separated list of ${funnelDimensions.join(', ')}`);
+  }
+  return list;
+};
+
+export const getLeadFunnel = {
+  query: Joi.object().keys({
+    from: Joi.date(),
+    to: Joi.date(),
+    groupBy: Joi.string().custom(dimensions),
+    period: Joi.string().valid('day', 'week', 'month', 'quarter', 'year'),
+    leadSource: Joi.string().trim(),
+    city: Joi.string().trim(),
+    state: Joi.string().trim(),
+  }),
+};
+
+export const exportLeadFunnel = getLeadFunnel;
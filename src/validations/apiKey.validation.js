@@ -0,0 +1,46 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { rights } from '../config/roles.js';
+
+const rightsList = Joi.array()
+  .items(Joi.string().valid(...rights))
+  .unique();
+
+export const createApiKey = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().required(),
+    rights: rightsList.min(1).required(),
+    expiresAt: Joi.date().greater('now'),
+  }),
+};
+
+export const getApiKeys = {
+  query: Joi.object().keys({
+    active: Joi.boolean(),
+  }),
+};
+
+export const getApiKey = {
+  params: Joi.object().keys({
+    apiKeyId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const updateApiKey = {
+  params: Joi.object().keys({
+    apiKeyId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      rights: rightsList.min(1),
+      expiresAt: Joi.date().greater('now').allow(null),
+    })
+    .min(1),
+};
+
+export const revokeApiKey = {
+  params: Joi.object().keys({
+    apiKeyId: Joi.string().custom(objectId).required(),
+  }),
+};
@@ -22,7 +22,23 @@ const logout = {
   }),
 };
 
-export { register, login, logout };
+const requestOtp = {
+  body: Joi.object().keys({
+    mobileNumber: Joi.string().required(),
+  }),
+};
+
+const verifyOtp = {
+  body: Joi.object().keys({
+    mobileNumber: Joi.string().required(),
+    otp: Joi.string()
+      .pattern(/^\d{4,8}$/)
+      .required()
+      .messages({ 'string.pattern.base': 'otp must be a numeric code' }),
+  }),
+};
+
+export { register, login, logout, requestOtp, verifyOtp };
 
 export const signup = {
   body: Joi.object().keys({
@@ -68,3 +84,34 @@ export const verifyEmail = {
     token: Joi.string().required(),
   }),
 };
+
+export const revokeSessions = {
+  query: Joi.object().keys({
+    exceptCurrent: Joi.boolean().default(false),
+  }),
+};
+
+export const revokeSession = {
+  params: Joi.object().keys({
+    sessionId: Joi.string().required(),
+  }),
+};
+
+export const loginTwoFactorSetup = {
+  body: Joi.object().keys({
+    challengeToken: Joi.string().required(),
+  }),
+};
+
+export const loginTwoFactor = {
+  body: Joi.object().keys({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().trim().required(),
+  }),
+};
+
+export const twoFactorCode = {
+  body: Joi.object().keys({
+    code: Joi.string().trim().required(),
+  }),
+};
@@ -1,3 +1,6 @@
+import Joi from 'joi';
+import { toGeoPoint } from '../utils/geo.js';
+
 export const objectId = (value, helpers) => {
   if (!value.match(/^[0-9a-fA-F]{24}$/)) {
     return helpers.message('"{{#label}}" must be a valid mongo id');
@@ -14,3 +17,9 @@ export const password = (value, helpers) => {
   }
   return value;
 };
+
+// A place as { lat, lng }, converted to the GeoJSON point the models keep
+export const latLng = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+}).custom((value) => toGeoPoint(value));
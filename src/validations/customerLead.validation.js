@@ -1,5 +1,6 @@
 import Joi from 'joi';
-import { objectId } from './custom.validation.js';
+import { latLng, objectId } from './custom.validation.js';
+import { describeScpField, parseScpValue, typedScpFields } from '../utils/scpData.js';
 
 const siteVisitSchema = Joi.object({
   siteEngineer: Joi.string().custom(objectId).required(),
@@ -13,15 +14,21 @@ const siteVisitSchema = Joi.object({
   ).optional(),
 });
 
+// Typed scpData fields take their value or text such as "5000 sq ft", and are converted to the value
+const scpValue = (field) =>
+  Joi.any().custom((value, helpers) => {
+    const parsed = parseScpValue(field, value);
+    return parsed === undefined ? helpers.message(`{{#label}} must be ${describeScpField(field)}`) : parsed;
+  });
+
+const typedScpData = Object.fromEntries(typedScpFields.map((field) => [field, scpValue(field)]));
+
 const scpDataSchema = Joi.object({
   siteAddress: Joi.string().allow(''),
   googleLocationLink: Joi.string().uri({ allowRelative: false }).allow(''),
   siteType: Joi.string().allow(''),
-  plotSize: Joi.string().allow(''),
-  totalArea: Joi.string().allow(''),
   plinthStatus: Joi.string().allow(''),
   structureType: Joi.string().allow(''),
-  numUnits: Joi.string().allow(null, ''),
   usageType: Joi.string().allow(''),
   avgStayDuration: Joi.string().allow(''),
   additionalFeatures: Joi.string().allow(''),
@@ -29,10 +36,6 @@ const scpDataSchema = Joi.object({
   drawingStatus: Joi.string().allow(''),
   architectStatus: Joi.string().allow(''),
   roomRequirements: Joi.string().allow(''),
-  tokenAdvance: Joi.string().allow(''),
-  financing: Joi.string().allow(''),
-  roadWidth: Joi.string().allow(''),
-  targetCompletionDate: Joi.string().allow(''),
   siteEngineer: Joi.string().allow(null, ''), // Keep for backward compatibility
   siteVisitDate: Joi.alternatives().try(Joi.date(), Joi.string().isoDate()).allow(null, ''), // Keep for backward compatibility
   siteVisitStartDate: Joi.alternatives().try(Joi.date(), Joi.string().isoDate()).allow(null, ''), // New field
@@ -43,6 +46,7 @@ const scpDataSchema = Joi.object({
   ).allow(null, ''), // New field
   siteVisits: Joi.array().items(siteVisitSchema), // New field for multiple site visits
   scpRemarks: Joi.string().allow(''),
+  ...typedScpData,
 });
 
 const requirementSchema = Joi.object({
@@ -53,6 +57,10 @@ const requirementSchema = Joi.object({
   urgency: Joi.string().allow(''),
   budget: Joi.string().allow(''),
   scpData: scpDataSchema,
+  // Site location when there is no scpData.googleLocationLink or it has no coordinates
+  location: latLng,
+  // Answers to the form of the requirement type, checked against it by requirementForm.service
+  formData: Joi.object(),
   imageUrlKeys: Joi.array().items(Joi.string()),
   videoUrlKeys: Joi.array().items(Joi.string()),
   voiceMessageUrlKeys: Joi.array().items(Joi.string()),
@@ -72,24 +80,47 @@ export const createCustomerLead = {
     state: Joi.string().allow(''),
     city: Joi.string().allow(''),
     googleLocationLink: Joi.string().uri({ allowRelative: false }).allow(''),
+    location: latLng,
     requirements: Joi.array().items(requirementSchema).min(1).required(),
     isActive: Joi.boolean().default(true),
   }),
 };
 
+const leadFilters = {
+  search: Joi.string(),
+  customerName: Joi.string(),
+  leadSource: Joi.string(),
+  mobileNumber: Joi.string(),
+  email: Joi.string(),
+  state: Joi.string(),
+  city: Joi.string(),
+  isActive: Joi.boolean(),
+  stage: Joi.string(),
+  movedTo: Joi.string(),
+  stageChangedFrom: Joi.date(),
+  stageChangedTo: Joi.date(),
+  owner: Joi.alternatives().try(Joi.string().custom(objectId), Joi.string().valid('none')),
+};
+
 export const getCustomerLeads = {
   query: Joi.object().keys({
-    search: Joi.string(),
-    customerName: Joi.string(),
-    leadSource: Joi.string(),
-    mobileNumber: Joi.string(),
-    email: Joi.string(),
-    state: Joi.string(),
-    city: Joi.string(),
+    ...leadFilters,
     sortBy: Joi.string(),
     limit: Joi.number().integer(),
     page: Joi.number().integer(),
-    isActive: Joi.boolean(),
+  }),
+};
+
+export const exportCustomerLeads = {
+  query: Joi.object().keys({
+    ...leadFilters,
+    dateFilterType: Joi.string().valid('all', 'specific', 'range'),
+    specificDate: Joi.date(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    format: Joi.string().valid('xlsx', 'csv', 'pdf'),
+    columns: Joi.string(),
+    preset: Joi.string().custom(objectId),
   }),
 };
 
@@ -117,6 +148,7 @@ export const updateCustomerLead = {
       isActive: Joi.boolean(),
       requirements: Joi.forbidden(),
       googleLocationLink: Joi.forbidden(),
+      location: Joi.forbidden(),
     })
     .min(1),
 };
@@ -128,5 +160,107 @@ export const shareRequirement = {
   }),
   body: Joi.object().keys({
     userIds: Joi.array().items(Joi.string().custom(objectId)).min(1).required(),
+    expiresAt: Joi.date().greater('now'),
+  }),
+};
+
+const requirementShareParams = {
+  leadId: Joi.string().custom(objectId).required(),
+  requirementId: Joi.string().custom(objectId).required(),
+  userId: Joi.string().custom(objectId).required(),
+};
+
+export const updateRequirementShare = {
+  params: Joi.object().keys(requirementShareParams),
+  body: Joi.object().keys({
+    expiresAt: Joi.date().greater('now').allow(null).required(),
+  }),
+};
+
+export const revokeRequirementShare = {
+  params: Joi.object().keys(requirementShareParams),
+};
+
+export const getRequirementAccess = {
+  params: Joi.object().keys({
+    leadId: Joi.string().custom(objectId).required(),
+    requirementId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    includeExpired: Joi.boolean(),
+  }),
+};
+
+export const openSharedRequirement = {
+  params: Joi.object().keys({
+    requirementId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const migrateScpData = {
+  query: Joi.object().keys({
+    dryRun: Joi.boolean(),
+  }),
+};
+
+export const getScpDataReview = {
+  query: Joi.object().keys({
+    field: Joi.string().valid(...typedScpFields),
+    limit: Joi.number().integer().min(1),
+    page: Joi.number().integer().min(1),
   }),
-}; 
\ No newline at end of file
+};
+
+export const updateRequirementScpData = {
+  params: Joi.object().keys({
+    leadId: Joi.string().custom(objectId).required(),
+    requirementId: Joi.string().custom(objectId).required(),
+  }),
+  // Site visits are scheduled through /v1/site-visits, not stored in scpData
+  body: scpDataSchema
+    .fork(['siteEngineer', 'siteVisitStartDate', 'siteVisitEndDate', 'assignmentAmount', 'siteVisits'], (key) =>
+      key.forbidden()
+    )
+    .min(1),
+};
+
+export const updateRequirementFormData = {
+  params: Joi.object().keys({
+    leadId: Joi.string().custom(objectId).required(),
+    requirementId: Joi.string().custom(objectId).required(),
+  }),
+  // Checked against the form of the requirement type by requirementForm.service
+  body: Joi.object().min(1),
+};
+
+export const changeLeadStage = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    stage: Joi.string().required(),
+    reason: Joi.string().trim(),
+    note: Joi.string().trim().allow(''),
+  }),
+};
+
+export const getLeadDuplicates = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const mergeLeads = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    duplicateIds: Joi.array().items(Joi.string().custom(objectId)).min(1).required(),
+  }),
+};
+
+export const importCustomerLeads = {
+  query: Joi.object().keys({
+    dryRun: Joi.boolean(),
+  }),
+};
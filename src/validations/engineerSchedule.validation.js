@@ -0,0 +1,50 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+// The most days availability is given for at once
+const MAX_AVAILABILITY_DAYS = 92;
+
+// Comma-separated user ids
+const engineerIds = Joi.string().custom((value, helpers) => {
+  const list = value
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const invalid = list.find((id) => !/^[0-9a-fA-F]{24}$/.test(id));
+  return invalid ? helpers.message(`{{#label}} has an invalid id "${invalid}"`) : list;
+});
+
+export const getEngineerAvailability = {
+  query: Joi.object().keys({
+    engineers: engineerIds,
+    from: Joi.date().required(),
+    to: Joi.date()
+      .min(Joi.ref('from'))
+      .max(Joi.ref('from', { adjust: (from) => new Date(from.getTime() + MAX_AVAILABILITY_DAYS * 86400000) }))
+      .required()
+      .messages({ 'date.max': `{{#label}} must be at most ${MAX_AVAILABILITY_DAYS} days after from` }),
+  }),
+};
+
+export const createEngineerLeave = {
+  body: Joi.object().keys({
+    engineer: Joi.string().custom(objectId).required(),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref('startDate')).required(),
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+export const getEngineerLeaves = {
+  query: Joi.object().keys({
+    engineer: Joi.string().custom(objectId),
+    from: Joi.date(),
+    to: Joi.date(),
+  }),
+};
+
+export const deleteEngineerLeave = {
+  params: Joi.object().keys({
+    leaveId: Joi.string().custom(objectId).required(),
+  }),
+};
@@ -0,0 +1,37 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const presetFields = {
+  name: Joi.string().trim(),
+  format: Joi.string().valid('xlsx', 'csv', 'pdf'),
+  columns: Joi.array().items(Joi.string().trim()).unique(),
+  // Checked against the resource's export filters by the service
+  filters: Joi.object(),
+};
+
+export const createExportPreset = {
+  body: Joi.object().keys({
+    ...presetFields,
+    resource: Joi.string().valid('customer-leads', 'users').required(),
+    name: presetFields.name.required(),
+  }),
+};
+
+export const getExportPresets = {
+  query: Joi.object().keys({
+    resource: Joi.string().valid('customer-leads', 'users'),
+  }),
+};
+
+export const getExportPreset = {
+  params: Joi.object().keys({
+    presetId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const updateExportPreset = {
+  params: Joi.object().keys({
+    presetId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys(presetFields).min(1),
+};
@@ -0,0 +1,77 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import inboundLeadFields from '../config/inboundLeadFields.js';
+
+const fieldMapping = Joi.object()
+  .keys({
+    field: Joi.string()
+      .valid(...inboundLeadFields)
+      .required(),
+    path: Joi.string().trim(),
+    value: Joi.string(),
+  })
+  .or('path', 'value');
+
+const mapping = Joi.array().items(fieldMapping).unique('field');
+
+const headerName = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9-]+$/);
+
+export const createInboundLeadSource = {
+  body: Joi.object().keys({
+    key: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z0-9][a-z0-9-]*$/)
+      .max(60)
+      .required(),
+    name: Joi.string().trim().required(),
+    leadSource: Joi.string().trim().required(),
+    signatureHeader: headerName,
+    eventIdHeader: headerName,
+    eventIdPath: Joi.string().trim(),
+    mapping: mapping.min(1).required(),
+    isActive: Joi.boolean(),
+  }),
+};
+
+export const getInboundLeadSource = {
+  params: Joi.object().keys({
+    sourceId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const updateInboundLeadSource = {
+  params: Joi.object().keys({
+    sourceId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      leadSource: Joi.string().trim(),
+      signatureHeader: headerName,
+      eventIdHeader: headerName.allow(null),
+      eventIdPath: Joi.string().trim().allow(null),
+      mapping: mapping.min(1),
+      isActive: Joi.boolean(),
+    })
+    .min(1),
+};
+
+export const getInboundLeadEvents = {
+  params: Joi.object().keys({
+    sourceId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    status: Joi.string().valid('processing', 'processed', 'failed'),
+    limit: Joi.number().integer().min(1).max(200),
+  }),
+};
+
+export const receiveInboundLead = {
+  params: Joi.object().keys({
+    sourceKey: Joi.string().trim().required(),
+  }),
+};
@@ -0,0 +1,17 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import JobTypes from '../config/enums/jobTypes.enum.js';
+
+export const getJobs = {
+  query: Joi.object().keys({
+    type: Joi.string().valid(...Object.values(JobTypes)),
+    status: Joi.string().valid('queued', 'running', 'completed', 'failed'),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+export const getJob = {
+  params: Joi.object().keys({
+    jobId: Joi.string().custom(objectId).required(),
+  }),
+};
@@ -0,0 +1,47 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import LeadActivityTypes from '../config/enums/leadActivityTypes.enum.js';
+
+// Activities logged by hand; the others are recorded by the system
+const manualTypes = [LeadActivityTypes.NOTE, LeadActivityTypes.CALL, LeadActivityTypes.WHATSAPP];
+
+const activityTypes = Object.values(LeadActivityTypes);
+
+// Comma separated activity types, e.g. "note,call"
+const types = (value, helpers) => {
+  const list = [...new Set(value.split(',').map((type) => type.trim()))];
+  if (!list.every((type) => activityTypes.includes(type))) {
+    return helpers.message(`{{#label}} must be a comma separated list of ${activityTypes.join(', ')}`);
+  }
+  return list;
+};
+
+export const logLeadActivity = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    type: Joi.string()
+      .valid(...manualTypes)
+      .required(),
+    note: Joi.string()
+      .trim()
+      .when('type', { is: LeadActivityTypes.CALL, then: Joi.allow(''), otherwise: Joi.required() }),
+    direction: Joi.string().valid('inbound', 'outbound').when('type', { is: LeadActivityTypes.NOTE, then: Joi.forbidden() }),
+    durationMinutes: Joi.number().min(0).when('type', { not: LeadActivityTypes.CALL, then: Joi.forbidden() }),
+    outcome: Joi.string().trim().allow(''),
+    requirement: Joi.string().custom(objectId),
+    occurredAt: Joi.date().max('now'),
+  }),
+};
+
+export const getLeadActivities = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    type: Joi.string().custom(types),
+    limit: Joi.number().integer().min(1).max(100),
+    page: Joi.number().integer().min(1),
+  }),
+};
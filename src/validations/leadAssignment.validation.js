@@ -0,0 +1,68 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const values = Joi.array().items(Joi.string().trim()).unique();
+
+const ruleFields = {
+  name: Joi.string().trim(),
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  match: Joi.object().keys({
+    leadSources: values,
+    cities: values,
+    states: values,
+  }),
+  assignees: Joi.array().items(Joi.string().custom(objectId)).unique(),
+  strategy: Joi.string().valid('round-robin', 'least-loaded'),
+  maxOpenLeads: Joi.number().integer().min(1),
+};
+
+export const createLeadAssignmentRule = {
+  body: Joi.object().keys({
+    ...ruleFields,
+    name: ruleFields.name.required(),
+  }),
+};
+
+export const getLeadAssignmentRule = {
+  params: Joi.object().keys({
+    ruleId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const updateLeadAssignmentRule = {
+  params: Joi.object().keys({
+    ruleId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      ...ruleFields,
+      maxOpenLeads: ruleFields.maxOpenLeads.allow(null),
+    })
+    .min(1),
+};
+
+export const assignLeadOwner = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    owner: Joi.string().custom(objectId).allow(null).required(),
+    reason: Joi.string().trim().allow(''),
+  }),
+};
+
+export const getLeadOwnership = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const reassignLeads = {
+  body: Joi.object().keys({
+    from: Joi.string().custom(objectId).required(),
+    to: Joi.string().custom(objectId),
+    leadIds: Joi.array().items(Joi.string().custom(objectId)).unique().min(1),
+    reason: Joi.string().trim().allow(''),
+  }),
+};
@@ -0,0 +1,55 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const channel = Joi.string().valid('call', 'whatsapp', 'visit');
+
+export const createFollowUp = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    dueAt: Joi.date().required(),
+    channel: channel.required(),
+    note: Joi.string().trim().allow(''),
+    assignee: Joi.string().custom(objectId),
+  }),
+};
+
+export const getLeadFollowUps = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    status: Joi.string().valid('pending', 'done', 'cancelled'),
+  }),
+};
+
+export const updateFollowUp = {
+  params: Joi.object().keys({
+    followUpId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      dueAt: Joi.date(),
+      channel,
+      note: Joi.string().trim().allow(''),
+      assignee: Joi.string().custom(objectId),
+    })
+    .min(1),
+};
+
+export const completeFollowUp = {
+  params: Joi.object().keys({
+    followUpId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    outcome: Joi.string().trim().required(),
+    note: Joi.string().trim().allow(''),
+  }),
+};
+
+export const cancelFollowUp = {
+  params: Joi.object().keys({
+    followUpId: Joi.string().custom(objectId).required(),
+  }),
+};
@@ -0,0 +1,36 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+export const createLeadStage = {
+  body: Joi.object().keys({
+    key: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z0-9-]+$/)
+      .required(),
+    name: Joi.string().trim().required(),
+    order: Joi.number().required(),
+    outcome: Joi.string().valid('open', 'won', 'lost'),
+    requiresReason: Joi.boolean(),
+  }),
+};
+
+export const updateLeadStage = {
+  params: Joi.object().keys({
+    stageId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      order: Joi.number(),
+      outcome: Joi.string().valid('open', 'won', 'lost'),
+      requiresReason: Joi.boolean(),
+    })
+    .min(1),
+};
+
+export const deleteLeadStage = {
+  params: Joi.object().keys({
+    stageId: Joi.string().custom(objectId).required(),
+  }),
+};
@@ -0,0 +1,48 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const PROJECT_STATUSES = ['Draft', 'Pending', 'Open', 'OnHold', 'Completed', 'Cancelled'];
+
+// Comma-separated project statuses, e.g. "Open,OnHold"
+const statuses = Joi.string().custom((value, helpers) => {
+  const list = value
+    .split(',')
+    .map((status) => status.trim())
+    .filter(Boolean);
+  const unknown = list.find((status) => !PROJECT_STATUSES.includes(status));
+  return unknown ? helpers.message(`{{#label}} has an unknown status "${unknown}"`) : list;
+});
+
+const lat = Joi.number().min(-90).max(90);
+const lng = Joi.number().min(-180).max(180);
+const radiusKm = Joi.number().positive().max(20000);
+
+export const getProjectsNear = {
+  query: Joi.object().keys({
+    lat: lat.required(),
+    lng: lng.required(),
+    radiusKm,
+    status: statuses,
+    limit: Joi.number().integer().min(1).max(500),
+  }),
+};
+
+export const getNearestSiteEngineers = {
+  query: Joi.object()
+    .keys({
+      lat,
+      lng,
+      project: Joi.string().custom(objectId),
+      date: Joi.date(),
+      radiusKm,
+      limit: Joi.number().integer().min(1).max(100),
+    })
+    .and('lat', 'lng')
+    .xor('project', 'lat'),
+};
+
+export const getProjectMap = {
+  query: Joi.object().keys({
+    status: statuses,
+  }),
+};
@@ -0,0 +1,31 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+export const getLoginAttempts = {
+  query: Joi.object().keys({
+    identifier: Joi.string(),
+    principal: Joi.string().custom(objectId),
+    outcome: Joi.string().valid(
+      'success',
+      'invalid-credentials',
+      'unknown-account',
+      'locked',
+      'inactive',
+      'email-unverified',
+      'two-factor-required'
+    ),
+    method: Joi.string().valid('password', 'otp', 'totp'),
+    ip: Joi.string(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+export const unlockAccount = {
+  params: Joi.object().keys({
+    accountId: Joi.string().custom(objectId).required(),
+  }),
+};
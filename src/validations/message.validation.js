@@ -19,7 +19,8 @@ export const createMessage = {
 
 export const getMessages = {
     query: Joi.object().keys({
-        project: Joi.string().custom(objectId).description('Filter by project ID'),
+        // Messages are only listed per project, for those who belong to it
+        project: Joi.string().custom(objectId).required().description('Filter by project ID'),
         sender: Joi.string().custom(objectId).description('Filter by sender ID'),
         senderModel: Joi.string().valid('User', 'Admin').description('Filter by sender model'),
         isRead: Joi.boolean().description('Filter by read status'),
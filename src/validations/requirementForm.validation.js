@@ -0,0 +1,103 @@
+import Joi from 'joi';
+import safeRegex from 'safe-regex2';
+import { objectId } from './custom.validation.js';
+import FormFieldTypes from '../config/enums/formFieldTypes.enum.js';
+
+const { TEXT, TEXTAREA, NUMBER, SELECT, MULTISELECT } = FormFieldTypes;
+
+// Longest answer a text field takes, whatever its maxLength
+export const MAX_TEXT_ANSWER_LENGTH = 5000;
+
+// Rules that only some types of field take
+const onlyFor = (types, schema) => schema.when('type', { is: Joi.valid(...types), otherwise: Joi.forbidden() });
+
+const pattern = Joi.string()
+  .max(500)
+  .custom((value, helpers) => {
+    try {
+      RegExp(value);
+    } catch (error) {
+      return helpers.message('{{#label}} must be a valid regular expression');
+    }
+    // A pattern that backtracks exponentially would let a single answer stall the server
+    if (!safeRegex(value)) {
+      return helpers.message('{{#label}} may take too long to match, avoid nested repetition such as (a+)+');
+    }
+    return value;
+  });
+
+const formField = Joi.object().keys({
+  key: Joi.string()
+    .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+    .max(64)
+    .required()
+    .messages({ 'string.pattern.base': '{{#label}} must start with a letter and have only letters, digits and _' }),
+  label: Joi.string().trim().required(),
+  type: Joi.string()
+    .valid(...Object.values(FormFieldTypes))
+    .required(),
+  required: Joi.boolean(),
+  options: Joi.array()
+    .items(Joi.object().keys({ value: Joi.string().trim().required(), label: Joi.string().trim() }))
+    .min(1)
+    .unique('value')
+    .when('type', { is: Joi.valid(SELECT, MULTISELECT), then: Joi.required(), otherwise: Joi.forbidden() }),
+  min: onlyFor([NUMBER, MULTISELECT], Joi.number()),
+  max: onlyFor([NUMBER, MULTISELECT], Joi.number().when('min', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min')) })),
+  minLength: onlyFor([TEXT, TEXTAREA], Joi.number().integer().min(0).max(MAX_TEXT_ANSWER_LENGTH)),
+  maxLength: onlyFor(
+    [TEXT, TEXTAREA],
+    Joi.number()
+      .integer()
+      .max(MAX_TEXT_ANSWER_LENGTH)
+      .when('minLength', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minLength')) })
+  ),
+  pattern: onlyFor([TEXT, TEXTAREA], pattern),
+  placeholder: Joi.string().trim().allow(''),
+  helpText: Joi.string().trim().allow(''),
+});
+
+const formFields = {
+  requirementType: Joi.string().trim(),
+  description: Joi.string().trim().allow(''),
+  fields: Joi.array().items(formField).unique('key'),
+  isActive: Joi.boolean(),
+};
+
+export const createRequirementForm = {
+  body: Joi.object().keys({
+    ...formFields,
+    requirementType: formFields.requirementType.required(),
+    fields: formFields.fields.min(1).required(),
+  }),
+};
+
+export const getRequirementForms = {
+  query: Joi.object().keys({
+    isActive: Joi.boolean(),
+  }),
+};
+
+export const getRequirementForm = {
+  params: Joi.object().keys({
+    formId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const getRequirementFormSchema = {
+  query: Joi.object().keys({
+    requirementType: Joi.string().required(),
+  }),
+};
+
+export const updateRequirementForm = {
+  params: Joi.object().keys({
+    formId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      ...formFields,
+      fields: formFields.fields.min(1),
+    })
+    .min(1),
+};
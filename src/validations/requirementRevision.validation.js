@@ -0,0 +1,32 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const requirementParams = {
+  leadId: Joi.string().custom(objectId).required(),
+  requirementId: Joi.string().custom(objectId).required(),
+};
+
+const revisionNumber = Joi.number().integer().min(1);
+
+export const getRequirementRevisions = {
+  params: Joi.object().keys(requirementParams),
+  query: Joi.object().keys({
+    limit: Joi.number().integer().min(1),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+export const getRequirementRevision = {
+  params: Joi.object().keys({
+    ...requirementParams,
+    number: revisionNumber.required(),
+  }),
+};
+
+export const compareRequirementRevisions = {
+  params: Joi.object().keys(requirementParams),
+  query: Joi.object().keys({
+    from: revisionNumber.required(),
+    to: revisionNumber.required(),
+  }),
+};
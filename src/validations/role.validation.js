@@ -0,0 +1,45 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { rights } from '../config/roles.js';
+
+const rightsList = Joi.array()
+  .items(Joi.string().valid(...rights))
+  .unique();
+
+export const createRole = {
+  body: Joi.object().keys({
+    name: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z0-9-]+$/)
+      .required(),
+    description: Joi.string().allow(''),
+    rights: rightsList.default([]),
+    requireTwoFactor: Joi.boolean(),
+  }),
+};
+
+export const getRole = {
+  params: Joi.object().keys({
+    roleId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export const updateRole = {
+  params: Joi.object().keys({
+    roleId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      description: Joi.string().allow(''),
+      rights: rightsList,
+      requireTwoFactor: Joi.boolean(),
+    })
+    .min(1),
+};
+
+export const deleteRole = {
+  params: Joi.object().keys({
+    roleId: Joi.string().custom(objectId).required(),
+  }),
+};
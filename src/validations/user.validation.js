@@ -1,17 +1,19 @@
 import Joi from 'joi';
-import { password, objectId } from './custom.validation.js';
-import { roles } from '../config/roles.js';
+import { password, objectId, latLng } from './custom.validation.js';
+import { rights } from '../config/roles.js';
 
 export const createUser = {
   body: Joi.object().keys({
     email: Joi.string().required().email(),
     password: Joi.string().required().custom(password),
     name: Joi.string().required(),
-    role: Joi.string().required().valid(...roles),
+    role: Joi.string().required(),
     phoneNumber: Joi.string(),
     city: Joi.string(),
     region: Joi.string(),
     address: Joi.string(),
+    homeBaseLink: Joi.string().uri({ allowRelative: false }).allow(''),
+    homeBase: latLng,
     education: Joi.string().optional(),
     experience: Joi.string().optional(),
     profilePictureKey: Joi.string(),
@@ -33,6 +35,24 @@ export const getUsers = {
   }),
 };
 
+export const exportUsers = {
+  query: Joi.object().keys({
+    name: Joi.string(),
+    isActive: Joi.boolean(),
+    role: Joi.string(),
+    experience: Joi.string(),
+    region: Joi.string(),
+    education: Joi.string(),
+    dateFilterType: Joi.string().valid('all', 'specific', 'range'),
+    specificDate: Joi.date(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    format: Joi.string().valid('xlsx', 'csv', 'pdf'),
+    columns: Joi.string(),
+    preset: Joi.string().custom(objectId),
+  }),
+};
+
 export const getUser = {
   params: Joi.object().keys({
     userId: Joi.string().custom(objectId),
@@ -46,13 +66,15 @@ export const updateUser = {
   body: Joi.object()
     .keys({
       email: Joi.string().email(),
-      role: Joi.string().valid(...roles),
+      role: Joi.string(),
       password: Joi.string().custom(password),
       name: Joi.string(),
       phoneNumber: Joi.string(),
       city: Joi.string(),
       region: Joi.string(),
       address: Joi.string(),
+      homeBaseLink: Joi.string().uri({ allowRelative: false }).allow(''),
+      homeBase: latLng,
       education: Joi.string(),
       experience: Joi.string(),
       profilePictureKey: Joi.string(),
@@ -119,3 +141,44 @@ export const resetUserPassword = {
     password: Joi.string().required().custom(password),
   }),
 };
+
+export const getUserRights = {
+  params: Joi.object().keys({
+    id: Joi.required().custom(objectId),
+  }),
+};
+
+export const updateUserRights = {
+  params: Joi.object().keys({
+    id: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      extraRights: Joi.array()
+        .items(Joi.string().valid(...rights))
+        .unique(),
+      deniedRights: Joi.array()
+        .items(Joi.string().valid(...rights))
+        .unique(),
+    })
+    .min(1),
+};
+
+export const getUserSessions = {
+  params: Joi.object().keys({
+    id: Joi.required().custom(objectId),
+  }),
+};
+
+export const revokeUserSession = {
+  params: Joi.object().keys({
+    id: Joi.required().custom(objectId),
+    sessionId: Joi.string().required(),
+  }),
+};
+
+export const resetUserTwoFactor = {
+  params: Joi.object().keys({
+    id: Joi.required().custom(objectId),
+  }),
+};
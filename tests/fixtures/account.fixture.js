@@ -0,0 +1,55 @@
+import bcrypt from 'bcryptjs';
+import faker from 'faker';
+import Admin from '../../src/models/admin.model.js';
+import User from '../../src/models/user.model.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import { createApiKey } from '../../src/services/apiKey.service.js';
+import { generateAuthTokens } from '../../src/services/token.service.js';
+
+export const password = 'password1';
+
+/**
+ * Create a verified, active user that can log in with `password`
+ * @param {Object} [fields] - fields to set instead of the defaults
+ * @returns {Promise<User>}
+ */
+export const insertUser = (fields = {}) =>
+  User.create({
+    name: faker.name.findName(),
+    email: faker.internet.email().toLowerCase(),
+    password,
+    role: Roles.USER,
+    isEmailVerified: true,
+    ...fields,
+  });
+
+/**
+ * Create a verified admin that can log in with `password`. Admins hash their password before saving, as
+ * admin.service register does.
+ * @param {Object} [fields] - fields to set instead of the defaults
+ * @returns {Promise<Admin>}
+ */
+export const insertAdmin = async (fields = {}) =>
+  Admin.create({
+    adminName: faker.name.findName(),
+    email: faker.internet.email().toLowerCase(),
+    password: await bcrypt.hash(password, 8),
+    isEmailVerified: true,
+    ...fields,
+  });
+
+/**
+ * Create an API key holding the given rights, made by a new admin unless a creator is given
+ * @param {string[]} rights
+ * @param {(User|Admin)} [creator]
+ * @returns {Promise<{apiKey: ApiKey, key: string}>} key goes in the X-API-Key header
+ */
+export const insertApiKey = async (rights, creator) =>
+  createApiKey({ name: faker.company.companyName(), rights }, creator || (await insertAdmin()));
+
+/**
+ * Log a user or admin in without going through the login endpoint
+ * @param {(User|Admin)} principal
+ * @returns {Promise<string>} access token for the Authorization header
+ */
+export const getAccessToken = async (principal) => (await generateAuthTokens(principal)).access.token;
@@ -0,0 +1,167 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import xlsx from 'xlsx';
+import app from '../../src/app.js';
+import LeadStages from '../../src/config/enums/leadStages.enum.js';
+import ClientProposal from '../../src/models/clientProposal.model.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import Project from '../../src/models/project.model.js';
+import SiteVisit from '../../src/models/siteVisit.model.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+// Midday, so the days do not move with the time zone
+const day = (offset) => moment('2025-03-01T12:00:00').add(offset, 'days').toDate();
+
+// Timestamps are set by mongoose on create, so dates in the past are written straight to the collection
+const backdate = (Model, doc, dates) => Model.collection.updateOne({ _id: doc._id }, { $set: dates });
+
+const insertLead = async (fields, createdAt) => {
+  const lead = await CustomerLead.create({
+    customerName: faker.name.findName(),
+    mobileNumber: faker.phone.phoneNumber('98########'),
+    ...fields,
+  });
+  await backdate(CustomerLead, lead, { createdAt });
+  return lead;
+};
+
+describe('Analytics routes', () => {
+  let key;
+
+  beforeEach(async () => {
+    ({ key } = await insertApiKey(['manageLeads']));
+
+    // Went through the whole funnel
+    const won = await insertLead({ leadSource: 'Website', city: 'Pune' }, day(0));
+    const project = await Project.create({
+      projectName: 'Cottage',
+      projectCode: faker.datatype.uuid(),
+      lead: won._id,
+      status: 'Completed',
+      openedAt: day(10),
+      completedAt: day(40),
+    });
+    const visit = await SiteVisit.create({
+      project: project._id,
+      requirement: new mongoose.Types.ObjectId(),
+      siteEngineer: new mongoose.Types.ObjectId(),
+    });
+    await backdate(SiteVisit, visit, { createdAt: day(2) });
+    await ClientProposal.create({
+      project: project._id,
+      customerInfo: { name: won.customerName },
+      status: 'approved',
+      sentToCustomer: true,
+      sentToCustomerAt: day(5),
+      customerReviewedAt: day(8),
+    });
+
+    // Moved to site visit scheduled by hand, without a project
+    await insertLead(
+      {
+        leadSource: 'website',
+        city: 'pune ',
+        stageHistory: [{ stage: LeadStages.SITE_VISIT_SCHEDULED, changedAt: day(5) }],
+      },
+      day(1)
+    );
+    await insertLead({ leadSource: 'Referral' }, day(3));
+    await insertLead({ leadSource: 'Website', city: 'Mumbai' }, day(61));
+  });
+
+  describe('GET /v1/analytics/lead-funnel', () => {
+    const getFunnel = (query) => request(app).get('/v1/analytics/lead-funnel').set('X-API-Key', key).query(query);
+
+    test('should count each step and the conversion per lead source', async () => {
+      const res = await getFunnel({ from: '2025-03-01', to: '2025-03-31' }).expect(httpStatus.OK);
+
+      expect(res.body.totals).toMatchObject({
+        leads: 3,
+        siteVisitScheduled: 2,
+        proposalSent: 1,
+        proposalApproved: 1,
+        projectOpen: 1,
+        projectCompleted: 1,
+      });
+      expect(res.body.groups.map((group) => [group.leadSource.toLowerCase(), group.leads])).toEqual([
+        ['website', 2],
+        ['referral', 1],
+      ]);
+      const [website] = res.body.groups;
+      expect(website.conversion).toMatchObject({ siteVisitScheduled: 1, proposalSent: 0.5, projectCompleted: 0.5 });
+      expect(website.stepConversion).toMatchObject({ siteVisitScheduled: 1, proposalSent: 0.5, proposalApproved: 1 });
+    });
+
+    test('should give the median days between steps, leaving out leads without both dates', async () => {
+      const res = await getFunnel({ from: '2025-03-01', to: '2025-03-31' }).expect(httpStatus.OK);
+
+      expect(res.body.totals.medianDays).toEqual({
+        createdToSiteVisitScheduled: 3,
+        siteVisitScheduledToProposalSent: 3,
+        proposalSentToProposalApproved: 3,
+        proposalApprovedToProjectOpen: 2,
+        projectOpenToProjectCompleted: 30,
+        createdToProjectOpen: 10,
+      });
+    });
+
+    test('should group by city without regard to case or spaces, and by period', async () => {
+      const byCity = await getFunnel({ from: '2025-03-01', to: '2025-03-31', groupBy: 'city' }).expect(httpStatus.OK);
+      const byMonth = await getFunnel({ groupBy: 'state', period: 'month' }).expect(httpStatus.OK);
+
+      expect(byCity.body.groups.map((group) => [group.city.toLowerCase(), group.leads])).toEqual([
+        ['pune', 2],
+        ['unknown', 1],
+      ]);
+      expect(byMonth.body.groups.map((group) => [group.period, group.state, group.leads])).toEqual([
+        ['2025-03', 'Unknown', 3],
+        ['2025-05', 'Unknown', 1],
+      ]);
+    });
+
+    test('should filter by lead source without regard to case', async () => {
+      const res = await getFunnel({ leadSource: 'WEBSITE' }).expect(httpStatus.OK);
+
+      expect(res.body.totals.leads).toBe(3);
+    });
+
+    test('should refuse a period that ends before it starts, and unknown dimensions', async () => {
+      await getFunnel({ from: '2025-03-31', to: '2025-03-01' }).expect(httpStatus.BAD_REQUEST);
+      await getFunnel({ groupBy: 'leadSource,owner' }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should refuse callers without manageLeads', async () => {
+      const { key: otherKey } = await insertApiKey(['getProjects']);
+
+      await request(app).get('/v1/analytics/lead-funnel').set('X-API-Key', otherKey).expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/analytics/lead-funnel/export', () => {
+    test('should send a sheet with a row per group and a total row', async () => {
+      const res = await request(app)
+        .get('/v1/analytics/lead-funnel/export')
+        .set('X-API-Key', key)
+        .query({ from: '2025-03-01', to: '2025-03-31' })
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', (chunk) => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(httpStatus.OK);
+
+      const workbook = xlsx.read(res.body, { type: 'buffer' });
+      const rows = xlsx.utils.sheet_to_json(workbook.Sheets['Lead Funnel'], { header: 1 });
+      expect(rows[0].slice(0, 3)).toEqual(['Lead Source', 'Leads', 'Site Visit Scheduled']);
+      expect(rows).toHaveLength(4);
+      expect(rows[3].slice(0, 3)).toEqual(['Total', 3, 2]);
+    });
+  });
+});
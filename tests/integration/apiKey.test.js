@@ -0,0 +1,95 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import ApiKey from '../../src/models/apiKey.model.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertAdmin, insertApiKey, password } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const getAdminToken = async () => {
+  const admin = await insertAdmin();
+  const res = await request(app).post('/v1/auth/login').send({ email: admin.email, password }).expect(httpStatus.OK);
+  return res.body.tokens.access.token;
+};
+
+describe('API key routes', () => {
+  describe('POST /v1/api-keys', () => {
+    test('should return the key once and store only its hash', async () => {
+      const token = await getAdminToken();
+
+      const res = await request(app)
+        .post('/v1/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Website', rights: ['manageLeads', 'manageLeads'] })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.key).toEqual(expect.any(String));
+      expect(res.body.apiKey.rights).toEqual(['manageLeads']);
+      expect(res.body.apiKey.keyHash).toBeUndefined();
+      const dbApiKey = await ApiKey.findById(res.body.apiKey._id);
+      expect(dbApiKey.keyHash).toEqual(expect.any(String));
+      expect(dbApiKey.keyHash).not.toBe(res.body.key);
+    });
+
+    test('should refuse rights that cannot be given to API keys', async () => {
+      const token = await getAdminToken();
+
+      await request(app)
+        .post('/v1/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Too much', rights: ['manageLeads', 'manageUsers'] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('PATCH /v1/api-keys/:apiKeyId', () => {
+    test('should store the new rights once each', async () => {
+      const token = await getAdminToken();
+      const { apiKey } = await insertApiKey(['manageLeads']);
+
+      const res = await request(app)
+        .patch(`/v1/api-keys/${apiKey._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rights: ['getProjects', 'manageLeads', 'getProjects'] })
+        .expect(httpStatus.OK);
+
+      expect(res.body.apiKey.rights).toEqual(['getProjects', 'manageLeads']);
+      expect((await ApiKey.findById(apiKey._id)).rights).toEqual(['getProjects', 'manageLeads']);
+    });
+  });
+
+  describe('Calling endpoints with a key', () => {
+    test('should reach an endpoint whose rights the key holds', async () => {
+      const { key } = await insertApiKey(['manageLeads']);
+
+      await request(app).get('/v1/jobs').set('X-API-Key', key).expect(httpStatus.OK);
+    });
+
+    test('should not reach an endpoint that requires a right the key lacks', async () => {
+      const { key } = await insertApiKey(['getProjects']);
+
+      await request(app).get('/v1/jobs').set('X-API-Key', key).expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should not reach an endpoint that requires no specific right', async () => {
+      const { key } = await insertApiKey(['manageLeads']);
+
+      await request(app).post('/v1/auth/send-verification-email').set('X-API-Key', key).expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should refuse a revoked or expired key', async () => {
+      const token = await getAdminToken();
+      const revoked = await insertApiKey(['manageLeads']);
+      const expired = await insertApiKey(['manageLeads']);
+      await request(app)
+        .delete(`/v1/api-keys/${revoked.apiKey._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(httpStatus.NO_CONTENT);
+      await ApiKey.updateOne({ _id: expired.apiKey._id }, { expiresAt: new Date(Date.now() - 60000) });
+
+      await request(app).get('/v1/jobs').set('X-API-Key', revoked.key).expect(httpStatus.UNAUTHORIZED);
+      await request(app).get('/v1/jobs').set('X-API-Key', expired.key).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import config from '../../src/config/config.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import LoginAttempt from '../../src/models/loginAttempt.model.js';
+import Token from '../../src/models/token.model.js';
+import { tokenTypes } from '../../src/config/tokens.js';
+import { transport } from '../../src/services/email.service.js';
+import { loginOutcomes } from '../../src/services/loginAudit.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertAdmin, insertUser, password } from '../fixtures/account.fixture.js';
+
+const { jest } = import.meta;
+
+setupTestDB();
+
+describe('Email verification', () => {
+  const { requireEmailVerificationRoles } = config.auth;
+  let sendMailSpy;
+
+  beforeEach(() => {
+    sendMailSpy = jest.spyOn(transport, 'sendMail').mockResolvedValue();
+    requireEmailVerificationRoles.splice(0, requireEmailVerificationRoles.length, Roles.ADMIN.toLowerCase());
+  });
+
+  afterEach(() => {
+    requireEmailVerificationRoles.splice(0, requireEmailVerificationRoles.length);
+  });
+
+  describe('POST /v1/admin/auth/login', () => {
+    const loginAdmin = (admin) => request(app).post('/v1/admin/auth/login').send({ email: admin.email, password });
+
+    test('should refuse an unverified admin and send a new verification link', async () => {
+      const admin = await insertAdmin({ isEmailVerified: false });
+
+      const res = await loginAdmin(admin).expect(httpStatus.FORBIDDEN);
+
+      expect(res.body.token).toBeUndefined();
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: admin.email }));
+      expect(await Token.countDocuments({ user: admin._id, type: tokenTypes.VERIFY_EMAIL })).toBe(1);
+      const attempt = await LoginAttempt.findOne({ principal: admin._id });
+      expect(attempt.outcome).toBe(loginOutcomes.EMAIL_UNVERIFIED);
+    });
+
+    test('should let a verified admin in', async () => {
+      const admin = await insertAdmin();
+
+      const res = await loginAdmin(admin).expect(httpStatus.OK);
+
+      expect(res.body.token).toBeDefined();
+    });
+
+    test('should let an unverified admin in when the admin role is not listed', async () => {
+      requireEmailVerificationRoles.splice(0, requireEmailVerificationRoles.length);
+      const admin = await insertAdmin({ isEmailVerified: false });
+
+      await loginAdmin(admin).expect(httpStatus.OK);
+    });
+  });
+
+  describe('POST /v1/auth/login', () => {
+    test('should let an unverified user in when only the admin role is listed', async () => {
+      const user = await insertUser({ isEmailVerified: false });
+
+      await request(app).post('/v1/auth/login').send({ email: user.email, password }).expect(httpStatus.OK);
+    });
+  });
+
+  describe('POST /v1/auth/forgot-password', () => {
+    test('should answer an unknown email like a known one without sending anything', async () => {
+      const user = await insertUser();
+
+      await request(app).post('/v1/auth/forgot-password').send({ email: user.email }).expect(httpStatus.NO_CONTENT);
+      expect(sendMailSpy).toHaveBeenCalledTimes(1);
+
+      await request(app)
+        .post('/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(httpStatus.NO_CONTENT);
+      expect(sendMailSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+});
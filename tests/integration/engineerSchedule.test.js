@@ -0,0 +1,193 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import BookingTypes from '../../src/config/enums/bookingTypes.enum.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import EngineerLeave from '../../src/models/engineerLeave.model.js';
+import Project from '../../src/models/project.model.js';
+import SiteVisit from '../../src/models/siteVisit.model.js';
+import Sitework from '../../src/models/sitework.model.js';
+import { assertEngineersAvailable } from '../../src/services/engineerSchedule.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { getAccessToken, insertAdmin, insertUser } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+// Mid-morning of days in a week far enough ahead to be free of anything else
+const day = (offset) => moment('2030-06-03T10:00:00').add(offset, 'days');
+
+describe('Site engineer schedule', () => {
+  let token;
+  let admin;
+  let project;
+  let engineer;
+
+  beforeEach(async () => {
+    admin = await insertAdmin();
+    token = await getAccessToken(admin);
+    const lead = await CustomerLead.create({
+      leadSource: 'Website',
+      customerName: faker.name.findName(),
+      mobileNumber: '9876500005',
+    });
+    project = await Project.create({ projectName: 'Villa', projectCode: faker.datatype.uuid(), lead: lead._id });
+    engineer = await insertUser({ role: Roles.SITE_ENGINEER });
+  });
+
+  const insertVisit = (offset, status = 'Scheduled') =>
+    SiteVisit.create({
+      project: project._id,
+      requirement: new mongoose.Types.ObjectId(),
+      siteEngineer: engineer._id,
+      visitDate: day(offset).toDate(),
+      status,
+    });
+
+  const insertLeave = (from, to) =>
+    EngineerLeave.create({
+      engineer: engineer._id,
+      startDate: day(from).startOf('day').toDate(),
+      endDate: day(to).endOf('day').toDate(),
+      createdBy: admin._id,
+      createdByModel: 'Admin',
+    });
+
+  const siteworkBody = (from, to) => ({
+    name: 'Foundation',
+    project: project.id,
+    startDate: day(from).toISOString(),
+    endDate: day(to).toISOString(),
+    assignedUsers: [{ user: engineer.id, assignmentAmount: 10000, perDayAmount: 2000 }],
+  });
+
+  const createSitework = (body) => request(app).post('/v1/siteworks').set('Authorization', `Bearer ${token}`).send(body);
+
+  describe('POST /v1/siteworks', () => {
+    test('should answer 409 with the clashing site visit when the engineer is booked', async () => {
+      const visit = await insertVisit(1);
+
+      const res = await createSitework(siteworkBody(0, 2)).expect(httpStatus.CONFLICT);
+
+      expect(res.body.conflicts).toHaveLength(1);
+      expect(res.body.conflicts[0].booking).toMatchObject({ engineer: engineer.id, type: BookingTypes.SITEWORK });
+      expect(res.body.conflicts[0].clashesWith).toEqual([
+        expect.objectContaining({ type: BookingTypes.SITE_VISIT, id: visit.id, status: 'Scheduled' }),
+      ]);
+      expect(res.body.conflicts[0].clashesWith[0].project).toMatchObject({ _id: project.id, projectName: 'Villa' });
+      expect(await Sitework.countDocuments()).toBe(0);
+    });
+
+    test('should answer 409 when the engineer is on leave', async () => {
+      await insertLeave(2, 4);
+
+      const res = await createSitework(siteworkBody(0, 2)).expect(httpStatus.CONFLICT);
+
+      expect(res.body.conflicts[0].clashesWith.map((booking) => booking.type)).toEqual([BookingTypes.LEAVE]);
+    });
+
+    test('should book an engineer whose visits those days are finished or on other days', async () => {
+      await insertVisit(1, 'Completed');
+      await insertVisit(3);
+      await insertLeave(4, 5);
+
+      await createSitework(siteworkBody(0, 2)).expect(httpStatus.CREATED);
+    });
+  });
+
+  describe('PUT /v1/siteworks/:id', () => {
+    test('should not let a sitework clash with itself, but refuse an end date that runs into leave', async () => {
+      const created = await createSitework(siteworkBody(0, 2)).expect(httpStatus.CREATED);
+      await insertLeave(4, 4);
+      const update = (endDate) =>
+        request(app)
+          .put(`/v1/siteworks/${created.body.data._id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Foundation', endDate });
+
+      await update(day(3).toISOString()).expect(httpStatus.OK);
+      await update(day(4).toISOString()).expect(httpStatus.CONFLICT);
+    });
+  });
+
+  describe('assertEngineersAvailable', () => {
+    test('should refuse bookings of the same request that clash with each other', async () => {
+      const booking = (from, to) => ({
+        engineer: engineer._id,
+        type: BookingTypes.SITE_VISIT,
+        start: day(from).startOf('day').toDate(),
+        end: day(to).endOf('day').toDate(),
+      });
+
+      await expect(assertEngineersAvailable([booking(0, 0), booking(1, 1)])).resolves.toBeUndefined();
+      await expect(assertEngineersAvailable([booking(0, 1), booking(1, 1)])).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        details: {
+          conflicts: [
+            expect.objectContaining({ clashesWith: [expect.objectContaining({ inThisRequest: true })] }),
+            expect.objectContaining({ clashesWith: [expect.objectContaining({ inThisRequest: true })] }),
+          ],
+        },
+      });
+    });
+  });
+
+  describe('GET /v1/users/site-engineers/availability', () => {
+    test('should give runs of free and busy days and count the free ones', async () => {
+      await insertVisit(1);
+      await insertLeave(2, 2);
+
+      const res = await request(app)
+        .get('/v1/users/site-engineers/availability')
+        .set('Authorization', `Bearer ${token}`)
+        .query({ engineers: engineer.id, from: day(0).toISOString(), to: day(4).toISOString() })
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      const [availability] = res.body.results;
+      expect(availability.engineer._id).toBe(engineer.id);
+      expect(availability.freeDays).toBe(3);
+      expect(availability.slots.map((slot) => slot.status)).toEqual(['free', 'busy', 'free']);
+      expect(availability.slots[1].bookings.map((booking) => booking.type)).toEqual([
+        BookingTypes.SITE_VISIT,
+        BookingTypes.LEAVE,
+      ]);
+    });
+
+    test('should refuse a range longer than 92 days', async () => {
+      await request(app)
+        .get('/v1/users/site-engineers/availability')
+        .set('Authorization', `Bearer ${token}`)
+        .query({ from: day(0).toISOString(), to: day(100).toISOString() })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('POST /v1/users/site-engineers/leaves', () => {
+    test('should record leave even when the engineer is booked, and return what it clashes with', async () => {
+      const visit = await insertVisit(1);
+
+      const res = await request(app)
+        .post('/v1/users/site-engineers/leaves')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ engineer: engineer.id, startDate: day(0).toISOString(), endDate: day(2).toISOString() })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.clashes.map((booking) => booking.id)).toEqual([visit.id]);
+      expect(await EngineerLeave.countDocuments({ engineer: engineer._id })).toBe(1);
+    });
+
+    test('should refuse leave for someone who is not a site engineer', async () => {
+      const architect = await insertUser({ role: Roles.ARCHITECT });
+
+      await request(app)
+        .post('/v1/users/site-engineers/leaves')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ engineer: architect.id, startDate: day(0).toISOString(), endDate: day(0).toISOString() })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import JobTypes from '../../src/config/enums/jobTypes.enum.js';
+import Job from '../../src/models/job.model.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const insertJob = (principal) =>
+  Job.create({
+    type: JobTypes.LEAD_IMPORT,
+    status: 'completed',
+    createdBy: principal._id,
+    createdByModel: principal.constructor.modelName,
+  });
+
+describe('Job routes', () => {
+  describe('GET /v1/jobs/:jobId', () => {
+    test('should let an API key with manageLeads poll the job it started', async () => {
+      const { apiKey, key } = await insertApiKey(['manageLeads']);
+      const job = await insertJob(apiKey);
+
+      const res = await request(app).get(`/v1/jobs/${job._id}`).set('X-API-Key', key).expect(httpStatus.OK);
+
+      expect(res.body.job).toMatchObject({ _id: job.id, status: 'completed' });
+    });
+
+    test('should not show an API key the jobs of another key', async () => {
+      const { apiKey } = await insertApiKey(['manageLeads']);
+      const { key } = await insertApiKey(['manageLeads']);
+      const job = await insertJob(apiKey);
+
+      await request(app).get(`/v1/jobs/${job._id}`).set('X-API-Key', key).expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should refuse an API key without manageLeads', async () => {
+      const { apiKey, key } = await insertApiKey(['getProjects']);
+      const job = await insertJob(apiKey);
+
+      await request(app).get(`/v1/jobs/${job._id}`).set('X-API-Key', key).expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/jobs', () => {
+    test('should list the jobs of the calling API key', async () => {
+      const { apiKey, key } = await insertApiKey(['manageLeads']);
+      const job = await insertJob(apiKey);
+      await insertJob((await insertApiKey(['manageLeads'])).apiKey);
+
+      const res = await request(app).get('/v1/jobs').set('X-API-Key', key).expect(httpStatus.OK);
+
+      expect(res.body.results.map((result) => result._id)).toEqual([job.id]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import LeadActivityTypes from '../../src/config/enums/leadActivityTypes.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import LeadActivity from '../../src/models/leadActivity.model.js';
+import Project from '../../src/models/project.model.js';
+import { recordLeadActivity, recordProjectActivity } from '../../src/services/leadActivity.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+describe('Lead activity timeline', () => {
+  let key;
+  let lead;
+
+  beforeEach(async () => {
+    ({ key } = await insertApiKey(['manageLeads']));
+    lead = await CustomerLead.create({
+      leadSource: 'Website',
+      customerName: faker.name.findName(),
+      mobileNumber: '9876500003',
+    });
+  });
+
+  describe('POST /v1/customer-leads/:id/activities', () => {
+    const logActivity = (body, leadId = lead._id) =>
+      request(app).post(`/v1/customer-leads/${leadId}/activities`).set('X-API-Key', key).send(body);
+
+    test('should log a call made earlier by the caller', async () => {
+      const occurredAt = moment().subtract(1, 'hour').toISOString();
+
+      const res = await logActivity({
+        type: LeadActivityTypes.CALL,
+        direction: 'outbound',
+        durationMinutes: 12,
+        outcome: 'Asked for a quote',
+        occurredAt,
+      }).expect(httpStatus.CREATED);
+
+      expect(res.body.activity).toMatchObject({
+        type: LeadActivityTypes.CALL,
+        durationMinutes: 12,
+        occurredAt,
+        performedByModel: 'ApiKey',
+      });
+    });
+
+    test('should only take notes, calls and WhatsApp conversations with the fields they have', async () => {
+      await logActivity({ type: LeadActivityTypes.LEAD_ASSIGNED, note: 'x' }).expect(httpStatus.BAD_REQUEST);
+      await logActivity({ type: LeadActivityTypes.NOTE }).expect(httpStatus.BAD_REQUEST);
+      await logActivity({ type: LeadActivityTypes.NOTE, note: 'x', direction: 'inbound' }).expect(httpStatus.BAD_REQUEST);
+      await logActivity({ type: LeadActivityTypes.WHATSAPP, note: 'x', durationMinutes: 3 }).expect(httpStatus.BAD_REQUEST);
+      await logActivity({
+        type: LeadActivityTypes.NOTE,
+        note: 'x',
+        occurredAt: moment().add(1, 'day').toISOString(),
+      }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should answer 404 for a lead that does not exist', async () => {
+      await logActivity({ type: LeadActivityTypes.NOTE, note: 'x' }, new mongoose.Types.ObjectId()).expect(
+        httpStatus.NOT_FOUND
+      );
+    });
+  });
+
+  describe('GET /v1/customer-leads/:id/activities', () => {
+    const getActivities = (query) =>
+      request(app).get(`/v1/customer-leads/${lead._id}/activities`).set('X-API-Key', key).query(query);
+
+    beforeEach(async () => {
+      // Five entries an hour apart, the newest first: note, call, whatsapp, note, lead-assigned
+      const types = [
+        LeadActivityTypes.NOTE,
+        LeadActivityTypes.CALL,
+        LeadActivityTypes.WHATSAPP,
+        LeadActivityTypes.NOTE,
+        LeadActivityTypes.LEAD_ASSIGNED,
+      ];
+      await Promise.all(
+        types.map((type, index) =>
+          recordLeadActivity(lead._id, type, { summary: `${index}`, occurredAt: moment().subtract(index, 'hours').toDate() })
+        )
+      );
+    });
+
+    test('should page through the timeline newest first', async () => {
+      const first = await getActivities({ limit: 2 }).expect(httpStatus.OK);
+      const last = await getActivities({ limit: 2, page: 3 }).expect(httpStatus.OK);
+
+      expect(first.body).toMatchObject({ page: 1, limit: 2, totalPages: 3, totalResults: 5 });
+      expect(first.body.results.map((activity) => activity.summary)).toEqual(['0', '1']);
+      expect(last.body.results.map((activity) => activity.summary)).toEqual(['4']);
+    });
+
+    test('should filter by a comma separated list of types', async () => {
+      const res = await getActivities({ type: 'note,whatsapp' }).expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(3);
+      expect(res.body.results.map((activity) => activity.type)).toEqual([
+        LeadActivityTypes.NOTE,
+        LeadActivityTypes.WHATSAPP,
+        LeadActivityTypes.NOTE,
+      ]);
+      await getActivities({ type: 'note,gossip' }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('recordProjectActivity', () => {
+    test("should put system entries on the timeline of the project's lead", async () => {
+      const project = await Project.create({ projectName: 'Villa', projectCode: faker.datatype.uuid(), lead: lead._id });
+
+      await recordProjectActivity(project._id, LeadActivityTypes.PROJECT_STATUS_CHANGED, {
+        summary: 'Project status changed from Pending to Open',
+      });
+
+      const activity = await LeadActivity.findOne({ lead: lead._id });
+      expect(activity).toMatchObject({ type: LeadActivityTypes.PROJECT_STATUS_CHANGED });
+      expect(activity.project).toEqual(project._id);
+    });
+
+    test('should not throw for a project without a lead', async () => {
+      await expect(
+        recordProjectActivity(new mongoose.Types.ObjectId(), LeadActivityTypes.PROJECT_STATUS_CHANGED)
+      ).resolves.toBeNull();
+      expect(await LeadActivity.countDocuments()).toBe(0);
+    });
+  });
+});
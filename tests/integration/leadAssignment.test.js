@@ -0,0 +1,188 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import app from '../../src/app.js';
+import LeadStages from '../../src/config/enums/leadStages.enum.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import LeadAssignmentRule from '../../src/models/leadAssignmentRule.model.js';
+import { transport } from '../../src/services/email.service.js';
+import { assignNewLead } from '../../src/services/leadAssignment.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey, insertUser } from '../fixtures/account.fixture.js';
+
+const { jest } = import.meta;
+
+setupTestDB();
+
+const insertLead = (fields = {}) =>
+  CustomerLead.create({
+    leadSource: 'Website',
+    customerName: faker.name.findName(),
+    mobileNumber: faker.phone.phoneNumber('98########'),
+    ...fields,
+  });
+
+const insertRule = (fields) => LeadAssignmentRule.create({ name: faker.lorem.words(2), ...fields });
+
+const ownerOf = async (lead) => String((await CustomerLead.findById(lead._id)).owner);
+
+describe('Lead assignment', () => {
+  let key;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    jest.spyOn(transport, 'sendMail').mockResolvedValue();
+    ({ key } = await insertApiKey(['manageLeads']));
+    first = await insertUser({ role: Roles.SALES_ADMIN });
+    second = await insertUser({ role: Roles.SALES_ADMIN });
+  });
+
+  describe('assignNewLead', () => {
+    test('should take turns between the assignees of a round-robin rule in the order it lists them', async () => {
+      await insertRule({ assignees: [second._id, first._id] });
+      const leads = [await insertLead(), await insertLead(), await insertLead()];
+
+      const owners = await leads.reduce(async (previous, lead) => {
+        const assigned = await previous;
+        const { owner } = await assignNewLead(lead);
+        return [...assigned, String(owner._id)];
+      }, Promise.resolve([]));
+
+      expect(owners).toEqual([second.id, first.id, second.id]);
+      expect(await ownerOf(leads[0])).toBe(second.id);
+    });
+
+    test('should use the first rule by priority whose territory matches the lead', async () => {
+      await insertRule({ priority: 1, assignees: [second._id] });
+      const pune = await insertRule({ priority: 0, match: { cities: ['Pune'] }, assignees: [first._id] });
+
+      const puneLead = await insertLead({ city: ' pune ' });
+      const mumbaiLead = await insertLead({ city: 'Mumbai' });
+      const assignment = await assignNewLead(puneLead);
+      await assignNewLead(mumbaiLead);
+
+      expect(assignment.rule._id).toEqual(pune._id);
+      expect(assignment.reason).toBe(`Assignment rule "${pune.name}"`);
+      expect(await ownerOf(puneLead)).toBe(first.id);
+      expect(await ownerOf(mumbaiLead)).toBe(second.id);
+    });
+
+    test('should pick the sales admin with the fewest open leads and respect the cap', async () => {
+      await insertLead({ owner: first._id });
+      await insertLead({ owner: first._id });
+      await insertLead({ owner: second._id });
+      await insertLead({ owner: second._id, stage: LeadStages.WON });
+      await insertRule({ strategy: 'least-loaded', maxOpenLeads: 2 });
+
+      expect(String((await assignNewLead(await insertLead())).owner._id)).toBe(second.id);
+      expect(await assignNewLead(await insertLead())).toBeNull();
+    });
+
+    test('should skip inactive sales admins and leave the lead unassigned when nobody is left', async () => {
+      await insertRule({ assignees: [first._id] });
+      first.isActive = false;
+      await first.save();
+      const lead = await insertLead();
+
+      expect(await assignNewLead(lead)).toBeNull();
+      expect((await CustomerLead.findById(lead._id)).owner).toBeUndefined();
+    });
+  });
+
+  describe('POST /v1/lead-assignment-rules', () => {
+    test('should only take active sales admins as assignees', async () => {
+      const architect = await insertUser({ role: Roles.ARCHITECT });
+
+      await request(app)
+        .post('/v1/lead-assignment-rules')
+        .set('X-API-Key', key)
+        .send({ name: 'Pune', assignees: [first.id, architect.id] })
+        .expect(httpStatus.BAD_REQUEST);
+      await request(app)
+        .post('/v1/lead-assignment-rules')
+        .set('X-API-Key', key)
+        .send({ name: 'Pune', match: { cities: ['Pune'] }, assignees: [first.id] })
+        .expect(httpStatus.CREATED);
+    });
+  });
+
+  describe('PATCH /v1/customer-leads/:id/owner', () => {
+    test('should hand the lead over and keep the history, newest first', async () => {
+      const lead = await insertLead();
+      const setOwner = (owner, reason) =>
+        request(app).patch(`/v1/customer-leads/${lead._id}/owner`).set('X-API-Key', key).send({ owner, reason });
+
+      await setOwner(first.id).expect(httpStatus.OK);
+      const res = await setOwner(second.id, 'On leave').expect(httpStatus.OK);
+      await setOwner(second.id).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.owner._id).toBe(second.id);
+      const history = await request(app)
+        .get(`/v1/customer-leads/${lead._id}/owner/history`)
+        .set('X-API-Key', key)
+        .expect(httpStatus.OK);
+      expect(history.body.history).toHaveLength(2);
+      expect(history.body.history[0]).toMatchObject({ reason: 'On leave', automatic: false, changedByModel: 'ApiKey' });
+      expect(history.body.history[0].owner._id).toBe(second.id);
+      expect(history.body.history[0].previousOwner._id).toBe(first.id);
+    });
+
+    test('should refuse an owner who is not a sales admin', async () => {
+      const lead = await insertLead();
+      const architect = await insertUser({ role: Roles.ARCHITECT });
+
+      await request(app)
+        .patch(`/v1/customer-leads/${lead._id}/owner`)
+        .set('X-API-Key', key)
+        .send({ owner: architect.id })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('POST /v1/customer-leads/reassign', () => {
+    test('should share the open leads out with the rules, never back to their owner, and keep closed ones', async () => {
+      const third = await insertUser({ role: Roles.SALES_ADMIN });
+      await insertRule({ assignees: [first._id, second._id, third._id] });
+      const open = [await insertLead({ owner: first._id }), await insertLead({ owner: first._id })];
+      const won = await insertLead({ owner: first._id, stage: LeadStages.WON });
+
+      const res = await request(app)
+        .post('/v1/customer-leads/reassign')
+        .set('X-API-Key', key)
+        .send({ from: first.id })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ matched: 2, reassigned: 2, unassigned: [] });
+      expect(await Promise.all(open.map(ownerOf))).toEqual([second.id, third.id]);
+      expect(await ownerOf(won)).toBe(first.id);
+    });
+
+    test('should list the leads no rule could place and leave them with their owner', async () => {
+      await insertRule({ assignees: [first._id] });
+      const lead = await insertLead({ owner: first._id });
+
+      const res = await request(app)
+        .post('/v1/customer-leads/reassign')
+        .set('X-API-Key', key)
+        .send({ from: first.id })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ matched: 1, reassigned: 0, unassigned: [lead.id] });
+      expect(await ownerOf(lead)).toBe(first.id);
+    });
+
+    test('should move the leads to the given sales admin', async () => {
+      const lead = await insertLead({ owner: first._id });
+
+      await request(app)
+        .post('/v1/customer-leads/reassign')
+        .set('X-API-Key', key)
+        .send({ from: first.id, to: second.id })
+        .expect(httpStatus.OK);
+
+      expect(await ownerOf(lead)).toBe(second.id);
+    });
+  });
+});
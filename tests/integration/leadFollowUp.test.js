@@ -0,0 +1,151 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import moment from 'moment';
+import app from '../../src/app.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import LeadFollowUp from '../../src/models/leadFollowUp.model.js';
+import { transport } from '../../src/services/email.service.js';
+import { sendDueReminders } from '../../src/services/leadFollowUp.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { getAccessToken, insertApiKey, insertUser } from '../fixtures/account.fixture.js';
+
+const { jest } = import.meta;
+
+setupTestDB();
+
+describe('Lead follow-ups', () => {
+  let key;
+  let lead;
+  let assignee;
+
+  beforeEach(async () => {
+    ({ key } = await insertApiKey(['manageLeads']));
+    lead = await CustomerLead.create({
+      leadSource: 'Website',
+      customerName: faker.name.findName(),
+      mobileNumber: '9876500002',
+    });
+    assignee = await insertUser();
+  });
+
+  const insertFollowUp = (fields = {}) =>
+    LeadFollowUp.create({
+      lead: lead._id,
+      dueAt: new Date(),
+      channel: 'call',
+      assignee: assignee._id,
+      assigneeModel: 'User',
+      ...fields,
+    });
+
+  describe('POST /v1/customer-leads/:id/follow-ups', () => {
+    test('should require an assignee when an API key schedules the follow-up', async () => {
+      await request(app)
+        .post(`/v1/customer-leads/${lead._id}/follow-ups`)
+        .set('X-API-Key', key)
+        .send({ dueAt: moment().add(1, 'day').toISOString(), channel: 'call' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should assign the follow-up to the given user', async () => {
+      const res = await request(app)
+        .post(`/v1/customer-leads/${lead._id}/follow-ups`)
+        .set('X-API-Key', key)
+        .send({ dueAt: moment().add(1, 'day').toISOString(), channel: 'whatsapp', assignee: assignee._id.toString() })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.followUp).toMatchObject({
+        assignee: assignee._id.toString(),
+        assigneeModel: 'User',
+        status: 'pending',
+        createdByModel: 'ApiKey',
+      });
+    });
+  });
+
+  describe('GET /v1/follow-ups/due-today and /overdue', () => {
+    test("should list only the user's pending follow-ups in each window", async () => {
+      const laterToday = await insertFollowUp({ dueAt: moment().endOf('day').toDate() });
+      const yesterday = await insertFollowUp({ dueAt: moment().subtract(1, 'day').toDate() });
+      await insertFollowUp({ dueAt: moment().add(1, 'day').toDate() });
+      await insertFollowUp({ dueAt: moment().subtract(1, 'day').toDate(), status: 'done' });
+      const someoneElse = await insertUser();
+      await insertFollowUp({ dueAt: moment().subtract(1, 'day').toDate(), assignee: someoneElse._id });
+      const token = await getAccessToken(assignee);
+
+      const today = await request(app)
+        .get('/v1/follow-ups/due-today')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(httpStatus.OK);
+      const overdue = await request(app)
+        .get('/v1/follow-ups/overdue')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(httpStatus.OK);
+
+      expect(today.body.results.map((followUp) => followUp._id)).toEqual([laterToday._id.toString()]);
+      expect(overdue.body.results.map((followUp) => followUp._id)).toEqual([yesterday._id.toString()]);
+      expect(overdue.body.results[0].lead.customerName).toBe(lead.customerName);
+    });
+  });
+
+  describe('PATCH, complete and cancel', () => {
+    test('should re-arm the reminder when the follow-up is rescheduled', async () => {
+      const followUp = await insertFollowUp({ remindedAt: new Date() });
+
+      await request(app)
+        .patch(`/v1/follow-ups/${followUp._id}`)
+        .set('X-API-Key', key)
+        .send({ dueAt: moment().add(2, 'days').toISOString() })
+        .expect(httpStatus.OK);
+
+      expect((await LeadFollowUp.findById(followUp._id)).remindedAt).toBeUndefined();
+    });
+
+    test('should record the outcome once and refuse further changes', async () => {
+      const followUp = await insertFollowUp();
+
+      const res = await request(app)
+        .post(`/v1/follow-ups/${followUp._id}/complete`)
+        .set('X-API-Key', key)
+        .send({ outcome: 'Booked a site visit' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.followUp).toMatchObject({
+        status: 'done',
+        outcome: 'Booked a site visit',
+        completedByModel: 'ApiKey',
+      });
+      await request(app)
+        .post(`/v1/follow-ups/${followUp._id}/complete`)
+        .set('X-API-Key', key)
+        .send({ outcome: 'Again' })
+        .expect(httpStatus.BAD_REQUEST);
+      await request(app).delete(`/v1/follow-ups/${followUp._id}`).set('X-API-Key', key).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should keep a cancelled follow-up', async () => {
+      const followUp = await insertFollowUp();
+
+      await request(app).delete(`/v1/follow-ups/${followUp._id}`).set('X-API-Key', key).expect(httpStatus.OK);
+
+      expect((await LeadFollowUp.findById(followUp._id)).status).toBe('cancelled');
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    test('should remind the assignee of follow-ups coming due once', async () => {
+      const sendMailSpy = jest.spyOn(transport, 'sendMail').mockResolvedValue();
+      const due = await insertFollowUp({ dueAt: moment().add(5, 'minutes').toDate() });
+      await insertFollowUp({ dueAt: moment().add(1, 'day').toDate() });
+      await insertFollowUp({ dueAt: new Date(), status: 'cancelled' });
+
+      expect(await sendDueReminders()).toBe(1);
+      expect(await sendDueReminders()).toBe(0);
+
+      expect(sendMailSpy).toHaveBeenCalledTimes(1);
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: assignee.email }));
+      expect((await LeadFollowUp.findById(due._id)).remindedAt).toBeInstanceOf(Date);
+    });
+  });
+});
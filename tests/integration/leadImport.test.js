@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import xlsx from 'xlsx';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import Requirement from '../../src/models/requirement.model.js';
+import { importCustomerLeadsService } from '../../src/services/customerLead.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertAdmin } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const header = 'leadSource,customerName,mobileNumber,email,projectName,requirementType,budget';
+
+describe('Lead import', () => {
+  let sheetPath;
+  let errorSheet;
+
+  const writeSheet = (lines) => {
+    sheetPath = path.join(os.tmpdir(), `lead-import-${Date.now()}.csv`);
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.writeFileSync(sheetPath, [header, ...lines].join('\n'));
+    return sheetPath;
+  };
+
+  afterEach(() => {
+    [sheetPath, errorSheet].filter(Boolean).forEach((file) => fs.rmSync(file, { force: true }));
+    errorSheet = undefined;
+  });
+
+  describe('importCustomerLeadsService with dryRun', () => {
+    test('should report what each row would do without writing anything', async () => {
+      const existing = await CustomerLead.create({
+        leadSource: 'Website',
+        customerName: 'Amit Sharma',
+        mobileNumber: '9876543210',
+      });
+      const file = writeSheet([
+        'Referral,Amit Sharma,+91 98765 43210,,Cottage Interiors,Interior Design,1500000',
+        'Direct Call,Priya Mehta,8765432109,priya@example.com,Mehta Home Renovation,Renovation,2000000',
+        'Direct Call,Priya Mehta,8765432109,priya@example.com,Mehta Garden,Landscaping,500000',
+        'Website,Ravi Kumar,7654321098,,ab,Renovation,',
+        'Website,,7000000001,,Nameless Project,Renovation,',
+        'Website,,,,Anonymous Project,Renovation,',
+      ]);
+
+      const result = await importCustomerLeadsService(file, await insertAdmin(), { dryRun: true });
+      ({ errorSheet } = result);
+
+      expect(result).toMatchObject({ dryRun: true, importedCount: 2 });
+      const byRow = Object.fromEntries(result.rows.map((rowReport) => [rowReport.row, rowReport]));
+      expect(byRow[2]).toMatchObject({ status: 'valid', action: 'add-to-existing', leadId: existing._id });
+      expect(byRow[3]).toMatchObject({ status: 'valid', action: 'create' });
+      expect(byRow[4]).toMatchObject({ status: 'valid', action: 'create' });
+      expect(byRow[5].status).toBe('rejected');
+      expect(byRow[5].errors).toEqual([expect.stringContaining('"projectName"')]);
+      expect(byRow[6].status).toBe('rejected');
+      expect(byRow[6].errors).toEqual([expect.stringContaining('"customerName"')]);
+      expect(byRow[7]).toMatchObject({
+        status: 'rejected',
+        errors: [expect.stringContaining('Missing customer identifier')],
+      });
+
+      expect(await CustomerLead.countDocuments()).toBe(1);
+      expect(await Requirement.countDocuments()).toBe(0);
+    });
+
+    test('should write the rejected rows and their errors to the error sheet', async () => {
+      const file = writeSheet([
+        'Website,Ravi Kumar,7654321098,,ab,Renovation,',
+        'Direct Call,Priya Mehta,8765432109,priya@example.com,Mehta Home Renovation,Renovation,2000000',
+      ]);
+
+      ({ errorSheet } = await importCustomerLeadsService(file, await insertAdmin(), { dryRun: true }));
+
+      const workbook = xlsx.readFile(errorSheet);
+      const rows = xlsx.utils.sheet_to_json(workbook.Sheets.Errors, { header: 1 });
+      expect(rows[0]).toEqual([...header.split(','), 'Row', 'Errors']);
+      expect(rows).toHaveLength(2);
+      expect(rows[1].slice(0, 2)).toEqual(['Website', 'Ravi Kumar']);
+      expect(rows[1][7]).toBe(2);
+      expect(rows[1][8]).toContain('"projectName"');
+    });
+
+    test('should not write an error sheet when every row is valid', async () => {
+      const file = writeSheet(['Direct Call,Priya Mehta,8765432109,,Mehta Home Renovation,Renovation,2000000']);
+
+      ({ errorSheet } = await importCustomerLeadsService(file, await insertAdmin(), { dryRun: true }));
+
+      expect(errorSheet).toBeUndefined();
+    });
+
+    test('should report progress after each customer', async () => {
+      const file = writeSheet([
+        'Direct Call,Priya Mehta,8765432109,,Mehta Home Renovation,Renovation,',
+        'Website,Ravi Kumar,7654321098,,ab,Renovation,',
+      ]);
+      const progress = [];
+
+      ({ errorSheet } = await importCustomerLeadsService(file, await insertAdmin(), {
+        dryRun: true,
+        onProgress: async (counts) => progress.push(counts),
+      }));
+
+      expect(progress).toEqual([
+        { total: 2, processed: 1, succeeded: 1, failed: 0 },
+        { total: 2, processed: 2, succeeded: 1, failed: 1 },
+      ]);
+    });
+  });
+});
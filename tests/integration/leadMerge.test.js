@@ -0,0 +1,68 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import app from '../../src/app.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import Project from '../../src/models/project.model.js';
+import { getProjectRelations, projectRelations } from '../../src/services/projectAccess.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey, insertUser } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const insertLead = (fields) =>
+  CustomerLead.create({ leadSource: 'Website', customerName: faker.name.findName(), ...fields });
+
+const insertProject = (lead) => Project.create({ projectName: 'Villa', projectCode: faker.datatype.uuid(), lead: lead._id });
+
+const merge = async (survivor, duplicates) => {
+  const { key } = await insertApiKey(['manageLeads']);
+  return request(app)
+    .post(`/v1/customer-leads/${survivor._id}/merge`)
+    .set('X-API-Key', key)
+    .send({ duplicateIds: duplicates.map((duplicate) => duplicate.id) })
+    .expect(httpStatus.OK);
+};
+
+describe('POST /v1/customer-leads/:id/merge', () => {
+  test("should keep the duplicate's customer on the projects that move to the survivor", async () => {
+    const survivor = await insertLead({ mobileNumber: '9876500001', email: 'first@example.com' });
+    const duplicate = await insertLead({ mobileNumber: '9876500002', email: 'second@example.com' });
+    const project = await insertProject(duplicate);
+    const byEmail = await insertUser({ email: 'second@example.com' });
+    const byPhone = await insertUser({ phoneNumber: '+919876500002' });
+
+    await merge(survivor, [duplicate]);
+
+    const dbSurvivor = await CustomerLead.findById(survivor._id);
+    expect(dbSurvivor.mergedEmails).toEqual(['second@example.com']);
+    expect(dbSurvivor.mergedPhoneNumbers).toEqual(['+919876500002']);
+    expect(dbSurvivor.phoneNumbers).toContain('+919876500002');
+    const movedProject = await Project.findById(project._id);
+    expect(String(movedProject.lead)).toBe(survivor.id);
+    expect(await getProjectRelations(byEmail, movedProject)).toContain(projectRelations.CUSTOMER);
+    expect(await getProjectRelations(byPhone, movedProject)).toContain(projectRelations.CUSTOMER);
+  });
+
+  test('should carry the contacts of earlier merges along', async () => {
+    const survivor = await insertLead({ mobileNumber: '9876500001' });
+    const duplicate = await insertLead({ mobileNumber: '9876500002', mergedEmails: ['older@example.com'] });
+
+    await merge(survivor, [duplicate]);
+
+    const dbSurvivor = await CustomerLead.findById(survivor._id);
+    expect(dbSurvivor.mergedEmails).toEqual(['older@example.com']);
+    expect(dbSurvivor.email).toBeUndefined();
+  });
+
+  test('should not give other customers access', async () => {
+    const survivor = await insertLead({ mobileNumber: '9876500001' });
+    const duplicate = await insertLead({ mobileNumber: '9876500002', email: 'second@example.com' });
+    const project = await insertProject(duplicate);
+    const stranger = await insertUser({ email: 'third@example.com', phoneNumber: '+919876500003' });
+
+    await merge(survivor, [duplicate]);
+
+    expect(await getProjectRelations(stranger, await Project.findById(project._id))).toEqual([]);
+  });
+});
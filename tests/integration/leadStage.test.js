@@ -0,0 +1,103 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import app from '../../src/app.js';
+import LeadStages from '../../src/config/enums/leadStages.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import LeadStage from '../../src/models/leadStage.model.js';
+import { advanceLeadStage, getStageByKey } from '../../src/services/leadStage.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertApiKey } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const insertLead = (fields) =>
+  CustomerLead.create({ leadSource: 'Website', customerName: faker.name.findName(), mobileNumber: '9876500001', ...fields });
+
+describe('Lead stages', () => {
+  let key;
+
+  beforeEach(async () => {
+    ({ key } = await insertApiKey(['manageLeads']));
+  });
+
+  const changeStage = (lead, body) =>
+    request(app).patch(`/v1/customer-leads/${lead._id}/stage`).set('X-API-Key', key).send(body);
+
+  describe('PATCH /v1/customer-leads/:id/stage', () => {
+    test('should move the lead and record who moved it', async () => {
+      const lead = await insertLead();
+
+      await changeStage(lead, { stage: LeadStages.CONTACTED, note: 'Called back' }).expect(httpStatus.OK);
+
+      const dbLead = await CustomerLead.findById(lead._id);
+      expect(dbLead.stage).toBe(LeadStages.CONTACTED);
+      expect(dbLead.stageHistory).toHaveLength(1);
+      expect(dbLead.stageHistory[0]).toMatchObject({
+        stage: LeadStages.CONTACTED,
+        fromStage: LeadStages.NEW,
+        changedByModel: 'ApiKey',
+        note: 'Called back',
+        automatic: false,
+      });
+    });
+
+    test('should require a reason to lose a lead and keep it', async () => {
+      const lead = await insertLead();
+
+      await changeStage(lead, { stage: LeadStages.LOST }).expect(httpStatus.BAD_REQUEST);
+      await changeStage(lead, { stage: LeadStages.LOST, reason: 'Budget' }).expect(httpStatus.OK);
+
+      expect((await CustomerLead.findById(lead._id)).lostReason).toBe('Budget');
+    });
+
+    test('should refuse the stage the lead is already in and unknown stages', async () => {
+      const lead = await insertLead();
+
+      await changeStage(lead, { stage: LeadStages.NEW }).expect(httpStatus.BAD_REQUEST);
+      await changeStage(lead, { stage: 'no-such-stage' }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('advanceLeadStage', () => {
+    test('should move an open lead forward', async () => {
+      const lead = await insertLead({ stage: LeadStages.CONTACTED });
+
+      expect(await advanceLeadStage(lead._id, LeadStages.PROPOSAL_SENT)).toBe(true);
+
+      const dbLead = await CustomerLead.findById(lead._id);
+      expect(dbLead.stage).toBe(LeadStages.PROPOSAL_SENT);
+      expect(dbLead.stageHistory[0]).toMatchObject({ fromStage: LeadStages.CONTACTED, automatic: true });
+    });
+
+    test('should never move a lead back or out of a closed stage', async () => {
+      const ahead = await insertLead({ stage: LeadStages.PROPOSAL_SENT });
+      const won = await insertLead({ stage: LeadStages.WON });
+
+      expect(await advanceLeadStage(ahead._id, LeadStages.SITE_VISIT_SCHEDULED)).toBe(false);
+      expect(await advanceLeadStage(won._id, LeadStages.PROPOSAL_SENT)).toBe(false);
+
+      expect((await CustomerLead.findById(ahead._id)).stage).toBe(LeadStages.PROPOSAL_SENT);
+      expect((await CustomerLead.findById(won._id)).stage).toBe(LeadStages.WON);
+    });
+  });
+
+  describe('DELETE /v1/lead-stages/:stageId', () => {
+    const deleteStage = (stage) => request(app).delete(`/v1/lead-stages/${stage._id}`).set('X-API-Key', key);
+
+    test('should refuse to delete a system stage', async () => {
+      await deleteStage(await getStageByKey(LeadStages.WON)).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should delete a stage only once no lead is in it', async () => {
+      const stage = await getStageByKey(LeadStages.QUALIFIED);
+      const lead = await insertLead({ stage: LeadStages.QUALIFIED });
+
+      await deleteStage(stage).expect(httpStatus.BAD_REQUEST);
+      await lead.deleteOne();
+      await deleteStage(stage).expect(httpStatus.NO_CONTENT);
+
+      expect(await LeadStage.findById(stage._id)).toBeNull();
+    });
+  });
+});
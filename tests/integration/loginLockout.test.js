@@ -0,0 +1,85 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import config from '../../src/config/config.js';
+import Admin from '../../src/models/admin.model.js';
+import LoginAttempt from '../../src/models/loginAttempt.model.js';
+import User from '../../src/models/user.model.js';
+import { loginOutcomes } from '../../src/services/loginAudit.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import inSequence from '../utils/inSequence.js';
+import { insertAdmin, insertUser, password } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const login = (user, userPassword = password) =>
+  request(app).post('/v1/auth/login').send({ email: user.email, password: userPassword });
+
+const loginAdmin = (admin, adminPassword = password) =>
+  request(app)
+    .post('/v1/admin/auth/login')
+    .set('User-Agent', 'lockout-test')
+    .send({ email: admin.email, password: adminPassword });
+
+describe('Login lockout', () => {
+  const { maxFailedAttempts } = config.auth.lockout;
+
+  describe('POST /v1/auth/login', () => {
+    test('should lock the account once the failed logins reach the limit', async () => {
+      const user = await insertUser();
+
+      const failures = await inSequence(maxFailedAttempts - 1, () => login(user, 'wrongPassword1'));
+      failures.forEach((res) => expect(res.status).toBe(httpStatus.UNAUTHORIZED));
+      await login(user, 'wrongPassword1').expect(httpStatus.LOCKED);
+
+      const dbUser = await User.findById(user._id);
+      expect(dbUser.lockUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should refuse the right password while the account is locked', async () => {
+      const user = await insertUser({ lockUntil: new Date(Date.now() + 10 * 60000) });
+
+      await login(user).expect(httpStatus.LOCKED);
+    });
+
+    test('should accept the right password once the lock has expired', async () => {
+      const user = await insertUser({ lockUntil: new Date(Date.now() - 60000) });
+
+      const res = await login(user).expect(httpStatus.OK);
+
+      expect(res.body.tokens).toBeDefined();
+    });
+  });
+
+  describe('POST /v1/admin/auth/login', () => {
+    test('should record every attempt with the caller details', async () => {
+      const admin = await insertAdmin();
+
+      await loginAdmin(admin, 'wrongPassword1').expect(httpStatus.UNAUTHORIZED);
+      await loginAdmin(admin).expect(httpStatus.OK);
+
+      const attempts = await LoginAttempt.find({ principal: admin._id }).sort({ createdAt: 1 });
+      expect(attempts.map((attempt) => attempt.outcome)).toEqual([loginOutcomes.INVALID_CREDENTIALS, loginOutcomes.SUCCESS]);
+      expect(attempts[0]).toMatchObject({ principalModel: 'Admin', userAgent: 'lockout-test' });
+    });
+
+    test('should answer an unknown email the same way as a wrong password', async () => {
+      const admin = await insertAdmin();
+
+      const unknown = await loginAdmin({ email: 'nobody@example.com' }).expect(httpStatus.UNAUTHORIZED);
+      const wrong = await loginAdmin(admin, 'wrongPassword1').expect(httpStatus.UNAUTHORIZED);
+
+      expect(unknown.body.message).toBe(wrong.body.message);
+    });
+
+    test('should lock the admin once the failed logins reach the limit', async () => {
+      const admin = await insertAdmin();
+
+      await inSequence(maxFailedAttempts - 1, () => loginAdmin(admin, 'wrongPassword1'));
+      await loginAdmin(admin, 'wrongPassword1').expect(httpStatus.LOCKED);
+
+      await loginAdmin(admin).expect(httpStatus.LOCKED);
+      expect((await Admin.findById(admin._id)).lockUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import config from '../../src/config/config.js';
+import sms from '../../src/factory/sms.factory.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import inSequence from '../utils/inSequence.js';
+import { insertUser } from '../fixtures/account.fixture.js';
+
+const { jest } = import.meta;
+
+setupTestDB();
+
+describe('OTP login', () => {
+  const nationalNumber = '9876543210';
+  let sentMessages;
+
+  beforeEach(() => {
+    sentMessages = [];
+    jest.spyOn(sms, 'sendSms').mockImplementation(async (to, message) => {
+      sentMessages.push({ to, message });
+      return { provider: 'test', to };
+    });
+  });
+
+  const insertCustomer = () => insertUser({ phoneNumber: `+${config.phone.defaultCountryCode}${nationalNumber}` });
+
+  const requestOtp = () => request(app).post('/v1/auth/otp/request').send({ mobileNumber: nationalNumber });
+
+  const verifyOtp = (otp) => request(app).post('/v1/auth/otp/verify').send({ mobileNumber: nationalNumber, otp });
+
+  const sentCode = () => /^(\d+)/.exec(sentMessages[sentMessages.length - 1].message)[1];
+
+  test('should send a code by SMS and log in with it', async () => {
+    const user = await insertCustomer();
+
+    await requestOtp().expect(httpStatus.OK);
+    expect(sentMessages).toHaveLength(1);
+    expect(sentMessages[0].to).toBe(user.phoneNumber);
+
+    const res = await verifyOtp(sentCode()).expect(httpStatus.OK);
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.tokens.access.token).toBeDefined();
+  });
+
+  test('should not accept the same code twice', async () => {
+    await insertCustomer();
+    await requestOtp().expect(httpStatus.OK);
+    const code = sentCode();
+
+    await verifyOtp(code).expect(httpStatus.OK);
+    await verifyOtp(code).expect(httpStatus.BAD_REQUEST);
+  });
+
+  test('should invalidate the code after too many wrong attempts', async () => {
+    await insertCustomer();
+    await requestOtp().expect(httpStatus.OK);
+    const code = sentCode();
+    const wrongCode = (code[0] === '0' ? '1' : '0').repeat(code.length);
+
+    const failures = await inSequence(config.otp.maxAttempts, () => verifyOtp(wrongCode));
+    failures.forEach((res) => expect(res.status).toBe(httpStatus.BAD_REQUEST));
+
+    await verifyOtp(code).expect(httpStatus.TOO_MANY_REQUESTS);
+  });
+
+  test('should not send another code within the resend interval', async () => {
+    await insertCustomer();
+    await requestOtp().expect(httpStatus.OK);
+
+    await requestOtp().expect(httpStatus.TOO_MANY_REQUESTS);
+    expect(sentMessages).toHaveLength(1);
+  });
+
+  test('should return 404 for a number without a customer account', async () => {
+    await requestOtp().expect(httpStatus.NOT_FOUND);
+    expect(sentMessages).toHaveLength(0);
+  });
+});
@@ -0,0 +1,118 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import Project from '../../src/models/project.model.js';
+import Requirement from '../../src/models/requirement.model.js';
+import Sitework from '../../src/models/sitework.model.js';
+import { canAccessProject } from '../../src/services/projectAccess.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { getAccessToken, insertAdmin, insertApiKey, insertUser } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+describe('Project access policy', () => {
+  let lead;
+  let project;
+
+  beforeEach(async () => {
+    lead = await CustomerLead.create({
+      leadSource: 'Website',
+      customerName: faker.name.findName(),
+      mobileNumber: '9876500001',
+      email: 'customer@example.com',
+    });
+    project = await Project.create({ projectName: 'Villa', projectCode: faker.datatype.uuid(), lead: lead._id });
+  });
+
+  // GET /v1/messages/project/:projectId goes through the policy and needs no right of its own
+  const getMessages = async (principal, projectId = project._id) =>
+    request(app)
+      .get(`/v1/messages/project/${projectId}`)
+      .set('Authorization', `Bearer ${await getAccessToken(principal)}`);
+
+  test('should let admins into every project', async () => {
+    await getMessages(await insertAdmin()).expect(httpStatus.OK);
+    await getMessages(await insertUser({ role: Roles.SALES_ADMIN })).expect(httpStatus.OK);
+  });
+
+  test('should let the architect and the assigned site engineers in', async () => {
+    const architect = await insertUser({ role: Roles.ARCHITECT });
+    const engineer = await insertUser({ role: Roles.SITE_ENGINEER });
+    await Project.updateOne({ _id: project._id }, { architect: architect._id, assignedSiteEngineer: [engineer._id] });
+
+    await getMessages(architect).expect(httpStatus.OK);
+    await getMessages(engineer).expect(httpStatus.OK);
+  });
+
+  test('should let architects with an open proposal in, and not once they withdrew it', async () => {
+    const proposer = await insertUser({ role: Roles.ARCHITECT });
+    const withdrawn = await insertUser({ role: Roles.ARCHITECT });
+    const proposal = { proposedCharges: 50000, deliveryTimelineDays: 30 };
+    await Project.updateOne(
+      { _id: project._id },
+      {
+        proposals: [
+          { ...proposal, architect: proposer._id, email: proposer.email },
+          { ...proposal, architect: withdrawn._id, email: withdrawn.email, status: 'Withdrawn' },
+        ],
+      }
+    );
+
+    await getMessages(proposer).expect(httpStatus.OK);
+    await getMessages(withdrawn).expect(httpStatus.FORBIDDEN);
+  });
+
+  test('should let users assigned to a sitework of the project in', async () => {
+    const worker = await insertUser({ role: Roles.WORKER });
+    await Sitework.create({
+      name: 'Foundation',
+      project: project._id,
+      assignedUsers: [{ user: worker._id }],
+      createdBy: new mongoose.Types.ObjectId(),
+      createdByModel: 'Admin',
+    });
+
+    await getMessages(worker).expect(httpStatus.OK);
+  });
+
+  test("should let the lead's customer in by email or phone number", async () => {
+    await getMessages(await insertUser({ email: 'customer@example.com' })).expect(httpStatus.OK);
+    await getMessages(await insertUser({ phoneNumber: '+91 98765 00001' })).expect(httpStatus.OK);
+  });
+
+  test('should let users with an active share of the requirement in, and not once it expired', async () => {
+    const active = await insertUser();
+    const expired = await insertUser();
+    const sharedBy = new mongoose.Types.ObjectId();
+    await Requirement.create({
+      lead: lead._id,
+      project: project._id,
+      sharedWith: [
+        { user: active._id, sharedBy },
+        { user: expired._id, sharedBy, expiresAt: new Date(Date.now() - 60000) },
+      ],
+    });
+
+    await getMessages(active).expect(httpStatus.OK);
+    await getMessages(expired).expect(httpStatus.FORBIDDEN);
+  });
+
+  test('should keep everyone else out', async () => {
+    await getMessages(await insertUser()).expect(httpStatus.FORBIDDEN);
+    await getMessages(await insertUser({ role: Roles.ARCHITECT })).expect(httpStatus.FORBIDDEN);
+  });
+
+  test('should answer 404 for a project that does not exist', async () => {
+    await getMessages(await insertAdmin(), new mongoose.Types.ObjectId()).expect(httpStatus.NOT_FOUND);
+  });
+
+  test('should let API keys in, as their rights already limit them', async () => {
+    const { apiKey } = await insertApiKey(['getProjects']);
+
+    expect(await canAccessProject(apiKey, project._id)).toBe(true);
+  });
+});
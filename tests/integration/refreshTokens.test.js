@@ -0,0 +1,70 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import Token from '../../src/models/token.model.js';
+import { tokenTypes } from '../../src/config/tokens.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import inSequence from '../utils/inSequence.js';
+import { insertAdmin, insertUser, password } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const login = (user) => request(app).post('/v1/auth/login').send({ email: user.email, password });
+
+const refresh = (refreshToken) => request(app).post('/v1/auth/refresh-tokens').send({ refreshToken });
+
+describe('POST /v1/auth/refresh-tokens', () => {
+  test('should rotate the refresh token on every use', async () => {
+    const user = await insertUser();
+    const { body } = await login(user).expect(httpStatus.OK);
+
+    const res = await refresh(body.tokens.refresh.token).expect(httpStatus.OK);
+
+    expect(res.body.tokens.refresh.token).not.toBe(body.tokens.refresh.token);
+    const oldTokenDoc = await Token.findOne({ token: body.tokens.refresh.token });
+    expect(oldTokenDoc.blacklisted).toBe(true);
+    expect(await Token.exists({ token: res.body.tokens.refresh.token, blacklisted: false })).toBeTruthy();
+  });
+
+  test('should issue different refresh tokens for logins in the same second', async () => {
+    const user = await insertUser();
+    const [first, second] = await inSequence(2, () => login(user).expect(httpStatus.OK));
+
+    expect(first.body.tokens.refresh.token).not.toBe(second.body.tokens.refresh.token);
+  });
+
+  test('should revoke the whole token family when a rotated refresh token is used again', async () => {
+    const user = await insertUser();
+    const { body } = await login(user).expect(httpStatus.OK);
+    const rotated = await refresh(body.tokens.refresh.token).expect(httpStatus.OK);
+
+    await refresh(body.tokens.refresh.token).expect(httpStatus.UNAUTHORIZED);
+
+    await refresh(rotated.body.tokens.refresh.token).expect(httpStatus.UNAUTHORIZED);
+    expect(await Token.exists({ user: user._id, type: tokenTypes.REFRESH, blacklisted: false })).toBeNull();
+  });
+
+  test('should rotate a refresh token only once when it is used twice at the same time', async () => {
+    const user = await insertUser();
+    const { body } = await login(user).expect(httpStatus.OK);
+
+    const responses = await Promise.all([refresh(body.tokens.refresh.token), refresh(body.tokens.refresh.token)]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([httpStatus.OK, httpStatus.UNAUTHORIZED]);
+  });
+
+  test('should refresh the tokens of an admin', async () => {
+    const admin = await insertAdmin();
+    const { body } = await login(admin).expect(httpStatus.OK);
+
+    const res = await refresh(body.tokens.refresh.token).expect(httpStatus.OK);
+
+    const newTokenDoc = await Token.findOne({ token: res.body.tokens.refresh.token });
+    expect(newTokenDoc).toMatchObject({ userModel: 'Admin', family: expect.any(String) });
+    expect(String(newTokenDoc.user)).toBe(admin.id);
+  });
+
+  test('should return 401 for a token that is not a stored refresh token', async () => {
+    await refresh('not-a-token').expect(httpStatus.UNAUTHORIZED);
+  });
+});
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import AreaUnits from '../../src/config/enums/areaUnits.enum.js';
+import RequirementRevisionSources from '../../src/config/enums/requirementRevisionSources.enum.js';
+import Requirement from '../../src/models/requirement.model.js';
+import RequirementRevision from '../../src/models/requirementRevision.model.js';
+import { recordRequirementRevision, snapshotRequirement } from '../../src/services/requirementRevision.service.js';
+import { migrateScpData } from '../../src/services/scpData.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+
+setupTestDB();
+
+const insertRequirement = (fields) =>
+  Requirement.create({ lead: new mongoose.Types.ObjectId(), projectName: 'Villa', budget: '10 lakh', ...fields });
+
+const revisionNumbers = async (requirement) =>
+  (await RequirementRevision.find({ requirement: requirement._id }).sort({ number: 1 })).map((revision) => revision.number);
+
+describe('Requirement revisions', () => {
+  describe('recordRequirementRevision', () => {
+    test('should give concurrent changes their own numbers', async () => {
+      const requirement = await insertRequirement();
+      const before = snapshotRequirement(requirement);
+
+      await Promise.all(
+        ['11 lakh', '12 lakh', '13 lakh', '14 lakh'].map((budget) =>
+          recordRequirementRevision({ ...requirement.toObject(), budget }, before, {
+            source: RequirementRevisionSources.MANUAL,
+          })
+        )
+      );
+
+      // The first change also keeps what the requirement looked like before it
+      expect(await revisionNumbers(requirement)).toEqual([1, 2, 3, 4, 5]);
+      expect((await Requirement.findById(requirement._id)).revisionCount).toBe(5);
+    });
+
+    test('should carry on from the latest revision of a requirement revised before the count was kept', async () => {
+      const requirement = await insertRequirement();
+      await RequirementRevision.create({
+        requirement: requirement._id,
+        number: 3,
+        source: RequirementRevisionSources.MANUAL,
+        snapshot: snapshotRequirement(requirement),
+      });
+
+      const revision = await recordRequirementRevision(
+        { ...requirement.toObject(), budget: '20 lakh' },
+        snapshotRequirement(requirement),
+        { source: RequirementRevisionSources.MANUAL }
+      );
+
+      expect(revision.number).toBe(4);
+    });
+  });
+
+  describe('migrateScpData', () => {
+    test('should keep a migration revision of every requirement it converts', async () => {
+      const author = new mongoose.Types.ObjectId();
+      const { insertedId } = await Requirement.collection.insertOne({
+        lead: new mongoose.Types.ObjectId(),
+        projectName: 'Villa',
+        scpData: { plotSize: '5,000 sq ft' },
+      });
+
+      await migrateScpData({ author, authorModel: 'Admin' });
+
+      const revisions = await RequirementRevision.find({ requirement: insertedId }).sort({ number: 1 });
+      expect(revisions.map((revision) => revision.source)).toEqual([
+        RequirementRevisionSources.BASELINE,
+        RequirementRevisionSources.MIGRATION,
+      ]);
+      expect(String(revisions[1].author)).toBe(String(author));
+      expect(revisions[1].toObject().changes).toEqual([
+        expect.objectContaining({
+          path: 'scpData.plotSize',
+          from: '5,000 sq ft',
+          to: { value: 5000, unit: AreaUnits.SQ_FT },
+        }),
+      ]);
+    });
+
+    test('should not keep revisions on a dry run', async () => {
+      const { insertedId } = await Requirement.collection.insertOne({
+        lead: new mongoose.Types.ObjectId(),
+        scpData: { plotSize: '5,000 sq ft' },
+      });
+
+      await migrateScpData({ dryRun: true });
+
+      expect(await RequirementRevision.countDocuments({ requirement: insertedId })).toBe(0);
+    });
+  });
+});
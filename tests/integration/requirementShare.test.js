@@ -0,0 +1,163 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import faker from 'faker';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import LeadActivityTypes from '../../src/config/enums/leadActivityTypes.enum.js';
+import CustomerLead from '../../src/models/customerLead.model.js';
+import LeadActivity from '../../src/models/leadActivity.model.js';
+import Requirement from '../../src/models/requirement.model.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { getAccessToken, insertApiKey, insertUser } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+describe('Requirement shares', () => {
+  let key;
+  let lead;
+  let requirement;
+  let user;
+  let sharesUrl;
+
+  const insertShare = async (share) => {
+    requirement.sharedWith.push({ user: user._id, sharedBy: new mongoose.Types.ObjectId(), ...share });
+    await requirement.save();
+  };
+
+  const openShared = async (principal = user) =>
+    request(app)
+      .get(`/v1/users/me/shared-requirements/${requirement._id}`)
+      .set('Authorization', `Bearer ${await getAccessToken(principal)}`);
+
+  beforeEach(async () => {
+    ({ key } = await insertApiKey(['manageLeads']));
+    lead = await CustomerLead.create({
+      leadSource: 'Website',
+      customerName: faker.name.findName(),
+      mobileNumber: '9876500004',
+    });
+    requirement = await Requirement.create({ lead: lead._id, projectName: 'Villa' });
+    user = await insertUser();
+    sharesUrl = `/v1/customer-leads/${lead._id}/requirements/${requirement._id}`;
+  });
+
+  describe('POST /v1/customer-leads/:leadId/requirements/:requirementId/share', () => {
+    const share = (body) => request(app).post(`${sharesUrl}/share`).set('X-API-Key', key).send(body);
+
+    test('should share until the given time and record it on the timeline', async () => {
+      const expiresAt = moment().add(1, 'day').toISOString();
+
+      await share({ userIds: [user.id], expiresAt }).expect(httpStatus.OK);
+
+      const [saved] = (await Requirement.findById(requirement._id)).sharedWith;
+      expect(saved).toMatchObject({ isSeen: false });
+      expect(saved.expiresAt.toISOString()).toBe(expiresAt);
+      expect(await LeadActivity.countDocuments({ lead: lead._id, type: LeadActivityTypes.REQUIREMENT_SHARED })).toBe(1);
+    });
+
+    test('should refuse an expiry in the past', async () => {
+      await share({ userIds: [user.id], expiresAt: moment().subtract(1, 'day').toISOString() }).expect(
+        httpStatus.BAD_REQUEST
+      );
+    });
+
+    test('should give a fresh share to a user whose share expired', async () => {
+      await insertShare({ expiresAt: moment().subtract(1, 'day').toDate(), isSeen: true, seenAt: new Date() });
+
+      await share({ userIds: [user.id] }).expect(httpStatus.OK);
+
+      const shares = (await Requirement.findById(requirement._id)).sharedWith;
+      expect(shares).toHaveLength(1);
+      expect(shares[0].expiresAt).toBeUndefined();
+      expect(shares[0].isSeen).toBe(false);
+    });
+  });
+
+  describe('GET /v1/customer-leads/:leadId/requirements/:requirementId/access', () => {
+    test('should hide expired shares unless asked for them', async () => {
+      const other = await insertUser();
+      await insertShare({ expiresAt: moment().subtract(1, 'hour').toDate() });
+      await insertShare({ user: other._id });
+
+      const active = await request(app).get(`${sharesUrl}/access`).set('X-API-Key', key).expect(httpStatus.OK);
+      const all = await request(app)
+        .get(`${sharesUrl}/access`)
+        .query({ includeExpired: true })
+        .set('X-API-Key', key)
+        .expect(httpStatus.OK);
+
+      expect(active.body.results.map((entry) => [entry.user._id, entry.expired])).toEqual([[other.id, false]]);
+      expect(all.body.results.map((entry) => [entry.user._id, entry.expired])).toEqual([
+        [user.id, true],
+        [other.id, false],
+      ]);
+    });
+  });
+
+  describe('PATCH and DELETE /v1/customer-leads/:leadId/requirements/:requirementId/share/:userId', () => {
+    test('should extend a share until revoked', async () => {
+      await insertShare({ expiresAt: moment().add(1, 'hour').toDate() });
+
+      await request(app)
+        .patch(`${sharesUrl}/share/${user.id}`)
+        .set('X-API-Key', key)
+        .send({ expiresAt: null })
+        .expect(httpStatus.OK);
+
+      expect((await Requirement.findById(requirement._id)).sharedWith[0].expiresAt).toBeUndefined();
+    });
+
+    test('should answer 404 for a user the requirement is not shared with', async () => {
+      await request(app)
+        .patch(`${sharesUrl}/share/${user.id}`)
+        .set('X-API-Key', key)
+        .send({ expiresAt: moment().add(1, 'day').toISOString() })
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should revoke the share, take access away and record it on the timeline', async () => {
+      await insertShare();
+      await openShared().expect(httpStatus.OK);
+
+      await request(app).delete(`${sharesUrl}/share/${user.id}`).set('X-API-Key', key).expect(httpStatus.NO_CONTENT);
+
+      await openShared().expect(httpStatus.NOT_FOUND);
+      expect(await LeadActivity.countDocuments({ lead: lead._id, type: LeadActivityTypes.REQUIREMENT_SHARE_REVOKED })).toBe(
+        1
+      );
+      await request(app).delete(`${sharesUrl}/share/${user.id}`).set('X-API-Key', key).expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('GET /v1/users/me/shared-requirements/:requirementId', () => {
+    test('should mark the share as seen the first time it is opened', async () => {
+      await insertShare();
+
+      const first = await openShared().expect(httpStatus.OK);
+      const second = await openShared().expect(httpStatus.OK);
+
+      expect(first.body.data.share.isSeen).toBe(true);
+      expect(second.body.data.share.seenAt).toBe(first.body.data.share.seenAt);
+      expect(first.body.data.sharedWith).toBeUndefined();
+      expect((await Requirement.findById(requirement._id)).sharedWith[0].isSeen).toBe(true);
+    });
+
+    test('should not open an expired share or list it', async () => {
+      await insertShare({ expiresAt: moment().subtract(1, 'minute').toDate() });
+
+      await openShared().expect(httpStatus.NOT_FOUND);
+      const res = await request(app)
+        .get('/v1/users/me/shared-requirements')
+        .set('Authorization', `Bearer ${await getAccessToken(user)}`)
+        .expect(httpStatus.OK);
+      expect(res.body.data).toEqual([]);
+    });
+
+    test('should not open a requirement shared with someone else', async () => {
+      await insertShare();
+
+      await openShared(await insertUser()).expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
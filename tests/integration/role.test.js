@@ -0,0 +1,86 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import Role from '../../src/models/role.model.js';
+import { getRoleRightsMap, invalidateRoleCache } from '../../src/services/role.service.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { getAccessToken, insertAdmin, insertUser } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+describe('Roles', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    adminToken = await getAccessToken(await insertAdmin());
+    // The database is emptied between tests, so the roles are seeded again from config/roles.js
+    invalidateRoleCache();
+    await getRoleRightsMap();
+  });
+
+  const createRole = (body) => request(app).post('/v1/roles').set('Authorization', `Bearer ${adminToken}`).send(body);
+
+  const updateRole = (role, body) =>
+    request(app).patch(`/v1/roles/${role._id}`).set('Authorization', `Bearer ${adminToken}`).send(body);
+
+  const deleteRole = (role) => request(app).delete(`/v1/roles/${role._id}`).set('Authorization', `Bearer ${adminToken}`);
+
+  // GET /v1/jobs needs manageLeads
+  const callWithManageLeads = async (user) =>
+    request(app)
+      .get('/v1/jobs')
+      .set('Authorization', `Bearer ${await getAccessToken(user)}`);
+
+  describe('auth() with stored roles', () => {
+    test('should apply a change to a role on the next request', async () => {
+      await createRole({ name: 'estimator', rights: ['manageLeads'] }).expect(httpStatus.CREATED);
+      const user = await insertUser({ role: 'estimator' });
+      await callWithManageLeads(user).expect(httpStatus.OK);
+
+      const role = await Role.findOne({ name: 'estimator' });
+      await updateRole(role, { rights: ['getProjects'] }).expect(httpStatus.OK);
+
+      await callWithManageLeads(user).expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should add the extra rights of a user and remove the denied ones', async () => {
+      await createRole({ name: 'estimator', rights: ['manageLeads'] }).expect(httpStatus.CREATED);
+      const granted = await insertUser({ extraRights: ['manageLeads'] });
+      const denied = await insertUser({ role: 'estimator', deniedRights: ['manageLeads'] });
+
+      await callWithManageLeads(granted).expect(httpStatus.OK);
+      await callWithManageLeads(denied).expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/roles', () => {
+    test('should refuse unknown rights and existing names', async () => {
+      await createRole({ name: 'estimator', rights: ['manageEverything'] }).expect(httpStatus.BAD_REQUEST);
+      await createRole({ name: 'user', rights: [] }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('PATCH /v1/roles/:roleId', () => {
+    test('should keep manageRoles on the admin role', async () => {
+      const admin = await Role.findOne({ name: 'admin' });
+
+      await updateRole(admin, { rights: ['manageUsers'] }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/roles/:roleId', () => {
+    test('should refuse to delete a system role', async () => {
+      await deleteRole(await Role.findOne({ name: 'user' })).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should delete a role only once no user has it, whatever the case of the name', async () => {
+      await createRole({ name: 'estimator', rights: [] }).expect(httpStatus.CREATED);
+      const role = await Role.findOne({ name: 'estimator' });
+      const user = await insertUser({ role: 'Estimator' });
+
+      await deleteRole(role).expect(httpStatus.BAD_REQUEST);
+      await user.deleteOne();
+      await deleteRole(role).expect(httpStatus.NO_CONTENT);
+    });
+  });
+});
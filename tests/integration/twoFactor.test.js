@@ -0,0 +1,96 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import app from '../../src/app.js';
+import config from '../../src/config/config.js';
+import Role from '../../src/models/role.model.js';
+import Roles from '../../src/config/enums/roles.enum.js';
+import { generateCode, getTimeStep } from '../../src/utils/totp.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { insertUser, password } from '../fixtures/account.fixture.js';
+
+setupTestDB();
+
+const login = (user) => request(app).post('/v1/auth/login').send({ email: user.email, password });
+
+describe('Two-factor authentication', () => {
+  const completeLogin = (challengeToken, code) => request(app).post('/v1/auth/login/2fa').send({ challengeToken, code });
+
+  // Turns 2FA on through the API and returns the secret, the time step of the code used and the backup codes
+  const enableTwoFactor = async (user) => {
+    const step = getTimeStep();
+    const { body } = await login(user).expect(httpStatus.OK);
+    const accessToken = body.tokens.access.token;
+    const setup = await request(app)
+      .post('/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(httpStatus.OK);
+    const enabled = await request(app)
+      .post('/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: generateCode(setup.body.secret, step) })
+      .expect(httpStatus.OK);
+    return { secret: setup.body.secret, step, backupCodes: enabled.body.backupCodes };
+  };
+
+  test('should answer a password login with a challenge instead of tokens', async () => {
+    const user = await insertUser();
+    await enableTwoFactor(user);
+
+    const res = await login(user).expect(httpStatus.OK);
+
+    expect(res.body).toMatchObject({ twoFactorRequired: true, enrolmentRequired: false });
+    expect(res.body.challengeToken).toBeDefined();
+    expect(res.body.tokens).toBeUndefined();
+  });
+
+  test('should complete the login with a code from the authenticator app, once per time step', async () => {
+    const user = await insertUser();
+    const { secret, step } = await enableTwoFactor(user);
+    const { body } = await login(user).expect(httpStatus.OK);
+
+    // The code of this step was used to enable 2FA
+    await completeLogin(body.challengeToken, generateCode(secret, step)).expect(httpStatus.UNAUTHORIZED);
+
+    const res = await completeLogin(body.challengeToken, generateCode(secret, step + 1)).expect(httpStatus.OK);
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.tokens.refresh.token).toBeDefined();
+  });
+
+  test('should accept each backup code once', async () => {
+    const user = await insertUser();
+    const { backupCodes } = await enableTwoFactor(user);
+    expect(backupCodes).toHaveLength(config.auth.twoFactor.backupCodes);
+
+    const first = await login(user).expect(httpStatus.OK);
+    await completeLogin(first.body.challengeToken, backupCodes[0]).expect(httpStatus.OK);
+
+    const second = await login(user).expect(httpStatus.OK);
+    await completeLogin(second.body.challengeToken, backupCodes[0]).expect(httpStatus.UNAUTHORIZED);
+  });
+
+  test('should not accept a challenge token once the login is complete', async () => {
+    const user = await insertUser();
+    const { backupCodes } = await enableTwoFactor(user);
+    const { body } = await login(user).expect(httpStatus.OK);
+
+    await completeLogin(body.challengeToken, backupCodes[0]).expect(httpStatus.OK);
+    await completeLogin(body.challengeToken, backupCodes[1]).expect(httpStatus.UNAUTHORIZED);
+  });
+
+  test('should make users of a role that requires 2FA enrol while logging in', async () => {
+    await Role.create({ name: Roles.SITE_ENGINEER, rights: [], requireTwoFactor: true });
+    const user = await insertUser({ role: Roles.SITE_ENGINEER });
+
+    const { body } = await login(user).expect(httpStatus.OK);
+    expect(body).toMatchObject({ twoFactorRequired: true, enrolmentRequired: true });
+
+    const setup = await request(app)
+      .post('/v1/auth/login/2fa/setup')
+      .send({ challengeToken: body.challengeToken })
+      .expect(httpStatus.OK);
+    const res = await completeLogin(body.challengeToken, generateCode(setup.body.secret)).expect(httpStatus.OK);
+
+    expect(res.body.tokens.access.token).toBeDefined();
+    expect(res.body.backupCodes).toHaveLength(config.auth.twoFactor.backupCodes);
+  });
+});
@@ -0,0 +1,55 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import socketManager from '../../../src/config/socket.js';
+import { tokenTypes } from '../../../src/config/tokens.js';
+import { generateToken } from '../../../src/services/token.service.js';
+
+describe('Socket authentication', () => {
+  let authenticate;
+
+  beforeAll(() => {
+    socketManager.io = {
+      use: (middleware) => {
+        authenticate = middleware;
+      },
+    };
+    socketManager.setupMiddleware();
+  });
+
+  afterAll(() => {
+    socketManager.io = null;
+  });
+
+  const connect = (token) =>
+    new Promise((resolve) => {
+      const socket = { handshake: { auth: { token }, headers: {} }, data: {} };
+      authenticate(socket, (error) => resolve({ socket, error }));
+    });
+
+  const userId = new mongoose.Types.ObjectId().toString();
+  const expires = moment().add(10, 'minutes');
+
+  test('should accept an access token', async () => {
+    const { socket, error } = await connect(generateToken(userId, expires, tokenTypes.ACCESS, { role: 'user' }));
+
+    expect(error).toBeUndefined();
+    expect(socket.userId).toBe(userId);
+  });
+
+  test('should refuse tokens of other types signed with the same secret', async () => {
+    const types = [tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL];
+
+    const results = await Promise.all(types.map((type) => connect(generateToken(userId, expires, type, { role: 'user' }))));
+
+    results.forEach(({ socket, error }) => {
+      expect(error).toEqual(new Error('Authentication error: Invalid token'));
+      expect(socket.userId).toBeUndefined();
+    });
+  });
+
+  test('should refuse a missing token', async () => {
+    const { error } = await connect(undefined);
+
+    expect(error).toEqual(new Error('Authentication error: No token provided'));
+  });
+});
@@ -0,0 +1,73 @@
+import { PassThrough, Readable } from 'stream';
+import httpStatus from 'http-status';
+import config from '../../../src/config/config.js';
+import { createExport } from '../../../src/services/export.service.js';
+
+const columns = [
+  { key: 'name', header: 'Name', value: (doc) => doc.name },
+  { key: 'notes', header: 'Notes', value: (doc) => doc.notes },
+];
+
+// A response that keeps what is written to it
+const createResponse = () => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.setHeader = () => {};
+  res.removeHeader = () => {};
+  res.body = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+};
+
+const exportCsv = async (docs) => {
+  const file = createExport({
+    title: 'Leads',
+    fileName: 'leads',
+    columns,
+    format: 'csv',
+    total: docs.length,
+    cursor: () => Readable.from(docs),
+  });
+  const res = createResponse();
+  await file.send(res);
+  return res
+    .body()
+    .replace(/^\ufeff/, '')
+    .split('\r\n');
+};
+
+describe('Export service', () => {
+  describe('createExport', () => {
+    test('should put a quote in front of CSV cells a spreadsheet would run as a formula', async () => {
+      const lines = await exportCsv([
+        { name: '=HYPERLINK("http://evil.example","Click")', notes: '+91 98765 43210' },
+        { name: '-2+3', notes: '@SUM(A1:A2)' },
+        { name: '\tTabbed', notes: '\rReturn' },
+      ]);
+
+      expect(lines[0]).toBe('Name,Notes');
+      expect(lines[1]).toBe(`"'=HYPERLINK(""http://evil.example"",""Click"")",'+91 98765 43210`);
+      expect(lines[2]).toBe(`'-2+3,'@SUM(A1:A2)`);
+      expect(lines[3]).toBe(`'\tTabbed,"'\rReturn"`);
+    });
+
+    test('should leave numbers and ordinary text as they are', async () => {
+      const lines = await exportCsv([{ name: 'Ravi Kumar', notes: -5 }]);
+
+      expect(lines[1]).toBe('Ravi Kumar,-5');
+    });
+
+    test('should refuse xlsx and PDF exports over their limits', () => {
+      const spec = { title: 'Leads', fileName: 'leads', columns, cursor: () => Readable.from([]) };
+
+      expect(() => createExport({ ...spec, format: 'xlsx', total: config.exports.xlsxMaxRows + 1 })).toThrow(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST, message: expect.stringContaining('export csv') })
+      );
+      expect(() => createExport({ ...spec, format: 'pdf', total: config.exports.pdfMaxRows + 1 })).toThrow(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+      );
+      expect(() => createExport({ ...spec, format: 'xlsx', total: config.exports.xlsxMaxRows })).not.toThrow();
+      expect(() => createExport({ ...spec, format: 'csv', total: config.exports.xlsxMaxRows + 1 })).not.toThrow();
+    });
+  });
+});
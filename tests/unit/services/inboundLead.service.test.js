@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import { verifySignature } from '../../../src/services/inboundLead.service.js';
+
+describe('Inbound lead service', () => {
+  describe('verifySignature', () => {
+    const secret = 'shared-secret';
+    const rawBody = Buffer.from(JSON.stringify({ name: 'Ravi Kumar', phone: '9876543210' }));
+    const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+    test('should accept a hex signature, with or without the sha256= prefix', () => {
+      expect(verifySignature(secret, rawBody, digest.toString('hex'))).toBe(true);
+      expect(verifySignature(secret, rawBody, `sha256=${digest.toString('hex')}`)).toBe(true);
+      expect(verifySignature(secret, rawBody, ` SHA256=${digest.toString('hex').toUpperCase()} `)).toBe(true);
+    });
+
+    test('should accept a base64 signature', () => {
+      expect(verifySignature(secret, rawBody, digest.toString('base64'))).toBe(true);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      const forged = crypto.createHmac('sha256', 'other-secret').update(rawBody).digest('hex');
+
+      expect(verifySignature(secret, rawBody, forged)).toBe(false);
+    });
+
+    test('should reject a signature of another body', () => {
+      expect(verifySignature(secret, Buffer.from('{"name":"Someone else"}'), digest.toString('hex'))).toBe(false);
+    });
+
+    test('should reject a missing or malformed signature', () => {
+      expect(verifySignature(secret, rawBody, undefined)).toBe(false);
+      expect(verifySignature(secret, rawBody, 'sha256=')).toBe(false);
+      expect(verifySignature(secret, rawBody, digest.toString('hex').slice(0, 32))).toBe(false);
+      expect(verifySignature(secret, undefined, digest.toString('hex'))).toBe(false);
+    });
+  });
+});
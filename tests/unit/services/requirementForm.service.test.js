@@ -0,0 +1,36 @@
+import FormFieldTypes from '../../../src/config/enums/formFieldTypes.enum.js';
+import { buildFormDataSchema, toJsonSchema } from '../../../src/services/requirementForm.service.js';
+import { MAX_TEXT_ANSWER_LENGTH } from '../../../src/validations/requirementForm.validation.js';
+
+const form = (field) => ({
+  requirementType: 'Interior',
+  fields: [{ key: 'code', label: 'Code', type: FormFieldTypes.TEXT, ...field }],
+});
+
+const errorTypes = (field, code) => {
+  const { error } = buildFormDataSchema(form(field)).validate({ code }, { abortEarly: false });
+  return error ? error.details.map((detail) => detail.type) : [];
+};
+
+describe('Requirement form service', () => {
+  describe('buildFormDataSchema', () => {
+    test('should check text answers against the pattern', () => {
+      expect(errorTypes({ pattern: '^[A-Z]{2}\\d{4}$' }, 'AB1234')).toEqual([]);
+      expect(errorTypes({ pattern: '^[A-Z]{2}\\d{4}$' }, 'ab12')).toEqual(['string.pattern.base']);
+    });
+
+    test('should not try the pattern on answers over the length limit', () => {
+      expect(errorTypes({ pattern: '^[A-Z]+$', maxLength: 10 }, 'A'.repeat(11))).toEqual(['string.max']);
+      expect(errorTypes({ pattern: '^[A-Z]+$' }, 'a'.repeat(MAX_TEXT_ANSWER_LENGTH + 1))).toEqual(['string.max']);
+    });
+
+    test('should cap a maxLength saved above the limit', () => {
+      expect(errorTypes({ maxLength: MAX_TEXT_ANSWER_LENGTH * 2 }, 'a'.repeat(MAX_TEXT_ANSWER_LENGTH + 1))).toEqual([
+        'string.max',
+      ]);
+      expect(toJsonSchema(form({ maxLength: MAX_TEXT_ANSWER_LENGTH * 2 })).properties.code.maxLength).toBe(
+        MAX_TEXT_ANSWER_LENGTH
+      );
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { diffRequirementSnapshots } from '../../../src/services/requirementRevision.service.js';
+
+describe('Requirement revision service', () => {
+  describe('diffRequirementSnapshots', () => {
+    test('should list the fields that changed', () => {
+      const before = { projectName: 'Villa', budget: 100000, urgency: 'Low' };
+      const after = { projectName: 'Villa', budget: 150000, urgency: 'High' };
+
+      expect(diffRequirementSnapshots(before, after)).toEqual([
+        { path: 'budget', from: 100000, to: 150000 },
+        { path: 'urgency', from: 'Low', to: 'High' },
+      ]);
+    });
+
+    test('should compare scpData and formData field by field', () => {
+      const before = { scpData: { plotSize: { value: 5000, unit: 'sqft' }, financing: false }, formData: { floors: 2 } };
+      const after = {
+        scpData: { plotSize: { value: 5000, unit: 'sqft' }, financing: true },
+        formData: { floors: 2, lift: 'yes' },
+      };
+
+      expect(diffRequirementSnapshots(before, after)).toEqual([
+        { path: 'scpData.financing', from: false, to: true },
+        { path: 'formData.lift', from: null, to: 'yes' },
+      ]);
+    });
+
+    test('should compare other objects and lists as a whole', () => {
+      const before = { files: [{ key: 'a.pdf' }] };
+      const after = { files: [{ key: 'a.pdf' }, { key: 'b.pdf' }] };
+
+      expect(diffRequirementSnapshots(before, after)).toEqual([
+        { path: 'files', from: [{ key: 'a.pdf' }], to: [{ key: 'a.pdf' }, { key: 'b.pdf' }] },
+      ]);
+      expect(diffRequirementSnapshots(before, { files: [{ key: 'a.pdf' }] })).toEqual([]);
+    });
+
+    test('should treat empty text and empty lists as not set', () => {
+      const before = { otherRequirement: '', files: [], requirementDescription: undefined };
+      const after = { files: null, requirementDescription: '' };
+
+      expect(diffRequirementSnapshots(before, after)).toEqual([]);
+    });
+
+    test('should list every set field of a requirement that was just created', () => {
+      expect(diffRequirementSnapshots(null, { projectName: 'Villa', scpData: { numUnits: 4 } })).toEqual([
+        { path: 'projectName', from: null, to: 'Villa' },
+        { path: 'scpData.numUnits', from: null, to: 4 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { editDistance, normalizeName, normalizeText, similarity } from '../../../src/utils/fuzzy.js';
+
+describe('Fuzzy matching utils', () => {
+  describe('normalizeText', () => {
+    test('should lowercase and reduce to letters, digits and single spaces', () => {
+      expect(normalizeText('  Flat #12, Baner-Road ')).toBe('flat 12 baner road');
+    });
+
+    test('should drop accents', () => {
+      expect(normalizeText('José Müller')).toBe('jose muller');
+    });
+
+    test('should return an empty string for no value', () => {
+      expect(normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('normalizeName', () => {
+    test('should ignore titles and word order', () => {
+      expect(normalizeName('Mr. Kumar Ravi')).toBe('kumar ravi');
+      expect(normalizeName('Ravi  KUMAR')).toBe('kumar ravi');
+      expect(normalizeName('Dr Smt. Anita Rao')).toBe('anita rao');
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count the insertions, deletions and substitutions between two strings', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('', 'abc')).toBe(3);
+      expect(editDistance('same', 'same')).toBe(0);
+    });
+  });
+
+  describe('similarity', () => {
+    test('should be 1 for equal strings and 0 when either is empty', () => {
+      expect(similarity('ravi kumar', 'ravi kumar')).toBe(1);
+      expect(similarity('', 'ravi')).toBe(0);
+      expect(similarity('ravi', '')).toBe(0);
+    });
+
+    test('should scale the edit distance by the longer string', () => {
+      expect(similarity('ravi kumar', 'ravi kumaar')).toBeCloseTo(1 - 1 / 11);
+      expect(similarity('abcd', 'wxyz')).toBe(0);
+    });
+  });
+});
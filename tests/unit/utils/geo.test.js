@@ -0,0 +1,65 @@
+import { isShortLink, parseGoogleMapsLink } from '../../../src/utils/geo.js';
+
+describe('Geo utils', () => {
+  describe('parseGoogleMapsLink', () => {
+    test('should read the marker of a place link rather than the middle of the map', () => {
+      const link =
+        'https://www.google.com/maps/place/Baner,+Pune/@18.5590,73.7868,14z/data=!3m1!4b1!4m6!3m5!1s0x0:0x0!8m2!3d18.5642!4d73.7769';
+
+      expect(parseGoogleMapsLink(link)).toEqual({ lat: 18.5642, lng: 73.7769 });
+    });
+
+    test('should read coordinates from the query', () => {
+      expect(parseGoogleMapsLink('https://maps.google.com/?q=18.5204,73.8567')).toEqual({ lat: 18.5204, lng: 73.8567 });
+      expect(parseGoogleMapsLink('https://www.google.com/maps/search/?api=1&query=18.5204%2C73.8567')).toEqual({
+        lat: 18.5204,
+        lng: 73.8567,
+      });
+      expect(parseGoogleMapsLink('https://www.google.com/maps/dir/?api=1&destination=-33.8688,151.2093')).toEqual({
+        lat: -33.8688,
+        lng: 151.2093,
+      });
+    });
+
+    test('should read coordinates from a search link path', () => {
+      expect(parseGoogleMapsLink('https://www.google.com/maps/search/18.5204,+73.8567')).toEqual({
+        lat: 18.5204,
+        lng: 73.8567,
+      });
+    });
+
+    test('should fall back to the middle of the map', () => {
+      expect(parseGoogleMapsLink('https://www.google.com/maps/@18.5204,73.8567,15z')).toEqual({
+        lat: 18.5204,
+        lng: 73.8567,
+      });
+    });
+
+    test('should read a bare latitude and longitude', () => {
+      expect(parseGoogleMapsLink(' 18.5204, 73.8567 ')).toEqual({ lat: 18.5204, lng: 73.8567 });
+    });
+
+    test('should return null for short links and links without coordinates', () => {
+      expect(parseGoogleMapsLink('https://maps.app.goo.gl/AbCdEf123')).toBeNull();
+      expect(parseGoogleMapsLink('https://www.google.com/maps/place/Baner,+Pune')).toBeNull();
+      expect(parseGoogleMapsLink('somewhere in Pune')).toBeNull();
+      expect(parseGoogleMapsLink('')).toBeNull();
+      expect(parseGoogleMapsLink(undefined)).toBeNull();
+    });
+
+    test('should return null for coordinates out of range', () => {
+      expect(parseGoogleMapsLink('https://maps.google.com/?q=118.52,73.85')).toBeNull();
+      expect(parseGoogleMapsLink('18.52,273.85')).toBeNull();
+    });
+  });
+
+  describe('isShortLink', () => {
+    test('should be true only for Google Maps short link hosts', () => {
+      expect(isShortLink('https://maps.app.goo.gl/AbCdEf123')).toBe(true);
+      expect(isShortLink('https://goo.gl/maps/AbCdEf123')).toBe(true);
+      expect(isShortLink('https://maps.app.goo.gl.example.com/AbCdEf123')).toBe(false);
+      expect(isShortLink('https://www.google.com/maps/@18.52,73.85,15z')).toBe(false);
+      expect(isShortLink('not a link')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import config from '../../../src/config/config.js';
+import { getPhoneNumberVariants, normalizePhoneNumber, normalizePhoneNumbers } from '../../../src/utils/phone.js';
+
+describe('Phone utils', () => {
+  describe('normalizePhoneNumber', () => {
+    test('should add the default country code to a national number', () => {
+      expect(normalizePhoneNumber('98765 43210', '91')).toBe('+919876543210');
+      expect(normalizePhoneNumber('098765-43210', '91')).toBe('+919876543210');
+    });
+
+    test('should keep the country code of an international number', () => {
+      expect(normalizePhoneNumber('+1 (415) 555-0100', '91')).toBe('+14155550100');
+      expect(normalizePhoneNumber('0044 20 7946 0958', '91')).toBe('+442079460958');
+    });
+
+    test('should not add the default country code twice', () => {
+      expect(normalizePhoneNumber('919876543210', '91')).toBe('+919876543210');
+    });
+
+    test('should use the configured country code by default', () => {
+      expect(normalizePhoneNumber('9876543210')).toBe(`+${config.phone.defaultCountryCode}9876543210`);
+    });
+
+    test('should return null for what cannot be a phone number', () => {
+      expect(normalizePhoneNumber(undefined)).toBeNull();
+      expect(normalizePhoneNumber('not a number')).toBeNull();
+      expect(normalizePhoneNumber('+12', '91')).toBeNull();
+      expect(normalizePhoneNumber('+1234567890123456', '91')).toBeNull();
+    });
+  });
+
+  describe('getPhoneNumberVariants', () => {
+    test('should list the formats a number may have been stored in', () => {
+      const code = config.phone.defaultCountryCode;
+
+      expect(getPhoneNumberVariants('9876543210')).toEqual([
+        `+${code}9876543210`,
+        `${code}9876543210`,
+        '9876543210',
+        '09876543210',
+      ]);
+    });
+
+    test('should return no variants for what is not a phone number', () => {
+      expect(getPhoneNumberVariants('')).toEqual([]);
+    });
+  });
+
+  describe('normalizePhoneNumbers', () => {
+    test('should return unique numbers and drop what is not a number', () => {
+      expect(normalizePhoneNumbers('+14155550100', '+1 415 555 0100', 'n/a', null)).toEqual(['+14155550100']);
+    });
+  });
+});
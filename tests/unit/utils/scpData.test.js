@@ -0,0 +1,67 @@
+import AreaUnits from '../../../src/config/enums/areaUnits.enum.js';
+import LengthUnits from '../../../src/config/enums/lengthUnits.enum.js';
+import { parseScpData } from '../../../src/utils/scpData.js';
+
+describe('scpData utils', () => {
+  describe('parseScpData', () => {
+    test('should read typed fields from the way people write them', () => {
+      const { scpData, unreadable } = parseScpData({
+        plotSize: '5,000 sq ft',
+        totalArea: { value: 465, unit: AreaUnits.SQ_M },
+        roadWidth: '20 ft',
+        numUnits: '4 nos.',
+        tokenAdvance: 'Yes',
+        financing: 'no',
+        targetCompletionDate: '31/03/2025',
+      });
+
+      expect(unreadable).toEqual([]);
+      expect(scpData).toEqual({
+        plotSize: { value: 5000, unit: AreaUnits.SQ_FT },
+        totalArea: { value: 465, unit: AreaUnits.SQ_M },
+        roadWidth: { value: 20, unit: LengthUnits.FT },
+        numUnits: 4,
+        tokenAdvance: true,
+        financing: false,
+        targetCompletionDate: expect.any(Date),
+      });
+      const date = scpData.targetCompletionDate;
+      expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2025, 2, 31]);
+    });
+
+    test('should copy other fields as they are', () => {
+      const { scpData } = parseScpData({ siteAddress: 'Plot 12, Baner', notes: '' });
+
+      expect(scpData).toEqual({ siteAddress: 'Plot 12, Baner', notes: '' });
+    });
+
+    test('should store empty typed fields as null', () => {
+      const { scpData, unreadable } = parseScpData({ plotSize: '  ', numUnits: null });
+
+      expect(scpData).toEqual({ plotSize: null, numUnits: null });
+      expect(unreadable).toEqual([]);
+    });
+
+    test('should leave out and list the fields that cannot be read', () => {
+      const { scpData, unreadable } = parseScpData({
+        plotSize: 'big',
+        numUnits: '2.5',
+        tokenAdvance: 'maybe',
+        targetCompletionDate: '31/02/2025',
+        roadWidth: '6 m',
+      });
+
+      expect(scpData).toEqual({ roadWidth: { value: 6, unit: LengthUnits.M } });
+      expect(unreadable).toEqual([
+        { field: 'plotSize', value: 'big' },
+        { field: 'numUnits', value: '2.5' },
+        { field: 'tokenAdvance', value: 'maybe' },
+        { field: 'targetCompletionDate', value: '31/02/2025' },
+      ]);
+    });
+
+    test('should return empty scpData when given none', () => {
+      expect(parseScpData()).toEqual({ scpData: {}, unreadable: [] });
+    });
+  });
+});
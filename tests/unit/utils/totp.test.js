@@ -0,0 +1,76 @@
+import { buildOtpauthUri, generateCode, generateSecret, getTimeStep, verifyCode } from '../../../src/utils/totp.js';
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890" in base32
+const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utils', () => {
+  describe('generateCode', () => {
+    test('should match the RFC 6238 test vectors', () => {
+      // The RFC lists 8-digit codes; the last 6 digits are the 6-digit codes
+      expect(generateCode(rfcSecret, getTimeStep(59 * 1000))).toBe('287082');
+      expect(generateCode(rfcSecret, getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(generateCode(rfcSecret, getTimeStep(1234567890 * 1000))).toBe('005924');
+      expect(generateCode(rfcSecret, getTimeStep(2000000000 * 1000))).toBe('279037');
+      expect(generateCode(rfcSecret, getTimeStep(20000000000 * 1000))).toBe('353130');
+    });
+
+    test('should ignore case, spaces and padding in the secret', () => {
+      const step = getTimeStep(59 * 1000);
+
+      expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', step)).toBe(generateCode(rfcSecret, step));
+    });
+
+    test('should throw for a secret that is not base32', () => {
+      expect(() => generateCode('NOT-BASE32!', 1)).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const secret = generateSecret();
+
+    test('should return the time step of a valid code', () => {
+      const step = getTimeStep();
+
+      expect(verifyCode(secret, generateCode(secret, step))).toBe(step);
+    });
+
+    test('should accept codes from the neighbouring time steps', () => {
+      const step = getTimeStep();
+
+      expect(verifyCode(secret, generateCode(secret, step - 1))).toBe(step - 1);
+      expect(verifyCode(secret, generateCode(secret, step + 1))).toBe(step + 1);
+    });
+
+    test('should reject codes outside the window', () => {
+      const step = getTimeStep();
+
+      expect(verifyCode(secret, generateCode(secret, step - 3))).toBeNull();
+      expect(verifyCode(secret, generateCode(secret, step - 1), 0)).toBeNull();
+    });
+
+    test('should reject codes that are not 6 digits', () => {
+      expect(verifyCode(secret, '12345')).toBeNull();
+      expect(verifyCode(secret, 'abcdef')).toBeNull();
+      expect(verifyCode(secret, undefined)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should build the URI authenticator apps read', () => {
+      const uri = buildOtpauthUri({ secret: rfcSecret, accountName: 'ravi@example.com', issuer: 'Smart Orbit' });
+
+      expect(uri).toBe(
+        `otpauth://totp/Smart%20Orbit%3Aravi%40example.com?secret=${rfcSecret}&issuer=Smart+Orbit&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import AreaUnits from '../../../src/config/enums/areaUnits.enum.js';
+import LengthUnits from '../../../src/config/enums/lengthUnits.enum.js';
+import { convertArea, parseArea, parseLength } from '../../../src/utils/units.js';
+
+describe('Unit utils', () => {
+  describe('parseArea', () => {
+    test('should read an area written with a unit', () => {
+      expect(parseArea('5,000 sq ft')).toEqual({ value: 5000, unit: AreaUnits.SQ_FT });
+      expect(parseArea('465 Sq. M.')).toEqual({ value: 465, unit: AreaUnits.SQ_M });
+      expect(parseArea('0.5 acres')).toEqual({ value: 0.5, unit: AreaUnits.ACRE });
+      expect(parseArea('1200sqft')).toEqual({ value: 1200, unit: AreaUnits.SQ_FT });
+    });
+
+    test('should take a number without a unit to be in the default unit', () => {
+      expect(parseArea(5000)).toEqual({ value: 5000, unit: AreaUnits.SQ_FT });
+      expect(parseArea('5000')).toEqual({ value: 5000, unit: AreaUnits.SQ_FT });
+      expect(parseArea('465', AreaUnits.SQ_M)).toEqual({ value: 465, unit: AreaUnits.SQ_M });
+    });
+
+    test('should accept an area given as value and unit', () => {
+      expect(parseArea({ value: '2', unit: AreaUnits.ACRE })).toEqual({ value: 2, unit: AreaUnits.ACRE });
+    });
+
+    test('should return null for what is not an area', () => {
+      expect(parseArea('large')).toBeNull();
+      expect(parseArea('20 ft')).toBeNull();
+      expect(parseArea(-5)).toBeNull();
+      expect(parseArea({ value: 5, unit: 'ft' })).toBeNull();
+      expect(parseArea({ value: -5, unit: AreaUnits.SQ_FT })).toBeNull();
+    });
+  });
+
+  describe('parseLength', () => {
+    test('should read a length written with a unit', () => {
+      expect(parseLength('20 ft')).toEqual({ value: 20, unit: LengthUnits.FT });
+      expect(parseLength("30'")).toEqual({ value: 30, unit: LengthUnits.FT });
+      expect(parseLength('6 metres')).toEqual({ value: 6, unit: LengthUnits.M });
+      expect(parseLength('6mtr')).toEqual({ value: 6, unit: LengthUnits.M });
+    });
+
+    test('should take a number without a unit to be in feet', () => {
+      expect(parseLength(40)).toEqual({ value: 40, unit: LengthUnits.FT });
+    });
+
+    test('should return null for what is not a length', () => {
+      expect(parseLength('wide')).toBeNull();
+      expect(parseLength('20 sq ft')).toBeNull();
+    });
+  });
+
+  describe('convertArea', () => {
+    test('should convert between units', () => {
+      expect(convertArea(1, AreaUnits.ACRE, AreaUnits.SQ_FT)).toBe(43560);
+      expect(convertArea(100, AreaUnits.SQ_M, AreaUnits.SQ_FT)).toBeCloseTo(1076.39, 2);
+      expect(convertArea(43560, AreaUnits.SQ_FT, AreaUnits.ACRE)).toBe(1);
+      expect(convertArea(250, AreaUnits.SQ_M, AreaUnits.SQ_M)).toBe(250);
+    });
+
+    test('should throw for a unit that is not an area', () => {
+      expect(() => convertArea(1, LengthUnits.FT, AreaUnits.SQ_FT)).toThrow('Cannot convert from ft to sqft');
+    });
+  });
+});
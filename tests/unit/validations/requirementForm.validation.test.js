@@ -0,0 +1,31 @@
+import Joi from 'joi';
+import FormFieldTypes from '../../../src/config/enums/formFieldTypes.enum.js';
+import { MAX_TEXT_ANSWER_LENGTH, createRequirementForm } from '../../../src/validations/requirementForm.validation.js';
+
+const validateField = (field) =>
+  createRequirementForm.body.validate({
+    requirementType: 'Interior',
+    fields: [{ key: 'code', label: 'Code', type: FormFieldTypes.TEXT, ...field }],
+  }).error;
+
+describe('Requirement form validation', () => {
+  test('should accept a field with a safe pattern', () => {
+    expect(validateField({ pattern: '^[A-Z]{2}\\d{4}$', maxLength: 6 })).toBeUndefined();
+  });
+
+  test('should reject patterns that can backtrack exponentially', () => {
+    ['(a+)+$', '([a-z]*)*@', '(x+x+)+y'].forEach((pattern) => {
+      expect(validateField({ pattern })).toBeInstanceOf(Joi.ValidationError);
+      expect(validateField({ pattern }).message).toMatch('may take too long to match');
+    });
+  });
+
+  test('should reject a pattern that is not a regular expression', () => {
+    expect(validateField({ pattern: '([a-z' }).message).toMatch('must be a valid regular expression');
+  });
+
+  test('should reject a maxLength over the limit', () => {
+    expect(validateField({ maxLength: MAX_TEXT_ANSWER_LENGTH })).toBeUndefined();
+    expect(validateField({ maxLength: MAX_TEXT_ANSWER_LENGTH + 1 })).toBeInstanceOf(Joi.ValidationError);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Run requests one after another, for when the outcome of each depends on the ones before it
+ * @param {number} count
+ * @param {function(): Promise} send
+ * @returns {Promise<Array>} the results in order
+ */
+const inSequence = (count, send) =>
+  Array.from({ length: count }).reduce(async (previous) => {
+    const responses = await previous;
+    return [...responses, await send()];
+  }, Promise.resolve([]));
+
+export default inSequence;